@@ -262,20 +262,20 @@ export function Autocomplete({
     /**
      * Setup event listeners
      */
-    component.useEffect((el) => {
+    component.useEffect((el, on) => {
         const input = el.querySelector('.autocomplete-input');
 
         if (input) {
             // Input change
-            input.addEventListener('input', (e) => {
+            on(input, 'input', (e) => {
                 handleInputChange(e.target.value);
             });
 
             // Keyboard navigation
-            input.addEventListener('keydown', handleKeyboard);
+            on(input, 'keydown', handleKeyboard);
 
             // Focus
-            input.addEventListener('focus', () => {
+            on(input, 'focus', () => {
                 if (inputValue.length > 0) {
                     isOpen = true;
                     component.setState({ isOpen });
@@ -285,7 +285,7 @@ export function Autocomplete({
 
         // Item selection
         el.querySelectorAll('.autocomplete-item').forEach((item) => {
-            item.addEventListener('click', (e) => {
+            on(item, 'click', (e) => {
                 // Don't trigger on checkbox click in multiple mode
                 if (multiple && e.target.type === 'checkbox') {
                     return;
@@ -298,7 +298,7 @@ export function Autocomplete({
 
         // Checkbox selection in multiple mode
         el.querySelectorAll('.autocomplete-item input[type="checkbox"]').forEach((checkbox) => {
-            checkbox.addEventListener('change', (e) => {
+            on(checkbox, 'change', (e) => {
                 const index = parseInt(e.target.dataset.index);
                 selectItem(filteredItems[index]);
             });
@@ -306,7 +306,7 @@ export function Autocomplete({
 
         // Remove tag
         el.querySelectorAll('.autocomplete-remove').forEach((btn) => {
-            btn.addEventListener('click', (e) => {
+            on(btn, 'click', (e) => {
                 e.preventDefault();
                 const index = parseInt(btn.dataset.index);
                 selectedItems.splice(index, 1);
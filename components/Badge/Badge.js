@@ -1,9 +1,10 @@
 import { createComponent } from '../../utils/createComponent.js';
 
 export function Badge({ label = '', variant = 'secondary', pill = false }) {
-  const template = () => `
-    <span class="badge ${pill === 'true' ? 'rounded-pill' : ''} bg-${variant}">
-      ${label}
+  // Reads props from state, so setProps re-renders with new values
+  const template = (state) => `
+    <span class="badge ${state.pill === 'true' ? 'rounded-pill' : ''} bg-${state.variant}">
+      ${state.label}
     </span>
   `;
 
@@ -30,9 +30,9 @@ export function Checkbox({ label = '', name = '', value = '', checked = false, d
 
   const checkbox = createComponent(template, { label, name, value, checked, disabled, required });
 
-  checkbox.useEffect(() => {
+  checkbox.useEffect((_, on) => {
     if (onchange) {
-      checkbox.refs.checkbox.addEventListener('change', onchange);
+      on(checkbox.refs.checkbox, 'change', onchange);
     }
   });
 
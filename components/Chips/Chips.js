@@ -27,11 +27,11 @@ export function Chips({ items = [], type = 'filter', onselect }) {
 
     const component = createComponent(template, { items, type });
 
-    component.useEffect(() => {
+    component.useEffect((_, on) => {
         parsedItems.forEach((item, idx) => {
             const el = component.refs[`chip-${idx}`];
             if (el) {
-                el.addEventListener('click', () => {
+                on(el, 'click', () => {
                     if (onselect) onselect(item, idx);
                 });
             }
@@ -339,13 +339,13 @@ export function DataTable({
     });
 
     /**
-     * Setup event listeners
+     * Setup event listeners; `on` removes them before the effect runs again on the morphed table
      */
-    component.useEffect((el) => {
+    component.useEffect((el, on) => {
         // Search/filter
         const searchInput = el.querySelector('.datatable-search');
         if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
+            on(searchInput, 'input', (e) => {
                 filterQuery = e.target.value;
                 currentPage = 1;
                 component.setState({
@@ -360,7 +360,7 @@ export function DataTable({
 
         // Sorting
         el.querySelectorAll('th.sortable').forEach(header => {
-            header.addEventListener('click', () => {
+            on(header, 'click', () => {
                 const column = header.dataset.column;
 
                 if (sortColumn === column) {
@@ -390,7 +390,7 @@ export function DataTable({
         const nextBtn = el.querySelector('.datatable-next-page');
 
         if (prevBtn) {
-            prevBtn.addEventListener('click', () => {
+            on(prevBtn, 'click', () => {
                 if (currentPage > 1) {
                     currentPage--;
                     component.setState({ currentPage });
@@ -402,7 +402,7 @@ export function DataTable({
         }
 
         if (nextBtn) {
-            nextBtn.addEventListener('click', () => {
+            on(nextBtn, 'click', () => {
                 const totalPages = getTotalPages();
                 if (currentPage < totalPages) {
                     currentPage++;
@@ -420,7 +420,7 @@ export function DataTable({
             const rowCheckboxes = el.querySelectorAll('.datatable-row-checkbox');
 
             if (selectAllCheckbox) {
-                selectAllCheckbox.addEventListener('change', (e) => {
+                on(selectAllCheckbox, 'change', (e) => {
                     const isChecked = e.target.checked;
                     rowCheckboxes.forEach((checkbox, idx) => {
                         checkbox.checked = isChecked;
@@ -440,7 +440,7 @@ export function DataTable({
             }
 
             rowCheckboxes.forEach((checkbox, idx) => {
-                checkbox.addEventListener('change', (e) => {
+                on(checkbox, 'change', (e) => {
                     if (e.target.checked) {
                         selectedRows.add(idx);
                     } else {
@@ -459,7 +459,7 @@ export function DataTable({
         // Row click
         if (onRowClick) {
             el.querySelectorAll('.datatable-row').forEach((row) => {
-                row.addEventListener('click', (e) => {
+                on(row, 'click', (e) => {
                     // Don't trigger on checkbox or button clicks
                     if (e.target.closest('input[type="checkbox"], button')) {
                         return;
@@ -476,11 +476,6 @@ export function DataTable({
                 row.style.cursor = 'pointer';
             });
         }
-
-        // Return cleanup function
-        return () => {
-            // Cleanup event listeners (handled by component auto-cleanup)
-        };
     });
 
     // Export utility methods
@@ -505,5 +500,17 @@ export function DataTable({
     component.getTotalRows = () => getTotalRows();
     component.getTotalPages = () => getTotalPages();
 
+    // Live props (data-bind:rows="orders"); sorting and filter are kept, selection refers to old rows
+    component.onPropsChange((changes) => {
+        if ('rows' in changes) {
+            rows = Array.isArray(changes.rows) ? changes.rows : [];
+            selectedRows.clear();
+        }
+        if ('loading' in changes) loading = changes.loading;
+        if ('error' in changes) error = changes.error;
+        currentPage = Math.max(1, Math.min(currentPage, getTotalPages()));
+        component.setState({ currentPage, selectedRows: Array.from(selectedRows) });
+    });
+
     return component;
 }
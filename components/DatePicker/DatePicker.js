@@ -205,11 +205,11 @@ export function DatePicker({
     /**
      * Setup event listeners
      */
-    component.useEffect((el) => {
+    component.useEffect((el, on) => {
         // Toggle dropdown
         const trigger = el.refs.triggerBtn;
         if (trigger) {
-            trigger.addEventListener('click', () => {
+            on(trigger, 'click', () => {
                 isOpen = !isOpen;
                 component.setState({ isOpen });
             });
@@ -218,7 +218,7 @@ export function DatePicker({
         // Date selection
         if (el.refs.dropdown) {
             el.refs.dropdown.querySelectorAll('.datepicker-day:not(:disabled)').forEach((btn) => {
-                btn.addEventListener('click', (e) => {
+                on(btn, 'click', (e) => {
                     selectedDate = e.target.dataset.date;
                     isOpen = false;
                     component.setState({ isOpen, selectedDate });
@@ -229,15 +229,21 @@ export function DatePicker({
             });
 
             // Month navigation
-            el.refs.dropdown.querySelector('.datepicker-prev')?.addEventListener('click', () => {
-                currentMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() - 1);
-                component.setState({ currentMonth });
-            });
+            const prevBtn = el.refs.dropdown.querySelector('.datepicker-prev');
+            if (prevBtn) {
+                on(prevBtn, 'click', () => {
+                    currentMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() - 1);
+                    component.setState({ currentMonth });
+                });
+            }
 
-            el.refs.dropdown.querySelector('.datepicker-next')?.addEventListener('click', () => {
-                currentMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1);
-                component.setState({ currentMonth });
-            });
+            const nextBtn = el.refs.dropdown.querySelector('.datepicker-next');
+            if (nextBtn) {
+                on(nextBtn, 'click', () => {
+                    currentMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1);
+                    component.setState({ currentMonth });
+                });
+            }
         }
 
         // Close on outside click
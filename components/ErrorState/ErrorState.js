@@ -104,11 +104,11 @@ export function ErrorState({
     /**
      * Setup event listeners
      */
-    component.useEffect((el) => {
+    component.useEffect((el, on) => {
         // Details toggle
         const toggleBtn = el.refs.toggleBtn;
         if (toggleBtn) {
-            toggleBtn.addEventListener('click', () => {
+            on(toggleBtn, 'click', () => {
                 detailsVisible = !detailsVisible;
                 component.setState({ detailsVisible });
             });
@@ -119,9 +119,6 @@ export function ErrorState({
             el.refs.actionBtn.addEventListener('click', onAction);
             return () => {
                 el.refs.actionBtn.removeEventListener('click', onAction);
-                if (toggleBtn) {
-                    toggleBtn.removeEventListener('click', null);
-                }
             };
         }
     });
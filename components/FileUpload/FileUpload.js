@@ -201,23 +201,23 @@ export function FileUpload({
     /**
      * Setup event listeners
      */
-    component.useEffect((el) => {
+    component.useEffect((el, on) => {
         const dropZone = el.querySelector('[data-ref="dropZone"]');
         const input = el.querySelector('[data-ref="input"]');
 
         // Click to browse
-        dropZone.addEventListener('click', () => {
+        on(dropZone, 'click', () => {
             input.click();
         });
 
         // File input change
-        input.addEventListener('change', (e) => {
+        on(input, 'change', (e) => {
             handleFiles(e.target.files);
             input.value = ''; // Reset input
         });
 
         // Drag over
-        dropZone.addEventListener('dragover', (e) => {
+        on(dropZone, 'dragover', (e) => {
             e.preventDefault();
             e.stopPropagation();
             isDragOver = true;
@@ -225,7 +225,7 @@ export function FileUpload({
         });
 
         // Drag leave
-        dropZone.addEventListener('dragleave', (e) => {
+        on(dropZone, 'dragleave', (e) => {
             e.preventDefault();
             e.stopPropagation();
             isDragOver = false;
@@ -233,7 +233,7 @@ export function FileUpload({
         });
 
         // Drop
-        dropZone.addEventListener('drop', (e) => {
+        on(dropZone, 'drop', (e) => {
             e.preventDefault();
             e.stopPropagation();
             isDragOver = false;
@@ -243,7 +243,7 @@ export function FileUpload({
 
         // Remove file buttons
         el.querySelectorAll('.file-remove').forEach((btn) => {
-            btn.addEventListener('click', (e) => {
+            on(btn, 'click', (e) => {
                 e.stopPropagation();
                 const index = parseInt(btn.dataset.index);
                 removeFile(index);
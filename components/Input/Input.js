@@ -34,14 +34,14 @@ export function Input({ type = 'text', label = '', name = '', value = '', placeh
 
   const input = createComponent(template, { type, label, name, value, placeholder, required, disabled, icon, ...rest });
 
-  input.useEffect(() => {
+  input.useEffect((_, on) => {
     // Re-attach listeners if passed in rest (e.g. onchange, oninput)
     // Note: This is a simplified approach. In a real reactive system, we'd bind properly.
     const validEvents = ['onchange', 'oninput', 'onblur', 'onfocus'];
     validEvents.forEach(evt => {
       if (rest[evt] && typeof rest[evt] === 'function') {
         const eventName = evt.substring(2);
-        input.refs.input.addEventListener(eventName, rest[evt]);
+        on(input.refs.input, eventName, rest[evt]);
       }
     });
 
@@ -34,11 +34,11 @@ export function List({ items = [] }) {
 
   const component = createComponent(template, { items });
 
-  component.useEffect(() => {
+  component.useEffect((_, on) => {
     items.forEach((item, idx) => {
       const el = component.refs[`item-${idx}`];
       if (el && item.onclick) {
-        el.addEventListener('click', item.onclick);
+        on(el, 'click', item.onclick);
       }
     });
   });
@@ -54,7 +54,7 @@ export function Modal({ id = '', title = '', dismissable = true, children = [],
   // We need to pass mainContent as children to createComponent to render it in default slot
   const component = createComponent(template, { id, title, children: mainContent, footer: footerContent });
 
-  component.useEffect((el) => {
+  component.useEffect((el, on) => {
     // Check if Bootstrap JS is available
     if (!bs.isAvailable() || !bs.Modal) {
       // Graceful fallback or no-op
@@ -74,7 +74,7 @@ export function Modal({ id = '', title = '', dismissable = true, children = [],
     }
 
     // Handle modal shown event - activate focus trap
-    el.addEventListener('shown.bs.modal', () => {
+    on(el, 'shown.bs.modal', () => {
       // Store previously focused element
       previousActiveElement = document.activeElement;
 
@@ -93,7 +93,7 @@ export function Modal({ id = '', title = '', dismissable = true, children = [],
     });
 
     // Handle modal hidden event - deactivate focus trap and restore focus
-    el.addEventListener('hidden.bs.modal', () => {
+    on(el, 'hidden.bs.modal', () => {
       // Deactivate focus trap
       if (focusTrap) {
         focusTrap.deactivate(false); // Don't let trap restore focus, we'll do it manually
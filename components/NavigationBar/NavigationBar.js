@@ -23,11 +23,11 @@ export function NavigationBar({ items = [], activeIndex = 0, onchange }) {
 
   const component = createComponent(template, { items, activeIndex });
 
-  component.useEffect(() => {
+  component.useEffect((_, on) => {
     items.forEach((item, idx) => {
       const btn = component.refs[`nav-${idx}`];
       if (btn) {
-        btn.addEventListener('click', () => {
+        on(btn, 'click', () => {
           if (onchange) onchange(idx);
         });
       }
@@ -29,9 +29,9 @@ export function NavigationDrawer({ links = [], isOpen = false, onClose }) {
 
     const component = createComponent(template, { links, isOpen });
 
-    component.useEffect((comp) => {
+    component.useEffect((comp, on) => {
         if (comp.refs.backdrop) {
-            comp.refs.backdrop.addEventListener('click', () => {
+            on(comp.refs.backdrop, 'click', () => {
                 if (onClose) onClose();
             });
         }
@@ -40,7 +40,7 @@ export function NavigationDrawer({ links = [], isOpen = false, onClose }) {
         links.forEach((link, idx) => {
             const linkRef = comp.refs[`link-${idx}`];
             if (linkRef && link.onclick) {
-                linkRef.addEventListener('click', (e) => {
+                on(linkRef, 'click', (e) => {
                     e.preventDefault();
                     link.onclick(e);
                 });
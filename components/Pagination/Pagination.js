@@ -1,15 +1,10 @@
 import { createComponent } from '../../utils/createComponent.js';
 
-export function Pagination({ pages = '[]', onpageclick }) {
-  let parsedPages = [];
-  try {
-    parsedPages = typeof pages === 'string' ? JSON.parse(pages) : pages;
-  } catch { }
-
+export function Pagination({ pages = [], onpageclick }) {
   const template = () => `
     <nav>
       <ul class="pagination">
-        ${parsedPages.map(p => `
+        ${pages.map(p => `
           <li class="page-item${p.active ? ' active' : ''}">
             <a class="page-link" href="#" data-page="${p.value}" data-rnx-ignore="true">${p.label}</a>
           </li>
@@ -20,10 +15,10 @@ export function Pagination({ pages = '[]', onpageclick }) {
 
   const pagination = createComponent(template, { pages });
 
-  pagination.useEffect(() => {
+  pagination.useEffect((_, on) => {
     if (onpageclick) {
       pagination.querySelectorAll('.page-link').forEach(link => {
-        link.addEventListener('click', (e) => {
+        on(link, 'click', (e) => {
           e.preventDefault();
           onpageclick(e);
         });
@@ -33,3 +28,8 @@ export function Pagination({ pages = '[]', onpageclick }) {
 
   return pagination;
 }
+
+// Props schema used when the tag is hydrated by loadComponents
+Pagination.props = {
+  pages: { type: Array, default: () => [] }
+};
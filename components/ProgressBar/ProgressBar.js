@@ -90,5 +90,14 @@ export function ProgressBar({
 
     component.getValue = () => currentValue;
 
+    // Live props (data-bind:value="uploadProgress")
+    component.onPropsChange((changes) => {
+        if ('value' in changes) currentValue = Math.max(0, Math.min(changes.value, 100));
+        if ('variant' in changes) variant = changes.variant;
+        if ('label' in changes) label = changes.label;
+        if ('indeterminate' in changes) indeterminate = changes.indeterminate;
+        component.setState({ currentValue, variant, indeterminate });
+    });
+
     return component;
 }
@@ -31,9 +31,9 @@ export function Radio({ label = '', name = '', value = '', checked = false, disa
 
   const radio = createComponent(template, { label, name, value, checked, disabled, required });
 
-  radio.useEffect(() => {
+  radio.useEffect((_, on) => {
     if (onchange) {
-      radio.refs.radio.addEventListener('change', onchange);
+      on(radio.refs.radio, 'change', onchange);
     }
   });
 
@@ -23,16 +23,16 @@ export function Search({ placeholder = 'Search...', value = '', onsearch }) {
 
   const component = createComponent(template, { value, placeholder });
 
-  component.useEffect((comp) => {
+  component.useEffect((comp, on) => {
     if (comp.refs.input) {
-      comp.refs.input.addEventListener('input', (e) => {
+      on(comp.refs.input, 'input', (e) => {
         const val = e.target.value;
         comp.setState({ value: val });
         if (onsearch) onsearch(val);
       });
     }
     if (comp.refs.clear) {
-      comp.refs.clear.addEventListener('click', () => {
+      on(comp.refs.clear, 'click', () => {
         comp.setState({ value: '' });
         if (onsearch) onsearch('');
       });
@@ -2,19 +2,9 @@ import { createComponent } from '../../utils/createComponent.js';
 
 export function SegmentedButton({ options = [], selected = '', onchange }) {
   // options: [{ label, value, icon }]
-  let parsedOptions = options;
-  if (typeof options === 'string') {
-    try {
-      parsedOptions = JSON.parse(options);
-    } catch (e) {
-      console.warn('[rnxJS] SegmentedButton: invalid options format', options);
-      parsedOptions = [];
-    }
-  }
-
   const template = ({ selected, options }) => `
     <div class="btn-group" role="group" style="border: 1px solid var(--md-sys-color-outline); border-radius: 28px; overflow: hidden;">
-      ${parsedOptions.map(opt => {
+      ${options.map(opt => {
     const isSelected = opt.value === selected;
     return `
           <button type="button" class="btn btn-outline-secondary border-0 ${isSelected ? 'active bg-secondary-subtle text-secondary-emphasis' : ''}" 
@@ -32,11 +22,11 @@ export function SegmentedButton({ options = [], selected = '', onchange }) {
 
   const component = createComponent(template, { options, selected });
 
-  component.useEffect(() => {
+  component.useEffect((_, on) => {
     options.forEach(opt => {
       const btn = component.refs[`btn-${opt.value}`];
       if (btn) {
-        btn.addEventListener('click', () => {
+        on(btn, 'click', () => {
           if (onchange) onchange(opt.value);
         });
       }
@@ -45,3 +35,9 @@ export function SegmentedButton({ options = [], selected = '', onchange }) {
 
   return component;
 }
+
+// Props schema used when the tag is hydrated by loadComponents
+SegmentedButton.props = {
+  options: { type: Array, default: () => [] },
+  selected: String
+};
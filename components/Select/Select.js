@@ -1,19 +1,12 @@
 import { createComponent } from '../../utils/createComponent.js';
 
-export function Select({ name = '', label = '', options = '', value = '', required = false, disabled = false, onchange, id, className = '', ...rest }) {
+export function Select({ name = '', label = '', options = [], value = '', required = false, disabled = false, onchange, id, className = '', ...rest }) {
   const attrs = Object.entries(rest).map(([k, v]) => {
     if (k === 'class' || k === 'className') return '';
     if (typeof v === 'string') return `${k}="${v}"`;
     return '';
   }).join(' ');
 
-  let parsedOptions = [];
-  try {
-    parsedOptions = typeof options === 'string' ? JSON.parse(options) : options;
-  } catch {
-    parsedOptions = [];
-  }
-
   const finalId = id || `select-${Math.random().toString(36).substr(2, 9)}`;
 
   const template = () => `
@@ -28,7 +21,7 @@ export function Select({ name = '', label = '', options = '', value = '', requir
         data-rnx-ignore="true"
         ${attrs}
       >
-        ${parsedOptions.map(opt => `
+        ${options.map(opt => `
           <option value="${opt.value}" ${opt.value === value ? 'selected' : ''}>
             ${opt.label}
           </option>
@@ -51,3 +44,13 @@ export function Select({ name = '', label = '', options = '', value = '', requir
 
   return select;
 }
+
+// Props schema used when the tag is hydrated by loadComponents
+Select.props = {
+  name: String,
+  label: String,
+  options: { type: Array, default: () => [] },
+  value: String,
+  required: Boolean,
+  disabled: Boolean
+};
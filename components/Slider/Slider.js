@@ -14,9 +14,9 @@ export function Slider({ value = 0, min = 0, max = 100, step = 1, oninput }) {
 
     const component = createComponent(template, { value, min, max, step });
 
-    component.useEffect(() => {
+    component.useEffect((_, on) => {
         if (oninput && component.refs.range) {
-            component.refs.range.addEventListener('input', (e) => {
+            on(component.refs.range, 'input', (e) => {
                 oninput(e.target.value);
             });
         }
@@ -17,9 +17,9 @@ export function Switch({ label = '', checked = false, onchange, id, className =
 
   const component = createComponent(template, { label, checked });
 
-  component.useEffect(() => {
+  component.useEffect((_, on) => {
     if (onchange && component.refs.input) {
-      component.refs.input.addEventListener('change', (e) => {
+      on(component.refs.input, 'change', (e) => {
         onchange(e.target.checked);
       });
     }
@@ -23,9 +23,9 @@ export function Textarea({ name = '', value = '', rows = 4, placeholder = '', re
 
   const textarea = createComponent(template, { name, value, rows, placeholder, required, disabled });
 
-  textarea.useEffect(() => {
+  textarea.useEffect((_, on) => {
     if (onchange) {
-      textarea.refs.textarea.addEventListener('change', onchange);
+      on(textarea.refs.textarea, 'change', onchange);
     }
   });
 
@@ -20,12 +20,12 @@ export function TopAppBar({ title = '', leadingIcon = 'menu', trailingIcon = 'mo
 
   const component = createComponent(template, { title, leadingIcon, trailingIcon });
 
-  component.useEffect(() => {
+  component.useEffect((_, on) => {
     if (onLeadingClick && component.refs.leading) {
-      component.refs.leading.addEventListener('click', onLeadingClick);
+      on(component.refs.leading, 'click', onLeadingClick);
     }
     if (onTrailingClick && component.refs.trailing) {
-      component.refs.trailing.addEventListener('click', onTrailingClick);
+      on(component.refs.trailing, 'click', onTrailingClick);
     }
   });
 
@@ -1,14 +1,68 @@
-import * as moduleExports from '../components/index.js';
+import { Skeleton } from '../components/Skeleton/Skeleton.js';
+import { Spinner } from '../components/Spinner/Spinner.js';
 import { registerComponent } from './Registry.js';
 
+// Loaders of the built-in components: a module is only imported when its first tag is found,
+// so bundlers split each component into its own chunk
+const componentLoaders = {
+  // Core Components
+  Button: () => import('../components/Button/Button.js'),
+  Input: () => import('../components/Input/Input.js'),
+  Alert: () => import('../components/Alert/Alert.js'),
+  Badge: () => import('../components/Badge/Badge.js'),
+  Card: () => import('../components/Card/Card.js'),
+  Checkbox: () => import('../components/Checkbox/Checkbox.js'),
+  Column: () => import('../components/Column/Column.js'),
+  Container: () => import('../components/Container/Container.js'),
+  FormGroup: () => import('../components/FormGroup/FormGroup.js'),
+  Modal: () => import('../components/Modal/Modal.js'),
+  Pagination: () => import('../components/Pagination/Pagination.js'),
+  Radio: () => import('../components/Radio/Radio.js'),
+  Row: () => import('../components/Row/Row.js'),
+  Select: () => import('../components/Select/Select.js'),
+  Tabs: () => import('../components/Tabs/Tabs.js'),
+  Tab: () => import('../components/Tabs/Tab.js'),
+  Textarea: () => import('../components/Textarea/Textarea.js'),
+  Toast: () => import('../components/Toast/Toast.js'),
+  Icon: () => import('../components/Icon/Icon.js'),
+
+  // M3 Components
+  FAB: () => import('../components/FAB/FAB.js'),
+  NavigationDrawer: () => import('../components/NavigationDrawer/NavigationDrawer.js'),
+  Switch: () => import('../components/Switch/Switch.js'),
+  Chips: () => import('../components/Chips/Chips.js'),
+  TopAppBar: () => import('../components/TopAppBar/TopAppBar.js'),
+  NavigationBar: () => import('../components/NavigationBar/NavigationBar.js'),
+  List: () => import('../components/List/List.js'),
+  Slider: () => import('../components/Slider/Slider.js'),
+  Search: () => import('../components/Search/Search.js'),
+  SegmentedButton: () => import('../components/SegmentedButton/SegmentedButton.js'),
+
+  // Sprint 4 - Phase 1 Components
+  DataTable: () => import('../components/DataTable/DataTable.js'),
+  StatCard: () => import('../components/StatCard/StatCard.js'),
+  EmptyState: () => import('../components/EmptyState/EmptyState.js'),
+  ErrorState: () => import('../components/ErrorState/ErrorState.js'),
+  DatePicker: () => import('../components/DatePicker/DatePicker.js'),
+  Autocomplete: () => import('../components/Autocomplete/Autocomplete.js'),
+  Breadcrumb: () => import('../components/Breadcrumb/Breadcrumb.js'),
+
+  // Sprint 4 - Phase 2 Enhancement Components
+  FileUpload: () => import('../components/FileUpload/FileUpload.js'),
+  ProgressBar: () => import('../components/ProgressBar/ProgressBar.js'),
+  Tooltip: () => import('../components/Tooltip/Tooltip.js'),
+  Sidebar: () => import('../components/Sidebar/Sidebar.js'),
+  Stepper: () => import('../components/Stepper/Stepper.js'),
+  Dropdown: () => import('../components/Dropdown/Dropdown.js')
+};
+
 export function autoRegisterComponents() {
-  // Direct usage of imported modules is safer for bundlers
-  // In global bundle (IIFE), we might rely on window, but moduleExports is reliable here if imported
-  const exports = moduleExports;
-
-  Object.entries(exports).forEach(([name, comp]) => {
-    if (typeof comp === 'function' && /^[A-Z]/.test(name)) {
-      registerComponent(name, comp);
-    }
+  // Placeholders render while other components load, so they cannot be lazy themselves
+  registerComponent('Skeleton', Skeleton);
+  registerComponent('Spinner', Spinner);
+
+  // A component's static props property becomes its schema once it is loaded
+  Object.entries(componentLoaders).forEach(([name, loader]) => {
+    registerComponent(name, loader, { lazy: true });
   });
 }
@@ -1,283 +1,373 @@
-import { registeredComponents } from './Registry.js';
-import { bindData } from './DataBinder.js';
+import {
+  registeredComponents,
+  componentSchemas,
+  lazyComponents,
+  componentPlaceholders,
+  loadComponent,
+  componentFromModule
+} from './Registry.js';
+import { resolveProps, watchProps } from './Props.js';
+import { bindData, unbindTree, isManagedNode } from './DataBinder.js';
+import { safeEvaluateCondition } from './ExpressionEvaluator.js';
 
 /**
- * Dangerous patterns that could lead to code execution
- * @type {RegExp[]}
+ * Conditional attributes carried over to the rendered component for bindData
+ * @type {string[]}
  */
-const DANGEROUS_PATTERNS = [
-  /constructor/i,
-  /prototype/i,
-  /__proto__/i,
-  /\beval\b/i,
-  /\bFunction\b/i,
-  /\bwindow\b/i,
-  /\bdocument\b/i,
-  /\bglobal\b/i,
-  /\bprocess\b/i,
-  /\brequire\b/i,
-  /\bimport\b/i,
-  /\bfetch\b/i,
-  /\bXMLHttpRequest\b/i,
-  /\blocalStorage\b/i,
-  /\bsessionStorage\b/i,
-  /\bcookie/i,
-  /\[\s*['"`]/,      // Bracket notation with strings
-  /\(\s*\)/,         // Function calls
-  /`/,               // Template literals
-  /\$\{/,            // Template interpolation
-];
+const CONDITIONAL_ATTRIBUTES = ['data-if', 'data-else-if', 'data-else', 'data-show'];
 
 /**
- * Safely get a nested value from state using dot notation
- * @param {Object} state - The state object
- * @param {string} path - Dot-notation path (e.g., 'user.name')
- * @returns {*} - The value at the path or undefined
+ * Tags waiting for a lazy or async component, so loading again does not render them twice
+ * @type {WeakSet<Element>}
  */
-function getStateValue(state, path) {
-  if (!state || !path) return undefined;
-
-  const keys = path.split('.');
-  let current = state;
-
-  for (const key of keys) {
-    if (current === null || current === undefined) return undefined;
-    if (typeof current !== 'object') return undefined;
-    // Block prototype access
-    if (key === '__proto__' || key === 'constructor' || key === 'prototype') {
-      console.warn(`[rnxJS] Blocked prototype access attempt: "${path}"`);
-      return undefined;
-    }
-    current = current[key];
+const pendingElements = new WeakSet();
+
+export function loadComponents(root = document, reactiveState = null, options = {}) {
+  if (!root || typeof root.querySelectorAll !== 'function') {
+    console.error('[rnxJS] loadComponents: root must be a valid DOM element');
+    return;
   }
 
-  return current;
+  Object.keys(registeredComponents).forEach(tag => {
+    try {
+      // Robust selector: match "FAB" or "fab"
+      // HTML parser often lowercases custom tags in DOM, but registry has "FAB"
+      const selector = (tag === tag.toLowerCase()) ? tag : `${tag}, ${tag.toLowerCase()}`;
+      const elements = root.querySelectorAll(selector);
+      elements.forEach(el => hydrateComponent(el, tag, reactiveState, options));
+    } catch (error) {
+      console.error(`[rnxJS] Error processing component "${tag}":`, error);
+    }
+  });
+
+  // Apply data binding after components are loaded
+  if (reactiveState) {
+    try {
+      bindData(root, reactiveState, options);
+    } catch (error) {
+      console.error('[rnxJS] Error in bindData:', error);
+    }
+  }
 }
 
 /**
- * Parse a literal value from expression string
- * @param {string} value - The value string to parse
- * @returns {*} - Parsed value
+ * Load components and bind data in root, then keep doing so as its DOM changes
+ * Subtrees inserted later (AJAX partials, htmx swaps, Turbo frames) are hydrated and bound,
+ * and subtrees removed from the DOM are unbound and their components destroyed.
+ * Nodes moved within the DOM keep their bindings.
+ * @param {HTMLElement} [root=document.body] - Element to observe
+ * @param {Proxy} [reactiveState] - Reactive state for bindData
+ * @param {Object} [options] - Options passed to loadComponents and bindData
+ * @returns {Function} - Stops observing (bindings already set up stay)
+ *
+ * @example
+ * const stop = autoBind(document.body, state, { methods });
+ * document.querySelector('#results').innerHTML = await (await fetch('/partial')).text();
  */
-function parseValue(value) {
-  if (!value) return value;
-  value = value.trim();
-
-  // String literals
-  if ((value.startsWith("'") && value.endsWith("'")) ||
-      (value.startsWith('"') && value.endsWith('"'))) {
-    return value.slice(1, -1);
+export function autoBind(root = document.body, reactiveState = null, options = {}) {
+  if (!root || typeof root.querySelectorAll !== 'function') {
+    console.error('[rnxJS] autoBind: root must be a valid DOM element');
+    return () => {};
+  }
+
+  loadComponents(root, reactiveState, options);
+
+  if (typeof MutationObserver === 'undefined') {
+    console.warn('[rnxJS] autoBind: MutationObserver is not available, later DOM changes are not bound');
+    return () => {};
   }
 
-  // Boolean
-  if (value === 'true') return true;
-  if (value === 'false') return false;
+  const observer = new MutationObserver(mutations => {
+    const removed = new Set();
+    const added = new Set();
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(node => removed.add(node));
+      mutation.addedNodes.forEach(node => added.add(node));
+    });
+
+    removed.forEach(node => {
+      if (node.isConnected || isManagedNode(node)) return;
+      try {
+        releaseNode(node);
+      } catch (error) {
+        console.error('[rnxJS] autoBind: error releasing removed node:', error);
+      }
+    });
+
+    added.forEach(node => {
+      // Skip nodes removed again or replaced in the meantime (e.g., by their component)
+      if (node.nodeType !== 1 || !node.isConnected || !root.contains(node)) return;
+      if (isManagedNode(node) || node.closest('[data-for]')) return;
+      try {
+        const tag = registeredTag(node);
+        if (tag && !node._rnxHydrated && !node.hasAttribute('data-rnx-ignore')) {
+          // The rendered component is bound when its insertion is observed
+          hydrateComponent(node, tag, reactiveState, options);
+        } else {
+          loadComponents(node, reactiveState, { ...options, includeRoot: true });
+        }
+      } catch (error) {
+        console.error('[rnxJS] autoBind: error binding inserted node:', error);
+      }
+    });
+  });
 
-  // Null/undefined
-  if (value === 'null') return null;
-  if (value === 'undefined') return undefined;
+  observer.observe(root, { childList: true, subtree: true });
+  return () => observer.disconnect();
+}
 
-  // Number
-  const num = Number(value);
-  if (!isNaN(num)) return num;
+/**
+ * Registered tag of an element
+ * @param {Element} el - Element
+ * @returns {string|undefined} - Tag name as registered, if any
+ */
+function registeredTag(el) {
+  const tagName = el.tagName.toLowerCase();
+  return Object.keys(registeredComponents).find(tag => tag.toLowerCase() === tagName);
+}
+
+/**
+ * Unbind a removed subtree and destroy the components in it
+ * @param {Node} node - Removed node
+ */
+function releaseNode(node) {
+  unbindTree(node);
+  if (node.nodeType !== 1) return;
 
-  return value;
+  [node, ...node.querySelectorAll('*')].forEach(el => {
+    if (el._rnxHydrated && typeof el.destroy === 'function') {
+      el.destroy();
+    }
+  });
 }
 
 /**
- * Evaluate a simple expression (no function calls allowed)
- * @param {string} expr - Expression to evaluate
- * @param {Object} state - State object
- * @returns {boolean} - Result
+ * Replace an element of a registered tag with its rendered component
+ * Lazy components are loaded first, and components returning a Promise are rendered
+ * when it resolves; a placeholder registered for the tag is shown in the meantime.
+ * @param {Element} el - Element to hydrate
+ * @param {string} tag - Registered tag name
+ * @param {Proxy|Object|null} reactiveState - State passed to loadComponents
+ * @param {Object} options - Options passed to loadComponents
+ * @param {Node} [anchor=el] - Node replaced by the component (el, or the placeholder standing in for it)
  */
-function evaluateSimpleExpression(expr, state) {
-  expr = expr.trim();
+function hydrateComponent(el, tag, reactiveState, options, anchor = el) {
+  const isReactive = Boolean(reactiveState) && typeof reactiveState.subscribe === 'function';
 
-  // Handle logical AND
-  if (expr.includes('&&')) {
-    const parts = expr.split('&&').map(p => p.trim());
-    return parts.every(part => evaluateSimpleExpression(part, state));
-  }
+  try {
+    if (el._rnxHydrated || el.hasAttribute('data-rnx-ignore') || pendingElements.has(el)) return;
 
-  // Handle logical OR
-  if (expr.includes('||')) {
-    const parts = expr.split('||').map(p => p.trim());
-    return parts.some(part => evaluateSimpleExpression(part, state));
-  }
+    const ComponentFunc = registeredComponents[tag];
 
-  // Handle negation
-  if (expr.startsWith('!')) {
-    return !evaluateSimpleExpression(expr.slice(1).trim(), state);
-  }
+    // Validate component function
+    if (typeof ComponentFunc !== 'function') {
+      console.error(`[rnxJS] Component "${tag}" is not a valid function`);
+      return;
+    }
+
+    if (el.getAttribute('visible') === 'false') return;
 
-  // Handle comparison operators
-  const comparisonMatch = expr.match(/^([a-zA-Z_$][\w.$]*)\s*(===|!==|==|!=|>=|<=|>|<)\s*(.+)$/);
-  if (comparisonMatch) {
-    const [, leftPath, operator, rightRaw] = comparisonMatch;
-    const leftValue = getStateValue(state, leftPath);
-    const rightValue = parseValue(rightRaw.trim());
-
-    switch (operator) {
-      case '===':
-      case '==':
-        return leftValue === rightValue;
-      case '!==':
-      case '!=':
-        return leftValue !== rightValue;
-      case '>':
-        return leftValue > rightValue;
-      case '<':
-        return leftValue < rightValue;
-      case '>=':
-        return leftValue >= rightValue;
-      case '<=':
-        return leftValue <= rightValue;
-      default:
-        return false;
+    // Without a reactive state, data-if is evaluated once here;
+    // otherwise bindData keeps the rendered component in sync with it
+    const condition = el.getAttribute('data-if');
+    if (condition && !isReactive) {
+      const shouldRender = safeEvaluateCondition(condition, reactiveState);
+      if (!shouldRender) return;
     }
-  }
 
-  // Handle simple property access (truthy check)
-  const propertyMatch = expr.match(/^([a-zA-Z_$][\w.$]*)$/);
-  if (propertyMatch) {
-    return Boolean(getStateValue(state, propertyMatch[1]));
-  }
+    if (lazyComponents[tag]) {
+      deferComponent(el, tag, reactiveState, options);
+      return;
+    }
+
+    // String event handlers (e.g. onclick="foo()") pass through as attributes;
+    // the component implementation handles whether to use them as attributes or listeners
+    const props = resolveProps(el, tag, componentSchemas[tag], reactiveState);
+
+    const children = Array.from(el.childNodes).filter(n => n.nodeType !== 8);
+    if (children.length) props.children = children;
+
+    const comp = ComponentFunc(props);
+
+    if (comp && typeof comp.then === 'function') {
+      awaitComponent(el, anchor, tag, ComponentFunc, comp, reactiveState, options);
+      return;
+    }
+
+    if (!comp) {
+      console.error(`[rnxJS] Component "${tag}" did not return a valid element`);
+      return;
+    }
 
-  console.warn(`[rnxJS] Unsupported expression syntax: "${expr}"`);
-  return false;
+    // Verify replacement
+    if (comp instanceof Node) {
+      mountComponent(el, anchor, comp, tag, reactiveState, options);
+    } else {
+      console.error(`[rnxJS] Component "${tag}" returned invalid node type`);
+    }
+  } catch (error) {
+    console.error(`[rnxJS] Error loading component "${tag}":`, error);
+    showError(anchor, tag, error);
+  }
 }
 
 /**
- * Safely evaluate a condition expression without code execution risks
- *
- * Supported expressions:
- * - property (truthy check)
- * - nested.property (truthy check)
- * - !property (negation)
- * - property === 'value'
- * - property !== 'value'
- * - property > 0, property < 10, property >= 5, property <= 5
- * - property && other
- * - property || other
- *
- * @param {string} expression - The expression to evaluate
- * @param {Object} state - The reactive state to use as context
- * @returns {boolean} - Result of the expression
+ * Put a rendered component in place of its tag and bind it
+ * @param {Element} el - Component tag
+ * @param {Node} anchor - Node to replace (el or its placeholder)
+ * @param {Node} comp - Rendered component
+ * @param {string} tag - Registered tag name
+ * @param {Proxy|Object|null} reactiveState - State passed to loadComponents
+ * @param {Object} options - Options passed to loadComponents
  */
-function safeEvaluateCondition(expression, state) {
-  if (!expression || typeof expression !== 'string') {
-    return false;
+function mountComponent(el, anchor, comp, tag, reactiveState, options) {
+  const isReactive = Boolean(reactiveState) && typeof reactiveState.subscribe === 'function';
+
+  // Mark new component as hydrated to prevent re-hydration (infinite loop for recursive tags like Input -> input)
+  comp._rnxHydrated = true;
+  if (isReactive && comp instanceof Element) {
+    CONDITIONAL_ATTRIBUTES.forEach(name => {
+      if (el.hasAttribute(name) && !comp.hasAttribute(name)) {
+        comp.setAttribute(name, el.getAttribute(name));
+      }
+    });
   }
+  anchor.replaceWith(comp);
 
-  expression = expression.trim();
-
-  // Block dangerous patterns
-  for (const pattern of DANGEROUS_PATTERNS) {
-    if (pattern.test(expression)) {
-      console.warn(`[rnxJS] Blocked potentially dangerous expression: "${expression}"`);
-      return false;
-    }
+  // Props passed with data-bind:prop follow the state
+  if (isReactive && comp instanceof Element) {
+    watchProps(comp, el, tag, componentSchemas[tag], reactiveState);
   }
 
-  try {
-    return evaluateSimpleExpression(expression, state);
-  } catch (error) {
-    console.warn(`[rnxJS] Error evaluating condition "${expression}":`, error.message);
-    return false;
-  }
+  loadComponents(comp, reactiveState, options);
 }
 
-export function loadComponents(root = document, reactiveState = null) {
-  if (!root || typeof root.querySelectorAll !== 'function') {
-    console.error('[rnxJS] loadComponents: root must be a valid DOM element');
-    return;
+/**
+ * Load a lazy component, on first use or when its tag scrolls into view, then hydrate the tag
+ * @param {Element} el - Component tag
+ * @param {string} tag - Registered tag name
+ * @param {Proxy|Object|null} reactiveState - State passed to loadComponents
+ * @param {Object} options - Options passed to loadComponents
+ */
+function deferComponent(el, tag, reactiveState, options) {
+  pendingElements.add(el);
+  const anchor = showPlaceholder(el, tag);
+  const isAttached = whileAttached(anchor);
+
+  const load = () => {
+    loadComponent(tag).then(() => {
+      pendingElements.delete(el);
+      if (!isAttached()) return;
+      // Loaded after the outer bindData, so the component binds its own attributes
+      hydrateComponent(el, tag, reactiveState, { ...options, includeRoot: true }, anchor);
+    }, error => {
+      pendingElements.delete(el);
+      console.error(`[rnxJS] Error loading component "${tag}":`, error);
+      if (isAttached()) showError(anchor, tag, error);
+    });
+  };
+
+  if (lazyComponents[tag].visible && typeof IntersectionObserver !== 'undefined') {
+    const observer = new IntersectionObserver(entries => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      load();
+    });
+    observer.observe(anchor);
+  } else {
+    load();
   }
+}
 
-  Object.keys(registeredComponents).forEach(tag => {
-    try {
-      // Robust selector: match "FAB" or "fab"
-      // HTML parser often lowercases custom tags in DOM, but registry has "FAB"
-      const selector = (tag === tag.toLowerCase()) ? tag : `${tag}, ${tag.toLowerCase()}`;
-      const elements = root.querySelectorAll(selector);
-      elements.forEach(el => {
-        try {
-          if (el._rnxHydrated || el.hasAttribute('data-rnx-ignore')) return;
-
-          const ComponentFunc = registeredComponents[tag];
-
-          // Validate component function
-          if (typeof ComponentFunc !== 'function') {
-            console.error(`[rnxJS] Component "${tag}" is not a valid function`);
-            return;
-          }
-
-          const props = {};
-
-          for (let attr of el.attributes) {
-            const name = attr.name;
-            const value = attr.value;
-
-            // Allow string event handlers (e.g. onclick="foo()") to pass through
-            // The component implementation handles whether to use them as attributes or listeners
-            if (name.startsWith('on') && typeof value !== 'string') {
-              // no-op
-            }
-            props[name] = value;
-          }
-
-          const children = Array.from(el.childNodes).filter(n => n.nodeType !== 8);
-          if (children.length) props.children = children;
-
-          if (el.getAttribute('visible') === 'false') return;
-
-          // Handle conditional rendering with safer evaluation
-          const condition = el.getAttribute('data-if');
-          if (condition) {
-            const shouldRender = safeEvaluateCondition(condition, reactiveState);
-            if (!shouldRender) return;
-          }
-
-          const comp = ComponentFunc(props);
-
-          if (!comp) {
-            console.error(`[rnxJS] Component "${tag}" did not return a valid element`);
-            return;
-          }
-
-          // Verify replacement
-          if (comp instanceof Node) {
-            // Mark new component as hydrated to prevent re-hydration (infinite loop for recursive tags like Input -> input)
-            comp._rnxHydrated = true;
-            el.replaceWith(comp);
-
-            // Verify if connected
-            if (!comp.isConnected) {
-              // In some environments, replaceWith might weirdly fail or if parent is missing
-            }
-            loadComponents(comp, reactiveState);
-          } else {
-            console.error(`[rnxJS] Component "${tag}" returned invalid node type`);
-          }
-        } catch (error) {
-          console.error(`[rnxJS] Error loading component "${tag}":`, error);
-          // Create error placeholder
-          const errorEl = document.createElement('div');
-          errorEl.style.cssText = 'color: red; padding: 10px; border: 1px solid red; margin: 5px;';
-          errorEl.textContent = `Error loading component "${tag}": ${error.message}`;
-          el.replaceWith(errorEl);
-        }
-      });
-    } catch (error) {
-      console.error(`[rnxJS] Error processing component "${tag}":`, error);
+/**
+ * Render the tag of a component that returned a Promise once it resolves
+ * A Promise of an element is an async component; a Promise of a module or function
+ * is a loader registered without the lazy option, replaced by its component in the registry.
+ * @param {Element} el - Component tag
+ * @param {Node} anchor - Node standing in for the tag
+ * @param {string} tag - Registered tag name
+ * @param {Function} componentFunc - Function that returned the Promise
+ * @param {Promise} promise - Returned Promise
+ * @param {Proxy|Object|null} reactiveState - State passed to loadComponents
+ * @param {Object} options - Options passed to loadComponents
+ */
+function awaitComponent(el, anchor, tag, componentFunc, promise, reactiveState, options) {
+  pendingElements.add(el);
+  // A lazy component keeps the placeholder shown while it loaded
+  const placeholder = anchor === el ? showPlaceholder(el, tag) : anchor;
+  const isAttached = whileAttached(placeholder);
+  const asyncOptions = { ...options, includeRoot: true };
+
+  promise.then(result => {
+    pendingElements.delete(el);
+    if (!isAttached()) return;
+
+    if (result instanceof Node) {
+      mountComponent(el, placeholder, result, tag, reactiveState, asyncOptions);
+      return;
     }
-  });
 
-  // Apply data binding after components are loaded
-  if (reactiveState) {
-    try {
-      bindData(root, reactiveState);
-    } catch (error) {
-      console.error('[rnxJS] Error in bindData:', error);
+    const component = componentFromModule(result, tag);
+    if (!component) {
+      console.error(`[rnxJS] Component "${tag}" did not return a valid element`);
+      return;
     }
+    if (registeredComponents[tag] === componentFunc) {
+      registeredComponents[tag] = component;
+    }
+    hydrateComponent(el, tag, reactiveState, asyncOptions, placeholder);
+  }, error => {
+    pendingElements.delete(el);
+    console.error(`[rnxJS] Error loading component "${tag}":`, error);
+    if (isAttached()) showError(placeholder, tag, error);
+  });
+}
+
+/**
+ * Replace a tag with the placeholder registered for it
+ * @param {Element} el - Component tag
+ * @param {string} tag - Registered tag name
+ * @returns {Node} - The placeholder, or el if there is none
+ */
+function showPlaceholder(el, tag) {
+  const placeholder = componentPlaceholders[tag];
+  if (!placeholder) return el;
+
+  const render = typeof placeholder === 'string' ? registeredComponents[placeholder] : placeholder;
+  if (typeof render !== 'function' || lazyComponents[placeholder]) {
+    console.warn(`[rnxJS] Placeholder of "${tag}" is not a registered component or a function`);
+    return el;
   }
+
+  const node = render({});
+  if (!(node instanceof Node)) {
+    console.warn(`[rnxJS] Placeholder of "${tag}" did not return a valid element`);
+    return el;
+  }
+  node._rnxHydrated = true;
+  el.replaceWith(node);
+  return node;
+}
+
+/**
+ * Check, once a component has loaded, whether its tag is still where it was
+ * @param {Node} anchor - Node standing in for the tag
+ * @returns {Function} - False once a connected anchor was removed (e.g., unbound by autoBind)
+ */
+function whileAttached(anchor) {
+  const wasConnected = anchor.isConnected;
+  return () => (wasConnected ? anchor.isConnected : Boolean(anchor.parentNode));
+}
+
+/**
+ * Replace a tag that failed to render with an error message
+ * @param {Node} anchor - Node standing in for the tag
+ * @param {string} tag - Registered tag name
+ * @param {Error} error - Error
+ */
+function showError(anchor, tag, error) {
+  const errorEl = document.createElement('div');
+  errorEl.style.cssText = 'color: red; padding: 10px; border: 1px solid red; margin: 5px;';
+  errorEl.textContent = `Error loading component "${tag}": ${error.message}`;
+  anchor.replaceWith(errorEl);
 }
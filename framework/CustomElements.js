@@ -0,0 +1,314 @@
+/**
+ * Custom Elements for rnxJS components
+ * Defines components as native custom elements (e.g., <rnx-data-table>) that render
+ * when the browser connects them to the DOM, so no loadComponents call is needed
+ * after inserting HTML, and other frameworks can use them like any element.
+ */
+
+import { registeredComponents, componentSchemas, lazyComponents, loadComponent, componentFromModule } from './Registry.js';
+import {
+  normalizePropsSchema,
+  resolveProps,
+  watchProps,
+  updateProps,
+  propAttributes,
+  attributeProp
+} from './Props.js';
+import { bindData, unbindTree } from './DataBinder.js';
+
+/**
+ * Rendered component of each custom element
+ * @type {WeakMap<HTMLElement, {component: Element, root: Node, children: Node[], observer: MutationObserver|null, released: boolean}>}
+ */
+const instances = new WeakMap();
+
+/**
+ * Define a component as a custom element
+ * The element renders the component when connected, passing its attributes as props
+ * (coerced by the props schema, if any). Attribute changes are passed to setProps: those of
+ * schema props, or every attribute as a string without a schema. When removed from the DOM,
+ * its bindings are released and the component destroyed; inserting it again renders it again.
+ * Moving it keeps the rendered component.
+ * @param {string} name - Custom element name (must contain a hyphen, e.g. 'rnx-data-table')
+ * @param {Function} componentFunc - Component function
+ * @param {Object} [options] - Definition options
+ * @param {Object} [options.props] - Props schema, as for registerComponent
+ * @param {boolean|string} [options.shadow] - Render into a shadow root ('open' or 'closed'; true is 'open')
+ * @param {string} [options.styles] - CSS added to the shadow root
+ * @param {Proxy} [options.state] - Reactive state for data-bind:prop attributes and bindings in the component
+ * @returns {boolean} - True if the element was defined
+ *
+ * @example
+ * defineCustomElement('rnx-order-table', OrderTable, { props: { rows: Array, pageSize: Number }, state });
+ * // <rnx-order-table page-size="20" data-bind:rows="orders"></rnx-order-table>
+ */
+export function defineCustomElement(name, componentFunc, options = {}) {
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(name)) {
+    throw new TypeError(`[rnxJS] defineCustomElement: invalid custom element name "${name}" (use lowercase and a hyphen)`);
+  }
+  if (typeof componentFunc !== 'function') {
+    throw new TypeError(`[rnxJS] defineCustomElement: component of <${name}> must be a function`);
+  }
+  if (typeof customElements === 'undefined') {
+    console.warn('[rnxJS] defineCustomElement: custom elements are not supported in this environment');
+    return false;
+  }
+  if (customElements.get(name)) {
+    console.warn(`[rnxJS] defineCustomElement: <${name}> is already defined`);
+    return false;
+  }
+
+  const schema = options.props ? normalizePropsSchema(name, options.props) : null;
+  const observed = schema ? propAttributes(schema) : [];
+
+  class RnxElement extends HTMLElement {
+    static get observedAttributes() {
+      return observed;
+    }
+
+    connectedCallback() {
+      const instance = instances.get(this);
+      if (instance && !instance.released) return;
+
+      // Elements in the page markup connect before their children are parsed
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+          if (this.isConnected && !instances.has(this)) {
+            renderElement(this, name, componentFunc, schema, options);
+          }
+        }, { once: true });
+        return;
+      }
+      renderElement(this, name, componentFunc, schema, options);
+    }
+
+    disconnectedCallback() {
+      // Moving the element disconnects and connects it again in the same task
+      queueMicrotask(() => {
+        if (!this.isConnected) releaseElement(this);
+      });
+    }
+
+    attributeChangedCallback(attribute, oldValue, value) {
+      attributeChanged(this, name, schema, attribute, oldValue, value);
+    }
+  }
+
+  customElements.define(name, RnxElement);
+  return true;
+}
+
+/**
+ * Define every registered component as a custom element
+ * Tag names are prefixed and kebab-cased: DataTable becomes <rnx-data-table>.
+ * Components registered with a props schema use it; names already defined are skipped.
+ * @param {Object} [options] - Options for defineCustomElement
+ * @param {string} [options.prefix='rnx'] - Name prefix
+ * @returns {string[]} - Names of the elements defined
+ *
+ * @example
+ * autoRegisterComponents();
+ * defineCustomElements({ state });
+ * // <rnx-badge label="New"></rnx-badge>
+ */
+export function defineCustomElements(options = {}) {
+  const { prefix = 'rnx', ...elementOptions } = options;
+  if (typeof customElements === 'undefined') {
+    console.warn('[rnxJS] defineCustomElements: custom elements are not supported in this environment');
+    return [];
+  }
+
+  const defined = [];
+  Object.keys(registeredComponents).forEach(tag => {
+    const name = `${prefix}-${toKebabCase(tag)}`;
+    if (customElements.get(name)) return;
+
+    const schema = componentSchemas[tag];
+    // Lazy components load when their first element is connected (see settleComponent)
+    const componentFunc = lazyComponents[tag] ? () => loadComponent(tag) : registeredComponents[tag];
+    if (defineCustomElement(name, componentFunc, schema ? { ...elementOptions, props: schema } : elementOptions)) {
+      defined.push(name);
+    }
+  });
+  return defined;
+}
+
+/**
+ * Render the component of a custom element
+ * @param {HTMLElement} host - Custom element
+ * @param {string} name - Custom element name
+ * @param {Function} componentFunc - Component function
+ * @param {Object|null} schema - Normalized props schema
+ * @param {Object} options - Definition options
+ */
+function renderElement(host, name, componentFunc, schema, options) {
+  const { shadow = false, styles = '', state = null } = options;
+  const previous = instances.get(host);
+
+  try {
+    let root = host;
+    let children = [];
+
+    if (shadow) {
+      root = previous ? previous.root : host.attachShadow({ mode: shadow === 'closed' ? 'closed' : 'open' });
+      root.replaceChildren();
+      if (styles) {
+        const style = document.createElement('style');
+        style.textContent = styles;
+        root.appendChild(style);
+      }
+    } else {
+      // Light DOM content goes to the component's data-slot, and back into a new render
+      children = previous ? previous.children : Array.from(host.childNodes).filter(n => n.nodeType !== 8);
+      if (previous) previous.component.remove();
+    }
+
+    const props = resolveProps(host, name, schema, state);
+    if (children.length) props.children = children;
+
+    const result = componentFunc(props);
+    if (result && typeof result.then === 'function') {
+      // A loaded component brings its static props schema when the element was defined without one
+      let loadedSchema = null;
+      const propsFor = component => {
+        if (schema || !component.props) return props;
+        loadedSchema = normalizePropsSchema(name, component.props);
+        const loadedProps = resolveProps(host, name, loadedSchema, state);
+        if (children.length) loadedProps.children = children;
+        return loadedProps;
+      };
+
+      // Async components are mounted once they resolve, if the element is still connected
+      settleComponent(result, propsFor, name).then(component => {
+        if (host.isConnected && instances.get(host) === previous) {
+          mountElement(host, name, component, root, children, schema || loadedSchema, state);
+        }
+      }).catch(error => console.error(`[rnxJS] Error rendering <${name}>:`, error));
+      return;
+    }
+    mountElement(host, name, result, root, children, schema, state);
+  } catch (error) {
+    console.error(`[rnxJS] Error rendering <${name}>:`, error);
+  }
+}
+
+/**
+ * Wait for the node of an async component
+ * A Promise of a module or function (a loader, e.g. of a lazy component) gives the component,
+ * which is called with its props; its result is settled in turn, so async components load too.
+ * @param {Promise} promise - Promise returned by the component function
+ * @param {Function} propsFor - Returns the props of the element for a loaded component
+ * @param {string} name - Custom element name
+ * @returns {Promise<*>} - Promise of the rendered node (or of the invalid value, reported when mounting)
+ */
+function settleComponent(promise, propsFor, name) {
+  return promise.then(result => {
+    if (typeof Node !== 'undefined' && result instanceof Node) return result;
+
+    const component = componentFromModule(result, name);
+    if (!component) return result;
+
+    const next = component(propsFor(component));
+    return next && typeof next.then === 'function' ? settleComponent(next, propsFor, name) : next;
+  });
+}
+
+/**
+ * Append the rendered component of a custom element and bind it
+ * @param {HTMLElement} host - Custom element
+ * @param {string} name - Custom element name
+ * @param {Node} component - Rendered component
+ * @param {Node} root - Host or its shadow root
+ * @param {Node[]} children - Light DOM children passed to the component
+ * @param {Object|null} schema - Normalized props schema
+ * @param {Proxy} [state] - Reactive state
+ */
+function mountElement(host, name, component, root, children, schema, state) {
+  if (!(component instanceof Node)) {
+    console.error(`[rnxJS] <${name}>: component did not return a valid element`);
+    return;
+  }
+
+  // Keep loadComponents from hydrating the rendered component again
+  component._rnxHydrated = true;
+  root.appendChild(component);
+
+  // observedAttributes only lists the props of the schema the element was defined with: without
+  // one (no schema, or one loaded with a lazy component), watch every attribute
+  // (records arrive in batches, so each changed attribute is passed once, with its current value)
+  let observer = null;
+  if (host.constructor.observedAttributes.length === 0 && typeof MutationObserver !== 'undefined') {
+    observer = new MutationObserver(records => {
+      const oldValues = new Map();
+      records.forEach(({ attributeName, oldValue }) => {
+        if (!oldValues.has(attributeName)) oldValues.set(attributeName, oldValue);
+      });
+      oldValues.forEach((oldValue, attribute) => {
+        attributeChanged(host, name, schema, attribute, oldValue, host.getAttribute(attribute));
+      });
+    });
+    observer.observe(host, { attributes: true, attributeOldValue: true });
+  }
+  instances.set(host, { component, root, children, observer, released: false });
+
+  if (state && typeof state.subscribe === 'function') {
+    if (component instanceof Element) {
+      watchProps(component, host, name, schema, state);
+    }
+    bindData(root, state);
+  }
+}
+
+/**
+ * Pass a changed attribute of a rendered custom element to its component's setProps
+ * @param {HTMLElement} host - Custom element
+ * @param {string} name - Custom element name
+ * @param {Object|null} schema - Normalized props schema
+ * @param {string} attribute - Attribute name
+ * @param {string|null} oldValue - Previous value (null if it was absent)
+ * @param {string|null} value - New value (null when removed)
+ */
+function attributeChanged(host, name, schema, attribute, oldValue, value) {
+  const instance = instances.get(host);
+  if (!instance || instance.released || oldValue === value) return;
+  // Without a schema, attributes are only props for components that take prop updates
+  if (!schema && typeof instance.component.setProps !== 'function') return;
+
+  const change = attributeProp(name, schema, attribute, value);
+  if (change) {
+    updateProps(instance.component, name, { [change.prop]: change.value });
+  }
+}
+
+/**
+ * Release the bindings of a removed custom element and destroy its component
+ * @param {HTMLElement} host - Custom element
+ */
+function releaseElement(host) {
+  const instance = instances.get(host);
+  if (!instance || instance.released) return;
+  instance.released = true;
+
+  if (instance.observer) {
+    instance.observer.disconnect();
+  }
+  unbindTree(host);
+  if (instance.root !== host) {
+    unbindTree(instance.root);
+  }
+  if (typeof instance.component.destroy === 'function') {
+    instance.component.destroy();
+  }
+}
+
+/**
+ * Convert a component name to kebab-case (DataTable gives data-table, FAB gives fab)
+ * @param {string} name - Component name
+ * @returns {string} - kebab-case name
+ */
+function toKebabCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
@@ -4,6 +4,19 @@
  */
 
 import { ListRenderer, setBindDataFunction } from './ListRenderer.js';
+import {
+    safeEvaluateCondition,
+    safeEvaluateValue,
+    parseObjectExpression,
+    compileExpression,
+    readKey,
+    resolveCollectionKey
+} from './ExpressionEvaluator.js';
+import { validateValue, getRuleDependencies, parseServerErrors } from './Validators.js';
+import { createMask, resolveFormatter } from './Formatters.js';
+import { STORE_PREFIX, resolveStorePath } from '../utils/store.ts';
+import { effect } from '../utils/effect.ts';
+import { sanitizeUrl, isTrustedHtml } from '../utils/security.js';
 
 // Track subscriptions for cleanup
 const bindingSubscriptions = new WeakMap();
@@ -14,15 +27,56 @@ const boundElements = new WeakSet();
 // Track list renderers for cleanup
 const listRenderers = new WeakMap();
 
+// Track elements whose data-class, data-style, data-attr-* and data-show directives are bound
+const directiveElements = new WeakSet();
+
+// Track elements that belong to a data-if / data-else-if / data-else chain
+const conditionalElements = new WeakSet();
+
+// Track elements whose data-on event bindings are set up
+const eventElements = new WeakSet();
+
+// Form controllers by data-form element
+const formControllers = new WeakMap();
+
+// Form controllers by state, then by form name (for setServerErrors)
+const stateForms = new WeakMap();
+
+// Keys accepted by data-on key modifiers
+const KEY_MODIFIERS = {
+    enter: ['Enter'],
+    esc: ['Escape', 'Esc'],
+    escape: ['Escape', 'Esc'],
+    space: [' ', 'Spacebar'],
+    tab: ['Tab'],
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    delete: ['Delete', 'Backspace']
+};
+
+// Wait of debounce modifiers without one, in milliseconds
+const DEFAULT_DEBOUNCE = 250;
+
+// Input types that cannot show formatted text (data-mask, data-format)
+const UNFORMATTED_TYPES = new Set([
+    'checkbox', 'radio', 'file', 'number', 'range', 'color', 'date', 'datetime-local', 'time', 'month', 'week'
+]);
+
+// Attributes holding URLs, passed through sanitizeUrl
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'xlink:href']);
+
 /**
  * Get nested property value from object
+ * Map entries and Set membership are addressed like properties (e.g., 'selectedIds.42')
  * @param {Object} obj - Source object
  * @param {string} path - Dot-notation path (e.g., 'user.email')
  * @returns {*} - Property value or undefined
  */
 function getNestedValue(obj, path) {
     try {
-        return path.split('.').reduce((current, key) => current?.[key], obj);
+        return path.split('.').reduce(readKey, obj);
     } catch (error) {
         console.error(`[rnxJS] Error getting nested value for path "${path}":`, error);
         return undefined;
@@ -31,7 +85,8 @@ function getNestedValue(obj, path) {
 
 /**
  * Set nested property value in object
- * Creates intermediate objects if they don't exist
+ * Creates intermediate objects if they don't exist.
+ * A Map entry is set with map.set(); a Set item is added when value is truthy, removed otherwise.
  * @param {Object} obj - Target object
  * @param {string} path - Dot-notation path
  * @param {*} value - Value to set
@@ -43,6 +98,9 @@ function setNestedValue(obj, path, value) {
 
         // Create intermediate objects
         const target = keys.reduce((current, key) => {
+            if (current instanceof Map) {
+                return readKey(current, key);
+            }
             if (typeof current[key] !== 'object' || current[key] === null) {
                 current[key] = {};
             }
@@ -50,7 +108,14 @@ function setNestedValue(obj, path, value) {
         }, obj);
 
         // Set the final value
-        target[lastKey] = value;
+        if (target instanceof Map) {
+            target.set(resolveCollectionKey(target, lastKey), value);
+        } else if (target instanceof Set) {
+            const item = resolveCollectionKey(target, lastKey);
+            value ? target.add(item) : target.delete(item);
+        } else {
+            target[lastKey] = value;
+        }
     } catch (error) {
         console.error(`[rnxJS] Error setting nested value for path "${path}":`, error);
     }
@@ -86,81 +151,17 @@ function coerceValueToType(element, value) {
     }
 }
 
-/**
- * Validate a value against a set of rules
- * @param {*} value - Value to validate
- * @param {string} rules - Pipe-separated rules (e.g., "required|email|min:3")
- * @returns {string|null} - Error message or null if valid
- */
-function validateField(value, rules) {
-    if (!rules) return null;
-
-    const ruleList = rules.split('|');
-
-    for (const rule of ruleList) {
-        const [name, param] = rule.split(':');
-
-        if (name === 'required') {
-            if (value === null || value === undefined || value === '') {
-                return 'This field is required';
-            }
-        }
-
-        if (name === 'email') {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (value && !emailRegex.test(String(value))) {
-                return 'Invalid email address';
-            }
-        }
-
-        if (name === 'numeric') {
-            if (value && isNaN(Number(value))) {
-                return 'Must be a number';
-            }
-        }
-
-        if (name === 'min') {
-            const min = parseFloat(param);
-            if (typeof value === 'string' && value.length < min) {
-                return `Must be at least ${min} characters`;
-            }
-            if (typeof value === 'number' && value < min) {
-                return `Must be at least ${min}`;
-            }
-        }
-
-        if (name === 'max') {
-            const max = parseFloat(param);
-            if (typeof value === 'string' && value.length > max) {
-                return `Must be no more than ${max} characters`;
-            }
-            if (typeof value === 'number' && value > max) {
-                return `Must be no more than ${max}`;
-            }
-        }
-
-        if (name === 'pattern') {
-            try {
-                const regex = new RegExp(param);
-                if (value && !regex.test(String(value))) {
-                    return 'Invalid format';
-                }
-            } catch (e) {
-                console.warn('[rnxJS] Invalid regex pattern in validation rule:', param);
-            }
-        }
-    }
-
-    return null;
-}
-
 /**
  * Bind data-bind attributes to reactive state
- * Sets up two-way binding for inputs and one-way binding for display elements
+ * Sets up two-way binding for inputs and one-way binding for display elements,
+ * plus data-form state, data-for lists, data-if chains and data-class, data-style, data-attr-*, data-show and data-on directives
  * @param {HTMLElement} rootElement - Root element to search for data-bind attributes
  * @param {Proxy} state - Reactive state object created by createReactiveState
+ * @param {Object} [options] - Binding options
+ * @param {Object} [options.methods] - Handlers for data-on bindings, by name
+ * @param {boolean} [options.includeRoot] - Also bind the attributes of rootElement itself
  */
-export function bindData(rootElement = document, state = null) {
+export function bindData(rootElement = document, state = null, options = {}) {
     // Set up bindData function reference for nested lists (first time only)
     setBindDataFunction(bindData);
 
@@ -196,8 +197,37 @@ export function bindData(rootElement = document, state = null) {
     }
     const subscriptions = bindingSubscriptions.get(rootElement);
 
+    // Elements matching a selector, with the root first when it is bound as well
+    const select = (selector, withRoot = options.includeRoot) => {
+        const found = Array.from(rootElement.querySelectorAll(selector));
+        if (withRoot && rootElement.matches && rootElement.matches(selector)) {
+            found.unshift(rootElement);
+        }
+        return found;
+    };
+
+    // Set up data-form elements first, so their fields register as they are bound
+    // and their submit listener runs before data-on:submit handlers
+    select('[data-form]', true).forEach(element => {
+        // Skip elements that are part of a data-for template
+        if (element.hasAttribute('data-for') || element.closest('[data-for]')) {
+            return;
+        }
+
+        if (formControllers.has(element)) return;
+
+        try {
+            const stop = setupForm(element, state);
+            if (stop) {
+                trackCleanup(subscriptions, element, stop);
+            }
+        } catch (error) {
+            console.error('[rnxJS] Error setting up data-form:', error);
+        }
+    });
+
     // Process data-for list rendering first (before data-bind)
-    const listElements = rootElement.querySelectorAll('[data-for]');
+    const listElements = select('[data-for]');
 
     if (!listRenderers.has(rootElement)) {
         listRenderers.set(rootElement, []);
@@ -213,6 +243,8 @@ export function bindData(rootElement = document, state = null) {
             const renderer = setupListRenderer(element, state);
             if (renderer) {
                 renderers.push(renderer);
+                // The template left the DOM, so the list is released through its placeholder
+                listRenderers.set(renderer.placeholder, [renderer]);
             }
         } catch (error) {
             console.error('[rnxJS] Error setting up list renderer:', error);
@@ -220,7 +252,7 @@ export function bindData(rootElement = document, state = null) {
     });
 
     // Find all elements with data-bind attribute
-    const elements = rootElement.querySelectorAll('[data-bind]');
+    const elements = select('[data-bind]');
 
     elements.forEach(element => {
         // Skip elements that are part of a data-for template
@@ -232,41 +264,105 @@ export function bindData(rootElement = document, state = null) {
         if (boundElements.has(element)) return;
         boundElements.add(element);
 
-        const path = element.getAttribute('data-bind');
+        // Allow the element to be bound again after unbindData
+        trackCleanup(subscriptions, element, () => boundElements.delete(element));
+
+        let path = element.getAttribute('data-bind');
 
         if (!path || typeof path !== 'string') {
             console.warn('[rnxJS] data-bind attribute is empty or invalid on element:', element);
             return;
         }
 
-        // Validate path format (basic check)
-        if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/.test(path)) {
-            console.warn(`[rnxJS] Invalid data-bind path "${path}" on element:`, element);
-            return;
+        // Global store paths (e.g., "store:cart.total") bind to the registered store
+        let bindingState = state;
+        if (path.startsWith(STORE_PREFIX)) {
+            const resolved = resolveStorePath(path);
+            if (!resolved) return;
+            bindingState = resolved.store;
+            path = resolved.path;
         }
 
         const isInput = element.tagName === 'INPUT' ||
             element.tagName === 'TEXTAREA' ||
-            element.tagName === 'SELECT';
+            element.tagName === 'SELECT' ||
+            isEditable(element);
+
+        // Anything but a plain path (basic check; later segments may be numeric keys)
+        // is an expression, e.g. "price * quantity | currency", displayed one-way
+        if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z0-9_$]+)*$/.test(path)) {
+            if (isInput) {
+                console.warn(`[rnxJS] Invalid data-bind path "${path}" on element (form elements need a state path):`, element);
+                return;
+            }
+            if (!compileExpression(path)) return;
+
+            try {
+                trackCleanup(subscriptions, element, setupExpressionBinding(element, bindingState, path));
+            } catch (error) {
+                console.error(`[rnxJS] Error setting up binding for expression "${path}":`, error);
+            }
+            return;
+        }
 
         try {
             if (isInput) {
                 // Two-way binding for form elements
-                const unsubscribe = setupTwoWayBinding(element, state, path);
+                const unsubscribe = setupTwoWayBinding(element, bindingState, path);
                 if (unsubscribe) {
-                    subscriptions.push(unsubscribe);
+                    trackCleanup(subscriptions, element, unsubscribe);
                 }
             } else {
                 // One-way binding for display elements
-                const unsubscribe = setupOneWayBinding(element, state, path);
+                const unsubscribe = setupOneWayBinding(element, bindingState, path);
                 if (unsubscribe) {
-                    subscriptions.push(unsubscribe);
+                    trackCleanup(subscriptions, element, unsubscribe);
                 }
             }
         } catch (error) {
             console.error(`[rnxJS] Error setting up binding for path "${path}":`, error);
         }
     });
+
+    // Process data-class, data-style, data-attr-*, data-show and data-on directives
+    select('*').forEach(element => {
+        // Skip elements that are part of a data-for template
+        if (element.hasAttribute('data-for') || element.closest('[data-for]')) {
+            return;
+        }
+
+        bindAttributeDirectives(element, state, subscriptions);
+
+        // Event bindings need methods, so they may be set up by a later bindData call
+        if (options.methods) {
+            bindEventDirectives(element, state, options.methods, subscriptions);
+        }
+    });
+
+    // Process data-if chains last, so their branches are bound while still in the DOM
+    select('[data-if]').forEach(element => {
+        // Skip elements that are part of a data-for template
+        if (element.hasAttribute('data-for') || element.closest('[data-for]')) {
+            return;
+        }
+
+        if (conditionalElements.has(element)) return;
+
+        try {
+            const stop = setupConditionalChain(element, state);
+            if (stop) {
+                trackCleanup(subscriptions, element, stop);
+            }
+        } catch (error) {
+            console.error('[rnxJS] Error setting up data-if:', error);
+        }
+    });
+
+    select('[data-else-if], [data-else]').forEach(element => {
+        if (!conditionalElements.has(element) && !element.closest('[data-for]')) {
+            console.warn('[rnxJS] data-else-if / data-else must follow an element with data-if or data-else-if:', element);
+        }
+    });
 }
 
 /**
@@ -276,7 +372,8 @@ export function bindData(rootElement = document, state = null) {
 export function unbindData(rootElement) {
     // Cleanup subscriptions
     if (bindingSubscriptions.has(rootElement)) {
-        const subscriptions = bindingSubscriptions.get(rootElement);
+        // Released cleanups remove themselves from the lists, so iterate over a copy
+        const subscriptions = bindingSubscriptions.get(rootElement).slice();
         subscriptions.forEach(unsubscribe => {
             try {
                 unsubscribe();
@@ -301,6 +398,111 @@ export function unbindData(rootElement) {
     }
 }
 
+/**
+ * Unbind every binding inside a subtree, whatever root it was bound from
+ * Elements bound by bindData keep their own cleanups, so removed DOM can be released
+ * without knowing which element was passed to bindData.
+ * @param {Node} node - Root of the subtree to unbind
+ */
+export function unbindTree(node) {
+    unbindData(node);
+    node.childNodes.forEach(child => unbindTree(child));
+}
+
+/**
+ * Number of cleanups an element holds, for the bindings made from it or on it
+ * Useful to check that removed content is no longer held by the root it was bound from.
+ * @param {Node} node - Root passed to bindData, or a bound node
+ * @returns {number} - Number of pending cleanups
+ */
+export function bindingCount(node) {
+    return bindingSubscriptions.has(node) ? bindingSubscriptions.get(node).length : 0;
+}
+
+/**
+ * Whether a node is inserted and removed by a data-if chain or a data-for list,
+ * which keep its bindings while it is out of the DOM
+ * @param {Node} node - Node to check
+ * @returns {boolean} - True for data-if branches and data-for templates and items
+ */
+export function isManagedNode(node) {
+    return conditionalElements.has(node) || (node.nodeType === 1 && node.hasAttribute('data-for'));
+}
+
+/**
+ * Register a cleanup for a node, run (once) by unbindData(node) or unbindTree on an ancestor
+ * @param {Node} node - Node the cleanup belongs to
+ * @param {Function} cleanup - Cleanup function
+ */
+export function addNodeCleanup(node, cleanup) {
+    if (!bindingSubscriptions.has(node)) {
+        bindingSubscriptions.set(node, []);
+    }
+    trackCleanup(bindingSubscriptions.get(node), node, cleanup);
+}
+
+/**
+ * Record a cleanup for the root being bound and for the node it belongs to,
+ * so unbindData on either one releases it (once)
+ * Once released, it is dropped from both lists, so the root no longer holds removed nodes.
+ * @param {Function[]} subscriptions - Cleanups of the root element
+ * @param {Node} node - Bound node
+ * @param {Function} cleanup - Cleanup function
+ */
+function trackCleanup(subscriptions, node, cleanup) {
+    if (!bindingSubscriptions.has(node)) {
+        bindingSubscriptions.set(node, []);
+    }
+    const own = bindingSubscriptions.get(node);
+
+    let done = false;
+    const release = () => {
+        if (done) return;
+        done = true;
+        removeCleanup(subscriptions, release);
+        removeCleanup(own, release);
+        cleanup();
+    };
+
+    subscriptions.push(release);
+    if (own !== subscriptions) {
+        own.push(release);
+    }
+}
+
+/**
+ * Remove a cleanup from a list of cleanups
+ * @param {Function[]} list - Cleanups
+ * @param {Function} release - Cleanup to remove
+ */
+function removeCleanup(list, release) {
+    const index = list.lastIndexOf(release);
+    if (index !== -1) list.splice(index, 1);
+}
+
+/**
+ * Show server-side validation errors (e.g., the body of a 422 response) on the fields of a data-form
+ * Laravel, Rails and Django (REST Framework) payloads are recognized. Each error is written to
+ * state.errors.<path> of the field with the same path, name attribute or last path segments, and
+ * stays until the field is edited or the form is submitted again. Errors that belong to no field
+ * go to state.forms.<name>.message. The first invalid field is focused.
+ * @param {Proxy} state - Reactive state passed to bindData
+ * @param {string} formName - data-form name
+ * @param {Object} payload - Parsed error response body
+ *
+ * @example
+ * const res = await fetch('/api/signup', { method: 'POST', body });
+ * if (res.status === 422) setServerErrors(state, 'signup', await res.json());
+ */
+export function setServerErrors(state, formName, payload) {
+    const controller = state ? stateForms.get(state)?.get(formName) : undefined;
+    if (!controller) {
+        console.warn(`[rnxJS] setServerErrors: no data-form "${formName}" is bound to this state`);
+        return;
+    }
+    controller.setServerErrors(payload);
+}
+
 /**
  * Set up two-way binding for input elements
  * @param {HTMLElement} element - Input element
@@ -310,37 +512,98 @@ export function unbindData(rootElement) {
  */
 function setupTwoWayBinding(element, state, path) {
     const inputType = element.type;
+    const editable = isEditable(element);
     const rules = element.getAttribute('data-rule');
+    const validator = rules ? createFieldValidator(state, path, rules) : null;
+    const formatter = getFieldFormatter(element);
+    const modes = parseBindModes(element);
+
+    // Value of the element as written to state
+    const readValue = () => {
+        if (formatter) return formatter.parse(element.value);
+        if (editable) return modes.html ? element.innerHTML : element.textContent;
+
+        // Checkboxes bound to an array or Set add or remove their value
+        const current = inputType === 'checkbox' ? getNestedValue(state, path) : undefined;
+        if (isValueCollection(current)) {
+            const value = applyNumberMode(element.value, modes);
+            const items = Array.from(current).filter(item => String(item) !== element.value);
+            if (element.checked) items.push(value);
+            return current instanceof Set ? new Set(items) : items;
+        }
+
+        let value = coerceValueToType(element, getInputValue(element));
+        if (modes.trim && typeof value === 'string') {
+            value = value.trim();
+        }
+        value = Array.isArray(value) ? value.map(item => applyNumberMode(item, modes)) : applyNumberMode(value, modes);
+        // Multi-selects keep a Set as a Set
+        if (Array.isArray(value) && getNestedValue(state, path) instanceof Set) {
+            value = new Set(value);
+        }
+        return value;
+    };
+
+    // Whether the element already shows a state value
+    const showsValue = (value) => {
+        if (editable) {
+            return (modes.html ? element.innerHTML : element.textContent) === String(value ?? '');
+        }
+        if (inputType === 'radio') {
+            return element.checked === isSameOption(value, element.value);
+        }
+        if (inputType === 'checkbox') {
+            return element.checked === (isValueCollection(value) ? hasOption(value, element.value) : Boolean(value));
+        }
+        if (inputType === 'file') {
+            // File inputs can only be cleared
+            return !isEmptyValue(value) || element.value === '';
+        }
+        if (element.tagName === 'SELECT' && element.multiple) {
+            const selected = getInputValue(element);
+            const items = isValueCollection(value) ? Array.from(value) : [];
+            return selected.length === items.length && items.every(item => selected.includes(String(item)));
+        }
+        return readValue() === value;
+    };
+
+    const showValue = (value) => {
+        if (editable) {
+            updateEditableContent(element, value, modes.html);
+        } else {
+            updateInputValue(element, formatter ? formatter.format(value) : value, inputType);
+        }
+    };
 
     // Initialize element value from state
     const initialValue = getNestedValue(state, path);
     if (initialValue !== undefined) {
-        updateInputValue(element, initialValue, inputType);
+        showValue(initialValue);
         // Initial validation
-        if (rules && state.errors) {
-            const error = validateField(initialValue, rules);
-            setNestedValue(state.errors, path, error || '');
-        }
+        if (validator) validator.validate(initialValue);
     }
 
-    // Listen for user input
-    const eventType = (inputType === 'checkbox' || inputType === 'radio') ? 'change' : 'input';
+    // Listen for user input (lazy bindings update state once editing is done)
+    const doneEvent = editable ? 'focusout' : 'change';
+    const eventType = (inputType === 'checkbox' || inputType === 'radio' || inputType === 'file' || modes.lazy)
+        ? doneEvent
+        : 'input';
+
+    let timer = null;
+
+    const write = () => {
+        clearTimeout(timer);
+        timer = null;
 
-    const inputHandler = (e) => {
         try {
             // Flag element as updating to prevent recursive loop from state subscription
             element._isUpdating = true;
 
-            let value = getInputValue(e.target);
-            // Apply type coercion
-            value = coerceValueToType(e.target, value);
+            const value = readValue();
             setNestedValue(state, path, value);
 
             // Validation
-            if (rules && state.errors) {
-                const error = validateField(value, rules);
-                setNestedValue(state.errors, path, error || '');
-            }
+            if (validator) validator.validate(value);
         } catch (error) {
             console.error(`[rnxJS] Error handling input for path "${path}":`, error);
         } finally {
@@ -348,21 +611,52 @@ function setupTwoWayBinding(element, state, path) {
         }
     };
 
+    // Write a debounced value now
+    const flush = () => {
+        if (timer !== null) write();
+    };
+
+    const inputHandler = () => {
+        // Masks reformat the text while typing, even when the state update waits
+        if (formatter && formatter.mask) applyMask(element, formatter.mask);
+
+        if (modes.debounce === null) {
+            write();
+        } else {
+            clearTimeout(timer);
+            timer = setTimeout(write, modes.debounce);
+        }
+    };
+
     element.addEventListener(eventType, inputHandler);
 
+    // Once editing is done, debounced input is written and formatters without a mask format the text
+    const flushOnChange = eventType !== doneEvent && modes.debounce !== null;
+    const formatOnChange = Boolean(formatter && !formatter.mask);
+    const changeHandler = () => {
+        if (flushOnChange) flush();
+        if (formatOnChange) {
+            element.value = formatter.format(formatter.parse(element.value));
+        }
+    };
+    if (flushOnChange || formatOnChange) {
+        element.addEventListener(doneEvent, changeHandler);
+    }
+
+    // Fields inside a data-form element count towards its state
+    const form = getFormController(element);
+    const removeField = form ? form.addField({ element, state, path, validator, flush }) : null;
+
     // Subscribe to state changes
     const unsubscribe = state.subscribe(path, (newValue) => {
         try {
             // Only update if value is different AND element is not currently updating itself
-            const currentValue = getInputValue(element);
-            if (!element._isUpdating && currentValue !== newValue) {
-                updateInputValue(element, newValue, inputType);
+            // (the value is compared as written to state, so partly typed or untrimmed text is kept)
+            if (!element._isUpdating && !showsValue(newValue)) {
+                showValue(newValue);
 
                 // Re-validate on external state change
-                if (rules && state.errors) {
-                    const error = validateField(newValue, rules);
-                    setNestedValue(state.errors, path, error || '');
-                }
+                if (validator) validator.validate(newValue);
             }
         } catch (error) {
             console.error(`[rnxJS] Error updating input for path "${path}":`, error);
@@ -372,7 +666,456 @@ function setupTwoWayBinding(element, state, path) {
     // Return combined cleanup function
     return () => {
         element.removeEventListener(eventType, inputHandler);
+        element.removeEventListener(doneEvent, changeHandler);
+        clearTimeout(timer);
         unsubscribe();
+        if (validator) validator.stop();
+        if (removeField) removeField();
+    };
+}
+
+/**
+ * Parse the wait of a debounce modifier
+ * @param {string} [text] - Wait (e.g., '300ms', '1s' or '300')
+ * @returns {number|null} - Milliseconds, or null if text is not a wait
+ */
+function parseWait(text) {
+    const match = /^(\d+)(ms|s)?$/.exec(text || '');
+    return match ? Number(match[1]) * (match[2] === 's' ? 1000 : 1) : null;
+}
+
+/**
+ * Parse the data-bind-mode attribute of an input
+ * Modes are space-separated: lazy (update state on change instead of input), trim,
+ * number (parseFloat, keeping text that is not a number), html (contenteditable content as HTML)
+ * and debounce, with an optional wait (debounce.300ms, debounce.1s or debounce.300; 250ms by default).
+ * @param {HTMLElement} element - Input element
+ * @returns {{lazy: boolean, trim: boolean, number: boolean, html: boolean, debounce: number|null}} - Modes
+ */
+function parseBindModes(element) {
+    const modes = { lazy: false, trim: false, number: false, html: false, debounce: null };
+    const attribute = element.getAttribute('data-bind-mode');
+    if (!attribute) return modes;
+
+    attribute.trim().split(/\s+/).forEach(mode => {
+        const [name, wait, ...rest] = mode.split('.');
+        if (name === 'debounce' && rest.length === 0) {
+            const debounce = wait === undefined ? DEFAULT_DEBOUNCE : parseWait(wait);
+            if (debounce !== null) {
+                modes.debounce = debounce;
+                return;
+            }
+        } else if (['lazy', 'trim', 'number', 'html'].includes(name) && wait === undefined) {
+            modes[name] = true;
+            return;
+        }
+        console.warn(`[rnxJS] Unknown data-bind-mode "${mode}" on element:`, element);
+    });
+
+    return modes;
+}
+
+/**
+ * Get the formatter of an input with data-mask or data-format
+ * @param {HTMLElement} element - Input element
+ * @returns {{format: Function, parse: Function, mask: Function|null}|null} - Formatter, or null if the input is not formatted
+ */
+function getFieldFormatter(element) {
+    const mask = element.getAttribute('data-mask');
+    const format = element.getAttribute('data-format');
+    if (mask === null && format === null) return null;
+
+    if (element.tagName === 'SELECT' || UNFORMATTED_TYPES.has(element.type) || isEditable(element)) {
+        console.warn('[rnxJS] data-mask and data-format only apply to text inputs and textareas:', element);
+        return null;
+    }
+
+    if (mask !== null) {
+        if (!mask) {
+            console.warn('[rnxJS] data-mask attribute is empty on element:', element);
+            return null;
+        }
+        return createMask(mask);
+    }
+
+    return resolveFormatter(format);
+}
+
+/**
+ * Apply a mask to the text of an input
+ * The caret stays after the same number of letters and digits, so literals
+ * inserted by the mask do not move it back.
+ * @param {HTMLElement} element - Input element
+ * @param {Function} mask - Text to masked text
+ */
+function applyMask(element, mask) {
+    const text = element.value;
+    const masked = mask(text);
+    if (masked === text) return;
+
+    const focused = element.ownerDocument.activeElement === element && typeof element.selectionStart === 'number';
+    const typed = focused ? (text.slice(0, element.selectionStart).match(/[a-z0-9]/gi) || []).length : 0;
+
+    element.value = masked;
+    if (!focused) return;
+
+    let caret = 0;
+    for (let seen = 0; caret < masked.length && seen < typed; caret++) {
+        if (/[a-z0-9]/i.test(masked[caret])) seen++;
+    }
+    element.setSelectionRange(caret, caret);
+}
+
+/**
+ * Create the validator of a bound field
+ * Errors are written to state.errors.<path>. While async rules run, state.validating.<path>
+ * is true; a newer check aborts the running one and its result is ignored.
+ * Fields named by cross-field rules (e.g., "same:password") trigger validation when they change.
+ * @param {Proxy} state - Reactive state
+ * @param {string} path - Field path
+ * @param {string} rules - Pipe-separated rules
+ * @returns {{validate: Function, stop: Function}} - Validate function (receives the value and returns
+ *   a promise while async rules run, null otherwise) and cleanup function
+ */
+function createFieldValidator(state, path, rules) {
+    let controller = null;
+
+    const setValidating = (validating) => {
+        if (!state.validating) {
+            if (!validating) return;
+            state.validating = {};
+        }
+        setNestedValue(state.validating, path, validating);
+    };
+
+    const validate = (value) => {
+        if (!state.errors) return null;
+
+        if (controller) {
+            controller.abort();
+            controller = null;
+        }
+
+        const current = new AbortController();
+        const { error, pending } = validateValue(value, rules, { state, path, signal: current.signal });
+
+        if (!pending) {
+            setNestedValue(state.errors, path, error || '');
+            if (getNestedValue(state.validating, path)) setValidating(false);
+            return null;
+        }
+
+        controller = current;
+        setValidating(true);
+        return pending.then(
+            (asyncError) => {
+                if (current.signal.aborted) return;
+                setNestedValue(state.errors, path, asyncError || '');
+            },
+            (asyncError) => {
+                if (current.signal.aborted) return;
+                console.error(`[rnxJS] Error in async validation for path "${path}":`, asyncError);
+            }
+        ).finally(() => {
+            if (controller !== current) return;
+            controller = null;
+            setValidating(false);
+        });
+    };
+
+    // Validate again when a field read by a cross-field rule changes
+    const unsubscribes = getRuleDependencies(rules).map(dependency =>
+        state.subscribe(dependency, () => validate(getNestedValue(state, path)))
+    );
+
+    return {
+        validate,
+        stop: () => {
+            if (controller) {
+                controller.abort();
+                controller = null;
+            }
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+        }
+    };
+}
+
+/**
+ * Get the form controller of the data-form element around an element
+ * @param {HTMLElement} element - Field or form element
+ * @returns {Object|undefined} - Form controller
+ */
+function getFormController(element) {
+    const formElement = element.hasAttribute('data-form') ? element : element.closest('[data-form]');
+    return formElement ? formControllers.get(formElement) : undefined;
+}
+
+/**
+ * Snapshot of a field value for dirty checks (undefined, null and '' are all empty)
+ * @param {*} value - Field value
+ * @returns {string} - Snapshot
+ */
+function snapshotValue(value) {
+    return value === undefined || value === null || value === '' ? '' : JSON.stringify(value);
+}
+
+/**
+ * Set up a data-form element
+ * Keeps state.forms.<name> = { valid, dirty, touched, submitting, errors, message } up to date
+ * for the two-way bound fields inside the element. On submit every field is validated; the submit
+ * event is stopped (data-on:submit handlers included) and the first invalid field focused while
+ * a field is invalid, and while a previous submit is still running.
+ * @param {HTMLElement} element - Element with data-form
+ * @param {Proxy} state - Reactive state
+ * @returns {Function|null} - Cleanup function, or null if the form name is invalid
+ */
+function setupForm(element, state) {
+    const name = element.getAttribute('data-form').trim();
+    if (!/^[a-zA-Z_$][\w$]*$/.test(name)) {
+        console.warn(`[rnxJS] Invalid data-form name "${name}". Expected an identifier`);
+        return null;
+    }
+
+    if (!state.forms) {
+        state.forms = {};
+    }
+    state.forms[name] = { valid: true, dirty: false, touched: false, submitting: false, errors: {}, message: '' };
+    const form = state.forms[name];
+
+    const fields = [];
+    const serverErrorFields = new Set();
+    let stopTracking = null;
+    let lastErrors = '{}';
+    let running = 0;
+    let resubmitting = false;
+    let active = true;
+
+    // Fields removed by data-if are not part of the form until they come back
+    const activeFields = () => fields.filter(field => field.element.isConnected);
+    const hasError = field => Boolean(field.state.errors && getNestedValue(field.state.errors, field.path));
+
+    // Recompute valid, dirty and errors whenever a field value, error or validating flag changes.
+    // The field list is not reactive, so the effect is started again when it changes.
+    const track = () => {
+        if (stopTracking) stopTracking();
+        if (!active) return;
+
+        stopTracking = effect(state, () => {
+            const errors = {};
+            let valid = true;
+            let dirty = false;
+
+            activeFields().forEach(field => {
+                const message = field.state.errors && getNestedValue(field.state.errors, field.path);
+                if (message) {
+                    setNestedValue(errors, field.path, message);
+                    valid = false;
+                }
+                if (field.state.validating && getNestedValue(field.state.validating, field.path)) {
+                    valid = false;
+                }
+                if (snapshotValue(getNestedValue(field.state, field.path)) !== field.initial) {
+                    dirty = true;
+                }
+            });
+
+            const serialized = JSON.stringify(errors);
+            if (serialized !== lastErrors) {
+                lastErrors = serialized;
+                form.errors = errors;
+            }
+            form.valid = valid;
+            form.dirty = dirty;
+        }, { scheduler: 'sync' });
+    };
+
+    const setRunning = (delta) => {
+        running += delta;
+        form.submitting = running > 0;
+    };
+
+    const focusFirstInvalid = () => {
+        const invalid = activeFields().filter(hasError).sort((a, b) =>
+            a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+        if (invalid.length > 0) {
+            invalid[0].element.focus();
+        }
+    };
+
+    const clearServerErrors = () => {
+        serverErrorFields.forEach(field => {
+            if (field.state.errors) setNestedValue(field.state.errors, field.path, '');
+        });
+        serverErrorFields.clear();
+        form.message = '';
+    };
+
+    // Validate every field; returns a promise while async rules run
+    const validateAll = () => {
+        activeFields().forEach(field => field.flush());
+        clearServerErrors();
+        const pending = activeFields()
+            .filter(field => field.validator)
+            .map(field => field.validator.validate(getNestedValue(field.state, field.path)))
+            .filter(Boolean);
+        return pending.length > 0 ? Promise.all(pending) : null;
+    };
+
+    const block = (event) => {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    };
+
+    const onSubmit = (event) => {
+        // Submitted again by this listener once async rules passed
+        if (resubmitting) return;
+
+        if (running > 0) {
+            block(event);
+            return;
+        }
+
+        const pending = validateAll();
+        if (!pending) {
+            if (activeFields().some(hasError)) {
+                block(event);
+                focusFirstInvalid();
+            }
+            return;
+        }
+
+        // Wait for async rules, then submit again
+        block(event);
+        const target = event.target;
+        const submitter = event.submitter && event.submitter !== target ? event.submitter : undefined;
+        setRunning(1);
+        pending.then(() => {
+            setRunning(-1);
+            if (!active || !target.isConnected) return;
+
+            if (activeFields().some(hasError)) {
+                focusFirstInvalid();
+                return;
+            }
+
+            resubmitting = true;
+            try {
+                target.requestSubmit(submitter);
+            } finally {
+                resubmitting = false;
+            }
+        });
+    };
+
+    const onFocusOut = (event) => {
+        if (fields.some(field => field.element === event.target)) {
+            form.touched = true;
+        }
+    };
+
+    // A server error stays until its field is edited (fields with rules are validated again instead)
+    const onInput = (event) => {
+        const field = fields.find(candidate => candidate.element === event.target);
+        if (!field || !serverErrorFields.has(field)) return;
+
+        serverErrorFields.delete(field);
+        if (!field.validator && field.state.errors) {
+            setNestedValue(field.state.errors, field.path, '');
+        }
+    };
+
+    // Field for a server error key: same path, same name attribute, or a path ending with the key
+    const findField = (key) =>
+        fields.find(field => field.path === key) ||
+        fields.find(field => field.element.name === key) ||
+        fields.find(field => field.path.endsWith(`.${key}`));
+
+    const controller = {
+        /**
+         * Register a bound field
+         * @param {Object} field - { element, state, path, validator, flush }
+         * @returns {Function} - Unregister function
+         */
+        addField(field) {
+            field.initial = snapshotValue(getNestedValue(field.state, field.path));
+            fields.push(field);
+            track();
+
+            return () => {
+                const index = fields.indexOf(field);
+                if (index === -1) return;
+                fields.splice(index, 1);
+                serverErrorFields.delete(field);
+                track();
+            };
+        },
+
+        /**
+         * Keep the form submitting while a submit handler's promise is pending
+         * @param {*} result - Handler return value
+         * @param {string} handlerName - Handler name, for error messages
+         */
+        trackSubmit(result, handlerName) {
+            if (!result || typeof result.then !== 'function') return;
+
+            setRunning(1);
+            Promise.resolve(result).then(
+                () => setRunning(-1),
+                (error) => {
+                    setRunning(-1);
+                    console.error(`[rnxJS] Error in data-on:submit handler "${handlerName}" of form "${name}":`, error);
+                }
+            );
+        },
+
+        /**
+         * Show server-side validation errors on their fields
+         * @param {*} payload - Error payload (see parseServerErrors)
+         */
+        setServerErrors(payload) {
+            clearServerErrors();
+
+            const { fields: fieldErrors, message } = parseServerErrors(payload);
+            const unmatched = [];
+            Object.keys(fieldErrors).forEach(key => {
+                const field = findField(key);
+                if (!field || !field.state.errors) {
+                    unmatched.push(`${key}: ${fieldErrors[key]}`);
+                    return;
+                }
+                setNestedValue(field.state.errors, field.path, fieldErrors[key]);
+                serverErrorFields.add(field);
+            });
+
+            form.message = message || unmatched[0] || '';
+            focusFirstInvalid();
+        }
+    };
+
+    formControllers.set(element, controller);
+    if (!stateForms.has(state)) {
+        stateForms.set(state, new Map());
+    }
+    stateForms.get(state).set(name, controller);
+
+    element.addEventListener('submit', onSubmit);
+    element.addEventListener('focusout', onFocusOut);
+    element.addEventListener('input', onInput);
+    element.addEventListener('change', onInput);
+    track();
+
+    return () => {
+        active = false;
+        if (stopTracking) stopTracking();
+        element.removeEventListener('submit', onSubmit);
+        element.removeEventListener('focusout', onFocusOut);
+        element.removeEventListener('input', onInput);
+        element.removeEventListener('change', onInput);
+        formControllers.delete(element);
+        if (stateForms.get(state)?.get(name) === controller) {
+            stateForms.get(state).delete(name);
+        }
     };
 }
 
@@ -400,10 +1143,517 @@ function setupOneWayBinding(element, state, path) {
     });
 }
 
+/**
+ * Bind the data-class, data-style, data-attr-* and data-show directives of an element
+ * @param {HTMLElement} element - Element to bind
+ * @param {Proxy} state - Reactive state
+ * @param {Function[]} subscriptions - Cleanup functions of the root element
+ */
+function bindAttributeDirectives(element, state, subscriptions) {
+    if (directiveElements.has(element)) return;
+
+    const directives = getAttributeDirectives(element);
+    if (directives.length === 0) return;
+    directiveElements.add(element);
+
+    directives.forEach(([name, expression]) => {
+        try {
+            const stop = setupAttributeDirective(element, state, name, expression);
+            if (stop) {
+                trackCleanup(subscriptions, element, stop);
+            }
+        } catch (error) {
+            console.error(`[rnxJS] Error setting up ${name}="${expression}":`, error);
+        }
+    });
+
+    // Allow the element to be bound again after unbindData
+    trackCleanup(subscriptions, element, () => directiveElements.delete(element));
+}
+
+/**
+ * Collect the data-class, data-style, data-attr-* and data-show directives of an element
+ * @param {HTMLElement} element - Element to inspect
+ * @returns {Array<[string, string]>} - Directive attribute names and expressions
+ */
+function getAttributeDirectives(element) {
+    const directives = [];
+    for (const attr of element.attributes) {
+        const { name, value } = attr;
+        if (name !== 'data-class' && name !== 'data-style' && name !== 'data-show' && !name.startsWith('data-attr-')) continue;
+
+        if (!value.trim()) {
+            console.warn(`[rnxJS] ${name} attribute is empty on element:`, element);
+            continue;
+        }
+        directives.push([name, value]);
+    }
+    return directives;
+}
+
+/**
+ * Set up a data-class, data-style, data-attr-* or data-show directive
+ * The element is updated whenever a state path read by the expression changes.
+ * @param {HTMLElement} element - Element with the directive
+ * @param {Proxy} state - Reactive state
+ * @param {string} name - Directive attribute name
+ * @param {string} expression - Directive expression
+ * @returns {Function|null} - Stop function, or null if the directive is not allowed
+ */
+function setupAttributeDirective(element, state, name, expression) {
+    let update;
+    if (name === 'data-class') {
+        update = createClassUpdater(element, expression);
+    } else if (name === 'data-style') {
+        update = createStyleUpdater(element, expression);
+    } else if (name === 'data-show') {
+        update = createShowUpdater(element, expression);
+    } else {
+        update = createAttributeUpdater(element, name.slice('data-attr-'.length), expression);
+    }
+    if (!update) return null;
+
+    return effect(state, () => { update(state); }, {
+        scheduler: 'sync',
+        onError: (error) => console.error(`[rnxJS] Error updating ${name}="${expression}":`, error)
+    });
+}
+
+/**
+ * Create the update function of a data-class directive
+ * Object expressions toggle each key's classes by its condition (e.g., "{active: tab === 'home'}");
+ * other expressions give class names as a string, array or object, replacing the classes added last time.
+ * @param {HTMLElement} element - Element with the directive
+ * @param {string} expression - Directive expression
+ * @returns {Function} - Update function receiving the state
+ */
+function createClassUpdater(element, expression) {
+    const entries = parseObjectExpression(expression);
+    let added = [];
+
+    return (state) => {
+        if (entries) {
+            entries.forEach(([classNames, condition]) => {
+                const enabled = safeEvaluateCondition(condition, state);
+                classNames.split(/\s+/).filter(Boolean).forEach(className => {
+                    element.classList.toggle(className, enabled);
+                });
+            });
+            return;
+        }
+
+        const classNames = toClassNames(safeEvaluateValue(expression, state));
+        added.forEach(className => {
+            if (!classNames.includes(className)) element.classList.remove(className);
+        });
+        classNames.forEach(className => element.classList.add(className));
+        added = classNames;
+    };
+}
+
+/**
+ * Convert a data-class value to class names
+ * @param {*} value - String of space-separated names, array of names, or object of name => condition
+ * @returns {string[]} - Class names
+ */
+function toClassNames(value) {
+    if (typeof value === 'string') {
+        return value.split(/\s+/).filter(Boolean);
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap(toClassNames);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).filter(key => value[key]).flatMap(toClassNames);
+    }
+    return [];
+}
+
+/**
+ * Create the update function of a data-style directive
+ * Object expressions map properties to value expressions (e.g., "{color: theme.color}");
+ * other expressions give an object of styles. Properties may be camelCase or kebab-case,
+ * and null, undefined, false or '' removes a property.
+ * @param {HTMLElement} element - Element with the directive
+ * @param {string} expression - Directive expression
+ * @returns {Function} - Update function receiving the state
+ */
+function createStyleUpdater(element, expression) {
+    const entries = parseObjectExpression(expression);
+    let applied = new Set();
+
+    return (state) => {
+        let styles;
+        if (entries) {
+            styles = entries.map(([property, valueExpression]) => [property, safeEvaluateValue(valueExpression, state)]);
+        } else {
+            const value = safeEvaluateValue(expression, state);
+            styles = value && typeof value === 'object' ? Object.entries(value) : [];
+        }
+
+        const next = new Set();
+        styles.forEach(([property, value]) => {
+            const name = property.startsWith('--') ? property : property.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+            if (value === null || value === undefined || value === false || value === '') {
+                element.style.removeProperty(name);
+            } else {
+                element.style.setProperty(name, String(value));
+                next.add(name);
+            }
+        });
+
+        applied.forEach(name => {
+            if (!next.has(name)) element.style.removeProperty(name);
+        });
+        applied = next;
+    };
+}
+
+/**
+ * Create the update function of a data-show directive
+ * The element stays in the DOM and is hidden with display: none while the condition is false.
+ * @param {HTMLElement} element - Element with the directive
+ * @param {string} expression - Condition expression
+ * @returns {Function} - Update function receiving the state
+ */
+function createShowUpdater(element, expression) {
+    const display = element.style.display === 'none' ? '' : element.style.display;
+
+    return (state) => {
+        element.style.display = safeEvaluateCondition(expression, state) ? display : 'none';
+    };
+}
+
+/**
+ * Create the update function of a data-attr-* directive
+ * false, null and undefined remove the attribute; true sets it empty ("true" for aria-* attributes,
+ * which also keep "false"). URL attributes are sanitized; event handler attributes are not allowed.
+ * @param {HTMLElement} element - Element with the directive
+ * @param {string} attribute - Attribute name
+ * @param {string} expression - Directive expression
+ * @returns {Function|null} - Update function receiving the state, or null if the attribute is not allowed
+ */
+function createAttributeUpdater(element, attribute, expression) {
+    if (!attribute || /^on/i.test(attribute) || attribute === 'srcdoc') {
+        console.warn(`[rnxJS] Blocked data-attr-${attribute} binding: the attribute cannot be bound`);
+        return null;
+    }
+
+    const isAria = attribute.startsWith('aria-');
+
+    return (state) => {
+        let value = safeEvaluateValue(expression, state);
+
+        if (isAria && typeof value === 'boolean') {
+            value = String(value);
+        } else if (value === true) {
+            value = '';
+        }
+
+        if (value === false || value === null || value === undefined) {
+            element.removeAttribute(attribute);
+            return;
+        }
+
+        value = String(value);
+        if (URL_ATTRIBUTES.has(attribute)) {
+            value = sanitizeUrl(value);
+            if (value === null) {
+                element.removeAttribute(attribute);
+                return;
+            }
+        }
+        element.setAttribute(attribute, value);
+    };
+}
+
+/**
+ * Bind the data-on:event directives of an element
+ * @param {HTMLElement} element - Element to bind
+ * @param {Proxy} state - Reactive state
+ * @param {Object} methods - Handlers by name
+ * @param {Function[]} subscriptions - Cleanup functions of the root element
+ */
+function bindEventDirectives(element, state, methods, subscriptions) {
+    if (eventElements.has(element)) return;
+
+    const attributes = Array.from(element.attributes).filter(attr => attr.name.startsWith('data-on:'));
+    if (attributes.length === 0) return;
+    eventElements.add(element);
+
+    attributes.forEach(({ name, value }) => {
+        try {
+            const stop = setupEventBinding(element, state, methods, name.slice('data-on:'.length), value.trim());
+            if (stop) {
+                trackCleanup(subscriptions, element, stop);
+            }
+        } catch (error) {
+            console.error(`[rnxJS] Error setting up ${name}="${value}":`, error);
+        }
+    });
+
+    // Allow the element to be bound again after unbindData
+    trackCleanup(subscriptions, element, () => eventElements.delete(element));
+}
+
+/**
+ * Set up one data-on binding
+ * Syntax: data-on:event[.modifier...]="method", e.g. data-on:submit.prevent="save"
+ * or data-on:keyup.enter.debounce.300ms="search". The method is looked up by name
+ * in the methods object (never evaluated as code) and called with (event, state).
+ * @param {HTMLElement} element - Element to listen on
+ * @param {Proxy} state - Reactive state
+ * @param {Object} methods - Handlers by name
+ * @param {string} descriptor - Event name and modifiers (e.g., 'submit.prevent')
+ * @param {string} handlerName - Method name or dot path in methods
+ * @returns {Function|null} - Cleanup function, or null if the binding is invalid
+ */
+function setupEventBinding(element, state, methods, descriptor, handlerName) {
+    const [eventName, ...modifiers] = descriptor.split('.');
+    if (!eventName) {
+        console.warn(`[rnxJS] data-on: missing event name in "data-on:${descriptor}"`);
+        return null;
+    }
+
+    if (!/^[a-zA-Z_$][\w$]*(\.[a-zA-Z_$][\w$]*)*$/.test(handlerName)) {
+        console.warn(`[rnxJS] Invalid data-on:${descriptor} handler "${handlerName}". Expected a method name`);
+        return null;
+    }
+
+    const handler = safeEvaluateValue(handlerName, methods);
+    if (typeof handler !== 'function') {
+        console.warn(`[rnxJS] data-on:${descriptor}: method "${handlerName}" is not defined`);
+        return null;
+    }
+
+    const keys = [];
+    let prevent = false;
+    let stop = false;
+    let once = false;
+    let debounce = null;
+
+    for (let i = 0; i < modifiers.length; i++) {
+        const modifier = modifiers[i];
+        if (modifier === 'prevent') {
+            prevent = true;
+        } else if (modifier === 'stop') {
+            stop = true;
+        } else if (modifier === 'once') {
+            once = true;
+        } else if (modifier === 'debounce') {
+            // Optional wait: debounce.300ms, debounce.1s (default 250ms)
+            const wait = parseWait(modifiers[i + 1]);
+            debounce = wait === null ? DEFAULT_DEBOUNCE : wait;
+            if (wait !== null) i++;
+        } else if (KEY_MODIFIERS[modifier]) {
+            keys.push(...KEY_MODIFIERS[modifier]);
+        } else {
+            console.warn(`[rnxJS] data-on:${descriptor}: unknown modifier "${modifier}"`);
+        }
+    }
+
+    let timer = null;
+
+    const call = (event) => {
+        try {
+            const result = handler.call(methods, event, state);
+
+            // A data-form stays submitting while its submit handler's promise is pending
+            if (eventName === 'submit') {
+                const form = getFormController(element);
+                if (form) form.trackSubmit(result, handlerName);
+            }
+        } catch (error) {
+            console.error(`[rnxJS] Error in data-on:${descriptor} handler "${handlerName}":`, error);
+        }
+    };
+
+    const listener = (event) => {
+        // Key filters only let matching keyboard events through
+        if (keys.length > 0 && !keys.includes(event.key)) return;
+
+        if (prevent) event.preventDefault();
+        if (stop) event.stopPropagation();
+        if (once) element.removeEventListener(eventName, listener);
+
+        if (debounce === null) {
+            call(event);
+        } else {
+            clearTimeout(timer);
+            timer = setTimeout(() => call(event), debounce);
+        }
+    };
+
+    element.addEventListener(eventName, listener);
+
+    return () => {
+        element.removeEventListener(eventName, listener);
+        clearTimeout(timer);
+    };
+}
+
+/**
+ * Set up a data-if chain: the element, followed by any data-else-if and data-else siblings
+ * The first branch whose condition holds is inserted after a placeholder comment
+ * and the others are removed from the DOM (their bindings stay active).
+ * @param {HTMLElement} element - Element with data-if
+ * @param {Proxy} state - Reactive state
+ * @returns {Function|null} - Stop function, or null if the chain could not be set up
+ */
+function setupConditionalChain(element, state) {
+    const condition = element.getAttribute('data-if');
+    if (!condition || !condition.trim()) {
+        console.warn('[rnxJS] data-if attribute is empty on element:', element);
+        return null;
+    }
+
+    const branches = [{ element, condition }];
+    let sibling = element.nextElementSibling;
+    while (sibling && !sibling.hasAttribute('data-if')) {
+        if (sibling.hasAttribute('data-else-if')) {
+            branches.push({ element: sibling, condition: sibling.getAttribute('data-else-if') });
+        } else if (sibling.hasAttribute('data-else')) {
+            branches.push({ element: sibling, condition: null });
+            break;
+        } else {
+            break;
+        }
+        sibling = sibling.nextElementSibling;
+    }
+
+    // Create placeholder comment node
+    const placeholder = document.createComment(` data-if: ${condition} `);
+    element.parentNode.insertBefore(placeholder, element);
+
+    branches.forEach(branch => {
+        conditionalElements.add(branch.element);
+        branch.element.remove();
+    });
+
+    // Hidden branches are outside the DOM, so unbindTree reaches them through the placeholder
+    bindingSubscriptions.set(placeholder, [() => branches.forEach(branch => unbindTree(branch.element))]);
+
+    let current = null;
+
+    return effect(state, () => {
+        // Conditions after the first true one are not evaluated, so they are not dependencies
+        const active = branches.find(branch =>
+            branch.condition === null || safeEvaluateCondition(branch.condition, state)
+        ) || null;
+        if (active === current) return;
+
+        if (current) current.element.remove();
+        if (active) placeholder.after(active.element);
+        current = active;
+    }, {
+        scheduler: 'sync',
+        onError: (error) => console.error(`[rnxJS] Error updating data-if="${condition}":`, error)
+    });
+}
+
+/**
+ * Set up one-way binding of an expression to a display element
+ * The text is updated whenever a state path read by the expression changes.
+ * @param {HTMLElement} element - Display element
+ * @param {Proxy} state - Reactive state
+ * @param {string} expression - Binding expression
+ * @returns {Function} - Stop function
+ */
+function setupExpressionBinding(element, state, expression) {
+    return effect(state, () => {
+        element.textContent = safeEvaluateValue(expression, state) ?? '';
+    }, {
+        scheduler: 'sync',
+        onError: (error) => console.error(`[rnxJS] Error updating display for expression "${expression}":`, error)
+    });
+}
+
+/**
+ * Check whether an element is contenteditable
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} - True if the element is editable
+ */
+function isEditable(element) {
+    const editable = element.getAttribute('contenteditable');
+    return editable !== null && editable !== 'false';
+}
+
+/**
+ * Check whether a state value holds the values of a checkbox group or multi-select
+ * @param {*} value - State value
+ * @returns {boolean} - True for arrays and Sets
+ */
+function isValueCollection(value) {
+    return Array.isArray(value) || value instanceof Set;
+}
+
+/**
+ * Check whether an array or Set holds an option value (numbers match their text)
+ * @param {Array|Set} collection - State value
+ * @param {string} optionValue - Value attribute of the option
+ * @returns {boolean} - True if the option is selected
+ */
+function hasOption(collection, optionValue) {
+    return Array.from(collection).some(item => isSameOption(item, optionValue));
+}
+
+/**
+ * Check whether a state value selects an option (numbers match their text)
+ * @param {*} value - State value
+ * @param {string} optionValue - Value attribute of the option
+ * @returns {boolean} - True if the option is selected
+ */
+function isSameOption(value, optionValue) {
+    return value !== null && value !== undefined && String(value) === optionValue;
+}
+
+/**
+ * Check whether a file input value is empty
+ * @param {*} value - State value
+ * @returns {boolean} - True for null, undefined, '' and empty lists
+ */
+function isEmptyValue(value) {
+    return value === null || value === undefined || value === '' || value.length === 0;
+}
+
+/**
+ * Apply the number binding mode to a value
+ * @param {*} value - Value read from the element
+ * @param {Object} modes - Binding modes
+ * @returns {*} - Number, or the value if it is not numeric text or the mode is off
+ */
+function applyNumberMode(value, modes) {
+    if (!modes.number || typeof value !== 'string') return value;
+
+    // Text that is not a number is kept as is
+    const num = parseFloat(value);
+    return isNaN(num) ? value : num;
+}
+
+/**
+ * Update the content of a contenteditable element
+ * Text is set as text. With the html binding mode, values created with trustHtml()
+ * are set as HTML; other values are still set as text, so state cannot inject markup.
+ * @param {HTMLElement} element - Editable element
+ * @param {*} value - New value
+ * @param {boolean} html - Whether the binding mode is html
+ */
+function updateEditableContent(element, value, html) {
+    try {
+        if (html && isTrustedHtml(value)) {
+            element.innerHTML = String(value);
+        } else {
+            element.textContent = value ?? '';
+        }
+    } catch (error) {
+        console.error('[rnxJS] Error updating editable content:', error);
+    }
+}
+
 /**
  * Get value from input element based on type
  * @param {HTMLElement} element - Input element
- * @returns {*} - Input value (string, boolean, or array for multi-select)
+ * @returns {*} - Input value (string, boolean, array for multi-select, File or array of File for file inputs)
  */
 function getInputValue(element) {
     const type = element.type;
@@ -416,8 +1666,13 @@ function getInputValue(element) {
         return element.value;
     }
 
+    if (type === 'file') {
+        const files = Array.from(element.files || []);
+        return element.multiple ? files : (files[0] || null);
+    }
+
     if (element.tagName === 'SELECT' && element.multiple) {
-        return Array.from(element.selectedOptions).map(opt => opt.value);
+        return Array.from(element.options).filter(opt => opt.selected).map(opt => opt.value);
     }
 
     return element.value;
@@ -432,12 +1687,16 @@ function getInputValue(element) {
 function updateInputValue(element, value, type) {
     try {
         if (type === 'checkbox') {
-            element.checked = !!value;
+            // A checkbox bound to an array or Set is checked when its value is in it
+            element.checked = isValueCollection(value) ? hasOption(value, element.value) : !!value;
         } else if (type === 'radio') {
-            element.checked = (element.value === value);
+            element.checked = isSameOption(value, element.value);
+        } else if (type === 'file') {
+            // File inputs can only be cleared
+            if (isEmptyValue(value)) element.value = '';
         } else if (element.tagName === 'SELECT' && element.multiple) {
             Array.from(element.options).forEach(opt => {
-                opt.selected = Array.isArray(value) && value.includes(opt.value);
+                opt.selected = isValueCollection(value) && hasOption(value, opt.value);
             });
         } else {
             element.value = value ?? '';
@@ -450,6 +1709,7 @@ function updateInputValue(element, value, type) {
 /**
  * Set up list renderer for data-for attribute
  * Syntax: data-for="item in items" or data-for="(item, index) in items"
+ * The source may be an expression, e.g. data-for="item in items | limit:10"
  * Optional: data-key="item.id" for keyed diffing
  * @param {HTMLElement} element - Template element
  * @param {Proxy} state - Reactive state
@@ -463,8 +1723,8 @@ function setupListRenderer(element, state) {
         return null;
     }
 
-    // Parse data-for syntax: "item in items" or "(item, index) in items"
-    const forPattern = /^\s*(?:\(([a-zA-Z_$][\w$]*)\s*,\s*([a-zA-Z_$][\w$]*)\)|([a-zA-Z_$][\w$]*))\s+in\s+([a-zA-Z_$][\w.$]*)\s*$/;
+    // Parse data-for syntax: "item in items" or "(item, index) in items"; the source may be an expression
+    const forPattern = /^\s*(?:\(([a-zA-Z_$][\w$]*)\s*,\s*([a-zA-Z_$][\w$]*)\)|([a-zA-Z_$][\w$]*))\s+in\s+(\S.*?)\s*$/;
     const match = forAttr.match(forPattern);
 
     if (!match) {
@@ -476,6 +1736,11 @@ function setupListRenderer(element, state) {
     const indexName = match[2] || null; // Second in tuple
     const arrayPath = match[4];
 
+    const isPath = /^[a-zA-Z_$][\w.$]*$/.test(arrayPath);
+    if (!isPath && !compileExpression(arrayPath)) {
+        return null;
+    }
+
     // Parse data-key attribute for key function
     const keyAttr = element.getAttribute('data-key');
     let keyFn = (item, index) => String(index); // Default: use index as key
@@ -510,13 +1775,21 @@ function setupListRenderer(element, state) {
         indexName
     });
 
-    // Initial render
-    renderer.render();
-
-    // Subscribe to array changes
-    state.subscribe(arrayPath, () => {
+    if (isPath) {
+        // Initial render
         renderer.render();
-    });
+
+        // Subscribe to array changes
+        renderer.unsubscribe = state.subscribe(arrayPath, () => {
+            renderer.render();
+        });
+    } else {
+        // Expression sources (e.g., "item in items | limit:5") re-render when anything they read changes
+        renderer.unsubscribe = effect(state, () => renderer.render(), {
+            scheduler: 'sync',
+            onError: (error) => console.error(`[rnxJS] Error rendering data-for="${forAttr}":`, error)
+        });
+    }
 
     return renderer;
 }
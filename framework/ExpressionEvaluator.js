@@ -0,0 +1,618 @@
+/**
+ * Safe expression language for bindings
+ * Expressions are tokenized and parsed into a small AST that is interpreted
+ * against the state, without eval or Function. Supported syntax:
+ * - literals ('text', "text", 42, 1.5, true, false, null, undefined)
+ * - state paths (user.name, items.0, items[index], labels.draft for Map entries)
+ * - arithmetic (+ - * / %), string concatenation with +
+ * - comparisons (=== !== == != < > <= >=; == and != compare strictly)
+ * - logic (! && || ??) and ternaries (cond ? a : b)
+ * - grouping parentheses
+ * - filters: value | filter:arg1:arg2 (see Filters.js)
+ * Function calls and assignments are not part of the grammar.
+ */
+
+import { getFilter } from './Filters.js';
+
+/**
+ * Dangerous patterns that could lead to code execution
+ * @type {RegExp[]}
+ */
+const DANGEROUS_PATTERNS = [
+  /constructor/i,
+  /prototype/i,
+  /__proto__/i,
+  /\beval\b/i,
+  /\bFunction\b/i,
+  /\bwindow\b/i,
+  /\bdocument\b/i,
+  /\bglobal\b/i,
+  /\bprocess\b/i,
+  /\brequire\b/i,
+  /\bimport\b/i,
+  /\bfetch\b/i,
+  /\bXMLHttpRequest\b/i,
+  /\blocalStorage\b/i,
+  /\bsessionStorage\b/i,
+  /\bcookie/i,
+  /\[\s*['"`]/,      // Bracket notation with strings
+  /\(\s*\)/,         // Function calls
+  /`/,               // Template literals
+  /\$\{/,            // Template interpolation
+];
+
+/**
+ * Check an expression against the dangerous patterns, warning when one matches
+ * @param {string} expression - Trimmed expression
+ * @returns {boolean} - True if the expression must not be evaluated
+ */
+function isDangerousExpression(expression) {
+  for (const pattern of DANGEROUS_PATTERNS) {
+    if (pattern.test(expression)) {
+      console.warn(`[rnxJS] Blocked potentially dangerous expression: "${expression}"`);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Keys that are never read by expressions
+ * @type {Set<string>}
+ */
+const BLOCKED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Operators and punctuation, longest first
+ * @type {string[]}
+ */
+const PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+  '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']', '|'
+];
+
+/**
+ * Binary operators by precedence level, lowest first
+ * @type {string[][]}
+ */
+const BINARY_PRECEDENCE = [
+  ['??'],
+  ['||'],
+  ['&&'],
+  ['===', '!==', '==', '!='],
+  ['<', '>', '<=', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Parsed expressions by source
+ * @type {Map<string, Object>}
+ */
+const compiledExpressions = new Map();
+
+/**
+ * Maximum number of cached parsed expressions
+ */
+const MAX_COMPILED_EXPRESSIONS = 1000;
+
+/**
+ * Resolve a path segment to a Map key or Set item
+ * Path segments are strings, so numeric segments also match numeric keys
+ * @param {Map|Set} collection - Map or Set
+ * @param {string} key - Path segment
+ * @returns {*} - Matching key (the segment itself if none matches)
+ */
+export function resolveCollectionKey(collection, key) {
+  if (collection.has(key)) return key;
+
+  const num = Number(key);
+  if (key === '' || isNaN(num)) return key;
+  if (collection.has(num)) return num;
+
+  // New entry: follow the type of the existing keys
+  const first = collection.keys().next();
+  return !first.done && typeof first.value === 'number' ? num : key;
+}
+
+/**
+ * Read one path segment from an object, Map (value) or Set (membership)
+ * @param {*} current - Container
+ * @param {string} key - Path segment
+ * @returns {*} - Value or undefined
+ */
+export function readKey(current, key) {
+  if (current instanceof Map) {
+    return current.get(resolveCollectionKey(current, key));
+  }
+  if (current instanceof Set) {
+    return current.has(resolveCollectionKey(current, key));
+  }
+  return current?.[key];
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<{type: string, value: *, pos: number}>} - Tokens, ending with an 'end' token
+ * @throws {SyntaxError} - On characters outside the grammar
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      // After a dot, digits are a key (items.0.1), not a decimal number
+      const previous = tokens[tokens.length - 1];
+      const afterDot = previous && previous.type === 'punctuator' && previous.value === '.';
+      const pattern = afterDot ? /^\d+/ : /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/;
+      const raw = pattern.exec(source.slice(pos))[0];
+      tokens.push({ type: 'number', value: afterDot ? raw : Number(raw), pos });
+      pos += raw.length;
+      continue;
+    }
+
+    if (/[a-zA-Z_$]/.test(char)) {
+      const name = /^[a-zA-Z_$][\w$]*/.exec(source.slice(pos))[0];
+      tokens.push({ type: 'identifier', value: name, pos });
+      pos += name.length;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      let value = '';
+      let end = pos + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) {
+          const escaped = source[++end];
+          value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+        } else {
+          value += source[end];
+        }
+        end++;
+      }
+      if (end >= source.length) {
+        throw new SyntaxError(`unterminated string at position ${pos}`);
+      }
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+    if (punctuator) {
+      tokens.push({ type: 'punctuator', value: punctuator, pos });
+      pos += punctuator.length;
+      continue;
+    }
+
+    throw new SyntaxError(char === '='
+      ? `assignment is not supported (position ${pos})`
+      : `unexpected character "${char}" at position ${pos}`);
+  }
+
+  tokens.push({ type: 'end', value: null, pos });
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST
+ * @param {string} source - Expression source
+ * @returns {Object} - Root node
+ * @throws {SyntaxError} - On invalid syntax
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isPunctuator = (value) => peek().type === 'punctuator' && peek().value === value;
+  const next = () => tokens[index++];
+
+  const expect = (value) => {
+    if (!isPunctuator(value)) {
+      throw new SyntaxError(`expected "${value}" at position ${peek().pos}`);
+    }
+    return next();
+  };
+
+  const unexpected = () => {
+    const token = peek();
+    return new SyntaxError(token.type === 'end'
+      ? 'unexpected end of expression'
+      : `unexpected "${token.value}" at position ${token.pos}`);
+  };
+
+  // pipe := conditional ('|' identifier (':' conditional)*)*
+  const parsePipe = () => {
+    let node = parseConditional();
+    while (isPunctuator('|')) {
+      next();
+      const name = next();
+      if (name.type !== 'identifier') {
+        throw new SyntaxError(`expected a filter name at position ${name.pos}`);
+      }
+      const args = [];
+      while (isPunctuator(':')) {
+        next();
+        args.push(parseConditional());
+      }
+      node = { type: 'Filter', name: name.value, input: node, args };
+    }
+    return node;
+  };
+
+  // conditional := binary ('?' conditional ':' conditional)?
+  const parseConditional = () => {
+    const test = parseBinary(0);
+    if (!isPunctuator('?')) return test;
+    next();
+    const consequent = parseConditional();
+    expect(':');
+    const alternate = parseConditional();
+    return { type: 'Conditional', test, consequent, alternate };
+  };
+
+  // binary := unary (operator unary)*, by precedence level
+  const parseBinary = (level) => {
+    if (level === BINARY_PRECEDENCE.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+    while (peek().type === 'punctuator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = next().value;
+      const right = parseBinary(level + 1);
+      left = { type: 'Binary', operator, left, right };
+    }
+    return left;
+  };
+
+  // unary := ('!' | '-' | '+') unary | member
+  const parseUnary = () => {
+    if (isPunctuator('!') || isPunctuator('-') || isPunctuator('+')) {
+      const operator = next().value;
+      return { type: 'Unary', operator, argument: parseUnary() };
+    }
+    return parseMember();
+  };
+
+  // member := primary ('.' key | '[' pipe ']')*
+  const parseMember = () => {
+    let node = parsePrimary();
+    for (;;) {
+      if (isPunctuator('.')) {
+        next();
+        const key = next();
+        if (key.type !== 'identifier' && key.type !== 'number') {
+          throw new SyntaxError(`expected a property name at position ${key.pos}`);
+        }
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: String(key.value) } };
+      } else if (isPunctuator('[')) {
+        next();
+        const property = parsePipe();
+        expect(']');
+        node = { type: 'Member', object: node, property };
+      } else if (isPunctuator('(')) {
+        throw new SyntaxError(`function calls are not supported (position ${peek().pos})`);
+      } else {
+        return node;
+      }
+    }
+  };
+
+  // primary := number | string | keyword literal | identifier | '(' pipe ')'
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      next();
+      return { type: 'Literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      next();
+      switch (token.value) {
+        case 'true': return { type: 'Literal', value: true };
+        case 'false': return { type: 'Literal', value: false };
+        case 'null': return { type: 'Literal', value: null };
+        case 'undefined': return { type: 'Literal', value: undefined };
+        default: return { type: 'Identifier', name: token.value };
+      }
+    }
+
+    if (isPunctuator('(')) {
+      next();
+      const node = parsePipe();
+      expect(')');
+      return node;
+    }
+
+    throw unexpected();
+  };
+
+  const root = parsePipe();
+  if (peek().type !== 'end') {
+    throw unexpected();
+  }
+  return root;
+}
+
+/**
+ * Parse an expression, caching the result
+ * @param {string} expression - Expression source
+ * @returns {Object|null} - Root node, or null (with a warning) if the expression is invalid
+ */
+export function compileExpression(expression) {
+  if (compiledExpressions.has(expression)) {
+    return compiledExpressions.get(expression);
+  }
+
+  let ast;
+  try {
+    ast = parse(expression);
+  } catch (error) {
+    console.warn(`[rnxJS] Invalid expression "${expression}": ${error.message}`);
+    return null;
+  }
+
+  if (compiledExpressions.size >= MAX_COMPILED_EXPRESSIONS) {
+    compiledExpressions.clear();
+  }
+  compiledExpressions.set(expression, ast);
+  return ast;
+}
+
+/**
+ * Read a property for an expression
+ * Only objects (including Maps and Sets) and strings have readable properties.
+ * @param {*} object - Container
+ * @param {*} key - Property name
+ * @returns {*} - Value or undefined
+ */
+function readProperty(object, key) {
+  if (object === null || object === undefined) return undefined;
+  if (typeof object !== 'object' && typeof object !== 'string') return undefined;
+
+  key = String(key);
+  if (BLOCKED_KEYS.has(key)) {
+    console.warn(`[rnxJS] Blocked prototype access attempt: "${key}"`);
+    return undefined;
+  }
+  return readKey(object, key);
+}
+
+/**
+ * Resolve a root identifier from the scopes, in order
+ * @param {string} name - Identifier
+ * @param {Object[]} scopes - Objects to look the name up in
+ * @returns {*} - Value from the first scope that defines it
+ */
+function resolveIdentifier(name, scopes) {
+  for (const scope of scopes) {
+    const value = readProperty(scope, name);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Bare words on the right of a comparison that were read as string literals (warned once each)
+ */
+const warnedLiterals = new Set();
+
+/**
+ * Value of the right side of a comparison
+ * Older templates compare with bare words (status === active meaning 'active'): a bare word
+ * that no scope defines still compares as a string, with a warning to quote it.
+ * @param {Object} node - Right-hand AST node
+ * @param {Object[]} scopes - Objects that root identifiers are looked up in
+ * @returns {*} - Value
+ */
+function evaluateComparand(node, scopes) {
+  if (node.type !== 'Identifier') return evaluateNode(node, scopes);
+
+  // Read it first, so that a dependency on it is tracked even while it is missing
+  const value = resolveIdentifier(node.name, scopes);
+  if (value !== undefined || scopes.some(scope => scope !== null && typeof scope === 'object' && node.name in scope)) {
+    return value;
+  }
+
+  if (!warnedLiterals.has(node.name)) {
+    warnedLiterals.add(node.name);
+    console.warn(`[rnxJS] "${node.name}" is not defined in state and is compared as the string '${node.name}'; quote string literals`);
+  }
+  return node.name;
+}
+
+/**
+ * Evaluate an AST node
+ * @param {Object} node - AST node
+ * @param {Object[]} scopes - Objects that root identifiers are looked up in
+ * @returns {*} - Value
+ */
+function evaluateNode(node, scopes) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'Identifier':
+      return resolveIdentifier(node.name, scopes);
+
+    case 'Member':
+      return readProperty(evaluateNode(node.object, scopes), evaluateNode(node.property, scopes));
+
+    case 'Unary': {
+      const value = evaluateNode(node.argument, scopes);
+      if (node.operator === '!') return !value;
+      return node.operator === '-' ? -value : +value;
+    }
+
+    case 'Binary':
+      return evaluateBinary(node, scopes);
+
+    case 'Conditional':
+      return evaluateNode(node.test, scopes)
+        ? evaluateNode(node.consequent, scopes)
+        : evaluateNode(node.alternate, scopes);
+
+    case 'Filter': {
+      const filter = getFilter(node.name);
+      if (!filter) {
+        throw new Error(`unknown filter "${node.name}"`);
+      }
+      const args = node.args.map(arg => evaluateNode(arg, scopes));
+      return filter(evaluateNode(node.input, scopes), ...args);
+    }
+
+    default:
+      throw new Error(`unknown node type "${node.type}"`);
+  }
+}
+
+/**
+ * Evaluate a binary node; logical operators short-circuit
+ * @param {Object} node - Binary node
+ * @param {Object[]} scopes - Objects that root identifiers are looked up in
+ * @returns {*} - Value
+ */
+function evaluateBinary(node, scopes) {
+  const left = evaluateNode(node.left, scopes);
+
+  switch (node.operator) {
+    case '&&': return left && evaluateNode(node.right, scopes);
+    case '||': return left || evaluateNode(node.right, scopes);
+    case '??': return left ?? evaluateNode(node.right, scopes);
+  }
+
+  const comparison = ['===', '==', '!==', '!='].includes(node.operator);
+  const right = comparison ? evaluateComparand(node.right, scopes) : evaluateNode(node.right, scopes);
+  switch (node.operator) {
+    case '===':
+    case '==':
+      return left === right;
+    case '!==':
+    case '!=':
+      return left !== right;
+    case '<': return left < right;
+    case '>': return left > right;
+    case '<=': return left <= right;
+    case '>=': return left >= right;
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    default:
+      throw new Error(`unknown operator "${node.operator}"`);
+  }
+}
+
+/**
+ * Safely evaluate an expression to a value
+ * @example
+ * safeEvaluateValue("price * quantity | currency:'EUR'", state)
+ * @param {string} expression - The expression to evaluate
+ * @param {Object|Object[]} state - The reactive state, or scopes to look identifiers up in (first match wins)
+ * @returns {*} - Value of the expression (undefined if it is invalid, blocked or fails)
+ */
+export function safeEvaluateValue(expression, state) {
+  if (!expression || typeof expression !== 'string') {
+    return undefined;
+  }
+
+  expression = expression.trim();
+
+  if (isDangerousExpression(expression)) {
+    return undefined;
+  }
+
+  const ast = compileExpression(expression);
+  if (!ast) return undefined;
+
+  try {
+    return evaluateNode(ast, Array.isArray(state) ? state : [state]);
+  } catch (error) {
+    console.warn(`[rnxJS] Error evaluating expression "${expression}":`, error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Safely evaluate a condition expression without code execution risks
+ * Uses the same grammar as safeEvaluateValue; the result is converted to a boolean.
+ * @example
+ * safeEvaluateCondition("user.role === 'admin' && !user.suspended", state)
+ * @param {string} expression - The expression to evaluate
+ * @param {Object|Object[]} state - The reactive state to use as context
+ * @returns {boolean} - Result of the expression
+ */
+export function safeEvaluateCondition(expression, state) {
+  return Boolean(safeEvaluateValue(expression, state));
+}
+
+/**
+ * Parse an object expression into its entries
+ * Keys may be identifiers or quoted strings; values are expressions.
+ * @example
+ * parseObjectExpression("{active: tab === 'home', 'text-muted': !enabled}")
+ * // Returns: [['active', "tab === 'home'"], ['text-muted', '!enabled']]
+ * @param {string} expression - Expression to parse
+ * @returns {Array<[string, string]>|null} - Key/expression pairs, or null if not an object expression
+ */
+export function parseObjectExpression(expression) {
+  if (typeof expression !== 'string') return null;
+
+  const source = expression.trim();
+  if (!source.startsWith('{') || !source.endsWith('}')) return null;
+
+  const entries = [];
+  for (const part of splitTopLevel(source.slice(1, -1), ',')) {
+    if (!part.trim()) continue;
+
+    const match = part.match(/^\s*(?:'([^']*)'|"([^"]*)"|([a-zA-Z_$-][\w$-]*))\s*:(.*)$/s);
+    if (!match || !match[4].trim()) {
+      console.warn(`[rnxJS] Invalid object expression entry "${part.trim()}" in "${source}"`);
+      return null;
+    }
+    entries.push([match[1] ?? match[2] ?? match[3], match[4].trim()]);
+  }
+  return entries;
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside quotes and parentheses
+ * @param {string} source - String to split
+ * @param {string} separator - Single-character separator
+ * @returns {string[]} - Parts
+ */
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(source.slice(start));
+  return parts;
+}
@@ -0,0 +1,151 @@
+/**
+ * Filters for binding expressions
+ * Applied with the pipe operator, e.g. data-bind="price | currency:'EUR'"
+ */
+
+import { i18n } from '../utils/i18n.ts';
+
+/**
+ * Registered filters by name
+ * @type {Map<string, Function>}
+ */
+const filters = new Map();
+
+/**
+ * Date formats accepted by the date filter
+ * @type {Object.<string, Intl.DateTimeFormatOptions>}
+ */
+const DATE_FORMATS = {
+  short: { dateStyle: 'short' },
+  medium: { dateStyle: 'medium' },
+  long: { dateStyle: 'long' },
+  full: { dateStyle: 'full' },
+  time: { timeStyle: 'short' },
+  datetime: { dateStyle: 'medium', timeStyle: 'short' }
+};
+
+/**
+ * Register a filter for binding expressions
+ * A filter receives the piped value followed by its arguments:
+ * `value | name:arg1:arg2` calls `fn(value, arg1, arg2)`.
+ * Registering an existing name replaces the filter.
+ *
+ * @param {string} name - Filter name (identifier)
+ * @param {Function} fn - Filter function
+ *
+ * @example
+ * registerFilter('truncate', (value, length = 20) => String(value ?? '').slice(0, length));
+ * // <span data-bind="post.body | truncate:100"></span>
+ */
+export function registerFilter(name, fn) {
+  if (typeof name !== 'string' || !/^[a-zA-Z_$][\w$]*$/.test(name)) {
+    throw new TypeError(`[rnxJS] registerFilter: invalid filter name "${name}"`);
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError(`[rnxJS] registerFilter: filter "${name}" must be a function`);
+  }
+  filters.set(name, fn);
+}
+
+/**
+ * Get a registered filter
+ * @param {string} name - Filter name
+ * @returns {Function|undefined} - Filter function
+ */
+export function getFilter(name) {
+  return filters.get(name);
+}
+
+/**
+ * Convert a value to text for the text filters
+ * @param {*} value - Value to convert
+ * @returns {string} - Text ('' for null and undefined)
+ */
+function toText(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Convert a value to a finite number for the number filters
+ * @param {*} value - Value to convert
+ * @returns {number|null} - Number, or null for empty and non-numeric values
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Fraction digit options for Intl.NumberFormat
+ * @param {number} [digits] - Fraction digits (omitted for the locale default)
+ * @returns {Object} - Options
+ */
+function fractionDigits(digits) {
+  return typeof digits === 'number'
+    ? { minimumFractionDigits: digits, maximumFractionDigits: digits }
+    : {};
+}
+
+registerFilter('upper', value => toText(value).toUpperCase());
+
+registerFilter('lower', value => toText(value).toLowerCase());
+
+registerFilter('capitalize', value => {
+  const text = toText(value);
+  return text.charAt(0).toUpperCase() + text.slice(1);
+});
+
+registerFilter('number', (value, digits) => {
+  const num = toNumber(value);
+  return num === null ? '' : new Intl.NumberFormat(i18n.getLocale(), fractionDigits(digits)).format(num);
+});
+
+registerFilter('currency', (value, currency = 'USD', digits) => {
+  const num = toNumber(value);
+  if (num === null) return '';
+  return new Intl.NumberFormat(i18n.getLocale(), {
+    style: 'currency',
+    currency,
+    ...fractionDigits(digits)
+  }).format(num);
+});
+
+registerFilter('percent', (value, digits = 0) => {
+  const num = toNumber(value);
+  return num === null ? '' : new Intl.NumberFormat(i18n.getLocale(), {
+    style: 'percent',
+    ...fractionDigits(digits)
+  }).format(num);
+});
+
+registerFilter('date', (value, format = 'medium') => {
+  if (value === null || value === undefined || value === '') return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  if (format === 'iso') return date.toISOString();
+
+  const options = DATE_FORMATS[format];
+  if (!options) {
+    console.warn(`[rnxJS] date filter: unknown format "${format}"`);
+  }
+  return new Intl.DateTimeFormat(i18n.getLocale(), options || DATE_FORMATS.medium).format(date);
+});
+
+registerFilter('json', (value, space) => JSON.stringify(value, null, space));
+
+registerFilter('default', (value, fallback = '') =>
+  value === null || value === undefined || value === '' ? fallback : value
+);
+
+registerFilter('join', (value, separator = ', ') =>
+  Array.isArray(value) ? value.join(separator) : value
+);
+
+registerFilter('limit', (value, count) => {
+  if (typeof count !== 'number') return value;
+  if (Array.isArray(value) || typeof value === 'string') return value.slice(0, count);
+  if (value instanceof Map) return Array.from(value.values()).slice(0, count);
+  if (value instanceof Set) return Array.from(value).slice(0, count);
+  return value;
+});
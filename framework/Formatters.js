@@ -0,0 +1,262 @@
+/**
+ * Formatters for two-way bindings
+ * A formatter converts between the state value and the text shown in an input,
+ * e.g. data-format="number:2" shows 1,234.50 while state holds 1234.5.
+ */
+
+import { i18n } from '../utils/i18n.ts';
+
+/**
+ * Registered formatters by name
+ * @type {Map<string, {format: Function, parse: Function, mask?: Function}>}
+ */
+const formatters = new Map();
+
+/**
+ * Mask pattern tokens and the characters they accept
+ * @type {Object.<string, RegExp>}
+ */
+const MASK_TOKENS = {
+  '9': /\d/,
+  'A': /[a-zA-Z]/,
+  '*': /[a-zA-Z0-9]/
+};
+
+/**
+ * Register a formatter for data-format
+ * `format(value, ...args)` returns the text to show for a state value and
+ * `parse(text, ...args)` returns the state value for the text of the input.
+ * Formatters with a `mask(text, ...args)` function reformat the text while typing;
+ * the others format it when the input loses focus.
+ * Registering an existing name replaces the formatter.
+ *
+ * @param {string} name - Formatter name (identifier)
+ * @param {Object} formatter - Formatter
+ * @param {Function} formatter.format - State value to text
+ * @param {Function} formatter.parse - Text to state value
+ * @param {Function} [formatter.mask] - Text to masked text, applied on every input
+ *
+ * @example
+ * registerFormatter('zip', createMask('99999-9999'));
+ * registerFormatter('cents', {
+ *   format: value => (value / 100).toFixed(2),
+ *   parse: text => Math.round(parseFloat(text) * 100) || 0
+ * });
+ * // <input data-bind="price" data-format="cents">
+ */
+export function registerFormatter(name, formatter) {
+  if (typeof name !== 'string' || !/^[a-zA-Z_$][\w$]*$/.test(name)) {
+    throw new TypeError(`[rnxJS] registerFormatter: invalid formatter name "${name}"`);
+  }
+  if (!formatter || typeof formatter.format !== 'function' || typeof formatter.parse !== 'function') {
+    throw new TypeError(`[rnxJS] registerFormatter: formatter "${name}" must have format and parse functions`);
+  }
+  if (formatter.mask !== undefined && typeof formatter.mask !== 'function') {
+    throw new TypeError(`[rnxJS] registerFormatter: mask of formatter "${name}" must be a function`);
+  }
+  formatters.set(name, formatter);
+}
+
+/**
+ * Get a registered formatter
+ * @param {string} name - Formatter name
+ * @returns {Object|undefined} - Formatter
+ */
+export function getFormatter(name) {
+  return formatters.get(name);
+}
+
+/**
+ * Parse a data-format attribute into a formatter bound to its arguments
+ * Arguments follow the name, separated by colons: "number:2", "currency:'EUR'".
+ * Numeric arguments are passed as numbers; quotes around text are removed.
+ * @param {string} attribute - data-format value
+ * @returns {{format: Function, parse: Function, mask: Function|null}|null} - Bound formatter, or null if unknown
+ */
+export function resolveFormatter(attribute) {
+  const [name, ...rawArgs] = attribute.trim().split(':');
+  const formatter = formatters.get(name.trim());
+  if (!formatter) {
+    console.warn(`[rnxJS] Unknown formatter "${name.trim()}" in data-format="${attribute}"`);
+    return null;
+  }
+
+  const args = rawArgs.map(arg => {
+    const text = arg.trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text.replace(/^(['"])(.*)\1$/, '$2');
+  });
+
+  return {
+    format: value => formatter.format(value, ...args),
+    parse: text => formatter.parse(text, ...args),
+    mask: formatter.mask ? text => formatter.mask(text, ...args) : null
+  };
+}
+
+/**
+ * Create a formatter from a mask pattern
+ * In the pattern, 9 accepts a digit, A a letter and * a letter or digit; any other
+ * character is shown as is (prefix it with \ to show a token character literally).
+ * State holds the characters typed for tokens only, e.g. "(999) 999-9999" shows
+ * (555) 123-4567 while state holds 5551234567.
+ * @param {string} pattern - Mask pattern
+ * @param {Object} [options] - Mask options
+ * @param {boolean} [options.uppercase] - Convert letters to upper case
+ * @returns {{format: Function, parse: Function, mask: Function}} - Formatter
+ *
+ * @example
+ * registerFormatter('plate', createMask('AAA-9999', { uppercase: true }));
+ */
+export function createMask(pattern, options = {}) {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new TypeError('[rnxJS] createMask: pattern must be a non-empty string');
+  }
+
+  const tokens = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      tokens.push({ literal: pattern[++i] });
+    } else if (MASK_TOKENS[char]) {
+      tokens.push({ test: MASK_TOKENS[char] });
+    } else {
+      tokens.push({ literal: char });
+    }
+  }
+
+  // Fit text to the pattern: { text: masked text, value: characters typed for tokens }
+  const conform = (input) => {
+    const source = input === null || input === undefined ? '' : String(input);
+    let text = '';
+    let value = '';
+    let end = 0;
+    let index = 0;
+
+    for (const token of tokens) {
+      if (index >= source.length) break;
+
+      if (token.literal !== undefined) {
+        text += token.literal;
+        if (source[index] === token.literal) index++;
+        continue;
+      }
+
+      while (index < source.length && !token.test.test(source[index])) index++;
+      if (index >= source.length) break;
+
+      const char = options.uppercase ? source[index].toUpperCase() : source[index];
+      text += char;
+      value += char;
+      end = text.length;
+      index++;
+    }
+
+    // Drop literals after the last typed character
+    return { text: text.slice(0, end), value };
+  };
+
+  return {
+    format: value => conform(value).text,
+    parse: text => conform(text).value,
+    mask: text => conform(text).text
+  };
+}
+
+/**
+ * Separators of a number in the current locale
+ * @returns {{group: string, decimal: string}} - Group and decimal separators
+ */
+function numberSeparators() {
+  const parts = new Intl.NumberFormat(i18n.getLocale()).formatToParts(12345.6);
+  const find = type => (parts.find(part => part.type === type) || {}).value;
+  return { group: find('group') || ',', decimal: find('decimal') || '.' };
+}
+
+/**
+ * Date mask for the current locale (e.g., 99/99/9999 in en-US, 99.99.9999 in de)
+ * @returns {{order: string[], separator: string}} - Order of day, month and year, and separator
+ */
+function dateLayout() {
+  const parts = new Intl.DateTimeFormat(i18n.getLocale(), {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(2000, 11, 31));
+  const order = parts.map(part => part.type).filter(type => type === 'day' || type === 'month' || type === 'year');
+  const literal = parts.find(part => part.type === 'literal');
+  return {
+    order: order.length === 3 ? order : ['month', 'day', 'year'],
+    separator: literal ? literal.value.trim() || '/' : '/'
+  };
+}
+
+/**
+ * Date mask formatter of the current locale
+ * @returns {Object} - Formatter created by createMask
+ */
+function dateMask() {
+  const { order, separator } = dateLayout();
+  const escaped = separator.replace(/[9A*\\]/g, '\\$&');
+  return createMask(order.map(type => (type === 'year' ? '9999' : '99')).join(escaped));
+}
+
+registerFormatter('number', {
+  format: (value, digits) => {
+    if (value === null || value === undefined || value === '') return '';
+    const num = Number(value);
+    if (!Number.isFinite(num)) return '';
+    const options = typeof digits === 'number'
+      ? { minimumFractionDigits: digits, maximumFractionDigits: digits }
+      : {};
+    return new Intl.NumberFormat(i18n.getLocale(), options).format(num);
+  },
+  parse: (text) => {
+    const { group, decimal } = numberSeparators();
+    const normalized = String(text)
+      .split(group).join('')
+      .replace(/\s/g, '')
+      .split(decimal).join('.')
+      .replace(/[^\d.-]/g, '');
+    if (normalized === '' || normalized === '-') return null;
+    const num = Number(normalized);
+    return Number.isFinite(num) ? num : null;
+  }
+});
+
+registerFormatter('date', {
+  // ISO date (YYYY-MM-DD) in state, locale order in the input; incomplete dates are ''
+  format: (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(
+      value instanceof Date && !isNaN(value.getTime()) ? value.toISOString() : String(value ?? '')
+    );
+    if (!match) return '';
+    const [, year, month, day] = match;
+    const { order, separator } = dateLayout();
+    return order.map(type => ({ year, month, day })[type]).join(separator);
+  },
+  parse: (text) => {
+    const digits = dateMask().parse(text);
+    if (digits.length !== 8) return '';
+
+    const { order } = dateLayout();
+    const values = {};
+    let index = 0;
+    order.forEach(type => {
+      const length = type === 'year' ? 4 : 2;
+      values[type] = digits.slice(index, index + length);
+      index += length;
+    });
+
+    const date = new Date(Date.UTC(Number(values.year), Number(values.month) - 1, Number(values.day)));
+    if (date.getUTCMonth() !== Number(values.month) - 1 || date.getUTCDate() !== Number(values.day)) return '';
+    return `${values.year}-${values.month}-${values.day}`;
+  },
+  mask: text => dateMask().mask(text)
+});
+
+registerFormatter('phone', createMask('(999) 999-9999'));
+
+registerFormatter('card', createMask('9999 9999 9999 9999'));
+
+registerFormatter('iban', createMask('AA99 **** **** **** **** **** **** **', { uppercase: true }));
@@ -8,6 +8,8 @@
  * - Using keys to identify stable elements across renders
  */
 
+import { safeEvaluateValue } from './ExpressionEvaluator.js';
+
 // Import bindData for nested list support
 let _bindDataFn = null;
 
@@ -19,6 +21,18 @@ export function setBindDataFunction(fn) {
   _bindDataFn = fn;
 }
 
+/**
+ * Convert a data-for source to an array
+ * Maps render their values and Sets their items, in insertion order
+ * @param {*} value - Array, Map or Set
+ * @returns {*} - Array (other values are returned unchanged)
+ */
+function toListArray(value) {
+  if (value instanceof Map) return Array.from(value.values());
+  if (value instanceof Set) return Array.from(value);
+  return value;
+}
+
 /**
  * ListRenderer - Manages efficient list rendering with keyed reconciliation
  */
@@ -28,7 +42,7 @@ export class ListRenderer {
    * @param {HTMLElement} template - Template element to clone for each item
    * @param {HTMLElement} placeholder - Comment node marking list location
    * @param {Proxy} state - Reactive state object
-   * @param {string} arrayPath - Path to array in state (e.g., 'users')
+   * @param {string} arrayPath - Path to array in state (e.g., 'users'), or an expression
    * @param {Object} options - Rendering options
    * @param {Function} options.key - Key function (item, index) => key
    * @param {string} options.varName - Variable name for item (e.g., 'user')
@@ -42,6 +56,10 @@ export class ListRenderer {
     this.keyFn = options.key || ((item, index) => String(index));
     this.varName = options.varName;
     this.indexName = options.indexName;
+    this.isPath = /^[a-zA-Z_$][\w.$]*$/.test(arrayPath);
+
+    // Set by the binder: stops the updates of this list
+    this.unsubscribe = null;
 
     // Map of key -> { element, item, index }
     this.renderedMap = new Map();
@@ -52,7 +70,7 @@ export class ListRenderer {
    * Render or update the list
    */
   render() {
-    const array = this.getArray();
+    const array = toListArray(this.getArray());
 
     if (!Array.isArray(array)) {
       console.warn(`[rnxJS] data-for: "${this.arrayPath}" is not an array`);
@@ -195,6 +213,15 @@ export class ListRenderer {
    * @returns {*} - Resolved value
    */
   resolveBinding(path, item, index) {
+    // Expressions (e.g., 'user.price * user.qty | currency') see the item variables, then item fields, then state
+    if (!/^[a-zA-Z_$][\w.$]*$/.test(path)) {
+      const scopes = [{ [this.varName]: item }];
+      if (this.indexName) scopes[0][this.indexName] = index;
+      if (typeof item === 'object' && item !== null) scopes.push(item);
+      scopes.push(this.state);
+      return safeEvaluateValue(path, scopes);
+    }
+
     // Direct variable reference (e.g., 'user')
     if (path === this.varName) {
       return typeof item === 'object' ? JSON.stringify(item) : String(item);
@@ -243,6 +270,18 @@ export class ListRenderer {
    * @returns {Array} - The array to render
    */
   getArray() {
+    // Expression sources see parent item variables and fields, then state
+    if (!this.isPath) {
+      const scopes = [];
+      for (let parent = this.placeholder?.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+        if (parent._rnxItemData && parent._rnxVarName) {
+          scopes.push({ [parent._rnxVarName]: parent._rnxItemData }, parent._rnxItemData);
+        }
+      }
+      scopes.push(this.state);
+      return safeEvaluateValue(this.arrayPath, scopes);
+    }
+
     // Check if we're inside a parent data-for (nested lists)
     // Walk up the DOM tree to find parent item data
     let parent = this.placeholder?.parentElement;
@@ -260,7 +299,7 @@ export class ListRenderer {
           (curr, key) => curr?.[key],
           parent._rnxItemData
         );
-        if (parentValue !== undefined && Array.isArray(parentValue)) {
+        if (Array.isArray(parentValue) || parentValue instanceof Map || parentValue instanceof Set) {
           return parentValue;
         }
       }
@@ -286,9 +325,13 @@ export class ListRenderer {
   }
 
   /**
-   * Destroy the renderer and cleanup
+   * Destroy the renderer, stopping its updates, and cleanup
    */
   destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
     this.clear();
     // Note: Don't remove placeholder as it's needed to mark position
   }
@@ -0,0 +1,319 @@
+/**
+ * Component props schemas
+ * A schema declared with registerComponent turns the attribute strings of a component tag
+ * into typed props, e.g. page-size="20" gives pageSize: 20 with { pageSize: Number }.
+ */
+
+import { safeEvaluateValue } from './ExpressionEvaluator.js';
+import { addNodeCleanup } from './DataBinder.js';
+import { effect } from '../utils/effect.ts';
+
+/**
+ * Types a prop may declare
+ * @type {Function[]}
+ */
+const PROP_TYPES = [String, Number, Boolean, Array, Object, Function];
+
+/**
+ * Attributes any element may carry, passed through without being reported as unknown props
+ * @type {Set<string>}
+ */
+const GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'style', 'title', 'role', 'tabindex', 'hidden', 'slot', 'lang', 'dir', 'visible']);
+
+/**
+ * Prefix of attributes that pass a state value as a prop
+ * @type {string}
+ */
+const BIND_PREFIX = 'data-bind:';
+
+/**
+ * Check a props schema and bring every entry to { type, required, default? }
+ * An entry is a type (Number) or an object ({ type: Number, default: 10, required: true }).
+ * @param {string} tagName - Tag name, for error messages
+ * @param {Object} props - Props schema
+ * @returns {Object.<string, {type: Function, required: boolean, default?: *}>} - Normalized schema
+ */
+export function normalizePropsSchema(tagName, props) {
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    throw new TypeError(`[rnxJS] registerComponent: props of "${tagName}" must be an object`);
+  }
+
+  const schema = {};
+  Object.entries(props).forEach(([name, entry]) => {
+    const definition = typeof entry === 'function' ? { type: entry } : entry;
+    if (!definition || !PROP_TYPES.includes(definition.type)) {
+      throw new TypeError(
+        `[rnxJS] registerComponent: prop "${name}" of "${tagName}" must be String, Number, Boolean, Array, Object or Function`
+      );
+    }
+
+    schema[name] = { type: definition.type, required: Boolean(definition.required) };
+    if ('default' in definition) {
+      schema[name].default = definition.default;
+    }
+  });
+  return schema;
+}
+
+/**
+ * Build the props of a component tag from its attributes
+ * Without a schema, attributes are passed as strings. With one, attributes of declared props are
+ * coerced to their type (kebab-case attributes map to camelCase props), missing props get their
+ * default, and missing required props and unknown attributes are reported.
+ * data-bind:prop="path" passes the state value at path (or the value of an expression).
+ * @param {Element} el - Component tag
+ * @param {string} tagName - Registered tag name
+ * @param {Object} [schema] - Normalized props schema
+ * @param {Object} [state] - State for data-bind:prop attributes
+ * @returns {Object} - Props
+ */
+export function resolveProps(el, tagName, schema, state) {
+  const props = {};
+  const provided = new Set();
+
+  propBindings(el, schema).forEach(({ name, prop, expression }) => {
+    if (!prop) {
+      console.warn(`[rnxJS] <${tagName}>: unknown prop in ${name}`);
+      return;
+    }
+    if (!state) {
+      console.warn(`[rnxJS] <${tagName}>: ${name} needs a state passed to loadComponents`);
+      return;
+    }
+    props[prop] = safeEvaluateValue(expression, state);
+    provided.add(prop);
+  });
+
+  Array.from(el.attributes).forEach(({ name, value }) => {
+    if (name.startsWith(BIND_PREFIX)) return;
+
+    if (!schema) {
+      props[name] = value;
+      return;
+    }
+
+    const prop = findProp(schema, name);
+    if (prop) {
+      props[prop] = coerceProp(tagName, prop, schema[prop].type, value);
+      provided.add(prop);
+      return;
+    }
+
+    if (!GLOBAL_ATTRIBUTES.has(name) && !/^(data-|aria-|on)/.test(name)) {
+      console.warn(`[rnxJS] <${tagName}>: unknown prop "${name}"`);
+    }
+    props[name] = value;
+  });
+
+  if (schema) {
+    Object.entries(schema).forEach(([prop, definition]) => {
+      if (props[prop] !== undefined) return;
+
+      if (definition.required && !provided.has(prop)) {
+        console.warn(`[rnxJS] <${tagName}>: missing required prop "${prop}"`);
+      }
+
+      const value = defaultValue(definition);
+      if (value !== undefined) {
+        props[prop] = value;
+      }
+    });
+  }
+
+  return props;
+}
+
+/**
+ * Keep the data-bind:prop props of a hydrated component up to date
+ * When the value of a binding changes (or anything inside it changes, for arrays and plain objects),
+ * component.setProps({ prop: value }) is called; components made with createComponent
+ * re-render or call their onPropsChange handler. The bindings stop with unbindData(component).
+ * @param {Element} component - Rendered component
+ * @param {Element} el - Component tag it replaced
+ * @param {string} tagName - Registered tag name
+ * @param {Object} [schema] - Normalized props schema
+ * @param {Proxy} state - Reactive state
+ */
+export function watchProps(component, el, tagName, schema, state) {
+  propBindings(el, schema).forEach(({ prop, expression }) => {
+    if (!prop) return;
+
+    let initial = true;
+    const stop = effect(state, () => {
+      const value = safeEvaluateValue(expression, state);
+      // Reading everything inside the value makes edits of nested items re-run the effect
+      readDeep(value);
+      // The component was rendered with the first value
+      if (initial) {
+        initial = false;
+        return;
+      }
+
+      updateProps(component, tagName, { [prop]: value });
+    }, {
+      scheduler: 'sync',
+      onError: (error) => console.error(`[rnxJS] <${tagName}>: error updating prop "${prop}":`, error)
+    });
+
+    addNodeCleanup(component, stop);
+  });
+}
+
+/**
+ * Pass changed props to a rendered component through its setProps method
+ * @param {Element} component - Rendered component
+ * @param {string} tagName - Tag name, for warnings
+ * @param {Object} changes - Changed props
+ */
+export function updateProps(component, tagName, changes) {
+  if (typeof component.setProps !== 'function') {
+    Object.keys(changes).forEach(prop => {
+      console.warn(`[rnxJS] <${tagName}>: cannot update prop "${prop}", the component has no setProps method`);
+    });
+    return;
+  }
+  component.setProps(changes);
+}
+
+/**
+ * Attribute names of the props of a schema (pageSize gives page-size)
+ * @param {Object} schema - Normalized props schema
+ * @returns {string[]} - Attribute names
+ */
+export function propAttributes(schema) {
+  return Object.keys(schema).map(prop => prop.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`));
+}
+
+/**
+ * Prop and typed value for one attribute of a component tag
+ * Without a schema, every attribute but data-bind:prop is a prop with its string value.
+ * @param {string} tagName - Tag name, for warnings
+ * @param {Object} [schema] - Normalized props schema
+ * @param {string} name - Attribute name
+ * @param {string|null} value - Attribute value (null when removed)
+ * @returns {{prop: string, value: *}|null} - Prop and value, or null if the attribute is not a prop
+ */
+export function attributeProp(tagName, schema, name, value) {
+  if (!schema) {
+    return name.startsWith(BIND_PREFIX) ? null : { prop: name, value: value === null ? undefined : value };
+  }
+
+  const prop = findProp(schema, name);
+  if (!prop) return null;
+
+  if (value === null) {
+    return { prop, value: defaultValue(schema[prop]) };
+  }
+  return { prop, value: coerceProp(tagName, prop, schema[prop].type, value) };
+}
+
+/**
+ * Value of a prop whose attribute is absent
+ * @param {Object} definition - Normalized prop definition
+ * @returns {*} - Default value (false for booleans without one)
+ */
+function defaultValue(definition) {
+  if ('default' in definition) {
+    // Functions give a fresh default for each component (e.g., () => [])
+    return typeof definition.default === 'function' && definition.type !== Function
+      ? definition.default()
+      : definition.default;
+  }
+  return definition.type === Boolean ? false : undefined;
+}
+
+/**
+ * Read every property inside an array or plain object, so the reads are tracked
+ * @param {*} value - Value of a binding
+ * @param {Set<Object>} [seen] - Values already read, for circular references
+ */
+function readDeep(value, seen = new Set()) {
+  if (!value || typeof value !== 'object' || seen.has(value)) return;
+  if (!Array.isArray(value) && Object.getPrototypeOf(value) !== Object.prototype) return;
+
+  seen.add(value);
+  Object.keys(value).forEach(key => readDeep(value[key], seen));
+}
+
+/**
+ * data-bind:prop attributes of a component tag
+ * @param {Element} el - Component tag
+ * @param {Object} [schema] - Normalized props schema
+ * @returns {Array<{name: string, prop: string|undefined, expression: string}>} - Bindings (prop is undefined if unknown)
+ */
+function propBindings(el, schema) {
+  return Array.from(el.attributes)
+    .filter(({ name }) => name.startsWith(BIND_PREFIX))
+    .map(({ name, value }) => {
+      const attribute = name.slice(BIND_PREFIX.length);
+      return { name, prop: schema ? findProp(schema, attribute) : toCamelCase(attribute), expression: value };
+    });
+}
+
+/**
+ * Prop of a schema named by an attribute
+ * @param {Object} schema - Normalized props schema
+ * @param {string} attribute - Attribute name (page-size, pagesize)
+ * @returns {string|undefined} - Prop name (pageSize)
+ */
+function findProp(schema, attribute) {
+  const camel = toCamelCase(attribute);
+  if (camel in schema) return camel;
+
+  // HTML lowercases attribute names, so pageSize="20" arrives as pagesize
+  const flat = attribute.replace(/-/g, '').toLowerCase();
+  return Object.keys(schema).find(prop => prop.toLowerCase() === flat);
+}
+
+/**
+ * Convert a kebab-case attribute name to camelCase
+ * @param {string} name - Attribute name
+ * @returns {string} - camelCase name
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Coerce an attribute string to the type of its prop
+ * @param {string} tagName - Tag name, for warnings
+ * @param {string} prop - Prop name
+ * @param {Function} type - Declared type
+ * @param {string} text - Attribute value
+ * @returns {*} - Typed value, or undefined if the text does not fit the type
+ */
+function coerceProp(tagName, prop, type, text) {
+  const invalid = (expected) => {
+    console.warn(`[rnxJS] <${tagName}>: prop "${prop}" expects ${expected}, got "${text}"`);
+    return undefined;
+  };
+
+  switch (type) {
+    case Number: {
+      const num = Number(text);
+      return text.trim() !== '' && Number.isFinite(num) ? num : invalid('a number');
+    }
+    case Boolean: {
+      // A bare attribute (disabled, disabled="disabled") is true, like HTML boolean attributes
+      const value = text.trim().toLowerCase();
+      if (value === 'false') return false;
+      if (value === '' || value === 'true' || value === prop.toLowerCase()) return true;
+      return invalid('"true" or "false"');
+    }
+    case Array:
+    case Object: {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        return invalid(type === Array ? 'a JSON array' : 'a JSON object');
+      }
+      const fits = type === Array ? Array.isArray(value) : value !== null && typeof value === 'object' && !Array.isArray(value);
+      return fits ? value : invalid(type === Array ? 'a JSON array' : 'a JSON object');
+    }
+    case Function:
+      return invalid(`a function (pass it with ${BIND_PREFIX}${prop})`);
+    default:
+      return text;
+  }
+}
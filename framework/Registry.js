@@ -1,5 +1,114 @@
+import { normalizePropsSchema } from './Props.js';
+
 export const registeredComponents = {};
 
-export function registerComponent(tagName, componentFunc) {
+// Props schemas by tag name, for components registered with one
+export const componentSchemas = {};
+
+// Lazy components by tag name ({ visible, promise }), until their loader resolves
+export const lazyComponents = {};
+
+// Placeholders shown while a lazy or async component loads, by tag name
+export const componentPlaceholders = {};
+
+/**
+ * Register a component for a tag name
+ * @param {string} tagName - Tag name (matched case-insensitively)
+ * @param {Function} componentFunc - Component function, called with the props of each tag
+ * @param {Object} [options] - Registration options
+ * @param {Object} [options.props] - Props schema: a type (String, Number, Boolean, Array, Object, Function)
+ *   or { type, default, required } by prop name
+ * @param {boolean|string} [options.lazy] - componentFunc is a loader (e.g., () => import('./Chart.js')),
+ *   called when the first tag is found (true) or scrolls into view ('visible')
+ * @param {string|Function} [options.placeholder] - Registered tag name or function returning the element
+ *   shown until a lazy or async component is rendered
+ *
+ * @example
+ * registerComponent('Pager', Pager, {
+ *   props: { pageSize: { type: Number, default: 10 }, items: Array, disabled: Boolean }
+ * });
+ * // <Pager page-size="20" data-bind:items="orders" disabled="false"></Pager>
+ *
+ * registerComponent('DataTable', () => import('./DataTable.js'), { lazy: 'visible', placeholder: 'Skeleton' });
+ */
+export function registerComponent(tagName, componentFunc, options = {}) {
+  if (options.lazy !== undefined && options.lazy !== true && options.lazy !== false && options.lazy !== 'visible') {
+    throw new TypeError(`[rnxJS] registerComponent: lazy of "${tagName}" must be true, false or 'visible'`);
+  }
+  if (options.placeholder !== undefined && typeof options.placeholder !== 'string' && typeof options.placeholder !== 'function') {
+    throw new TypeError(`[rnxJS] registerComponent: placeholder of "${tagName}" must be a tag name or a function`);
+  }
+
+  if (options.props) {
+    componentSchemas[tagName] = normalizePropsSchema(tagName, options.props);
+  } else {
+    delete componentSchemas[tagName];
+  }
+  if (options.lazy) {
+    lazyComponents[tagName] = { visible: options.lazy === 'visible', promise: null };
+  } else {
+    delete lazyComponents[tagName];
+  }
+  if (options.placeholder) {
+    componentPlaceholders[tagName] = options.placeholder;
+  } else {
+    delete componentPlaceholders[tagName];
+  }
   registeredComponents[tagName] = componentFunc;
 }
+
+/**
+ * Load the component of a lazy tag
+ * The loader is called once for all tags; the component then replaces it in the registry,
+ * so later tags render without waiting. A failed load is tried again by the next tag.
+ * When the tag was registered without a schema, a static props property of the loaded
+ * component becomes its schema.
+ * @param {string} tagName - Registered tag name
+ * @returns {Promise<Function>} - Component function
+ */
+export function loadComponent(tagName) {
+  const lazy = lazyComponents[tagName];
+  if (!lazy) {
+    return Promise.resolve(registeredComponents[tagName]);
+  }
+
+  if (!lazy.promise) {
+    const loader = registeredComponents[tagName];
+    lazy.promise = Promise.resolve()
+      .then(() => loader())
+      .then(result => {
+        const component = componentFromModule(result, tagName);
+        if (!component) {
+          throw new Error(`lazy component "${tagName}" did not load a component function`);
+        }
+        // Unless the tag was registered again in the meantime
+        if (lazyComponents[tagName] === lazy) {
+          registeredComponents[tagName] = component;
+          delete lazyComponents[tagName];
+          if (!componentSchemas[tagName] && component.props) {
+            componentSchemas[tagName] = normalizePropsSchema(tagName, component.props);
+          }
+        }
+        return component;
+      });
+    lazy.promise.catch(() => {
+      lazy.promise = null;
+    });
+  }
+  return lazy.promise;
+}
+
+/**
+ * Component function of a loaded module
+ * @param {*} result - Resolved value of a loader: a module or a component function
+ * @param {string} tagName - Registered tag name
+ * @returns {Function|null} - The export named like the tag, the default export, or the function itself
+ */
+export function componentFromModule(result, tagName) {
+  if (typeof result === 'function') return result;
+  if (result && typeof result === 'object' && !(typeof Node !== 'undefined' && result instanceof Node)) {
+    const component = result[tagName] || result.default;
+    if (typeof component === 'function') return component;
+  }
+  return null;
+}
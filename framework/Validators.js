@@ -0,0 +1,358 @@
+/**
+ * Validation rules for data-rule attributes
+ * Rules are written as "required|min:3|same:password"; parameters are comma-separated.
+ * Messages are translated through i18n (keys under "common.validation.", as in locales/),
+ * with English defaults.
+ */
+
+import { i18n } from '../utils/i18n.ts';
+import { readKey } from './ExpressionEvaluator.js';
+
+/**
+ * Registered validators by name
+ * @type {Map<string, {fn: Function, message?: string, fields?: Function}>}
+ */
+const validators = new Map();
+
+/**
+ * Prefix of validation message keys in i18n
+ */
+const MESSAGE_PREFIX = 'common.validation.';
+
+/**
+ * English messages, used when i18n has no "common.validation.<key>" translation
+ * @type {Object.<string, string>}
+ */
+const DEFAULT_MESSAGES = {
+  required: 'This field is required',
+  email: 'Invalid email address',
+  number: 'Must be a number',
+  min: 'Must be at least {min}',
+  minLength: 'Must be at least {min} characters',
+  max: 'Must be no more than {max}',
+  maxLength: 'Must be no more than {max} characters',
+  pattern: 'Invalid format',
+  same: 'Must match {other}',
+  different: 'Must be different from {other}',
+  after: 'Must be after {other}',
+  before: 'Must be before {other}',
+  invalid: 'Invalid value'
+};
+
+/**
+ * Register a validation rule
+ * The validator is called as fn(value, params, context) and returns (or resolves to):
+ * - true, null or undefined when the value is valid
+ * - false to use the rule's default message
+ * - a message, or an i18n key, or { message, params } for messages with placeholders
+ * context holds { state, path, signal, getValue(path) }; signal is aborted when a newer check starts.
+ *
+ * @param {string} name - Rule name used in data-rule
+ * @param {Function} fn - Validator function (may be async)
+ * @param {Object} [options] - Rule options
+ * @param {string} [options.message] - Default message or i18n key (defaults to "common.validation.<name>")
+ * @param {Function} [options.fields] - Returns the state paths the rule reads, given its params;
+ *   the field is validated again when they change
+ *
+ * @example
+ * registerValidator('unique', async (value, [table, column], { signal }) => {
+ *   const res = await fetch(`/api/${table}/exists?${column}=${encodeURIComponent(value)}`, { signal });
+ *   return !(await res.json()).exists;
+ * }, { message: 'common.validation.unique' });
+ * // <input data-bind="email" data-rule="required|email|unique:users,email">
+ */
+export function registerValidator(name, fn, options = {}) {
+  if (typeof name !== 'string' || !/^[a-zA-Z_$][\w$]*$/.test(name)) {
+    throw new TypeError(`[rnxJS] registerValidator: invalid rule name "${name}"`);
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError(`[rnxJS] registerValidator: rule "${name}" must be a function`);
+  }
+  validators.set(name, { fn, message: options.message, fields: options.fields });
+}
+
+/**
+ * Parse a rules string
+ * @param {string} rules - Pipe-separated rules (e.g., "required|min:3")
+ * @returns {Array<{name: string, params: string[]}>} - Rules in order
+ */
+function parseRules(rules) {
+  return rules.split('|').map(rule => rule.trim()).filter(Boolean).map(rule => {
+    const colon = rule.indexOf(':');
+    return colon === -1
+      ? { name: rule, params: [] }
+      : { name: rule.slice(0, colon), params: rule.slice(colon + 1).split(',') };
+  });
+}
+
+/**
+ * Get the state paths that rules read besides the field itself
+ * @param {string} rules - Pipe-separated rules
+ * @returns {string[]} - State paths (e.g., ['password'] for "same:password")
+ */
+export function getRuleDependencies(rules) {
+  if (!rules) return [];
+  return parseRules(rules).flatMap(({ name, params }) => {
+    const validator = validators.get(name);
+    return validator && validator.fields ? validator.fields(params) : [];
+  });
+}
+
+/**
+ * Fill {name} placeholders
+ * @param {string} text - Message
+ * @param {Object} params - Placeholder values
+ * @returns {string} - Message
+ */
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+}
+
+/**
+ * Resolve a message key or text to a message in the current locale
+ * @param {string} message - i18n key (with or without the "common.validation." prefix) or literal text
+ * @param {Object} params - Placeholder values
+ * @returns {string} - Message
+ */
+function resolveMessage(message, params) {
+  const key = MESSAGE_PREFIX + message;
+  if (i18n.has(key)) return i18n.t(key, params);
+  if (DEFAULT_MESSAGES[message]) return interpolate(DEFAULT_MESSAGES[message], params);
+  if (i18n.has(message)) return i18n.t(message, params);
+  return interpolate(message, params);
+}
+
+/**
+ * Turn a validator result into an error message
+ * @param {*} result - Validator result
+ * @param {string} name - Rule name
+ * @param {string[]} params - Rule params
+ * @param {string} path - Field path
+ * @returns {string|null} - Error message, or null if valid
+ */
+function toError(result, name, params, path) {
+  if (result === true || result === null || result === undefined) return null;
+
+  const messageParams = { field: path, param: params[0], params: params.join(', ') };
+  if (typeof result === 'string') {
+    return resolveMessage(result, messageParams);
+  }
+  if (typeof result === 'object' && result.message) {
+    return resolveMessage(result.message, { ...messageParams, ...result.params });
+  }
+
+  const { message } = validators.get(name);
+  const fallback = (DEFAULT_MESSAGES[name] || i18n.has(MESSAGE_PREFIX + name)) ? name : 'invalid';
+  return resolveMessage(message || fallback, messageParams);
+}
+
+/**
+ * Validate a value against a set of rules
+ * Rules run in order and stop at the first error. Once a rule returns a promise,
+ * the remaining rules run after it settles and the result is reported through `pending`.
+ * @param {*} value - Value to validate
+ * @param {string} rules - Pipe-separated rules (e.g., "required|email|min:3")
+ * @param {Object} [context] - Validation context
+ * @param {Object} [context.state] - State, for rules that read other fields
+ * @param {string} [context.path] - Path of the field
+ * @param {AbortSignal} [context.signal] - Aborted when the check is stale
+ * @returns {{error: string|null, pending: Promise<string|null>|null}} - Synchronous error, or the pending async result
+ */
+export function validateValue(value, rules, context = {}) {
+  if (!rules) return { error: null, pending: null };
+
+  const { state = null, path = '', signal = null } = context;
+  const validatorContext = {
+    state,
+    path,
+    signal,
+    getValue: (otherPath) => String(otherPath).split('.').reduce(readKey, state)
+  };
+
+  const list = parseRules(rules);
+
+  const run = (index) => {
+    for (let i = index; i < list.length; i++) {
+      const { name, params } = list[i];
+      const validator = validators.get(name);
+      if (!validator) {
+        console.warn(`[rnxJS] Unknown validation rule "${name}"`);
+        continue;
+      }
+
+      const result = validator.fn(value, params, validatorContext);
+      if (result && typeof result.then === 'function') {
+        return {
+          error: null,
+          pending: Promise.resolve(result).then(resolved => {
+            const error = toError(resolved, name, params, path);
+            if (error || signal?.aborted) return error;
+            const rest = run(i + 1);
+            return rest.pending || rest.error;
+          })
+        };
+      }
+
+      const error = toError(result, name, params, path);
+      if (error) return { error, pending: null };
+    }
+    return { error: null, pending: null };
+  };
+
+  return run(0);
+}
+
+/**
+ * Convert a value to a timestamp for date rules
+ * @param {*} value - Date, timestamp or date string
+ * @returns {number} - Timestamp (NaN if not a date)
+ */
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && value ? Date.parse(value) : NaN;
+}
+
+/**
+ * Value of a rule parameter that names another field, or the parameter itself
+ * @param {Object} context - Validator context
+ * @param {string} param - Field path or literal
+ * @returns {*} - Value
+ */
+function otherValue(context, param) {
+  const value = context.getValue(param);
+  return value === undefined ? param : value;
+}
+
+registerValidator('required', value => !(value === null || value === undefined || value === ''));
+
+registerValidator('email', value => !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)));
+
+registerValidator('numeric', value => !value || !isNaN(Number(value)) || 'number');
+
+registerValidator('min', (value, [param]) => {
+  const min = parseFloat(param);
+  if (typeof value === 'string' && value.length < min) return { message: 'minLength', params: { min } };
+  if (typeof value === 'number' && value < min) return { message: 'min', params: { min } };
+  return true;
+});
+
+registerValidator('max', (value, [param]) => {
+  const max = parseFloat(param);
+  if (typeof value === 'string' && value.length > max) return { message: 'maxLength', params: { max } };
+  if (typeof value === 'number' && value > max) return { message: 'max', params: { max } };
+  return true;
+});
+
+registerValidator('pattern', (value, params) => {
+  // Commas belong to the pattern, not to separate params
+  const source = params.join(',');
+  try {
+    return !value || new RegExp(source).test(String(value));
+  } catch (e) {
+    console.warn('[rnxJS] Invalid regex pattern in validation rule:', source);
+    return true;
+  }
+});
+
+registerValidator('same', (value, [other], context) =>
+  value === context.getValue(other) || { message: 'same', params: { other } },
+{ fields: ([other]) => [other] });
+
+registerValidator('different', (value, [other], context) =>
+  value !== context.getValue(other) || { message: 'different', params: { other } },
+{ fields: ([other]) => [other] });
+
+registerValidator('after', (value, [other], context) => {
+  const time = toTime(value);
+  const limit = toTime(otherValue(context, other));
+  return isNaN(time) || isNaN(limit) || time > limit || { message: 'after', params: { other } };
+}, { fields: ([other]) => [other] });
+
+registerValidator('before', (value, [other], context) => {
+  const time = toTime(value);
+  const limit = toTime(otherValue(context, other));
+  return isNaN(time) || isNaN(limit) || time < limit || { message: 'before', params: { other } };
+}, { fields: ([other]) => [other] });
+
+/**
+ * Server error keys that do not belong to a field
+ * (Django REST Framework, Django forms, Rails)
+ */
+const NON_FIELD_KEYS = new Set(['non_field_errors', '__all__', 'base']);
+
+/**
+ * Get the message of a server error entry
+ * @param {*} entry - Message, or { message } (Django form errors as JSON)
+ * @returns {string|null} - Message, or null if the entry is not a message
+ */
+function toServerMessage(entry) {
+  if (typeof entry === 'string') return entry;
+  if (entry && typeof entry === 'object' && !Array.isArray(entry) && typeof entry.message === 'string') {
+    return entry.message;
+  }
+  return null;
+}
+
+/**
+ * Normalize a server-side validation error payload (e.g., the body of a 422 response)
+ * Accepted formats:
+ * - Laravel: { message, errors: { 'address.city': ['...'] } }
+ * - Rails: { errors: { email: ['...'], base: ['...'] } }, { email: ['...'] } or { errors: ['Full message'] }
+ * - Django REST Framework: { email: ['...'], address: { city: ['...'] }, items: [{}, { name: ['...'] }],
+ *   non_field_errors: ['...'] } or { detail: '...' }; Django forms: { email: [{ message, code }], __all__: [...] }
+ * Nested keys are joined with dots and bracket indexes (items[0].name) become path segments.
+ * @param {*} payload - Parsed response body
+ * @returns {{fields: Object.<string, string>, message: string}} - First message per field path, and the first error not tied to a field
+ */
+export function parseServerErrors(payload) {
+  const fields = {};
+  const general = [];
+
+  const add = (path, message) => {
+    const last = path.slice(path.lastIndexOf('.') + 1);
+    if (!path || NON_FIELD_KEYS.has(last)) {
+      general.push(message);
+    } else if (!(path in fields)) {
+      fields[path] = message;
+    }
+  };
+
+  const collect = (value, path) => {
+    const message = toServerMessage(value);
+    if (message !== null) {
+      add(path, message);
+    } else if (Array.isArray(value)) {
+      // A list of messages, or errors per item of a list field
+      const first = value.map(toServerMessage).find(entry => entry !== null);
+      if (first !== undefined) {
+        add(path, first);
+      } else {
+        value.forEach((item, index) => collect(item, path ? `${path}.${index}` : String(index)));
+      }
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => {
+        const segment = key.replace(/\[(\w+)\]/g, '.$1').replace(/^\./, '');
+        collect(value[key], path ? `${path}.${segment}` : segment);
+      });
+    }
+  };
+
+  if (!payload || typeof payload !== 'object') {
+    return { fields, message: typeof payload === 'string' ? payload : '' };
+  }
+
+  if (payload.errors !== undefined) {
+    collect(payload.errors, '');
+  } else {
+    // Top-level message and detail strings summarize the errors
+    const rest = { ...payload };
+    ['message', 'detail'].forEach(key => {
+      if (typeof rest[key] === 'string') delete rest[key];
+    });
+    collect(rest, '');
+  }
+
+  const summary = [payload.message, payload.detail].find(text => typeof text === 'string');
+  return { fields, message: general[0] || summary || '' };
+}
@@ -3,14 +3,31 @@
 // Project: https://github.com/arnelirobles/rnxjs
 // Definitions by: Arnel Isiderio Robles
 
+/**
+ * Change record passed to wildcard subscribers
+ */
+export interface ChangeRecord {
+    /** Concrete dot-notation path that changed */
+    path: string;
+    /** Value before the change (a copy of the array for array mutators, while wildcard subscribers exist) */
+    oldValue: any;
+    /** Value after the change (a copy of the array for array mutators, while wildcard subscribers exist) */
+    newValue: any;
+    /** 'add', 'set', 'delete', 'clear' (Map/Set) or the array mutator name ('push', 'splice', ...) */
+    operation: string;
+    /** Map key or Set item, for Map/Set mutations */
+    key?: any;
+}
+
 export interface ReactiveState<T extends object = any> {
     /**
      * Subscribe to changes on a specific property path
-     * @param path - Dot-notation path (e.g., 'user.email')
-     * @param callback - Called with new value when path changes
+     * Supports wildcard patterns: '*' matches one segment, '**' any number of segments
+     * @param path - Dot-notation path (e.g., 'user.email') or pattern (e.g., 'orders.*.status')
+     * @param callback - Called with new value (and a change record for wildcard patterns)
      * @returns Unsubscribe function
      */
-    subscribe(path: string, callback: (value: any) => void): () => void;
+    subscribe(path: string, callback: (value: any, change?: ChangeRecord) => void): () => void;
 
     /**
      * Get nested property value from object
@@ -19,6 +36,44 @@ export interface ReactiveState<T extends object = any> {
      */
     getNestedValue(path: string): any;
 
+    /**
+     * Run a function and notify subscribers once, when it returns
+     * @param fn - Function performing state writes
+     * @returns Return value of fn
+     */
+    batch<R>(fn: () => R): R;
+
+    /**
+     * Run a function and revert all of its writes if it throws or its promise rejects
+     * (for async functions, every write made until the promise settles)
+     * @param fn - Function performing state writes (may be async)
+     * @returns Return value of fn
+     */
+    transaction<R>(fn: () => R): R;
+
+    /**
+     * Run a function and collect the paths it reads and the change records of its writes
+     * @param fn - Function reading state
+     * @returns Return value, read paths and change records
+     */
+    $track<R>(fn: () => R): { value: R; reads: Set<string>; writes: Set<ChangeRecord> };
+
+    /**
+     * Call a function whenever a change affects one of the given read paths
+     * Paths are indexed, so each change only reaches the callbacks that depend on it
+     * @param paths - Read paths (e.g. the reads of $track())
+     * @param callback - Called with the change record
+     * @returns Function removing the callback
+     */
+    $dependOn(paths: Iterable<string>, callback: (change: ChangeRecord) => void): () => void;
+
+    /**
+     * Get a plain deep copy of the state, without proxies
+     * Dates, Maps and Sets are copied; shared and circular references are kept
+     * @returns Snapshot
+     */
+    $snapshot(): T;
+
     /**
      * Unsubscribe all listeners
      */
@@ -39,9 +94,13 @@ export interface Component extends HTMLElement {
 
     /**
      * Hook called after component renders
-     * @param fn - Effect function, can return cleanup function
+     * @param fn - Effect function, can return cleanup function; listeners added with `on`
+     *             are removed before it runs again
      */
-    useEffect(fn: (component: Component) => void | (() => void)): void;
+    useEffect(fn: (
+        component: Component,
+        on: (target: EventTarget, type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions) => void
+    ) => void | (() => void)): void;
 
     /**
      * Hook called when component is destroyed
@@ -55,6 +114,19 @@ export interface Component extends HTMLElement {
      */
     getState(): any;
 
+    /**
+     * Receive new prop values (called for data-bind:prop bindings)
+     * Goes to the onPropsChange handler, or is merged into the state to re-render
+     * @param changes - Changed props
+     */
+    setProps(changes: Record<string, any>): void;
+
+    /**
+     * Handle new prop values instead of re-rendering with them as state
+     * @param fn - Called with the changed props
+     */
+    onPropsChange(fn: (changes: Record<string, any>) => void): void;
+
     /**
      * Create a state getter/setter pair for a specific key
      * @param key - State property key
@@ -81,9 +153,262 @@ export interface Component extends HTMLElement {
  * @returns Reactive state proxy with subscribe/unsubscribe methods
  */
 export function createReactiveState<T extends object>(
-    initialState: T
+    initialState: T,
+    options?: { shallow?: boolean }
+): T & ReactiveState<T>;
+
+/**
+ * Create a reactive state that only tracks its top-level properties
+ * Nested objects are not proxied; replace them to notify subscribers
+ * @param initialState - Initial state object
+ * @returns Reactive state proxy
+ */
+export function shallowReactive<T extends object>(initialState: T): T & ReactiveState<T>;
+
+/**
+ * Create a readonly view of a reactive state (or any object)
+ * Writes, deletes and mutating methods log a warning and are ignored
+ * @param target - Reactive state or object to protect
+ * @returns Readonly proxy
+ */
+export function readonly<T extends object>(target: T): Readonly<T>;
+
+/**
+ * Undo/redo history options
+ */
+export interface HistoryOptions {
+    /** Wildcard pattern of the paths to record (defaults to '**') */
+    path?: string;
+    /** Maximum number of undo steps kept (defaults to 100) */
+    maxDepth?: number;
+    /** Close a step after each notification batch (defaults to true) */
+    autoCheckpoint?: boolean;
+    /** Called whenever the undo/redo stacks change */
+    onChange?: (history: History) => void;
+}
+
+/**
+ * Undo/redo history controller
+ */
+export interface History {
+    undo(): boolean;
+    redo(): boolean;
+    readonly canUndo: boolean;
+    readonly canRedo: boolean;
+    readonly undoCount: number;
+    readonly redoCount: number;
+    checkpoint(): void;
+    group<R>(fn: () => R): R;
+    pause(): void;
+    resume(): void;
+    clear(): void;
+    bindKeys(target?: EventTarget, options?: { editable?: boolean }): () => void;
+    destroy(): void;
+}
+
+/**
+ * Create an undo/redo history that records mutations of a reactive state
+ * @param state - Reactive state object
+ * @param options - History options
+ * @returns History controller
+ */
+export function createHistory<T extends object>(
+    state: T & ReactiveState<T>,
+    options?: HistoryOptions
+): History;
+
+/**
+ * A single RFC 6902 JSON Patch operation
+ */
+export type PatchOperation =
+    | { op: 'add'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'replace'; path: string; value: any }
+    | { op: 'move'; from: string; path: string }
+    | { op: 'copy'; from: string; path: string }
+    | { op: 'test'; path: string; value: any };
+
+/**
+ * Observe a reactive state as a stream of JSON Patch documents (one per notification batch)
+ * @param state - Reactive state object
+ * @param callback - Called with the operations of each batch
+ * @param options - path: wildcard pattern to observe; includeApplied: also emit patches applied with applyPatch
+ * @returns Unsubscribe function
+ */
+export function observePatches<T extends object>(
+    state: T & ReactiveState<T>,
+    callback: (patch: PatchOperation[]) => void,
+    options?: { path?: string; includeApplied?: boolean }
+): () => void;
+
+/**
+ * Apply a JSON Patch atomically: all operations succeed with one notification pass, or none are applied
+ * @param state - Reactive state object
+ * @param patch - Patch operations
+ */
+export function applyPatch<T extends object>(
+    state: T & ReactiveState<T>,
+    patch: PatchOperation[]
+): void;
+
+/**
+ * Convert a dot-notation path to a JSON Pointer
+ * @param path - Dot-notation path
+ * @returns JSON Pointer
+ */
+export function toPointer(path: string): string;
+
+/**
+ * When an effect re-runs after a dependency changes
+ */
+export type EffectScheduler = 'sync' | 'microtask' | 'animationFrame' | ((run: () => void) => void);
+
+/**
+ * Stop function returned by effect
+ */
+export interface EffectHandle {
+    (): void;
+    /** Paths read during the last run */
+    readonly dependencies: ReadonlySet<string>;
+}
+
+/**
+ * Run a function now and again whenever state it read changes
+ * @param state - Reactive state object
+ * @param fn - Effect function; may return a cleanup function
+ * @param options - scheduler (defaults to 'microtask') and onError
+ * @returns Stop function
+ */
+export function effect<T extends object>(
+    state: T & ReactiveState<T>,
+    fn: () => void | (() => void),
+    options?: { scheduler?: EffectScheduler; onError?: (error: unknown) => void }
+): EffectHandle;
+
+/**
+ * Computed property getter, or a getter with a custom equality check
+ */
+export type ComputedConfig<T, R> = ((state: T) => R) | { get: (state: T) => R; equals?: (a: R, b: R) => boolean };
+
+/**
+ * Define a cached, dependency-tracked computed property on a reactive state
+ * Every state path the getter reads is a dependency, nested paths included
+ * @param state - Reactive state object
+ * @param name - Property name
+ * @param config - Getter or configuration
+ * @returns Cleanup function removing the property
+ */
+export function createComputed<T extends object, R>(
+    state: T & ReactiveState<T>,
+    name: string,
+    config: ComputedConfig<T, R>
+): () => void;
+
+/**
+ * Define several computed properties at once
+ * @param state - Reactive state object
+ * @param computedProperties - Map of property names to getters or configurations
+ * @returns Cleanup function removing all of them
+ */
+export function createComputedProperties<T extends object>(
+    state: T & ReactiveState<T>,
+    computedProperties: Record<string, ComputedConfig<T, any>>
+): () => void;
+
+/**
+ * Value exposed on the state by an async computed property
+ */
+export interface AsyncComputedValue<R> {
+    value: R | undefined;
+    loading: boolean;
+    error: unknown;
+}
+
+/**
+ * Define an async computed property exposing { value, loading, error } at `name`
+ * Only the paths read before the getter's first await are dependencies
+ * Stale evaluations are aborted through the signal and their results ignored
+ * @param state - Reactive state object
+ * @param name - Property name
+ * @param config - Async getter, or { get, debounce, initial }
+ * @returns Cleanup function removing the property
+ */
+export function createAsyncComputed<T extends object, R>(
+    state: T & ReactiveState<T>,
+    name: string,
+    config: ((state: T, context: { signal: AbortSignal }) => Promise<R> | R)
+        | { get: (state: T, context: { signal: AbortSignal }) => Promise<R> | R; debounce?: number; initial?: R }
+): () => void;
+
+/**
+ * Serialize a reactive state (or any value) to JSON that round-trips Dates, Maps, Sets,
+ * undefined, non-finite numbers and shared or circular references
+ * @param value - Reactive state or value
+ * @param space - Indentation passed to JSON.stringify
+ * @returns JSON string
+ */
+export function serialize(value: any, space?: number | string): string;
+
+/**
+ * Parse a string produced by serialize()
+ * @param text - JSON string
+ * @returns Decoded value
+ */
+export function deserialize<T = any>(text: string): T;
+
+/**
+ * Create a fresh reactive state from serialize() output, a snapshot, or another state
+ * @param input - Serialized state or snapshot
+ * @param options - Options passed to createReactiveState
+ * @returns Reactive state
+ */
+export function hydrate<T extends object = Record<string, any>>(
+    input: string | T,
+    options?: { shallow?: boolean }
 ): T & ReactiveState<T>;
 
+/**
+ * Store definition
+ */
+export interface StoreOptions<S extends object> {
+    /** Initial state, or a function returning it */
+    state?: S | (() => S);
+    /** Computed values */
+    getters?: Record<string, (state: S) => any>;
+    /** Methods called with the store as `this` */
+    actions?: Record<string, (this: Store<S>, ...args: any[]) => any>;
+}
+
+/**
+ * Store instance: the reactive state plus its getters, actions and id
+ */
+export type Store<S extends object = Record<string, any>> = S & ReactiveState<S> & {
+    readonly $id: string;
+    [key: string]: any;
+};
+
+/**
+ * Define a store and register it under an id (referenced in bindings as `store:<id>.<path>`)
+ * @param id - Store id
+ * @param options - State, getters and actions
+ * @returns Store
+ */
+export function defineStore<S extends object>(id: string, options?: StoreOptions<S>): Store<S>;
+
+/**
+ * Get a registered store
+ * @param id - Store id
+ * @returns Store or undefined
+ */
+export function getStore<S extends object = Record<string, any>>(id: string): Store<S> | undefined;
+
+/**
+ * Unregister and destroy a store
+ * @param id - Store id
+ * @returns True if a store was removed
+ */
+export function removeStore(id: string): boolean;
+
 /**
  * Create a component from a template function
  * @param templateFn - Function that returns HTML template string
@@ -97,40 +422,152 @@ export function createComponent(
     styles?: string
 ): Component;
 
+/**
+ * Type of a component prop
+ */
+export type PropType =
+    | StringConstructor
+    | NumberConstructor
+    | BooleanConstructor
+    | ArrayConstructor
+    | ObjectConstructor
+    | FunctionConstructor;
+
+/**
+ * Declaration of a component prop
+ */
+export interface PropDefinition {
+    type: PropType;
+    /** Value when the attribute is absent; functions are called for a fresh value */
+    default?: any;
+    /** Warn when the attribute is absent */
+    required?: boolean;
+}
+
+/**
+ * registerComponent options
+ */
+export interface RegisterComponentOptions {
+    /** Props schema used to coerce the attributes of the tag */
+    props?: Record<string, PropType | PropDefinition>;
+    /** The component is a loader, called on first use (true) or when a tag scrolls into view ('visible') */
+    lazy?: boolean | 'visible';
+    /** Registered tag name or function returning the element shown while a lazy or async component loads */
+    placeholder?: string | ((props: Record<string, any>) => Component);
+}
+
+/**
+ * Loader of a lazy component: resolves to a module exporting the component (named like the tag, or default)
+ */
+export type ComponentLoader = () => Promise<{ default?: (props: any) => Component; [name: string]: any } | ((props: any) => Component)>;
+
 /**
  * Register a component with a custom tag name
  * @param tagName - Tag name for the component
- * @param componentFunc - Component function
+ * @param componentFunc - Component function, async component, or loader with options.lazy
+ * @param options - Registration options (props schema, lazy loading, placeholder)
  */
 export function registerComponent(
     tagName: string,
-    componentFunc: (props: any) => Component
+    componentFunc: ((props: any) => Component | Promise<Component>) | ComponentLoader,
+    options?: RegisterComponentOptions
 ): void;
 
 /**
  * Load all registered components in the given root element
  * @param root - Root element to search for components
  * @param reactiveState - Optional reactive state for data binding
+ * @param options - Options passed to bindData
  */
 export function loadComponents(
     root?: Document | HTMLElement,
-    reactiveState?: ReactiveState
+    reactiveState?: ReactiveState,
+    options?: BindDataOptions
 ): void;
 
 /**
- * Automatically register all exported component functions
+ * Load components and bind data in root, then keep doing so as its DOM changes:
+ * inserted subtrees are hydrated and bound, removed subtrees are unbound and their components destroyed
+ * @param root - Element to observe (default: document.body)
+ * @param reactiveState - Reactive state for bindData
+ * @param options - Options passed to loadComponents and bindData
+ * @returns Function that stops observing
+ */
+export function autoBind(
+    root?: HTMLElement,
+    reactiveState?: ReactiveState,
+    options?: BindDataOptions
+): () => void;
+
+/**
+ * Register every built-in component, each as a lazy loader imported when its first tag is found
+ * (Skeleton and Spinner are registered eagerly, for use as placeholders)
  */
 export function autoRegisterComponents(): void;
 
+/**
+ * defineCustomElement options
+ */
+export interface CustomElementOptions {
+    /** Props schema; its attributes are observed and passed to setProps when they change (without one, every attribute is, as a string) */
+    props?: Record<string, PropType | PropDefinition>;
+    /** Render into a shadow root ('open' or 'closed'; true is 'open') */
+    shadow?: boolean | 'open' | 'closed';
+    /** CSS added to the shadow root */
+    styles?: string;
+    /** Reactive state for data-bind:prop attributes and bindings in the component */
+    state?: ReactiveState;
+}
+
+/**
+ * Define a component as a custom element, rendered when connected and destroyed when removed
+ * @param name - Custom element name (lowercase, with a hyphen)
+ * @param componentFunc - Component function
+ * @param options - Props schema, shadow DOM and state
+ * @returns True if the element was defined
+ */
+export function defineCustomElement(
+    name: string,
+    componentFunc: (props: any) => Component,
+    options?: CustomElementOptions
+): boolean;
+
+/**
+ * Define every registered component as a custom element (DataTable becomes rnx-data-table)
+ * @param options - Name prefix and options for defineCustomElement
+ * @returns Names of the elements defined
+ */
+export function defineCustomElements(
+    options?: Omit<CustomElementOptions, 'props'> & { prefix?: string }
+): string[];
+
+/**
+ * Handler of a data-on binding; a data-form stays submitting while a submit handler's promise is pending
+ */
+export type EventHandler = (event: Event, state: ReactiveState) => void | Promise<unknown>;
+
+/**
+ * bindData options
+ */
+export interface BindDataOptions {
+    /** Handlers for data-on:event="name" bindings (nested objects are addressed by dot path) */
+    methods?: Record<string, EventHandler | Record<string, any>>;
+    /** Also bind the attributes of the root element itself */
+    includeRoot?: boolean;
+}
+
 /**
  * Bind data-bind attributes to reactive state
- * Sets up two-way binding for inputs and one-way binding for display elements
+ * Sets up two-way binding for inputs and one-way binding for display elements,
+ * plus data-form, data-for, data-if, data-class, data-style, data-attr-*, data-show and data-on
  * @param rootElement - Root element to search for data-bind attributes
  * @param state - Reactive state object
+ * @param options - Binding options
  */
 export function bindData(
     rootElement?: Document | HTMLElement,
-    state?: ReactiveState
+    state?: ReactiveState,
+    options?: BindDataOptions
 ): void;
 
 /**
@@ -139,6 +576,118 @@ export function bindData(
  */
 export function unbindData(rootElement: HTMLElement): void;
 
+/**
+ * State of a data-form element, kept in state.forms.<name>
+ */
+export interface FormState {
+    /** No field has an error or async rules running */
+    valid: boolean;
+    /** A field value differs from its value when bound */
+    dirty: boolean;
+    /** A field has lost focus */
+    touched: boolean;
+    /** Async rules run after a submit, or a data-on:submit handler's promise is pending */
+    submitting: boolean;
+    /** Error messages of the form's fields, by path */
+    errors: Record<string, any>;
+    /** Server error that belongs to no field */
+    message: string;
+}
+
+/**
+ * Show server-side validation errors (Laravel, Rails or Django 422 payloads) on the fields of a data-form
+ * @param state - Reactive state passed to bindData
+ * @param formName - data-form name
+ * @param payload - Parsed error response body
+ */
+export function setServerErrors(state: ReactiveState, formName: string, payload: unknown): void;
+
+/**
+ * Filter for binding expressions: `value | name:arg1:arg2` calls `filter(value, arg1, arg2)`
+ */
+export type FilterFunction = (value: any, ...args: any[]) => any;
+
+/**
+ * Register a filter for binding expressions, replacing any filter with the same name
+ * @param name - Filter name (identifier)
+ * @param fn - Filter function
+ */
+export function registerFilter(name: string, fn: FilterFunction): void;
+
+/**
+ * Context passed to validators
+ */
+export interface ValidatorContext {
+    /** State the field is bound to */
+    state: ReactiveState;
+    /** Path of the field */
+    path: string;
+    /** Aborted when a newer check of the field starts */
+    signal: AbortSignal | null;
+    /** Read another state path */
+    getValue(path: string): any;
+}
+
+/**
+ * Validator result: true, null or undefined when valid; false for the default message;
+ * otherwise a message, an i18n key, or a message with placeholder values
+ */
+export type ValidatorResult = boolean | string | null | undefined | { message: string; params?: Record<string, any> };
+
+/**
+ * Validation rule: `value`, the comma-separated params of the rule, and the context
+ */
+export type ValidatorFunction = (
+    value: any,
+    params: string[],
+    context: ValidatorContext
+) => ValidatorResult | Promise<ValidatorResult>;
+
+/**
+ * Validation rule options
+ */
+export interface ValidatorOptions {
+    /** Default message or i18n key (defaults to "common.validation.<name>") */
+    message?: string;
+    /** State paths the rule reads; the field is validated again when they change */
+    fields?: (params: string[]) => string[];
+}
+
+/**
+ * Register a data-rule validation rule, replacing any rule with the same name
+ * @param name - Rule name
+ * @param fn - Validator function (may be async)
+ * @param options - Rule options
+ */
+export function registerValidator(name: string, fn: ValidatorFunction, options?: ValidatorOptions): void;
+
+/**
+ * Converts between a state value and the text of an input with data-format
+ */
+export interface Formatter {
+    /** State value to the text shown in the input */
+    format(value: any, ...args: any[]): string;
+    /** Text of the input to the state value */
+    parse(text: string, ...args: any[]): any;
+    /** Text to masked text, applied while typing (formatters without a mask format on change) */
+    mask?(text: string, ...args: any[]): string;
+}
+
+/**
+ * Register a data-format formatter, replacing any formatter with the same name
+ * @param name - Formatter name (identifier)
+ * @param formatter - Formatter
+ */
+export function registerFormatter(name: string, formatter: Formatter): void;
+
+/**
+ * Create a formatter from a mask pattern: 9 is a digit, A a letter, * a letter or digit,
+ * other characters are shown as is (a backslash makes a token character literal)
+ * @param pattern - Mask pattern (e.g., "(999) 999-9999")
+ * @param options - Mask options
+ */
+export function createMask(pattern: string, options?: { uppercase?: boolean }): Required<Formatter>;
+
 // Bootstrap Component Types
 export interface ButtonProps {
     label?: string;
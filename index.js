@@ -1,6 +1,12 @@
 // Core Utilities
 export { createComponent } from './utils/createComponent.js';
-export { createReactiveState } from './utils/createReactiveState.js';
+export { createReactiveState, shallowReactive, readonly } from './utils/createReactiveState.js';
+export { createHistory } from './utils/createHistory.ts';
+export { observePatches, applyPatch, toPointer } from './utils/jsonPatch.ts';
+export { effect } from './utils/effect.ts';
+export { createComputed, createComputedProperties, createAsyncComputed } from './utils/createComputed.ts';
+export { serialize, deserialize, hydrate } from './utils/serialize.ts';
+export { defineStore, getStore, removeStore } from './utils/store.ts';
 export { setBootstrap, getBootstrap } from './utils/config.js';
 
 // Security Utilities
@@ -18,9 +24,13 @@ export {
 
 // Framework
 export { registerComponent } from './framework/Registry.js';
-export { loadComponents } from './framework/ComponentLoader.js';
+export { loadComponents, autoBind } from './framework/ComponentLoader.js';
 export { autoRegisterComponents } from './framework/AutoRegistry.js';
-export { bindData } from './framework/DataBinder.js';
+export { defineCustomElement, defineCustomElements } from './framework/CustomElements.js';
+export { bindData, setServerErrors } from './framework/DataBinder.js';
+export { registerFilter } from './framework/Filters.js';
+export { registerValidator } from './framework/Validators.js';
+export { registerFormatter, createMask } from './framework/Formatters.js';
 
 // Plugin System
 export { PluginManager, plugins } from './utils/plugins.js';
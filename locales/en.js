@@ -28,7 +28,11 @@ export default {
             pattern: 'Invalid format',
             url: 'Please enter a valid URL',
             number: 'Must be a number',
-            integer: 'Must be an integer'
+            integer: 'Must be an integer',
+            same: 'Must match {other}',
+            different: 'Must be different from {other}',
+            after: 'Must be after {other}',
+            before: 'Must be before {other}'
         },
         messages: {
             loading: 'Loading...',
@@ -28,7 +28,11 @@ export default {
             pattern: 'Formato inválido',
             url: 'Por favor ingrese una URL válida',
             number: 'Debe ser un número',
-            integer: 'Debe ser un número entero'
+            integer: 'Debe ser un número entero',
+            same: 'Debe coincidir con {other}',
+            different: 'Debe ser diferente de {other}',
+            after: 'Debe ser posterior a {other}',
+            before: 'Debe ser anterior a {other}'
         },
         messages: {
             loading: 'Cargando...',
@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { bindData, unbindData } from '../framework/DataBinder.js';
 import { createReactiveState } from '../utils/createReactiveState.ts';
+import { defineStore, getStore, removeStore } from '../utils/store.ts';
+import { trustHtml } from '../utils/security.js';
 
 describe('DataBinder', () => {
     let container;
@@ -53,6 +55,510 @@ describe('DataBinder', () => {
         });
     });
 
+    describe('Map and Set Binding', () => {
+        it('should display Map entries', () => {
+            container.innerHTML = '<span data-bind="labels.draft"></span>';
+            const state = createReactiveState({ labels: new Map([['draft', 'Draft']]) });
+
+            bindData(container, state);
+            const span = container.querySelector('span');
+            expect(span.textContent).toBe('Draft');
+
+            state.labels.set('draft', 'In progress');
+            state.$flushSync();
+            expect(span.textContent).toBe('In progress');
+        });
+
+        it('should bind a checkbox to Set membership', () => {
+            container.innerHTML = '<input type="checkbox" data-bind="selected.7" />';
+            const state = createReactiveState({ selected: new Set([3]) });
+
+            bindData(container, state);
+            const checkbox = container.querySelector('input');
+            expect(checkbox.checked).toBe(false);
+
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change'));
+            expect(state.selected.has(7)).toBe(true);
+
+            state.selected.delete(7);
+            state.$flushSync();
+            expect(checkbox.checked).toBe(false);
+        });
+    });
+
+    describe('Store Binding', () => {
+        afterEach(() => {
+            removeStore('session');
+        });
+
+        it('should bind store: paths to the registered store', () => {
+            defineStore('session', { state: { user: 'Alice' } });
+            container.innerHTML = '<span data-bind="store:session.user"></span><input data-bind="store:session.user" /><span data-bind="title"></span>';
+            const state = createReactiveState({ title: 'Home' });
+
+            bindData(container, state);
+            const [span, input] = container.querySelectorAll('[data-bind]');
+            expect(span.textContent).toBe('Alice');
+            expect(input.value).toBe('Alice');
+
+            input.value = 'Bob';
+            input.dispatchEvent(new Event('input'));
+            state.$flushSync();
+            getStore('session').$flushSync();
+
+            expect(span.textContent).toBe('Bob');
+            expect(container.querySelectorAll('span')[1].textContent).toBe('Home');
+        });
+    });
+
+    describe('Attribute Directives', () => {
+        it('should toggle classes from a data-class object', () => {
+            container.innerHTML = `<a class="tab" data-class="{active: tab === 'home', 'text-muted is-disabled': !enabled}"></a>`;
+            const state = createReactiveState({ tab: 'home', enabled: true });
+
+            bindData(container, state);
+            const link = container.querySelector('a');
+            expect(link.className).toBe('tab active');
+
+            state.tab = 'settings';
+            state.enabled = false;
+            state.$flushSync();
+            expect(link.className).toBe('tab text-muted is-disabled');
+        });
+
+        it('should replace classes given by a data-class value', () => {
+            container.innerHTML = '<div class="card" data-class="variant"></div>';
+            const state = createReactiveState({ variant: 'bg-primary text-white' });
+
+            bindData(container, state);
+            const div = container.querySelector('div');
+            expect(div.className).toBe('card bg-primary text-white');
+
+            state.variant = ['bg-dark', 'text-white'];
+            state.$flushSync();
+            expect(div.className).toBe('card text-white bg-dark');
+        });
+
+        it('should apply data-style values', () => {
+            container.innerHTML = '<div data-style="{color: theme.color, fontSize: theme.size, display: hidden}"></div>';
+            const state = createReactiveState({ theme: { color: 'red', size: '12px' }, hidden: 'none' });
+
+            bindData(container, state);
+            const div = container.querySelector('div');
+            expect(div.style.color).toBe('red');
+            expect(div.style.fontSize).toBe('12px');
+            expect(div.style.display).toBe('none');
+
+            state.theme.color = 'blue';
+            state.hidden = null;
+            state.$flushSync();
+            expect(div.style.color).toBe('blue');
+            expect(div.style.display).toBe('');
+        });
+
+        it('should set, remove and sanitize data-attr-* attributes', () => {
+            container.innerHTML = `<button data-attr-disabled="saving" data-attr-aria-expanded="open"></button>
+                <a data-attr-href="link" data-attr-title="'Open'"></a>`;
+            const state = createReactiveState({ saving: true, open: false, link: '/home' });
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, state);
+            const button = container.querySelector('button');
+            const link = container.querySelector('a');
+            expect(button.hasAttribute('disabled')).toBe(true);
+            expect(button.getAttribute('aria-expanded')).toBe('false');
+            expect(link.getAttribute('href')).toBe('/home');
+            expect(link.getAttribute('title')).toBe('Open');
+
+            state.saving = false;
+            state.open = true;
+            state.link = 'javascript:alert(1)';
+            state.$flushSync();
+            expect(button.hasAttribute('disabled')).toBe(false);
+            expect(button.getAttribute('aria-expanded')).toBe('true');
+            expect(link.hasAttribute('href')).toBe(false);
+
+            warnSpy.mockRestore();
+        });
+
+        it('should block event handler attributes and dangerous expressions', () => {
+            container.innerHTML = '<div data-attr-onclick="handler" data-attr-title="constructor.name"></div>';
+            const state = createReactiveState({ handler: 'alert(1)' });
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, state);
+            const div = container.querySelector('div');
+            expect(div.hasAttribute('onclick')).toBe(false);
+            expect(div.hasAttribute('title')).toBe(false);
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('data-attr-onclick'));
+
+            warnSpy.mockRestore();
+        });
+
+        it('should stop updating after unbindData and allow binding again', () => {
+            container.innerHTML = '<div data-class="{active: on}"></div>';
+            const state = createReactiveState({ on: false });
+            const div = container.querySelector('div');
+
+            bindData(container, state);
+            unbindData(container);
+            state.on = true;
+            state.$flushSync();
+            expect(div.classList.contains('active')).toBe(false);
+
+            bindData(container, state);
+            expect(div.classList.contains('active')).toBe(true);
+        });
+    });
+
+    describe('Conditional Rendering', () => {
+        it('should insert and remove a data-if element when state changes', () => {
+            container.innerHTML = '<p data-if="user.loggedIn">Welcome <span data-bind="user.name"></span></p>';
+            const state = createReactiveState({ user: { loggedIn: false, name: 'Alice' } });
+
+            bindData(container, state);
+            expect(container.querySelector('p')).toBeNull();
+
+            state.user.loggedIn = true;
+            state.$flushSync();
+            expect(container.querySelector('p').textContent).toBe('Welcome Alice');
+
+            state.user.loggedIn = false;
+            state.$flushSync();
+            expect(container.querySelector('p')).toBeNull();
+        });
+
+        it('should render the first matching branch of a data-else-if / data-else chain', () => {
+            container.innerHTML = `
+                <span data-if="status === 'loading'">Loading</span>
+                <span data-else-if="status === 'error'">Error</span>
+                <span data-else>Done</span>`;
+            const state = createReactiveState({ status: 'loading' });
+
+            bindData(container, state);
+            const text = () => Array.from(container.querySelectorAll('span'), span => span.textContent);
+            expect(text()).toEqual(['Loading']);
+
+            state.status = 'error';
+            state.$flushSync();
+            expect(text()).toEqual(['Error']);
+
+            state.status = 'ready';
+            state.$flushSync();
+            expect(text()).toEqual(['Done']);
+        });
+
+        it('should keep branch bindings active while removed', () => {
+            container.innerHTML = '<div data-if="open"><input data-bind="query" /></div>';
+            const state = createReactiveState({ open: false, query: 'a' });
+
+            bindData(container, state);
+            state.query = 'b';
+            state.open = true;
+            state.$flushSync();
+
+            expect(container.querySelector('input').value).toBe('b');
+        });
+
+        it('should toggle display with data-show', () => {
+            container.innerHTML = '<div style="display: flex" data-show="count > 0"></div>';
+            const state = createReactiveState({ count: 0 });
+
+            bindData(container, state);
+            const div = container.querySelector('div');
+            expect(div.style.display).toBe('none');
+
+            state.count = 2;
+            state.$flushSync();
+            expect(div.style.display).toBe('flex');
+        });
+
+        it('should stop updating after unbindData', () => {
+            container.innerHTML = '<p data-if="visible">Hi</p>';
+            const state = createReactiveState({ visible: true });
+
+            bindData(container, state);
+            unbindData(container);
+            state.visible = false;
+            state.$flushSync();
+
+            expect(container.querySelector('p')).not.toBeNull();
+        });
+
+        it('should warn about data-else without a preceding data-if', () => {
+            container.innerHTML = '<p data-else>Orphan</p>';
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, createReactiveState({}));
+
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('data-else'), expect.anything());
+            expect(container.querySelector('p')).not.toBeNull();
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('Event Binding', () => {
+        it('should call methods with the event and state', () => {
+            container.innerHTML = '<button data-on:click="increment">+</button>';
+            const state = createReactiveState({ count: 0 });
+            const methods = { increment: vi.fn((event, s) => { s.count++; }) };
+
+            bindData(container, state, { methods });
+            container.querySelector('button').click();
+
+            expect(state.count).toBe(1);
+            expect(methods.increment).toHaveBeenCalledWith(expect.any(Event), state);
+        });
+
+        it('should apply prevent, stop and once modifiers', () => {
+            container.innerHTML = '<form data-on:submit.prevent.stop.once="save"></form>';
+            const save = vi.fn();
+            const outer = vi.fn();
+            container.addEventListener('submit', outer);
+
+            bindData(container, createReactiveState({}), { methods: { save } });
+            const form = container.querySelector('form');
+            const first = new Event('submit', { bubbles: true, cancelable: true });
+            form.dispatchEvent(first);
+            form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+            expect(first.defaultPrevented).toBe(true);
+            expect(save).toHaveBeenCalledTimes(1);
+            expect(outer).toHaveBeenCalledTimes(1);
+        });
+
+        it('should filter keyboard events by key', () => {
+            container.innerHTML = '<input data-on:keydown.enter="submit" data-on:keydown.esc="cancel" />';
+            const methods = { submit: vi.fn(), cancel: vi.fn() };
+
+            bindData(container, createReactiveState({}), { methods });
+            const input = container.querySelector('input');
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+            expect(methods.submit).toHaveBeenCalledTimes(1);
+            expect(methods.cancel).toHaveBeenCalledTimes(1);
+        });
+
+        it('should debounce calls', () => {
+            vi.useFakeTimers();
+            container.innerHTML = '<input data-on:input.debounce.300ms="search" />';
+            const search = vi.fn();
+
+            bindData(container, createReactiveState({}), { methods: { search } });
+            const input = container.querySelector('input');
+            input.dispatchEvent(new Event('input'));
+            vi.advanceTimersByTime(200);
+            input.dispatchEvent(new Event('input'));
+            vi.advanceTimersByTime(200);
+            expect(search).not.toHaveBeenCalled();
+
+            vi.advanceTimersByTime(100);
+            expect(search).toHaveBeenCalledTimes(1);
+            vi.useRealTimers();
+        });
+
+        it('should resolve nested method paths and reject expressions', () => {
+            container.innerHTML = `<button data-on:click="cart.add"></button><a data-on:click="alert('x')"></a><i data-on:click="constructor"></i>`;
+            const methods = { cart: { add: vi.fn() } };
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, createReactiveState({}), { methods });
+            container.querySelector('button').click();
+
+            expect(methods.cart.add).toHaveBeenCalledTimes(1);
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid data-on:click handler'));
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('"constructor" is not defined'));
+            warnSpy.mockRestore();
+        });
+
+        it('should remove listeners on unbindData', () => {
+            container.innerHTML = '<button data-on:click="increment"></button>';
+            const increment = vi.fn();
+
+            bindData(container, createReactiveState({}), { methods: { increment } });
+            unbindData(container);
+            container.querySelector('button').click();
+
+            expect(increment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Expression Binding', () => {
+        it('should display expressions with filters and update them', () => {
+            container.innerHTML = `<span data-bind="price * qty | currency:'EUR'"></span><b data-bind="user.first + ' ' + user.last | upper"></b>`;
+            const state = createReactiveState({ price: 10, qty: 2, user: { first: 'Ada', last: 'Lovelace' } });
+
+            bindData(container, state);
+            const span = container.querySelector('span');
+            expect(span.textContent).toBe('€20.00');
+            expect(container.querySelector('b').textContent).toBe('ADA LOVELACE');
+
+            state.qty = 3;
+            state.$flushSync();
+            expect(span.textContent).toBe('€30.00');
+        });
+
+        it('should not bind expressions two-way', () => {
+            container.innerHTML = '<input data-bind="price * 2" />';
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, createReactiveState({ price: 1 }));
+
+            expect(container.querySelector('input').value).toBe('');
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid data-bind path'), expect.anything());
+            warnSpy.mockRestore();
+        });
+
+        it('should render data-for sources given as expressions', () => {
+            container.innerHTML = '<ul><li data-for="tag in tags | limit:max" data-bind="tag"></li></ul>';
+            const state = createReactiveState({ tags: ['a', 'b', 'c'], max: 2 });
+
+            bindData(container, state);
+            const text = () => Array.from(container.querySelectorAll('li'), li => li.textContent);
+            expect(text()).toEqual(['a', 'b']);
+
+            state.max = 3;
+            state.$flushSync();
+            expect(text()).toEqual(['a', 'b', 'c']);
+        });
+    });
+
+    describe('Formatted Inputs', () => {
+        it('should mask input while state holds the typed characters', () => {
+            container.innerHTML = '<input data-bind="phone" data-mask="(999) 999-9999" />';
+            const state = createReactiveState({ phone: '5551234567' });
+
+            bindData(container, state);
+            const input = container.querySelector('input');
+            expect(input.value).toBe('(555) 123-4567');
+
+            input.focus();
+            input.value = '55598';
+            input.setSelectionRange(5, 5);
+            input.dispatchEvent(new Event('input'));
+            expect(input.value).toBe('(555) 98');
+            expect(input.selectionStart).toBe(8);
+            expect(state.phone).toBe('55598');
+        });
+
+        it('should parse and format numbers with data-format', () => {
+            container.innerHTML = '<input data-bind="amount" data-format="number:2" />';
+            const state = createReactiveState({ amount: 1234.5 });
+
+            bindData(container, state);
+            const input = container.querySelector('input');
+            expect(input.value).toBe('1,234.50');
+
+            // Text being typed is kept; it is formatted when editing is done
+            input.value = '9876.';
+            input.dispatchEvent(new Event('input'));
+            state.$flushSync();
+            expect(state.amount).toBe(9876);
+            expect(input.value).toBe('9876.');
+
+            input.dispatchEvent(new Event('change'));
+            expect(input.value).toBe('9,876.00');
+
+            state.amount = 42;
+            state.$flushSync();
+            expect(input.value).toBe('42.00');
+        });
+
+        it('should warn about unknown formatters and unsupported inputs', () => {
+            container.innerHTML = '<input data-bind="a" data-format="missing" /><input type="checkbox" data-bind="b" data-mask="9" />';
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, createReactiveState({ a: 'x', b: true }));
+
+            expect(container.querySelector('input').value).toBe('x');
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown formatter "missing"'));
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('only apply to text inputs'), expect.anything());
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('Binding Modes', () => {
+        it('should update state on change with lazy', () => {
+            container.innerHTML = '<input data-bind="search" data-bind-mode="lazy" />';
+            const state = createReactiveState({ search: '' });
+
+            bindData(container, state);
+            const input = container.querySelector('input');
+            input.value = 'query';
+            input.dispatchEvent(new Event('input'));
+            expect(state.search).toBe('');
+
+            input.dispatchEvent(new Event('change'));
+            expect(state.search).toBe('query');
+        });
+
+        it('should debounce state updates and write them on change', () => {
+            vi.useFakeTimers();
+            try {
+                container.innerHTML = '<input data-bind="search" data-bind-mode="debounce.300ms" />';
+                const state = createReactiveState({ search: '' });
+
+                bindData(container, state);
+                const input = container.querySelector('input');
+                input.value = 'a';
+                input.dispatchEvent(new Event('input'));
+                input.value = 'ab';
+                input.dispatchEvent(new Event('input'));
+                vi.advanceTimersByTime(299);
+                expect(state.search).toBe('');
+
+                vi.advanceTimersByTime(1);
+                expect(state.search).toBe('ab');
+
+                input.value = 'abc';
+                input.dispatchEvent(new Event('input'));
+                input.dispatchEvent(new Event('change'));
+                expect(state.search).toBe('abc');
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        it('should trim text and convert numbers without rewriting the input', () => {
+            container.innerHTML = `
+                <input id="name" data-bind="name" data-bind-mode="trim" />
+                <input id="qty" data-bind="qty" data-bind-mode="number" />
+            `;
+            const state = createReactiveState({ name: '', qty: 0 });
+
+            bindData(container, state);
+            const name = container.querySelector('#name');
+            const qty = container.querySelector('#qty');
+
+            name.value = ' Ada ';
+            name.dispatchEvent(new Event('input'));
+            qty.value = '2.5';
+            qty.dispatchEvent(new Event('input'));
+            state.$flushSync();
+
+            expect(state.name).toBe('Ada');
+            expect(name.value).toBe(' Ada ');
+            expect(state.qty).toBe(2.5);
+
+            qty.value = 'abc';
+            qty.dispatchEvent(new Event('input'));
+            expect(state.qty).toBe('abc');
+        });
+
+        it('should warn about unknown modes', () => {
+            container.innerHTML = '<input data-bind="a" data-bind-mode="lazy eager" />';
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+            bindData(container, createReactiveState({ a: '' }));
+
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown data-bind-mode "eager"'), expect.anything());
+            warnSpy.mockRestore();
+        });
+    });
+
     describe('Nested Properties', () => {
         it('should handle nested property paths', () => {
             container.innerHTML = '<input data-bind="user.profile.name" />';
@@ -139,6 +645,124 @@ describe('DataBinder', () => {
 
             expect(state.country).toBe('uk');
         });
+
+        it('should bind multi-selects to arrays', () => {
+            container.innerHTML = `
+                <select multiple data-bind="tags">
+                    <option value="a">A</option>
+                    <option value="b">B</option>
+                    <option value="c">C</option>
+                </select>
+            `;
+            const state = createReactiveState({ tags: ['b'] });
+
+            bindData(container, state);
+            const select = container.querySelector('select');
+            const selected = () => Array.from(select.options).filter(opt => opt.selected).map(opt => opt.value);
+            expect(selected()).toEqual(['b']);
+
+            select.options[0].selected = true;
+            select.dispatchEvent(new Event('input'));
+            expect(state.tags).toEqual(['a', 'b']);
+
+            state.tags.push('c');
+            state.$flushSync();
+            expect(selected()).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should bind checkbox groups to arrays and Sets', () => {
+            container.innerHTML = `
+                <input type="checkbox" value="red" data-bind="colors" />
+                <input type="checkbox" value="blue" data-bind="colors" />
+                <input type="checkbox" value="1" data-bind="ids" data-bind-mode="number" />
+                <input type="checkbox" value="2" data-bind="ids" data-bind-mode="number" />
+            `;
+            const state = createReactiveState({ colors: ['blue'], ids: new Set([2]) });
+
+            bindData(container, state);
+            const [red, blue, one, two] = container.querySelectorAll('input');
+            expect([red.checked, blue.checked, one.checked, two.checked]).toEqual([false, true, false, true]);
+
+            red.checked = true;
+            red.dispatchEvent(new Event('change'));
+            blue.checked = false;
+            blue.dispatchEvent(new Event('change'));
+            expect(state.colors).toEqual(['red']);
+
+            one.checked = true;
+            one.dispatchEvent(new Event('change'));
+            expect(Array.from(state.ids)).toEqual([2, 1]);
+
+            state.colors = ['red', 'blue'];
+            state.$flushSync();
+            expect(blue.checked).toBe(true);
+        });
+
+        it('should bind radio groups sharing one path', () => {
+            container.innerHTML = `
+                <input type="radio" name="size" value="1" data-bind="size" data-bind-mode="number" />
+                <input type="radio" name="size" value="2" data-bind="size" data-bind-mode="number" />
+            `;
+            const state = createReactiveState({ size: 2 });
+
+            bindData(container, state);
+            const [small, large] = container.querySelectorAll('input');
+            expect(large.checked).toBe(true);
+
+            small.checked = true;
+            small.dispatchEvent(new Event('change'));
+            expect(state.size).toBe(1);
+
+            state.size = 2;
+            state.$flushSync();
+            expect(small.checked).toBe(false);
+            expect(large.checked).toBe(true);
+        });
+
+        it('should bind file inputs to files', () => {
+            container.innerHTML = '<input type="file" data-bind="avatar" /><input type="file" multiple data-bind="attachments" />';
+            const state = createReactiveState({ avatar: null, attachments: [] });
+
+            bindData(container, state);
+            const [single, multiple] = container.querySelectorAll('input');
+            const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+            const other = new File(['bye'], 'bye.txt', { type: 'text/plain' });
+
+            Object.defineProperty(single, 'files', { value: [file], configurable: true });
+            single.dispatchEvent(new Event('change'));
+            Object.defineProperty(multiple, 'files', { value: [file, other], configurable: true });
+            multiple.dispatchEvent(new Event('change'));
+
+            // Files are stored as is, so they can be sent with FormData
+            expect(state.avatar).toBe(file);
+            expect(state.attachments.map(item => item.name)).toEqual(['hello.txt', 'bye.txt']);
+            expect(state.attachments[1]).toBe(other);
+        });
+
+        it('should bind contenteditable text, and HTML from trustHtml in html mode', () => {
+            container.innerHTML = `
+                <div id="text" contenteditable="true" data-bind="title"></div>
+                <div id="html" contenteditable data-bind="body" data-bind-mode="html"></div>
+            `;
+            const state = createReactiveState({ title: '<b>Hi</b>', body: trustHtml('<p>Hello <em>world</em></p>') });
+
+            bindData(container, state);
+            const text = container.querySelector('#text');
+            const html = container.querySelector('#html');
+            expect(text.textContent).toBe('<b>Hi</b>');
+            expect(html.querySelector('em').textContent).toBe('world');
+
+            html.innerHTML = '<p>Bye</p>';
+            html.dispatchEvent(new Event('input'));
+            expect(state.body).toBe('<p>Bye</p>');
+            expect(html.innerHTML).toBe('<p>Bye</p>');
+
+            // Plain strings are never set as markup
+            state.body = '<img src=x onerror=alert(1)>';
+            state.$flushSync();
+            expect(html.querySelector('img')).toBeNull();
+            expect(html.textContent).toBe('<img src=x onerror=alert(1)>');
+        });
     });
 
     describe('Validation', () => {
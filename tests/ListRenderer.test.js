@@ -262,6 +262,45 @@ describe('ListRenderer with data-for', () => {
         });
     });
 
+    describe('Map and Set sources', () => {
+        it('should render Map values and update on set()', () => {
+            container.innerHTML = `
+                <ul>
+                    <li data-for="user in users"><span data-bind="user.name"></span></li>
+                </ul>
+            `;
+
+            const state = createReactiveState({
+                users: new Map([[1, { name: 'Alice' }], [2, { name: 'Bob' }]])
+            });
+
+            bindData(container, state);
+            expect(Array.from(container.querySelectorAll('li'), li => li.textContent)).toEqual(['Alice', 'Bob']);
+
+            state.users.set(3, { name: 'Carol' });
+            state.$flushSync();
+            expect(container.querySelectorAll('li')).toHaveLength(3);
+        });
+
+        it('should render Set items and update on add()/delete()', () => {
+            container.innerHTML = `
+                <ul>
+                    <li data-for="tag in tags" data-key="tag" data-bind="tag"></li>
+                </ul>
+            `;
+
+            const state = createReactiveState({ tags: new Set(['a', 'b']) });
+
+            bindData(container, state);
+            expect(container.querySelectorAll('li')).toHaveLength(2);
+
+            state.tags.delete('a');
+            state.tags.add('c');
+            state.$flushSync();
+            expect(Array.from(container.querySelectorAll('li'), li => li.textContent)).toEqual(['b', 'c']);
+        });
+    });
+
     describe('edge cases', () => {
         it('should handle empty arrays', () => {
             container.innerHTML = `
@@ -329,5 +368,23 @@ describe('ListRenderer with data-for', () => {
             const items = container.querySelectorAll('li');
             expect(items).toHaveLength(4);
         });
+
+        it('should evaluate item expressions with the item, index and state', () => {
+            container.innerHTML = `
+                <ul>
+                    <li data-for="(line, i) in lines"><span data-bind="i + 1 + '. ' + line.name | upper"></span><b data-bind="line.price * line.qty | currency:currency"></b></li>
+                </ul>
+            `;
+
+            const state = createReactiveState({
+                currency: 'USD',
+                lines: [{ name: 'pen', price: 2, qty: 3 }, { name: 'ink', price: 5, qty: 1 }]
+            });
+
+            bindData(container, state);
+
+            expect(Array.from(container.querySelectorAll('span'), el => el.textContent)).toEqual(['1. PEN', '2. INK']);
+            expect(Array.from(container.querySelectorAll('b'), el => el.textContent)).toEqual(['$6.00', '$5.00']);
+        });
     });
 });
@@ -1,6 +1,8 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { bindData, unbindData } from '../framework/DataBinder.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { bindData, unbindData, setServerErrors } from '../framework/DataBinder.js';
+import { registerValidator, validateValue, parseServerErrors } from '../framework/Validators.js';
 import { createReactiveState } from '../utils/createReactiveState.ts';
+import { i18n } from '../utils/i18n.ts';
 
 describe('DataBinder Validation', () => {
     let container;
@@ -175,4 +177,275 @@ describe('DataBinder Validation', () => {
         state.$flushSync(); // Flush batched updates
         expect(state.errors.user.name).toBe('This field is required');
     });
+
+    it('should use registered sync validators and their messages', () => {
+        registerValidator('even', value => Number(value) % 2 === 0, { message: 'Must be even' });
+        registerValidator('slug', value => /^[a-z-]*$/.test(value) || 'Lowercase letters and dashes only');
+
+        expect(validateValue(3, 'even').error).toBe('Must be even');
+        expect(validateValue(4, 'even').error).toBeNull();
+        expect(validateValue('A b', 'required|slug').error).toBe('Lowercase letters and dashes only');
+        expect(() => registerValidator('bad-name', () => true)).toThrow(TypeError);
+    });
+
+    it('should run async validators with a validating flag and ignore stale results', async () => {
+        const resolvers = [];
+        const signals = [];
+        registerValidator('available', (value, params, { signal }) => {
+            signals.push(signal);
+            return new Promise(resolve => resolvers.push(() => resolve(value !== 'taken' || 'Already taken')));
+        });
+        container.innerHTML = `<input data-bind="user.name" data-rule="required|available" />`;
+        bindData(container, state);
+        const input = container.querySelector('input');
+
+        input.value = 'taken';
+        input.dispatchEvent(new Event('input'));
+        input.value = 'free';
+        input.dispatchEvent(new Event('input'));
+        state.$flushSync();
+        expect(state.validating.user.name).toBe(true);
+        expect(signals[0].aborted).toBe(true);
+
+        // The stale check resolves last and must not win
+        resolvers[1]();
+        resolvers[0]();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        state.$flushSync();
+
+        expect(state.errors.user.name).toBe('');
+        expect(state.validating.user.name).toBe(false);
+    });
+
+    it('should not run async rules after a sync rule fails', () => {
+        const check = vi.fn(async () => true);
+        registerValidator('remoteCheck', check);
+
+        const result = validateValue('', 'required|remoteCheck');
+
+        expect(result.error).toBe('This field is required');
+        expect(result.pending).toBeNull();
+        expect(check).not.toHaveBeenCalled();
+    });
+
+    it('should validate cross-field rules when the other field changes', () => {
+        state.user.password = 'secret';
+        state.user.confirm = 'secret';
+        container.innerHTML = `<input data-bind="user.confirm" data-rule="same:user.password" />`;
+        bindData(container, state);
+        expect(state.errors.user.confirm).toBe('');
+
+        state.user.password = 'changed';
+        state.$flushSync();
+        expect(state.errors.user.confirm).toBe('Must match user.password');
+    });
+
+    it('should compare dates with after and before', () => {
+        const dates = { startDate: '2024-03-01' };
+
+        expect(validateValue('2024-03-02', 'after:startDate', { state: dates }).error).toBeNull();
+        expect(validateValue('2024-02-28', 'after:startDate', { state: dates }).error).toBe('Must be after startDate');
+        expect(validateValue('2023-12-31', 'before:2024-01-01').error).toBeNull();
+    });
+
+    it('should translate messages through i18n', async () => {
+        await i18n.loadMessages('fr', {
+            common: { validation: { required: 'Ce champ est obligatoire', minLength: 'Au moins {min} caractères' } }
+        });
+        i18n.setLocale('fr');
+
+        try {
+            expect(validateValue('', 'required').error).toBe('Ce champ est obligatoire');
+            expect(validateValue('ab', 'min:3').error).toBe('Au moins 3 caractères');
+            expect(validateValue('ab', 'max:1').error).toBe('Must be no more than 1 characters');
+        } finally {
+            i18n.setLocale('en');
+        }
+    });
+});
+
+describe('Form State', () => {
+    let container;
+    let state;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        state = createReactiveState({ user: { name: '', email: '' } });
+    });
+
+    afterEach(() => {
+        unbindData(container);
+        document.body.removeChild(container);
+    });
+
+    const submit = (form) => {
+        const event = new Event('submit', { bubbles: true, cancelable: true });
+        form.dispatchEvent(event);
+        return event;
+    };
+
+    it('should track valid, dirty, touched and errors', () => {
+        container.innerHTML = `
+            <form data-form="signup">
+                <input name="name" data-bind="user.name" data-rule="required" />
+                <input name="email" data-bind="user.email" />
+            </form>
+        `;
+        bindData(container, state);
+        const [name, email] = container.querySelectorAll('input');
+
+        expect(state.forms.signup.valid).toBe(false);
+        expect(state.forms.signup.dirty).toBe(false);
+        expect(state.forms.signup.touched).toBe(false);
+        expect(state.forms.signup.submitting).toBe(false);
+        expect(state.forms.signup.errors).toEqual({ user: { name: 'This field is required' } });
+
+        name.value = 'Ada';
+        name.dispatchEvent(new Event('input'));
+        state.$flushSync();
+        expect(state.forms.signup.valid).toBe(true);
+        expect(state.forms.signup.dirty).toBe(true);
+        expect(state.forms.signup.errors).toEqual({});
+
+        email.dispatchEvent(new Event('focusout', { bubbles: true }));
+        expect(state.forms.signup.touched).toBe(true);
+    });
+
+    it('should block submission and focus the first invalid field', () => {
+        const save = vi.fn();
+        container.innerHTML = `
+            <form data-form="signup" data-on:submit.prevent="save">
+                <input data-bind="user.name" />
+                <input data-bind="user.email" data-rule="email" />
+            </form>
+        `;
+        state.user.email = 'invalid';
+        bindData(container, state, { methods: { save } });
+        const form = container.querySelector('form');
+        const email = container.querySelectorAll('input')[1];
+
+        expect(submit(form).defaultPrevented).toBe(true);
+        expect(save).not.toHaveBeenCalled();
+        expect(document.activeElement).toBe(email);
+
+        state.user.email = 'ada@example.com';
+        state.$flushSync();
+        submit(form);
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should write debounced fields before validating on submit', () => {
+        vi.useFakeTimers();
+        try {
+            const save = vi.fn();
+            container.innerHTML = `
+                <form data-form="signup" data-on:submit.prevent="save">
+                    <input data-bind="user.name" data-rule="required" data-bind-mode="debounce" />
+                </form>
+            `;
+            bindData(container, state, { methods: { save } });
+            const input = container.querySelector('input');
+
+            input.value = 'Ada';
+            input.dispatchEvent(new Event('input'));
+            submit(container.querySelector('form'));
+
+            expect(state.user.name).toBe('Ada');
+            expect(save).toHaveBeenCalledTimes(1);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should wait for async rules and stay submitting while the handler runs', async () => {
+        let finish;
+        const save = vi.fn(() => new Promise(resolve => { finish = resolve; }));
+        registerValidator('available', async value => value !== 'taken');
+        container.innerHTML = `
+            <form data-form="signup" data-on:submit.prevent="save">
+                <input data-bind="user.name" data-rule="required|available" />
+            </form>
+        `;
+        state.user.name = 'ada';
+        bindData(container, state, { methods: { save } });
+        await Promise.resolve();
+        const form = container.querySelector('form');
+
+        submit(form);
+        expect(save).not.toHaveBeenCalled();
+        expect(state.forms.signup.submitting).toBe(true);
+
+        await vi.waitFor(() => expect(save).toHaveBeenCalledTimes(1));
+        expect(state.forms.signup.submitting).toBe(true);
+
+        // A second submit is ignored while the first one runs
+        submit(form);
+        expect(save).toHaveBeenCalledTimes(1);
+
+        finish();
+        await vi.waitFor(() => expect(state.forms.signup.submitting).toBe(false));
+    });
+
+    it('should map server errors onto fields until they are edited', () => {
+        container.innerHTML = `
+            <form data-form="signup">
+                <input name="name" data-bind="user.name" />
+                <input name="email" data-bind="user.email" data-rule="email" />
+            </form>
+        `;
+        bindData(container, state);
+        const [name, email] = container.querySelectorAll('input');
+
+        setServerErrors(state, 'signup', {
+            message: 'The given data was invalid.',
+            errors: { email: ['The email has already been taken.'], 'user.name': ['Too short.'] }
+        });
+        state.$flushSync();
+        expect(state.errors.user.email).toBe('The email has already been taken.');
+        expect(state.errors.user.name).toBe('Too short.');
+        expect(state.forms.signup.valid).toBe(false);
+        expect(state.forms.signup.message).toBe('The given data was invalid.');
+        expect(document.activeElement).toBe(name);
+
+        name.value = 'Ada Lovelace';
+        name.dispatchEvent(new Event('input', { bubbles: true }));
+        email.value = 'ada@example.com';
+        email.dispatchEvent(new Event('input', { bubbles: true }));
+        state.$flushSync();
+        expect(state.errors.user.name).toBe('');
+        expect(state.errors.user.email).toBe('');
+        expect(state.forms.signup.valid).toBe(true);
+    });
+
+    it('should parse Laravel, Rails and Django error payloads', () => {
+        expect(parseServerErrors({
+            message: 'The given data was invalid.',
+            errors: { 'items.0.name': ['Required.'], email: ['Taken.', 'Invalid.'] }
+        })).toEqual({ fields: { 'items.0.name': 'Required.', email: 'Taken.' }, message: 'The given data was invalid.' });
+
+        expect(parseServerErrors({ errors: { email: ["can't be blank"], base: ['Account locked'] } }))
+            .toEqual({ fields: { email: "can't be blank" }, message: 'Account locked' });
+        expect(parseServerErrors({ errors: ["Email can't be blank"] }))
+            .toEqual({ fields: {}, message: "Email can't be blank" });
+
+        expect(parseServerErrors({
+            address: { city: ['This field is required.'] },
+            items: [{}, { name: ['Too long.'] }],
+            non_field_errors: ['Passwords do not match.']
+        })).toEqual({
+            fields: { 'address.city': 'This field is required.', 'items.1.name': 'Too long.' },
+            message: 'Passwords do not match.'
+        });
+        expect(parseServerErrors({ email: [{ message: 'Enter a valid email address.', code: 'invalid' }] }))
+            .toEqual({ fields: { email: 'Enter a valid email address.' }, message: '' });
+        expect(parseServerErrors({ detail: 'Not found.' })).toEqual({ fields: {}, message: 'Not found.' });
+    });
+
+    it('should warn when no form has the given name', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        setServerErrors(state, 'missing', { errors: {} });
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('no data-form "missing"'));
+        warn.mockRestore();
+    });
 });
@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { autoBind } from '../framework/ComponentLoader.js';
+import { registerComponent } from '../framework/Registry.js';
+import { bindingCount } from '../framework/DataBinder.js';
+import { FAB } from '../components/FAB/FAB.js';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+
+registerComponent('FAB', FAB);
+
+// MutationObserver callbacks run after the current task
+const mutationsObserved = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('autoBind', () => {
+    let container;
+    let stop;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        if (stop) stop();
+        stop = null;
+        container.remove();
+    });
+
+    it('should bind existing content like loadComponents', () => {
+        container.innerHTML = '<span data-bind="name"></span><FAB icon="add"></FAB>';
+        const state = createReactiveState({ name: 'Ada' });
+
+        stop = autoBind(container, state);
+
+        expect(container.querySelector('span').textContent).toBe('Ada');
+        expect(container.querySelector('button.m3-fab')).not.toBeNull();
+    });
+
+    it('should bind inserted subtrees, including the inserted element itself', async () => {
+        const state = createReactiveState({ name: 'Ada', active: true });
+        stop = autoBind(container, state);
+
+        const partial = document.createElement('p');
+        partial.setAttribute('data-class', '{active: active}');
+        partial.innerHTML = '<span data-bind="name"></span>';
+        container.appendChild(partial);
+        await mutationsObserved();
+
+        expect(partial.classList.contains('active')).toBe(true);
+        expect(partial.querySelector('span').textContent).toBe('Ada');
+
+        state.name = 'Grace';
+        state.$flushSync();
+        expect(partial.querySelector('span').textContent).toBe('Grace');
+    });
+
+    it('should bind elements inserted with innerHTML', async () => {
+        const state = createReactiveState({ name: 'Ada' });
+        stop = autoBind(container, state);
+
+        container.innerHTML = '<section><input data-bind="name"></section>';
+        await mutationsObserved();
+
+        const input = container.querySelector('input');
+        expect(input.value).toBe('Ada');
+        input.value = 'Grace';
+        input.dispatchEvent(new Event('input'));
+        expect(state.name).toBe('Grace');
+    });
+
+    it('should hydrate inserted components and bind the rendered component', async () => {
+        const state = createReactiveState({ canCreate: false });
+        stop = autoBind(container, state);
+
+        container.innerHTML = '<div><FAB icon="add"></FAB></div><FAB icon="edit" data-if="canCreate"></FAB>';
+        await mutationsObserved();
+        await mutationsObserved();
+
+        expect(container.querySelectorAll('button.m3-fab').length).toBe(1);
+
+        state.canCreate = true;
+        state.$flushSync();
+        expect(container.querySelectorAll('button.m3-fab').length).toBe(2);
+    });
+
+    it('should unbind removed subtrees bound from an outer root', async () => {
+        container.innerHTML = '<section><span data-bind="name"></span></section>';
+        const state = createReactiveState({ name: 'Ada' });
+        stop = autoBind(container, state);
+
+        const section = container.querySelector('section');
+        const span = section.querySelector('span');
+        section.remove();
+        await mutationsObserved();
+
+        state.name = 'Grace';
+        state.$flushSync();
+        expect(span.textContent).toBe('Ada');
+    });
+
+    it('should not keep removed subtrees in the cleanups of the root they were bound from', async () => {
+        const markup = '<section><span data-bind="name"></span><p data-class="{active: active}"></p></section>';
+        const state = createReactiveState({ name: 'Ada', active: true });
+        stop = autoBind(container, state);
+        const baseline = bindingCount(container);
+
+        for (let i = 0; i < 5; i++) {
+            container.insertAdjacentHTML('beforeend', markup.repeat(3));
+            await mutationsObserved();
+            container.querySelectorAll('section').forEach(section => section.remove());
+            await mutationsObserved();
+        }
+        expect(bindingCount(container)).toBe(baseline);
+
+        stop();
+        stop = null;
+        container.innerHTML = markup.repeat(3);
+        stop = autoBind(container, state);
+        container.querySelectorAll('section').forEach(section => section.remove());
+        await mutationsObserved();
+        expect(bindingCount(container)).toBe(baseline);
+    });
+
+    it('should bind a removed subtree again when it is inserted again', async () => {
+        container.innerHTML = '<section><span data-bind="name"></span></section>';
+        const state = createReactiveState({ name: 'Ada' });
+        stop = autoBind(container, state);
+
+        const section = container.querySelector('section');
+        section.remove();
+        await mutationsObserved();
+
+        state.name = 'Grace';
+        container.appendChild(section);
+        await mutationsObserved();
+        state.$flushSync();
+        expect(section.querySelector('span').textContent).toBe('Grace');
+    });
+
+    it('should keep bindings of nodes moved within the DOM', async () => {
+        container.innerHTML = '<div id="a"><span data-bind="name"></span></div><div id="b"></div>';
+        const state = createReactiveState({ name: 'Ada' });
+        stop = autoBind(container, state);
+
+        const span = container.querySelector('span');
+        container.querySelector('#b').appendChild(span);
+        await mutationsObserved();
+
+        state.name = 'Grace';
+        state.$flushSync();
+        expect(span.textContent).toBe('Grace');
+    });
+
+    it('should keep bindings of data-if branches and data-for items', async () => {
+        container.innerHTML = `
+            <p data-if="shown"><span data-bind="name"></span></p>
+            <ul><li data-for="item in items" data-bind="item"></li></ul>
+        `;
+        const state = createReactiveState({ shown: true, name: 'Ada', items: ['a'] });
+        stop = autoBind(container, state);
+
+        state.shown = false;
+        state.items.push('b');
+        state.$flushSync();
+        await mutationsObserved();
+
+        state.shown = true;
+        state.name = 'Grace';
+        state.$flushSync();
+        await mutationsObserved();
+
+        expect(container.querySelector('p span').textContent).toBe('Grace');
+        expect(Array.from(container.querySelectorAll('li')).map(li => li.textContent)).toEqual(['a', 'b']);
+    });
+
+    it('should unbind hidden data-if branches when their chain is removed', async () => {
+        container.innerHTML = '<section><p data-if="shown"><span data-bind="name"></span></p></section>';
+        const state = createReactiveState({ shown: false, name: 'Ada' });
+        stop = autoBind(container, state);
+
+        const section = container.querySelector('section');
+        section.remove();
+        await mutationsObserved();
+
+        state.shown = true;
+        state.$flushSync();
+        expect(section.querySelector('p')).toBeNull();
+    });
+
+    it('should destroy components in removed subtrees', async () => {
+        container.innerHTML = '<section><button id="widget"></button></section>';
+        stop = autoBind(container, createReactiveState({}));
+
+        const widget = container.querySelector('#widget');
+        let destroyed = 0;
+        widget._rnxHydrated = true;
+        widget.destroy = () => destroyed++;
+
+        container.querySelector('section').remove();
+        await mutationsObserved();
+        expect(destroyed).toBe(1);
+    });
+
+    it('should stop observing when the returned function is called', async () => {
+        const state = createReactiveState({ name: 'Ada' });
+        autoBind(container, state)();
+
+        container.innerHTML = '<span data-bind="name"></span>';
+        await mutationsObserved();
+        expect(container.querySelector('span').textContent).toBe('');
+    });
+});
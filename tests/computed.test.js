@@ -7,6 +7,7 @@ import { createReactiveState } from '../utils/createReactiveState.ts';
 import {
     createComputed,
     createComputedProperties,
+    createAsyncComputed,
     shallowEqual,
     deepEqual
 } from '../utils/createComputed.ts';
@@ -106,6 +107,19 @@ describe('Computed Properties', () => {
             });
         });
 
+        it('should notify subscribers when the value changes', async () => {
+            const state = createReactiveState({ count: 5 });
+            createComputed(state, 'double', (s) => s.count * 2);
+            const callback = vi.fn();
+            state.subscribe('double', callback);
+
+            state.count = 10;
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(callback).toHaveBeenCalledWith(20);
+            expect(state.double).toBe(20);
+        });
+
         it('should cache value when dependencies unchanged', () => {
             const state = createReactiveState({ count: 5 });
             const getter = vi.fn((s) => s.count * 2);
@@ -159,6 +173,39 @@ describe('Computed Properties', () => {
             });
         });
 
+        it('should only recompute for the nested paths it reads', async () => {
+            const state = createReactiveState({
+                user: { name: 'John', address: { city: 'Paris', zip: '75001' } }
+            });
+            const getter = vi.fn((s) => `${s.user.name}, ${s.user.address.city}`);
+
+            createComputed(state, 'label', getter);
+            expect(state.label).toBe('John, Paris');
+
+            state.user.address.zip = '75002';
+            state.$flushSync();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(getter).toHaveBeenCalledTimes(1);
+
+            state.user.address.city = 'Lyon';
+            state.$flushSync();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(state.label).toBe('John, Lyon');
+            expect(getter).toHaveBeenCalledTimes(2);
+        });
+
+        it('should track reads of the state outside the getter argument', async () => {
+            const state = createReactiveState({ items: [{ price: 2 }, { price: 3 }] });
+
+            createComputed(state, 'total', () => state.items.reduce((sum, item) => sum + item.price, 0));
+            expect(state.total).toBe(5);
+
+            state.items[1].price = 10;
+            state.$flushSync();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(state.total).toBe(12);
+        });
+
         it('should use custom equality function', () => {
             const state = createReactiveState({ items: [1, 2, 3] });
             const getter = vi.fn((s) => s.items.map(x => x * 2));
@@ -396,4 +443,113 @@ describe('Computed Properties', () => {
             expect(() => state.computed).toThrow('Division by zero');
         });
     });
+
+    describe('createAsyncComputed', () => {
+        const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        it('should expose value, loading and error on the state', async () => {
+            const state = createReactiveState({ form: { date: '2024-05-01' } });
+            createAsyncComputed(state, 'slots', async (s) => [`${s.form.date} 09:00`]);
+
+            expect(state.slots.loading).toBe(true);
+            await tick();
+
+            expect(state.slots.loading).toBe(false);
+            expect(state.slots.value).toEqual(['2024-05-01 09:00']);
+            expect(state.slots.error).toBe(null);
+        });
+
+        it('should re-evaluate when a dependency changes and notify subscribers', async () => {
+            const state = createReactiveState({ form: { date: 'a', name: 'x' } });
+            const getter = vi.fn(async (s) => s.form.date.toUpperCase());
+            createAsyncComputed(state, 'slots', getter);
+            await tick();
+
+            const callback = vi.fn();
+            state.subscribe('slots.value', callback);
+
+            state.form.name = 'y';
+            await tick();
+            expect(getter).toHaveBeenCalledTimes(1);
+
+            state.form.date = 'b';
+            await tick();
+            expect(getter).toHaveBeenCalledTimes(2);
+            expect(callback).toHaveBeenLastCalledWith('B');
+        });
+
+        it('should abort and ignore stale evaluations', async () => {
+            const state = createReactiveState({ query: 'a' });
+            const resolvers = [];
+            const signals = [];
+            createAsyncComputed(state, 'results', (s, { signal }) => {
+                const query = s.query;
+                signals.push(signal);
+                return new Promise(resolve => resolvers.push(() => resolve(query)));
+            });
+
+            state.query = 'b';
+            await tick();
+            expect(signals[0].aborted).toBe(true);
+
+            resolvers[1]();
+            resolvers[0]();
+            await tick();
+
+            expect(state.results.value).toBe('b');
+        });
+
+        it('should store errors', async () => {
+            const state = createReactiveState({ id: 1 });
+            createAsyncComputed(state, 'user', async (s) => {
+                if (s.id === 1) throw new Error('Not found');
+                return { id: s.id };
+            });
+            await tick();
+
+            expect(state.user.error.message).toBe('Not found');
+            expect(state.user.loading).toBe(false);
+
+            state.id = 2;
+            await tick();
+            expect(state.user.error).toBe(null);
+            expect(state.user.value).toEqual({ id: 2 });
+        });
+
+        it('should debounce re-evaluation', async () => {
+            vi.useFakeTimers();
+            try {
+                const state = createReactiveState({ query: '' });
+                const getter = vi.fn(async (s) => s.query);
+                createAsyncComputed(state, 'results', { get: getter, debounce: 300, initial: 'none' });
+                expect(state.results.value).toBe('none');
+
+                state.query = 'a';
+                await vi.advanceTimersByTimeAsync(200);
+                state.query = 'ab';
+                await vi.advanceTimersByTimeAsync(200);
+                expect(getter).toHaveBeenCalledTimes(1);
+
+                await vi.advanceTimersByTimeAsync(100);
+                expect(getter).toHaveBeenCalledTimes(2);
+                expect(state.results.value).toBe('ab');
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        it('should remove the property and stop on cleanup', async () => {
+            const state = createReactiveState({ query: 'a' });
+            const getter = vi.fn(async (s) => s.query);
+            const cleanup = createAsyncComputed(state, 'results', getter);
+            await tick();
+
+            cleanup();
+            state.query = 'b';
+            await tick();
+
+            expect('results' in state).toBe(false);
+            expect(getter).toHaveBeenCalledTimes(1);
+        });
+    });
 });
@@ -60,6 +60,109 @@ describe('createComponent', () => {
         });
     });
 
+    describe('Morphing Updates', () => {
+        it('should keep the root and unchanged elements on setState', () => {
+            const template = (state) => `<div class="box ${state.open ? 'open' : ''}"><button>Toggle</button><p>${state.text}</p></div>`;
+            const component = createComponent(template, { open: false, text: 'a' });
+            document.body.appendChild(component);
+            const button = component.querySelector('button');
+            const onClick = vi.fn();
+            button.addEventListener('click', onClick);
+
+            component.setState({ open: true, text: 'b' });
+
+            expect(document.body.lastChild).toBe(component);
+            expect(component.classList.contains('open')).toBe(true);
+            expect(component.querySelector('p').textContent).toBe('b');
+            expect(component.querySelector('button')).toBe(button);
+            button.click();
+            expect(onClick).toHaveBeenCalledTimes(1);
+
+            component.remove();
+        });
+
+        it('should move keyed elements instead of re-creating them', () => {
+            const template = (state) => `<ul>${state.items.map(item => `<li data-key="${item}">${item}</li>`).join('')}</ul>`;
+            const component = createComponent(template, { items: ['a', 'b', 'c'] });
+            const [a, b, c] = component.querySelectorAll('li');
+
+            component.setState({ items: ['c', 'a', 'b'] });
+
+            expect(Array.from(component.querySelectorAll('li'))).toEqual([c, a, b]);
+        });
+
+        it('should keep focus and typed text of inputs whose attributes did not change', () => {
+            const template = (state) => `<form><input data-ref="name"><span>${state.hint}</span></form>`;
+            const component = createComponent(template, { hint: '' });
+            document.body.appendChild(component);
+            const input = component.refs.name;
+            input.focus();
+            input.value = 'Ada';
+
+            component.setState({ hint: 'Looks good' });
+
+            expect(component.refs.name).toBe(input);
+            expect(document.activeElement).toBe(input);
+            expect(input.value).toBe('Ada');
+
+            component.remove();
+        });
+
+        it('should keep slot children across updates', () => {
+            const template = (state) => `<div><h3>${state.title}</h3><div data-slot></div></div>`;
+            const child = document.createElement('p');
+            const component = createComponent(template, { title: 'One', children: child });
+
+            component.setState({ title: 'Two' });
+
+            expect(component.querySelector('h3').textContent).toBe('Two');
+            expect(component.querySelector('[data-slot] > p')).toBe(child);
+        });
+
+        it('should not stack listeners added with the effect on helper on kept elements', async () => {
+            const template = (state) => `<div><button>${state.count}</button></div>`;
+            const component = createComponent(template, { count: 0 });
+            document.body.appendChild(component);
+            const onClick = vi.fn();
+            component.useEffect((el, on) => {
+                on(el.querySelector('button'), 'click', () => onClick());
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            component.setState({ count: 1 });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            component.querySelector('button').click();
+
+            expect(onClick).toHaveBeenCalledTimes(1);
+            component.remove();
+        });
+
+        it('should keep root attributes added outside the template across updates', () => {
+            const template = (state) => `<div class="${state.active ? 'on' : 'off'}">${state.count}</div>`;
+            const component = createComponent(template, { count: 0, active: false });
+            component.setAttribute('data-if', 'open');
+
+            component.setState({ count: 1, active: true });
+
+            expect(component.className).toBe('on');
+            expect(component.getAttribute('data-if')).toBe('open');
+        });
+
+        it('should replace the root when its tag changes', () => {
+            const template = (state) => (state.link ? '<a href="#">Go</a>' : '<button>Go</button>');
+            const component = createComponent(template, { link: false });
+            document.body.appendChild(component);
+
+            component.setState({ link: true });
+
+            const replaced = document.body.lastChild;
+            expect(replaced.tagName).toBe('A');
+            expect(typeof replaced.setState).toBe('function');
+
+            replaced.remove();
+        });
+    });
+
     describe('Refs System', () => {
         it('should populate refs from data-ref attributes', () => {
             const template = () => `
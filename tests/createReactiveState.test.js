@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { createReactiveState } from '../utils/createReactiveState.ts';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createReactiveState, readonly, shallowReactive } from '../utils/createReactiveState.ts';
 
 describe('createReactiveState', () => {
     describe('Basic Functionality', () => {
@@ -188,6 +188,471 @@ describe('createReactiveState', () => {
         });
     });
 
+    describe('Wildcard Subscriptions', () => {
+        it('should match a single segment with *', () => {
+            const state = createReactiveState({
+                orders: [{ status: 'new', total: 10 }, { status: 'new', total: 20 }]
+            });
+            const callback = vi.fn();
+
+            state.subscribe('orders.*.status', callback);
+            state.orders[1].status = 'shipped';
+            state.orders[0].total = 15;
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback).toHaveBeenCalledWith('shipped', {
+                path: 'orders.1.status',
+                oldValue: 'new',
+                newValue: 'shipped',
+                operation: 'set'
+            });
+        });
+
+        it('should match any depth with **', () => {
+            const state = createReactiveState({ user: { profile: { name: 'Alice' } }, other: 1 });
+            const paths = [];
+
+            state.subscribe('user.**', (value, change) => paths.push(change.path));
+            state.user.profile.name = 'Bob';
+            state.user.age = 30;
+            state.other = 2;
+            state.$flushSync();
+
+            expect(paths).toEqual(['user.profile.name', 'user.age']);
+        });
+
+        it('should match a leading ** only at paths ending with the rest of the pattern', () => {
+            const state = createReactiveState({ orders: [{ status: 'new', total: 5 }], user: { name: 'Alice' } });
+            const paths = [];
+
+            state.subscribe('**.status', (value, change) => paths.push(change.path));
+            state.orders[0].total = 10;
+            state.user.name = 'Bob';
+            state.orders[0].status = 'paid';
+            state.orders[0] = { status: 'shipped', total: 10 };
+            state.$flushSync();
+
+            expect(paths).toEqual(['orders.0.status', 'orders.0']);
+        });
+
+        it('should match ** between segments', () => {
+            const state = createReactiveState({ a: { b: { z: 1, y: 1 }, c: { d: { z: 1 } } }, z: 1 });
+            const paths = [];
+
+            state.subscribe('a.**.z', (value, change) => paths.push(change.path));
+            state.a.b.z = 2;
+            state.a.c.d.z = 2;
+            state.a.b.y = 2;
+            state.z = 2;
+            state.a = { z: 3 };
+            state.$flushSync();
+
+            expect(paths).toEqual(['a.b.z', 'a.c.d.z', 'a']);
+        });
+
+        it('should deliver every change in mutation order', () => {
+            const state = createReactiveState({ count: 0 });
+            const records = [];
+
+            state.subscribe('**', (value, change) => records.push(change));
+            state.count = 1;
+            state.count = 2;
+            state.$flushSync();
+
+            expect(records.map(r => [r.oldValue, r.newValue])).toEqual([[0, 1], [1, 2]]);
+        });
+
+        it('should report add and delete operations', () => {
+            const state = createReactiveState({ user: {} });
+            const operations = [];
+
+            state.subscribe('user.*', (value, change) => operations.push(change.operation));
+            state.user.name = 'Alice';
+            state.user.name = 'Bob';
+            delete state.user.name;
+            state.$flushSync();
+
+            expect(operations).toEqual(['add', 'set', 'delete']);
+            expect('name' in state.user).toBe(false);
+        });
+
+        it('should report array mutators with before/after copies', () => {
+            const state = createReactiveState({ items: [3, 1, 2] });
+            const callback = vi.fn();
+
+            state.subscribe('items.**', callback);
+            state.items.sort();
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledWith([1, 2, 3], {
+                path: 'items',
+                oldValue: [3, 1, 2],
+                newValue: [1, 2, 3],
+                operation: 'sort'
+            });
+        });
+
+        it('should notify when an ancestor of the pattern is replaced', () => {
+            const state = createReactiveState({ orders: [{ status: 'new' }] });
+            const callback = vi.fn();
+
+            state.subscribe('orders.*.status', callback);
+            state.orders = [{ status: 'paid' }];
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback.mock.calls[0][1].path).toBe('orders');
+        });
+
+        it('should still notify exact path subscribers with the value only', () => {
+            const state = createReactiveState({ user: { name: 'Alice' } });
+            const exact = vi.fn();
+            const wildcard = vi.fn();
+
+            state.subscribe('user.name', exact);
+            state.subscribe('user.*', wildcard);
+            state.user.name = 'Bob';
+            state.$flushSync();
+
+            expect(exact).toHaveBeenCalledWith('Bob');
+            expect(wildcard).toHaveBeenCalledTimes(1);
+        });
+
+        it('should unsubscribe wildcard subscribers', () => {
+            const state = createReactiveState({ a: { b: 1 } });
+            const callback = vi.fn();
+
+            const unsubscribe = state.subscribe('a.*', callback);
+            unsubscribe();
+            state.a.b = 2;
+            state.$flushSync();
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Map, Set and Date', () => {
+        it('should read Map entries and notify per key on set()', () => {
+            const state = createReactiveState({ prices: new Map([['apple', 1]]) });
+            const keyCallback = vi.fn();
+            const mapCallback = vi.fn();
+
+            state.subscribe('prices.apple', keyCallback);
+            state.subscribe('prices', mapCallback);
+            state.prices.set('apple', 2).set('pear', 3);
+            state.$flushSync();
+
+            expect(state.prices.get('apple')).toBe(2);
+            expect(state.prices.size).toBe(2);
+            expect(keyCallback).toHaveBeenCalledWith(2);
+            expect(mapCallback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should make objects stored in a Map reactive', () => {
+            const state = createReactiveState({ users: new Map([[1, { name: 'Alice' }]]) });
+            const callback = vi.fn();
+
+            state.subscribe('users.1.name', callback);
+            state.users.get(1).name = 'Bob';
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledWith('Bob');
+            expect([...state.users.values()][0].name).toBe('Bob');
+        });
+
+        it('should notify Set membership changes', () => {
+            const state = createReactiveState({ selected: new Set([1]) });
+            const itemCallback = vi.fn();
+
+            state.subscribe('selected.2', itemCallback);
+            state.selected.add(2);
+            state.$flushSync();
+            expect(itemCallback).toHaveBeenLastCalledWith(true);
+
+            state.selected.delete(2);
+            state.$flushSync();
+            expect(itemCallback).toHaveBeenLastCalledWith(false);
+            expect(state.selected.has(1)).toBe(true);
+        });
+
+        it('should notify every key on clear()', () => {
+            const state = createReactiveState({ lookup: new Map([['a', 1], ['b', 2]]) });
+            const callback = vi.fn();
+
+            state.subscribe('lookup.b', callback);
+            state.lookup.clear();
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledWith(undefined);
+            expect(state.lookup.size).toBe(0);
+        });
+
+        it('should not notify when nothing changes', () => {
+            const state = createReactiveState({ tags: new Set(['a']), lookup: new Map([['a', 1]]) });
+            const callback = vi.fn();
+
+            state.subscribe('tags', callback);
+            state.subscribe('lookup', callback);
+            state.tags.add('a');
+            state.lookup.set('a', 1);
+            state.lookup.delete('missing');
+            state.$flushSync();
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should support iteration and forEach', () => {
+            const state = createReactiveState({ lookup: new Map([['a', 1], ['b', 2]]), tags: new Set(['x']) });
+            const seen = [];
+
+            state.lookup.forEach((value, key) => seen.push(`${key}=${value}`));
+
+            expect(seen).toEqual(['a=1', 'b=2']);
+            expect([...state.lookup]).toEqual([['a', 1], ['b', 2]]);
+            expect([...state.tags]).toEqual(['x']);
+        });
+
+        it('should notify Date setters', () => {
+            const state = createReactiveState({ due: new Date(2024, 0, 1, 9) });
+            const callback = vi.fn();
+
+            state.subscribe('due', callback);
+            state.due.setHours(17);
+            state.$flushSync();
+
+            expect(state.due.getHours()).toBe(17);
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(state.due.toISOString()).toBe(new Date(2024, 0, 1, 17).toISOString());
+        });
+
+        it('should report collection change records with copies', () => {
+            const state = createReactiveState({ tags: new Set(['a']) });
+            const callback = vi.fn();
+
+            state.subscribe('tags.**', callback);
+            state.tags.add('b');
+            state.$flushSync();
+
+            const change = callback.mock.calls[0][1];
+            expect(change.operation).toBe('add');
+            expect(change.key).toBe('b');
+            expect([...change.oldValue]).toEqual(['a']);
+            expect([...change.newValue]).toEqual(['a', 'b']);
+        });
+
+        it('should revert Map, Set and Date writes in a failed transaction', () => {
+            const state = createReactiveState({
+                lookup: new Map([['a', 1]]),
+                tags: new Set(['x']),
+                due: new Date(0)
+            });
+
+            expect(() => state.transaction(() => {
+                state.lookup.set('a', 2);
+                state.lookup.set('b', 3);
+                state.tags.clear();
+                state.due.setTime(1000);
+                throw new Error('fail');
+            })).toThrow('fail');
+
+            expect([...state.lookup]).toEqual([['a', 1]]);
+            expect([...state.tags]).toEqual(['x']);
+            expect(state.due.getTime()).toBe(0);
+        });
+    });
+
+    describe('Dependency Tracking', () => {
+        it('should collect read paths and written change records with $track', () => {
+            const state = createReactiveState({ user: { name: 'Alice' }, items: [1, 2], visits: 0 });
+            state.subscribe('**', () => { });
+
+            const { value, reads, writes } = state.$track(() => {
+                state.visits = state.visits + 1;
+                return state.user.name + state.items.length;
+            });
+
+            expect(value).toBe('Alice2');
+            expect(reads).toEqual(new Set(['visits', 'user', 'user.name', 'items', 'items.length']));
+            expect(Array.from(writes, change => change.path)).toEqual(['visits']);
+        });
+
+        it('should only collect into the innermost $track call', () => {
+            const state = createReactiveState({ a: 1, b: 2 });
+
+            let inner;
+            const outer = state.$track(() => {
+                state.a;
+                inner = state.$track(() => state.b);
+            });
+
+            expect(outer.reads).toEqual(new Set(['a']));
+            expect(inner.reads).toEqual(new Set(['b']));
+        });
+
+        it('should call $dependOn callbacks only for changes affecting their paths', () => {
+            const state = createReactiveState({ user: { name: 'Alice', tags: [] }, other: 1 });
+            const callback = vi.fn();
+            state.$dependOn(['user.name', 'user.tags'], callback);
+
+            state.other = 2;
+            state.user.age = 30;
+            state.$flushSync();
+            expect(callback).not.toHaveBeenCalled();
+
+            state.user.name = 'Bob';
+            state.user.tags.push('admin');
+            state.user = { name: 'Carol', tags: [] };
+            state.$flushSync();
+
+            expect(callback.mock.calls.map(([change]) => change.path)).toEqual(['user.name', 'user.tags', 'user']);
+        });
+
+        it('should treat added and deleted keys as changes of the object holding them', () => {
+            const state = createReactiveState({ filters: { status: 'open' } });
+            const callback = vi.fn();
+            state.$dependOn(['filters'], callback);
+
+            state.filters.status = 'closed';
+            state.$flushSync();
+            expect(callback).not.toHaveBeenCalled();
+
+            state.filters.owner = 'me';
+            delete state.filters.status;
+            state.$flushSync();
+            expect(callback.mock.calls.map(([change]) => change.operation)).toEqual(['add', 'delete']);
+        });
+
+        it('should stop calling a $dependOn callback once released', () => {
+            const state = createReactiveState({ count: 0 });
+            const callback = vi.fn();
+            const release = state.$dependOn(['count'], callback);
+
+            release();
+            state.count = 1;
+            state.$flushSync();
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should not copy arrays for change records without wildcard subscribers', () => {
+            const state = createReactiveState({ items: [1, 2] });
+            const callback = vi.fn();
+            state.$dependOn(['items'], callback);
+
+            state.items.push(3);
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledWith(expect.objectContaining({ path: 'items', operation: 'push', oldValue: undefined, newValue: undefined }));
+        });
+    });
+
+    describe('Readonly', () => {
+        let state;
+        let view;
+        let warnSpy;
+
+        beforeEach(() => {
+            state = createReactiveState({
+                user: { name: 'Alice' },
+                rows: [{ id: 1 }],
+                labels: new Map([['a', { text: 'A' }]]),
+                due: new Date(2024, 0, 1)
+            });
+            view = readonly(state);
+            warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        });
+
+        afterEach(() => {
+            warnSpy.mockRestore();
+        });
+
+        it('should read through to the state', () => {
+            expect(view.user.name).toBe('Alice');
+            expect(view.rows.map(row => row.id)).toEqual([1]);
+            expect(Array.isArray(view.rows)).toBe(true);
+            expect(view.labels.get('a').text).toBe('A');
+            expect(view.due.getFullYear()).toBe(2024);
+            expect(JSON.parse(JSON.stringify(view.user))).toEqual({ name: 'Alice' });
+        });
+
+        it('should reject writes and deletes at any depth with a warning', () => {
+            view.user.name = 'Mallory';
+            delete view.user.name;
+            view.rows[0].id = 99;
+            view.extra = true;
+
+            expect(state.user.name).toBe('Alice');
+            expect(state.rows[0].id).toBe(1);
+            expect('extra' in state).toBe(false);
+            expect(warnSpy).toHaveBeenCalledTimes(4);
+            expect(warnSpy).toHaveBeenCalledWith('[rnxJS] readonly: cannot modify "user.name" on a readonly state');
+        });
+
+        it('should reject mutating methods of arrays, Maps, Sets and Dates', () => {
+            view.rows.push({ id: 2 });
+            view.labels.set('b', {});
+            view.labels.get('a').text = 'changed';
+            view.due.setFullYear(2030);
+
+            expect(state.rows).toHaveLength(1);
+            expect(state.labels.has('b')).toBe(false);
+            expect(state.labels.get('a').text).toBe('A');
+            expect(state.due.getFullYear()).toBe(2024);
+        });
+
+        it('should reject state-changing utilities but allow subscriptions', () => {
+            const callback = vi.fn();
+            view.subscribe('user', callback);
+            view.$unsubscribeAll();
+            view.batch(() => { });
+
+            state.user = { name: 'Bob' };
+            state.$flushSync();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            const received = callback.mock.calls[0][0];
+            received.name = 'Mallory';
+            expect(state.user.name).toBe('Bob');
+        });
+
+        it('should reflect later changes to the state', () => {
+            state.user.name = 'Bob';
+            expect(view.user.name).toBe('Bob');
+        });
+
+        it('should throw for non-objects', () => {
+            expect(() => readonly(null)).toThrow(TypeError);
+        });
+    });
+
+    describe('Shallow States', () => {
+        it('should notify top-level changes only', () => {
+            const rows = [{ id: 1, qty: 1 }];
+            const state = shallowReactive({ rows, page: 1 });
+            const rowsCallback = vi.fn();
+            const qtyCallback = vi.fn();
+            state.subscribe('rows', rowsCallback);
+            state.subscribe('rows.0.qty', qtyCallback);
+
+            expect(state.rows).toBe(rows);
+            state.rows[0].qty = 5;
+            state.$flushSync();
+            expect(qtyCallback).not.toHaveBeenCalled();
+
+            state.rows = [{ id: 2, qty: 2 }];
+            state.$flushSync();
+            expect(rowsCallback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should be available as a createReactiveState option', () => {
+            const payload = { items: [{ id: 1 }] };
+            const state = createReactiveState(payload, { shallow: true });
+
+            expect(state.items).toBe(payload.items);
+        });
+    });
+
     describe('Circular References', () => {
         it('should handle circular references correctly', () => {
             const obj = { a: { b: {} } };
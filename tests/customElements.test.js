@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { defineCustomElement, defineCustomElements } from '../framework/CustomElements.js';
+import { autoRegisterComponents } from '../framework/AutoRegistry.js';
+import { loadComponent } from '../framework/Registry.js';
+import { createComponent } from '../utils/createComponent.js';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+
+// disconnectedCallback releases the element after the current task's microtasks
+const released = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Custom Elements', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    it('should render the component when the element is connected', () => {
+        let renders = 0;
+        defineCustomElement('ce-greeting', (props) => {
+            renders++;
+            const el = document.createElement('p');
+            el.textContent = `Hello ${props.name}`;
+            return el;
+        });
+
+        const host = document.createElement('ce-greeting');
+        host.setAttribute('name', 'Ada');
+        expect(renders).toBe(0);
+
+        container.appendChild(host);
+        expect(host.querySelector('p').textContent).toBe('Hello Ada');
+        expect(renders).toBe(1);
+    });
+
+    it('should render elements inserted with innerHTML', () => {
+        defineCustomElement('ce-label', (props) => {
+            const el = document.createElement('span');
+            el.textContent = props.text;
+            return el;
+        });
+
+        container.innerHTML = '<ce-label text="Orders"></ce-label>';
+        expect(container.querySelector('ce-label span').textContent).toBe('Orders');
+    });
+
+    it('should coerce attributes with the props schema', () => {
+        let received;
+        defineCustomElement('ce-typed', (props) => {
+            received = props;
+            return document.createElement('div');
+        }, { props: { pageSize: Number, disabled: Boolean, items: Array } });
+
+        container.innerHTML = `<ce-typed page-size="20" disabled items='[1, 2]'></ce-typed>`;
+        expect(received).toMatchObject({ pageSize: 20, disabled: true, items: [1, 2] });
+    });
+
+    it('should pass observed attribute changes to setProps', () => {
+        const updates = [];
+        defineCustomElement('ce-observed', () => {
+            const el = document.createElement('div');
+            el.setProps = (changes) => updates.push(changes);
+            return el;
+        }, { props: { pageSize: { type: Number, default: 10 }, label: String } });
+
+        container.innerHTML = '<ce-observed page-size="20"></ce-observed>';
+        const host = container.firstElementChild;
+
+        host.setAttribute('page-size', '50');
+        host.setAttribute('label', 'Orders');
+        host.removeAttribute('page-size');
+        host.setAttribute('title', 'Not a prop');
+
+        expect(updates).toEqual([{ pageSize: 50 }, { label: 'Orders' }, { pageSize: 10 }]);
+    });
+
+    it('should pass attribute changes as strings to setProps without a schema', async () => {
+        const updates = [];
+        defineCustomElement('ce-untyped', () => {
+            const el = document.createElement('div');
+            el.setProps = (changes) => updates.push(changes);
+            return el;
+        });
+
+        container.innerHTML = '<ce-untyped page-size="20"></ce-untyped>';
+        const host = container.firstElementChild;
+
+        host.setAttribute('page-size', '30');
+        host.setAttribute('page-size', '50');
+        await Promise.resolve();
+        host.removeAttribute('page-size');
+        await Promise.resolve();
+
+        expect(updates).toEqual([{ 'page-size': '50' }, { 'page-size': undefined }]);
+    });
+
+    it('should re-render createComponent components on attribute changes', () => {
+        defineCustomElement('ce-counter', (props) => createComponent(
+            (state) => `<span>${state.count}</span>`,
+            { count: props.count }
+        ), { props: { count: Number } });
+
+        container.innerHTML = '<ce-counter count="1"></ce-counter>';
+        const host = container.firstElementChild;
+        const span = host.querySelector('span');
+
+        host.setAttribute('count', '2');
+        expect(host.querySelector('span')).toBe(span);
+        expect(span.textContent).toBe('2');
+    });
+
+    it('should pass light DOM children to the component', () => {
+        defineCustomElement('ce-card', (props) => {
+            const el = document.createElement('section');
+            el.className = 'card';
+            props.children.forEach(child => el.appendChild(child));
+            return el;
+        });
+
+        const host = document.createElement('ce-card');
+        host.innerHTML = '<strong>Title</strong>';
+        container.appendChild(host);
+        expect(container.querySelector('.card strong').textContent).toBe('Title');
+    });
+
+    it('should render into a shadow root with styles', () => {
+        defineCustomElement('ce-shadow', () => {
+            const el = document.createElement('p');
+            el.textContent = 'Shadowed';
+            return el;
+        }, { shadow: true, styles: 'p { color: red; }' });
+
+        container.innerHTML = '<ce-shadow><span>Light</span></ce-shadow>';
+        const host = container.firstElementChild;
+
+        expect(host.shadowRoot.querySelector('p').textContent).toBe('Shadowed');
+        expect(host.shadowRoot.querySelector('style').textContent).toBe('p { color: red; }');
+        expect(host.querySelector('p')).toBeNull();
+        expect(host.querySelector('span').textContent).toBe('Light');
+    });
+
+    it('should bind state and data-bind:prop attributes', () => {
+        const updates = [];
+        const state = createReactiveState({ name: 'Ada', orders: [{ id: 1 }] });
+        defineCustomElement('ce-bound', (props) => {
+            const el = document.createElement('div');
+            el.innerHTML = `<span data-bind="name"></span><em>${props.rows.length}</em>`;
+            el.setProps = (changes) => updates.push(changes.rows.length);
+            return el;
+        }, { props: { rows: Array }, state });
+
+        container.innerHTML = '<ce-bound data-bind:rows="orders"></ce-bound>';
+        expect(container.querySelector('span').textContent).toBe('Ada');
+        expect(container.querySelector('em').textContent).toBe('1');
+
+        state.name = 'Grace';
+        state.orders.push({ id: 2 });
+        state.$flushSync();
+        expect(container.querySelector('span').textContent).toBe('Grace');
+        expect(updates).toEqual([2]);
+    });
+
+    it('should destroy the component and release bindings when removed', async () => {
+        let destroyed = 0;
+        const state = createReactiveState({ name: 'Ada' });
+        defineCustomElement('ce-removed', () => {
+            const el = document.createElement('div');
+            el.innerHTML = '<span data-bind="name"></span>';
+            el.destroy = () => destroyed++;
+            return el;
+        }, { state });
+
+        container.innerHTML = '<ce-removed></ce-removed>';
+        const host = container.firstElementChild;
+        const span = host.querySelector('span');
+
+        host.remove();
+        await released();
+        expect(destroyed).toBe(1);
+
+        state.name = 'Grace';
+        state.$flushSync();
+        expect(span.textContent).toBe('Ada');
+    });
+
+    it('should keep the component of a moved element and render again after removal', async () => {
+        let renders = 0;
+        let destroyed = 0;
+        defineCustomElement('ce-moved', () => {
+            renders++;
+            const el = document.createElement('div');
+            el.destroy = () => destroyed++;
+            return el;
+        });
+
+        container.innerHTML = '<ce-moved></ce-moved><section></section>';
+        const host = container.firstElementChild;
+        container.querySelector('section').appendChild(host);
+        await released();
+        expect(renders).toBe(1);
+        expect(destroyed).toBe(0);
+
+        host.remove();
+        await released();
+        container.appendChild(host);
+        expect(renders).toBe(2);
+        expect(destroyed).toBe(1);
+        expect(host.children.length).toBe(1);
+    });
+
+    it('should reject invalid names and warn on names already defined', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const Component = () => document.createElement('div');
+
+        expect(() => defineCustomElement('greeting', Component)).toThrow(TypeError);
+        expect(() => defineCustomElement('ce-Greeting', Component)).toThrow(TypeError);
+        expect(() => defineCustomElement('ce-nothing', null)).toThrow(TypeError);
+
+        expect(defineCustomElement('ce-twice', Component)).toBe(true);
+        expect(defineCustomElement('ce-twice', Component)).toBe(false);
+        expect(warnSpy).toHaveBeenCalledWith('[rnxJS] defineCustomElement: <ce-twice> is already defined');
+        warnSpy.mockRestore();
+    });
+
+    it('should define every registered component with a prefix', async () => {
+        autoRegisterComponents();
+
+        const defined = defineCustomElements();
+        expect(defined).toContain('rnx-data-table');
+        expect(defined).toContain('rnx-fab');
+        expect(customElements.get('rnx-badge')).toBeDefined();
+        expect(defineCustomElements()).toEqual([]);
+
+        // Built-in components load when their first element connects, then use their schema
+        container.innerHTML = `<rnx-select name="status" required="false" options='[{"value": "a", "label": "A"}]'></rnx-select>`;
+        await loadComponent('Select');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(container.querySelector('rnx-select select').options.length).toBe(1);
+        expect(container.querySelector('rnx-select select').required).toBe(false);
+    });
+});
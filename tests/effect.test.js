@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+import { effect } from '../utils/effect.ts';
+
+describe('effect', () => {
+    let state;
+
+    beforeEach(() => {
+        state = createReactiveState({
+            filter: 'all',
+            user: { name: 'Alice', role: 'admin' },
+            items: [1, 2, 3],
+            count: 0
+        });
+    });
+
+    it('should validate its arguments', () => {
+        expect(() => effect({}, () => { })).toThrow(TypeError);
+        expect(() => effect(state, null)).toThrow(TypeError);
+        expect(() => effect(state, () => { }, { scheduler: 'later' })).toThrow(TypeError);
+    });
+
+    it('should run immediately and track the paths it reads', () => {
+        const fn = vi.fn(() => state.user.name);
+        const stop = effect(state, fn);
+
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(stop.dependencies).toEqual(new Set(['user', 'user.name']));
+    });
+
+    it('should re-run once per batch when a dependency changes', async () => {
+        const names = [];
+        effect(state, () => { names.push(state.user.name); });
+
+        state.user.name = 'Bob';
+        state.user.name = 'Carol';
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(names).toEqual(['Alice', 'Carol']);
+    });
+
+    it('should not re-run for paths it did not read', async () => {
+        const fn = vi.fn(() => state.user.name);
+        effect(state, fn);
+
+        state.user.role = 'guest';
+        state.filter = 'open';
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-run when an ancestor is replaced or an array mutates', async () => {
+        const fn = vi.fn(() => state.user.name + state.items.length);
+        effect(state, fn, { scheduler: 'sync' });
+
+        state.user = { name: 'Dan' };
+        state.$flushSync();
+        state.items.push(4);
+        state.$flushSync();
+
+        expect(fn).toHaveBeenCalledTimes(3);
+        expect(fn).toHaveLastReturnedWith('Dan4');
+    });
+
+    it('should follow conditional dependencies', () => {
+        const fn = vi.fn(() => (state.filter === 'all' ? state.items.length : state.user.name));
+        const stop = effect(state, fn, { scheduler: 'sync' });
+
+        state.filter = 'mine';
+        state.$flushSync();
+        expect(stop.dependencies.has('user.name')).toBe(true);
+        expect(stop.dependencies.has('items')).toBe(false);
+
+        state.items.push(4);
+        state.$flushSync();
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should run cleanup before each re-run and on stop', () => {
+        const log = [];
+        const stop = effect(state, () => {
+            const name = state.user.name;
+            log.push(`run ${name}`);
+            return () => log.push(`cleanup ${name}`);
+        }, { scheduler: 'sync' });
+
+        state.user.name = 'Bob';
+        state.$flushSync();
+        stop();
+        state.user.name = 'Carol';
+        state.$flushSync();
+
+        expect(log).toEqual(['run Alice', 'cleanup Alice', 'run Bob', 'cleanup Bob']);
+    });
+
+    it('should not re-trigger itself with its own writes', async () => {
+        const fn = vi.fn(() => { state.count = state.count + 1; });
+        effect(state, fn);
+
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(state.count).toBe(1);
+
+        state.count = 10;
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(fn).toHaveBeenCalledTimes(2);
+        expect(state.count).toBe(11);
+    });
+
+    it('should use a custom scheduler', () => {
+        const queue = [];
+        const fn = vi.fn(() => state.filter);
+        effect(state, fn, { scheduler: run => queue.push(run) });
+
+        state.filter = 'open';
+        state.$flushSync();
+        expect(fn).toHaveBeenCalledTimes(1);
+
+        queue.forEach(run => run());
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should run on the next animation frame', async () => {
+        const fn = vi.fn(() => state.filter);
+        effect(state, fn, { scheduler: 'animationFrame' });
+
+        state.filter = 'open';
+        state.$flushSync();
+        expect(fn).toHaveBeenCalledTimes(1);
+
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report errors to onError', () => {
+        const onError = vi.fn();
+        effect(state, () => {
+            if (state.filter === 'bad') throw new Error('boom');
+        }, { scheduler: 'sync', onError });
+
+        state.filter = 'bad';
+        state.$flushSync();
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+    });
+
+    it('should track Map reads', () => {
+        state.labels = new Map([['a', 'A']]);
+        const fn = vi.fn(() => state.labels.get('a'));
+        effect(state, fn, { scheduler: 'sync' });
+
+        state.labels.set('a', 'AA');
+        state.$flushSync();
+
+        expect(fn).toHaveLastReturnedWith('AA');
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { safeEvaluateValue, safeEvaluateCondition } from '../framework/ExpressionEvaluator.js';
+import { registerFilter } from '../framework/Filters.js';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+
+describe('Expression language', () => {
+    const state = {
+        price: 12.5,
+        qty: 4,
+        name: 'ada',
+        user: { first: 'Ada', last: 'Lovelace', role: 'admin', tags: ['a', 'b', 'c'] },
+        labels: new Map([['draft', 'Draft']]),
+        selected: new Set([7]),
+        status: 'active',
+        empty: null
+    };
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should evaluate arithmetic with precedence and grouping', () => {
+        expect(safeEvaluateValue('price * qty + 1', state)).toBe(51);
+        expect(safeEvaluateValue('price * (qty + 1)', state)).toBe(62.5);
+        expect(safeEvaluateValue('-qty % 3', state)).toBe(-1);
+    });
+
+    it('should concatenate strings and read paths', () => {
+        expect(safeEvaluateValue("user.first + ' ' + user.last", state)).toBe('Ada Lovelace');
+        expect(safeEvaluateValue('user.tags.1', state)).toBe('b');
+        expect(safeEvaluateValue('user.tags[qty - 2]', state)).toBe('c');
+        expect(safeEvaluateValue('user.tags.length', state)).toBe(3);
+    });
+
+    it('should compare with a bare word missing from state as a string, with a warning', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+        expect(safeEvaluateCondition('status === active', state)).toBe(true);
+        expect(safeEvaluateCondition('status !== active', state)).toBe(false);
+        expect(warnSpy).toHaveBeenCalledTimes(1);
+        expect(warnSpy.mock.calls[0][0]).toContain('"active" is not defined in state');
+
+        // Defined paths keep comparing by value
+        expect(safeEvaluateCondition('status === name', state)).toBe(false);
+        expect(safeEvaluateCondition('empty === missingRole', { empty: null, missingRole: null })).toBe(true);
+    });
+
+    it('should read Map entries and Set membership by key', () => {
+        expect(safeEvaluateValue('labels.draft', state)).toBe('Draft');
+        expect(safeEvaluateValue('selected.7', state)).toBe(true);
+        expect(safeEvaluateValue('selected.8', state)).toBe(false);
+    });
+
+    it('should evaluate ternaries, logic and comparisons', () => {
+        expect(safeEvaluateValue("qty > 3 ? 'many' : 'few'", state)).toBe('many');
+        expect(safeEvaluateValue("status === 'active' && user.role === 'admin'", state)).toBe(true);
+        expect(safeEvaluateValue("empty ?? 'none'", state)).toBe('none');
+        expect(safeEvaluateCondition("status == 'active' || missing.deep.path", state)).toBe(true);
+        expect(safeEvaluateCondition('!(qty >= 4)', state)).toBe(false);
+    });
+
+    it('should not split on operators inside strings', () => {
+        expect(safeEvaluateValue("'a && b' + ' || c'", state)).toBe('a && b || c');
+    });
+
+    it('should apply built-in filters with arguments', () => {
+        expect(safeEvaluateValue('name | upper', state)).toBe('ADA');
+        expect(safeEvaluateValue('name | capitalize', state)).toBe('Ada');
+        expect(safeEvaluateValue("price * qty | currency:'EUR'", state)).toBe('€50.00');
+        expect(safeEvaluateValue('price | number:2', state)).toBe('12.50');
+        expect(safeEvaluateValue("empty | default:'n/a'", state)).toBe('n/a');
+        expect(safeEvaluateValue("user.tags | limit:2 | join:'-'", state)).toBe('a-b');
+        expect(safeEvaluateValue("'2024-01-15T12:00:00Z' | date:'iso'", state)).toBe('2024-01-15T12:00:00.000Z');
+    });
+
+    it('should use registered filters', () => {
+        registerFilter('truncate', (value, length) => String(value).slice(0, length) + '…');
+
+        expect(safeEvaluateValue('user.last | truncate:4', state)).toBe('Love…');
+        expect(() => registerFilter('bad name', () => { })).toThrow(TypeError);
+        expect(() => registerFilter('nope', 'x')).toThrow(TypeError);
+    });
+
+    it('should reject calls, assignments and prototype access', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+        expect(safeEvaluateValue('user.first.concat(1)', state)).toBeUndefined();
+        expect(safeEvaluateValue('qty = 5', state)).toBeUndefined();
+        expect(safeEvaluateValue('user[key]', { user: {}, key: '__proto__' })).toBeUndefined();
+        expect(safeEvaluateValue('name | missing', state)).toBeUndefined();
+        expect(safeEvaluateValue('(qty + 1', state)).toBeUndefined();
+        expect(state.qty).toBe(4);
+        expect(warnSpy).toHaveBeenCalledTimes(5);
+    });
+
+    it('should look identifiers up in scopes in order', () => {
+        const scopes = [{ item: { label: 'first' } }, { label: 'second', other: 1 }];
+
+        expect(safeEvaluateValue('item.label + label + other', scopes)).toBe('firstsecond1');
+    });
+
+    it('should track the state paths it reads', () => {
+        const reactive = createReactiveState({ a: 1, b: { c: 2 }, flag: false });
+        const { reads } = reactive.$track(() => safeEvaluateValue('flag ? a : b.c', reactive));
+
+        expect(reads.has('b.c')).toBe(true);
+        expect(reads.has('a')).toBe(false);
+    });
+});
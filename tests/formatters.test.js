@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { registerFormatter, getFormatter, resolveFormatter, createMask } from '../framework/Formatters.js';
+import { i18n } from '../utils/i18n.ts';
+
+describe('Formatters', () => {
+    afterEach(() => {
+        i18n.setLocale('en');
+    });
+
+    it('should fit text to mask patterns', () => {
+        const phone = createMask('+1 (999) 999-9999');
+
+        expect(phone.format('5551234567')).toBe('+1 (555) 123-4567');
+        expect(phone.parse('+1 (555) 123-4567')).toBe('5551234567');
+        expect(phone.mask('1555x12')).toBe('+1 (555) 12');
+        expect(phone.mask('')).toBe('');
+
+        const plate = createMask('AAA-\\9-99', { uppercase: true });
+        expect(plate.mask('abc12')).toBe('ABC-9-12');
+    });
+
+    it('should format IBAN and card numbers', () => {
+        expect(getFormatter('iban').mask('de89370400440532013000')).toBe('DE89 3704 0044 0532 0130 00');
+        expect(getFormatter('card').parse('4111 1111 1111 1111')).toBe('4111111111111111');
+    });
+
+    it('should parse and format numbers in the current locale', () => {
+        const number = resolveFormatter('number:2');
+
+        expect(number.format(1234.5)).toBe('1,234.50');
+        expect(number.parse('1,234.50')).toBe(1234.5);
+        expect(number.parse('')).toBeNull();
+        expect(number.mask).toBeNull();
+
+        i18n.setLocale('de-DE');
+        expect(number.format(1234.5)).toBe('1.234,50');
+        expect(number.parse('1.234,5')).toBe(1234.5);
+    });
+
+    it('should keep ISO dates in state and show them in locale order', () => {
+        const date = resolveFormatter('date');
+
+        expect(date.format('2024-03-09')).toBe('03/09/2024');
+        expect(date.mask('0309202')).toBe('03/09/202');
+        expect(date.parse('03/09/202')).toBe('');
+        expect(date.parse('03/09/2024')).toBe('2024-03-09');
+        expect(date.parse('02/30/2024')).toBe('');
+
+        i18n.setLocale('de-DE');
+        expect(date.format('2024-03-09')).toBe('09.03.2024');
+        expect(date.parse('09.03.2024')).toBe('2024-03-09');
+    });
+
+    it('should register formatters with arguments', () => {
+        registerFormatter('scaled', {
+            format: (value, factor) => String(value * factor),
+            parse: (text, factor) => Number(text) / factor
+        });
+
+        const scaled = resolveFormatter("scaled:100:'unused'");
+        expect(scaled.format(1.5)).toBe('150');
+        expect(scaled.parse('250')).toBe(2.5);
+
+        expect(() => registerFormatter('bad name', { format: String, parse: String })).toThrow(TypeError);
+        expect(() => registerFormatter('noParse', { format: String })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,270 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+import { createHistory } from '../utils/createHistory.ts';
+
+describe('createHistory', () => {
+    let state;
+    let history;
+
+    beforeEach(() => {
+        state = createReactiveState({
+            title: 'Draft',
+            user: { name: 'Alice' },
+            rows: [{ id: 1, qty: 1 }, { id: 2, qty: 2 }]
+        });
+        history = createHistory(state);
+    });
+
+    it('should throw for a non-reactive state', () => {
+        expect(() => createHistory({})).toThrow(TypeError);
+    });
+
+    it('should undo and redo a property change', () => {
+        state.title = 'Final';
+        state.$flushSync();
+
+        expect(history.canUndo).toBe(true);
+        expect(history.undo()).toBe(true);
+        expect(state.title).toBe('Draft');
+        expect(history.canRedo).toBe(true);
+
+        expect(history.redo()).toBe(true);
+        expect(state.title).toBe('Final');
+    });
+
+    it('should return false when there is nothing to undo or redo', () => {
+        expect(history.undo()).toBe(false);
+        expect(history.redo()).toBe(false);
+    });
+
+    it('should group writes from the same tick into one step', async () => {
+        state.title = 'A';
+        state.user.name = 'Bob';
+        await Promise.resolve();
+        await Promise.resolve();
+
+        state.title = 'B';
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(history.undoCount).toBe(2);
+        history.undo();
+        expect(state.title).toBe('A');
+        expect(state.user.name).toBe('Bob');
+
+        history.undo();
+        expect(state.title).toBe('Draft');
+        expect(state.user.name).toBe('Alice');
+    });
+
+    it('should undo array mutators', () => {
+        state.rows.push({ id: 3, qty: 3 });
+        history.checkpoint();
+        state.rows.sort((a, b) => b.id - a.id);
+        history.checkpoint();
+        state.rows.splice(0, 1);
+
+        history.undo();
+        expect(state.rows.map(r => r.id)).toEqual([3, 2, 1]);
+        history.undo();
+        expect(state.rows.map(r => r.id)).toEqual([1, 2, 3]);
+        history.undo();
+        expect(state.rows.map(r => r.id)).toEqual([1, 2]);
+
+        history.redo();
+        expect(state.rows.map(r => r.id)).toEqual([1, 2, 3]);
+    });
+
+    it('should undo Map, Set and Date mutations in place', () => {
+        state.labels = new Map([['a', 1]]);
+        state.tags = new Set(['x']);
+        state.due = new Date(2024, 0, 1);
+        const labels = state.labels;
+        history.checkpoint();
+
+        state.labels.set('b', 2);
+        state.tags.clear();
+        state.due.setFullYear(2030);
+        history.undo();
+
+        expect(state.labels).toBe(labels);
+        expect(Array.from(state.labels.keys())).toEqual(['a']);
+        expect(state.tags.has('x')).toBe(true);
+        expect(state.due.getFullYear()).toBe(2024);
+    });
+
+    it('should undo added and deleted properties', () => {
+        state.user.email = 'alice@example.com';
+        history.checkpoint();
+        delete state.user.name;
+
+        history.undo();
+        expect(state.user.name).toBe('Alice');
+        history.undo();
+        expect('email' in state.user).toBe(false);
+    });
+
+    it('should record a group() as one step', () => {
+        history.group(() => {
+            state.rows[0].qty = 10;
+            state.rows[1].qty = 20;
+        });
+        state.title = 'Edited';
+
+        history.undo();
+        history.undo();
+
+        expect(state.rows.map(r => r.qty)).toEqual([1, 2]);
+        expect(state.title).toBe('Draft');
+        expect(history.canUndo).toBe(false);
+    });
+
+    it('should only close steps on checkpoint() when autoCheckpoint is false', async () => {
+        history.destroy();
+        history = createHistory(state, { autoCheckpoint: false });
+
+        state.title = 'A';
+        await Promise.resolve();
+        state.title = 'B';
+        await Promise.resolve();
+        history.checkpoint();
+
+        expect(history.undoCount).toBe(1);
+        history.undo();
+        expect(state.title).toBe('Draft');
+    });
+
+    it('should clear the redo stack on a new change', () => {
+        state.title = 'A';
+        history.undo();
+        state.title = 'B';
+        state.$flushSync();
+
+        expect(history.canRedo).toBe(false);
+    });
+
+    it('should respect maxDepth', () => {
+        history.destroy();
+        history = createHistory(state, { maxDepth: 2 });
+
+        ['A', 'B', 'C'].forEach(title => {
+            state.title = title;
+            history.checkpoint();
+        });
+
+        expect(history.undoCount).toBe(2);
+        history.undo();
+        history.undo();
+        expect(state.title).toBe('A');
+        expect(history.undo()).toBe(false);
+    });
+
+    it('should only record paths matching the pattern', () => {
+        history.destroy();
+        history = createHistory(state, { path: 'user.**' });
+
+        state.title = 'Ignored';
+        state.user.name = 'Bob';
+        history.undo();
+
+        expect(state.user.name).toBe('Alice');
+        expect(state.title).toBe('Ignored');
+    });
+
+    it('should record a plain path and what is inside it', () => {
+        history.destroy();
+        history = createHistory(state, { path: 'user' });
+
+        state.title = 'Ignored';
+        state.user.name = 'Bob';
+        state.$flushSync();
+        expect(history.undoCount).toBe(1);
+
+        history.undo();
+        expect(state.user.name).toBe('Alice');
+        expect(state.title).toBe('Ignored');
+    });
+
+    it('should not record while paused', () => {
+        history.pause();
+        state.title = 'Loaded from server';
+        history.resume();
+
+        expect(history.canUndo).toBe(false);
+    });
+
+    it('should notify subscribers when undoing', () => {
+        const callback = vi.fn();
+        state.subscribe('title', callback);
+
+        state.title = 'Final';
+        state.$flushSync();
+        history.undo();
+
+        expect(callback).toHaveBeenLastCalledWith('Draft');
+    });
+
+    it('should call onChange when the stacks change', () => {
+        const onChange = vi.fn();
+        history.destroy();
+        history = createHistory(state, { onChange });
+
+        state.title = 'A';
+        history.checkpoint();
+        history.undo();
+
+        expect(onChange).toHaveBeenCalledTimes(2);
+        expect(onChange).toHaveBeenLastCalledWith(history);
+    });
+
+    it('should handle keyboard shortcuts', () => {
+        const unbind = history.bindKeys(document);
+
+        state.title = 'Final';
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+        expect(state.title).toBe('Draft');
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, shiftKey: true }));
+        expect(state.title).toBe('Final');
+
+        unbind();
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+        expect(state.title).toBe('Final');
+    });
+
+    it('should leave undo keys in editable elements to the browser unless asked', () => {
+        const input = document.createElement('input');
+        const editor = document.createElement('div');
+        editor.setAttribute('contenteditable', 'true');
+        editor.innerHTML = '<p>Text</p>';
+        document.body.append(input, editor);
+        const unbind = history.bindKeys(document);
+
+        state.title = 'Final';
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+        editor.firstChild.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+        expect(state.title).toBe('Final');
+        unbind();
+
+        const unbindEditable = history.bindKeys(document, { editable: true });
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+        expect(state.title).toBe('Draft');
+
+        unbindEditable();
+        input.remove();
+        editor.remove();
+    });
+
+    it('should not flush pending notifications when reading canUndo', () => {
+        const callback = vi.fn();
+        state.subscribe('title', callback);
+
+        state.title = 'Final';
+        expect(history.canUndo).toBe(false);
+        expect(history.undoCount).toBe(0);
+        expect(callback).not.toHaveBeenCalled();
+
+        state.$flushSync();
+        expect(history.canUndo).toBe(true);
+    });
+});
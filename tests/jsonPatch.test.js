@@ -0,0 +1,237 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+import { observePatches, applyPatch, toPointer } from '../utils/jsonPatch.ts';
+
+describe('JSON Patch', () => {
+    let state;
+
+    beforeEach(() => {
+        state = createReactiveState({
+            user: { name: 'Alice', tags: ['admin'] },
+            items: [1, 2, 3]
+        });
+    });
+
+    describe('toPointer', () => {
+        it('should convert dot paths to escaped JSON Pointers', () => {
+            expect(toPointer('user.name')).toBe('/user/name');
+            expect(toPointer('a/b.c~d')).toBe('/a~1b/c~0d');
+            expect(toPointer('')).toBe('');
+        });
+    });
+
+    describe('observePatches', () => {
+        it('should emit one patch per notification batch', async () => {
+            const callback = vi.fn();
+            observePatches(state, callback);
+
+            state.user.name = 'Bob';
+            state.user.email = 'bob@example.com';
+            delete state.user.tags;
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback).toHaveBeenCalledWith([
+                { op: 'replace', path: '/user/name', value: 'Bob' },
+                { op: 'add', path: '/user/email', value: 'bob@example.com' },
+                { op: 'remove', path: '/user/tags' }
+            ]);
+        });
+
+        it('should emit minimal operations for push, pop, shift and unshift', async () => {
+            const callback = vi.fn();
+            observePatches(state, callback);
+
+            state.items.push(4, 5);
+            state.items.pop();
+            state.items.shift();
+            state.items.unshift(0);
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(callback).toHaveBeenCalledWith([
+                { op: 'add', path: '/items/3', value: 4 },
+                { op: 'add', path: '/items/4', value: 5 },
+                { op: 'remove', path: '/items/4' },
+                { op: 'remove', path: '/items/0' },
+                { op: 'add', path: '/items/0', value: 0 }
+            ]);
+        });
+
+        it('should emit replayable operations for array length writes', async () => {
+            const replica = createReactiveState({ user: { name: 'Alice', tags: ['admin'] }, items: [1, 2, 3] });
+            const patches = [];
+            observePatches(state, patch => patches.push(patch));
+
+            state.items.length = 1;
+            await Promise.resolve();
+            await Promise.resolve();
+            state.items.length = 3;
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(patches[0]).toEqual([
+                { op: 'remove', path: '/items/2' },
+                { op: 'remove', path: '/items/1' }
+            ]);
+            expect(patches[1]).toEqual([{ op: 'replace', path: '/items', value: [1, undefined, undefined] }]);
+
+            applyPatch(replica, patches[0]);
+            expect(replica.items).toEqual([1]);
+            applyPatch(replica, patches[1]);
+            expect(replica.items.length).toBe(3);
+        });
+
+        it('should emit a replace for sort and splice', async () => {
+            const callback = vi.fn();
+            observePatches(state, callback);
+
+            state.items.reverse();
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(callback).toHaveBeenCalledWith([{ op: 'replace', path: '/items', value: [3, 2, 1] }]);
+        });
+
+        it('should emit Map and Set mutations as a JSON replace', async () => {
+            const callback = vi.fn();
+            state.roles = new Set(['admin']);
+            state.$flushSync();
+            observePatches(state, callback);
+
+            state.roles.add('editor');
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(callback).toHaveBeenCalledWith([{ op: 'replace', path: '/roles', value: ['admin', 'editor'] }]);
+        });
+
+        it('should emit values that are detached from state', async () => {
+            const callback = vi.fn();
+            observePatches(state, callback);
+
+            state.profile = { city: 'Paris' };
+            await Promise.resolve();
+            await Promise.resolve();
+            state.profile.city = 'Rome';
+
+            expect(callback.mock.calls[0][0][0].value).toEqual({ city: 'Paris' });
+        });
+
+        it('should stop emitting after unsubscribe', async () => {
+            const callback = vi.fn();
+            const stop = observePatches(state, callback);
+
+            stop();
+            state.user.name = 'Bob';
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should not echo patches applied with applyPatch by default', async () => {
+            const callback = vi.fn();
+            const echo = vi.fn();
+            observePatches(state, callback);
+            observePatches(state, echo, { includeApplied: true });
+
+            applyPatch(state, [{ op: 'replace', path: '/user/name', value: 'Remote' }]);
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(callback).not.toHaveBeenCalled();
+            expect(echo).toHaveBeenCalledWith([{ op: 'replace', path: '/user/name', value: 'Remote' }]);
+        });
+    });
+
+    describe('applyPatch', () => {
+        it('should apply add, remove, replace, move, copy and test', () => {
+            applyPatch(state, [
+                { op: 'test', path: '/user/name', value: 'Alice' },
+                { op: 'replace', path: '/user/name', value: 'Bob' },
+                { op: 'add', path: '/user/tags/-', value: 'editor' },
+                { op: 'add', path: '/items/0', value: 0 },
+                { op: 'remove', path: '/items/3' },
+                { op: 'copy', from: '/user/tags', path: '/roles' },
+                { op: 'move', from: '/user/name', path: '/displayName' }
+            ]);
+
+            expect(state.user).toEqual({ tags: ['admin', 'editor'] });
+            expect(state.items).toEqual([0, 1, 2]);
+            expect(state.roles).toEqual(['admin', 'editor']);
+            expect(state.displayName).toBe('Bob');
+        });
+
+        it('should notify subscribers once', () => {
+            const callback = vi.fn();
+            state.subscribe('user', callback);
+
+            applyPatch(state, [
+                { op: 'replace', path: '/user/name', value: 'Bob' },
+                { op: 'add', path: '/user/age', value: 30 }
+            ]);
+
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should revert everything when an operation fails', () => {
+            const callback = vi.fn();
+            state.subscribe('user.name', callback);
+
+            expect(() => applyPatch(state, [
+                { op: 'replace', path: '/user/name', value: 'Bob' },
+                { op: 'test', path: '/items/0', value: 99 }
+            ])).toThrow('test failed');
+
+            expect(state.user.name).toBe('Alice');
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should compare objects in test operations regardless of key order', () => {
+            state.filter = { status: 'paid', sort: { key: 'date', dir: 'desc' } };
+
+            expect(() => applyPatch(state, [
+                { op: 'test', path: '/filter', value: { sort: { dir: 'desc', key: 'date' }, status: 'paid' } }
+            ])).not.toThrow();
+            expect(() => applyPatch(state, [
+                { op: 'test', path: '/filter', value: { status: 'paid' } }
+            ])).toThrow('test failed');
+            expect(() => applyPatch(state, [{ op: 'test', path: '/items', value: [1, 2] }])).toThrow('test failed');
+        });
+
+        it('should reject missing paths and bad indexes', () => {
+            expect(() => applyPatch(state, [{ op: 'replace', path: '/missing', value: 1 }])).toThrow();
+            expect(() => applyPatch(state, [{ op: 'remove', path: '/items/10' }])).toThrow();
+            expect(() => applyPatch(state, [{ op: 'add', path: '/nope/a', value: 1 }])).toThrow();
+            expect(() => applyPatch(state, [{ op: 'bogus', path: '/items' }])).toThrow('unknown operation');
+        });
+
+        it('should block prototype pollution', () => {
+            expect(() => applyPatch(state, [{ op: 'add', path: '/__proto__/polluted', value: true }])).toThrow();
+            expect(({}).polluted).toBeUndefined();
+        });
+
+        it('should round-trip with observePatches', async () => {
+            const replica = createReactiveState({
+                user: { name: 'Alice', tags: ['admin'] },
+                items: [1, 2, 3]
+            });
+            observePatches(state, patch => applyPatch(replica, patch));
+
+            state.user.name = 'Bob';
+            state.items.push(4);
+            state.items.sort((a, b) => b - a);
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(JSON.parse(JSON.stringify(replica))).toEqual(JSON.parse(JSON.stringify(state)));
+        });
+
+        it('should validate its arguments', () => {
+            expect(() => applyPatch({}, [])).toThrow(TypeError);
+            expect(() => applyPatch(state, {})).toThrow(TypeError);
+        });
+    });
+});
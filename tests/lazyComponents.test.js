@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadComponents } from '../framework/ComponentLoader.js';
+import { registerComponent, registeredComponents, lazyComponents, componentSchemas, loadComponent } from '../framework/Registry.js';
+import { autoRegisterComponents } from '../framework/AutoRegistry.js';
+import { defineCustomElements } from '../framework/CustomElements.js';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+
+// Lets pending loader Promises resolve
+const loaded = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Module as returned by import()
+const moduleOf = (name, component) => ({ [name]: component });
+
+const Chart = (props) => {
+    const el = document.createElement('figure');
+    el.className = 'chart';
+    el.textContent = props.title || '';
+    return el;
+};
+
+describe('Lazy Components', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+        vi.unstubAllGlobals();
+    });
+
+    it('should load a lazy component on first use, once for all tags', async () => {
+        const loader = vi.fn(() => Promise.resolve(moduleOf('LazyChart', Chart)));
+        registerComponent('LazyChart', loader, { lazy: true });
+        container.innerHTML = '<LazyChart title="Sales"></LazyChart><LazyChart title="Costs"></LazyChart>';
+
+        loadComponents(container);
+        expect(container.querySelector('.chart')).toBeNull();
+
+        await loaded();
+        expect(Array.from(container.querySelectorAll('.chart')).map(el => el.textContent)).toEqual(['Sales', 'Costs']);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(registeredComponents.LazyChart).toBe(Chart);
+    });
+
+    it('should use the default export of a module', async () => {
+        registerComponent('DefaultChart', () => Promise.resolve({ default: Chart }), { lazy: true });
+        container.innerHTML = '<DefaultChart title="Sales"></DefaultChart>';
+
+        loadComponents(container);
+        await loaded();
+
+        expect(container.querySelector('.chart').textContent).toBe('Sales');
+    });
+
+    it('should show a registered placeholder while loading', async () => {
+        registerComponent('ChartSkeleton', () => {
+            const el = document.createElement('div');
+            el.className = 'skeleton';
+            return el;
+        });
+        let resolve;
+        registerComponent('SlowChart', () => new Promise(r => { resolve = r; }), { lazy: true, placeholder: 'ChartSkeleton' });
+        container.innerHTML = '<SlowChart title="Sales"></SlowChart>';
+
+        loadComponents(container);
+        await loaded();
+        expect(container.querySelector('.skeleton')).not.toBeNull();
+        expect(container.querySelector('.chart')).toBeNull();
+
+        resolve(moduleOf('SlowChart', Chart));
+        await loaded();
+        expect(container.querySelector('.skeleton')).toBeNull();
+        expect(container.querySelector('.chart').textContent).toBe('Sales');
+    });
+
+    it('should load visible lazy components when they scroll into view', async () => {
+        const observed = [];
+        vi.stubGlobal('IntersectionObserver', class {
+            constructor(callback) {
+                this.callback = callback;
+                this.disconnect = vi.fn();
+            }
+
+            observe(target) {
+                observed.push({ target, observer: this });
+            }
+        });
+        const loader = vi.fn(() => Promise.resolve(moduleOf('VisibleChart', Chart)));
+        registerComponent('VisibleChart', loader, { lazy: 'visible', placeholder: () => document.createElement('hr') });
+        container.innerHTML = '<VisibleChart title="Sales"></VisibleChart>';
+
+        loadComponents(container);
+        await loaded();
+        expect(loader).not.toHaveBeenCalled();
+        expect(observed[0].target.tagName).toBe('HR');
+
+        const { target, observer } = observed[0];
+        observer.callback([{ target, isIntersecting: true }]);
+        await loaded();
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(observer.disconnect).toHaveBeenCalled();
+        expect(container.querySelector('.chart').textContent).toBe('Sales');
+    });
+
+    it('should render components returning a Promise', async () => {
+        registerComponent('AsyncChart', async (props) => Chart(props), { placeholder: () => document.createElement('hr') });
+        container.innerHTML = '<AsyncChart title="Sales"></AsyncChart>';
+
+        loadComponents(container);
+        expect(container.querySelector('hr')).not.toBeNull();
+
+        await loaded();
+        expect(container.querySelector('hr')).toBeNull();
+        expect(container.querySelector('.chart').textContent).toBe('Sales');
+    });
+
+    it('should recognise a loader registered without the lazy option', async () => {
+        registerComponent('ImportedChart', () => Promise.resolve(moduleOf('ImportedChart', Chart)));
+        container.innerHTML = '<ImportedChart title="Sales"></ImportedChart>';
+
+        loadComponents(container);
+        await loaded();
+
+        expect(container.querySelector('.chart').textContent).toBe('Sales');
+        expect(registeredComponents.ImportedChart).toBe(Chart);
+    });
+
+    it('should bind the loaded component and its data-bind:prop props', async () => {
+        registerComponent('BoundChart', () => Promise.resolve(moduleOf('BoundChart', Chart)), { lazy: true });
+        container.innerHTML = '<BoundChart data-bind:title="report.name" data-if="shown"></BoundChart>';
+        const state = createReactiveState({ report: { name: 'Sales' }, shown: true });
+
+        loadComponents(container, state);
+        await loaded();
+        expect(container.querySelector('.chart').textContent).toBe('Sales');
+
+        state.shown = false;
+        state.$flushSync();
+        expect(container.querySelector('.chart')).toBeNull();
+    });
+
+    it('should not render tags removed while loading', async () => {
+        let resolve;
+        registerComponent('RemovedChart', () => new Promise(r => { resolve = r; }), { lazy: true });
+        container.innerHTML = '<section><RemovedChart></RemovedChart></section>';
+
+        loadComponents(container);
+        const section = container.querySelector('section');
+        section.remove();
+        await loaded();
+        resolve(moduleOf('RemovedChart', Chart));
+        await loaded();
+
+        expect(section.querySelector('.chart')).toBeNull();
+    });
+
+    it('should show an error when loading fails and try again on the next tag', async () => {
+        const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+        const loader = vi.fn()
+            .mockRejectedValueOnce(new Error('network down'))
+            .mockResolvedValueOnce(moduleOf('FlakyChart', Chart));
+        registerComponent('FlakyChart', loader, { lazy: true });
+        container.innerHTML = '<FlakyChart></FlakyChart>';
+
+        loadComponents(container);
+        await loaded();
+        expect(container.textContent).toContain('Error loading component "FlakyChart": network down');
+
+        container.innerHTML = '<FlakyChart></FlakyChart>';
+        loadComponents(container);
+        await loaded();
+        expect(container.querySelector('.chart')).not.toBeNull();
+        errorSpy.mockRestore();
+    });
+
+    it('should reject invalid lazy and placeholder options', () => {
+        expect(() => registerComponent('BadChart', Chart, { lazy: 'later' })).toThrow(TypeError);
+        expect(() => registerComponent('BadChart', Chart, { placeholder: 42 })).toThrow(TypeError);
+    });
+
+    it('should load lazy components of custom elements when connected', async () => {
+        registerComponent('ElementChart', () => Promise.resolve(moduleOf('ElementChart', Chart)), { lazy: true });
+        defineCustomElements({ prefix: 'lazy' });
+
+        container.innerHTML = '<lazy-element-chart title="Sales"></lazy-element-chart>';
+        await loaded();
+
+        expect(container.querySelector('lazy-element-chart .chart').textContent).toBe('Sales');
+    });
+
+    it('should mount lazy async components and loaders of custom elements once they resolve', async () => {
+        const AsyncChart = (props) => Promise.resolve(Chart(props));
+        registerComponent('AsyncElementChart', () => Promise.resolve(moduleOf('AsyncElementChart', AsyncChart)), { lazy: true });
+        registerComponent('LoaderElementChart', () => Promise.resolve({ default: AsyncChart }));
+        defineCustomElements({ prefix: 'lazy' });
+
+        container.innerHTML = `
+            <lazy-async-element-chart title="Sales"></lazy-async-element-chart>
+            <lazy-loader-element-chart title="Costs"></lazy-loader-element-chart>
+        `;
+        await loaded();
+
+        expect(container.querySelector('lazy-async-element-chart .chart').textContent).toBe('Sales');
+        expect(container.querySelector('lazy-loader-element-chart .chart').textContent).toBe('Costs');
+    });
+
+    it('should register built-in components as lazy loaders, with their schemas once loaded', async () => {
+        autoRegisterComponents();
+        expect(lazyComponents.DataTable).toBeDefined();
+        expect(lazyComponents.Select).toBeDefined();
+        expect(componentSchemas.Select).toBeUndefined();
+        // Placeholders stay eager
+        expect(lazyComponents.Skeleton).toBeUndefined();
+
+        container.innerHTML = `<Select name="status" options='[{"value": "a", "label": "A"}]'></Select>`;
+        loadComponents(container);
+        const Select = await loadComponent('Select');
+        await loaded();
+
+        expect(registeredComponents.Select).toBe(Select);
+        expect(componentSchemas.Select.options.type).toBe(Array);
+        expect(container.querySelector('select').options.length).toBe(1);
+        expect(lazyComponents.DataTable).toBeDefined();
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { morph, recordAttributes } from '../utils/morph.js';
+
+// Parse markup into a detached element
+const html = (markup) => {
+    const container = document.createElement('div');
+    container.innerHTML = markup.trim();
+    return container.firstElementChild;
+};
+
+describe('morph', () => {
+    it('should update attributes and text in place', () => {
+        const from = html('<div class="a" title="x"><span>one</span></div>');
+        const span = from.firstElementChild;
+
+        const result = morph(from, html('<div class="b" data-state="on"><span>two</span></div>'));
+
+        expect(result).toBe(from);
+        expect(from.className).toBe('b');
+        expect(from.hasAttribute('title')).toBe(false);
+        expect(from.getAttribute('data-state')).toBe('on');
+        expect(from.firstElementChild).toBe(span);
+        expect(span.textContent).toBe('two');
+    });
+
+    it('should keep attributes that the recorded markup did not set', () => {
+        const from = html('<div class="a" title="x"><span>one</span></div>');
+        recordAttributes(from);
+        from.setAttribute('data-if', 'visible');
+        from.firstElementChild.setAttribute('aria-busy', 'true');
+
+        morph(from, html('<div class="b"><span>two</span></div>'));
+
+        expect(from.hasAttribute('title')).toBe(false);
+        expect(from.getAttribute('data-if')).toBe('visible');
+        expect(from.firstElementChild.getAttribute('aria-busy')).toBe('true');
+
+        morph(from, html('<div><span>three</span></div>'));
+        expect(from.hasAttribute('class')).toBe(false);
+        expect(from.getAttribute('data-if')).toBe('visible');
+    });
+
+    it('should match children by data-key and id', () => {
+        const from = html('<ul><li data-key="1">1</li><li data-key="2">2</li><li id="three">3</li></ul>');
+        const [one, two, three] = from.children;
+
+        morph(from, html('<ul><li id="three">3</li><li data-key="4">4</li><li data-key="1">1!</li></ul>'));
+
+        const items = Array.from(from.children);
+        expect(items.map(li => li.textContent)).toEqual(['3', '4', '1!']);
+        expect(items[0]).toBe(three);
+        expect(items[2]).toBe(one);
+        expect(two.isConnected).toBe(false);
+    });
+
+    it('should match unkeyed children by tag in order', () => {
+        const from = html('<div><h1>Title</h1><p>a</p><p>b</p></div>');
+        const [h1, p1] = from.children;
+
+        morph(from, html('<div><h1>Title</h1><p>a</p></div>'));
+
+        expect(Array.from(from.children)).toEqual([h1, p1]);
+    });
+
+    it('should replace nodes of another tag', () => {
+        const from = html('<div><span>a</span></div>');
+        const span = from.firstElementChild;
+
+        morph(from, html('<div><em>a</em></div>'));
+
+        expect(from.innerHTML).toBe('<em>a</em>');
+        expect(span.isConnected).toBe(false);
+    });
+
+    it('should update form controls only when their attribute changes', () => {
+        const from = html('<form><input value="a"><input type="checkbox"><textarea>x</textarea></form>');
+        const [text, checkbox, textarea] = from.children;
+        text.value = 'typed';
+
+        morph(from, html('<form><input value="a"><input type="checkbox" checked><textarea>y</textarea></form>'));
+        expect(text.value).toBe('typed');
+        expect(checkbox.checked).toBe(true);
+        expect(textarea.value).toBe('y');
+
+        morph(from, html('<form><input value="b"><input type="checkbox" checked><textarea>y</textarea></form>'));
+        expect(text.value).toBe('b');
+    });
+
+    it('should leave the children of data-preserve elements alone', () => {
+        const from = html('<div><div data-preserve class="chart"></div></div>');
+        const chart = from.firstElementChild;
+        chart.innerHTML = '<canvas></canvas>';
+
+        morph(from, html('<div><div data-preserve class="chart wide"></div></div>'));
+
+        expect(from.firstElementChild).toBe(chart);
+        expect(chart.className).toBe('chart wide');
+        expect(chart.querySelector('canvas')).not.toBeNull();
+    });
+
+    it('should return the new node when the root cannot be morphed', () => {
+        const parent = html('<div><section></section></div>');
+        const to = html('<article></article>');
+
+        expect(morph(parent.firstElementChild, to)).toBe(to);
+        expect(parent.firstElementChild).toBe(to);
+    });
+});
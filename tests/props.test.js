@@ -0,0 +1,307 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadComponents } from '../framework/ComponentLoader.js';
+import { unbindData } from '../framework/DataBinder.js';
+import { registerComponent, loadComponent } from '../framework/Registry.js';
+import { autoRegisterComponents } from '../framework/AutoRegistry.js';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+
+// Built-in components are registered as lazy loaders: wait for their modules, then for the tags to render
+const loaded = (...tags) => Promise.all(tags.map(loadComponent)).then(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+describe('Component Props Schema', () => {
+    let container;
+    let received;
+    let warnSpy;
+
+    // Component that records its props
+    const Probe = (props) => {
+        received = props;
+        return document.createElement('div');
+    };
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        received = null;
+        warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        container.remove();
+        warnSpy.mockRestore();
+    });
+
+    it('should pass attributes as strings without a schema', () => {
+        registerComponent('PlainProbe', Probe);
+        container.innerHTML = '<PlainProbe page-size="20" disabled="false"></PlainProbe>';
+
+        loadComponents(container);
+
+        expect(received['page-size']).toBe('20');
+        expect(received.disabled).toBe('false');
+    });
+
+    it('should coerce attributes to the declared types', () => {
+        registerComponent('TypedProbe', Probe, {
+            props: { pageSize: Number, disabled: Boolean, open: Boolean, items: Array, filter: Object, label: String }
+        });
+        container.innerHTML = `<TypedProbe page-size="20" disabled="false" open label="Orders"
+            items='[1, 2]' filter='{"status": "paid"}'></TypedProbe>`;
+
+        loadComponents(container);
+
+        expect(received).toMatchObject({
+            pageSize: 20,
+            disabled: false,
+            open: true,
+            items: [1, 2],
+            filter: { status: 'paid' },
+            label: 'Orders'
+        });
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    it('should map lowercased camelCase attributes to props', () => {
+        registerComponent('CaseProbe', Probe, { props: { pageSize: Number } });
+        container.innerHTML = '<CaseProbe pageSize="5"></CaseProbe>';
+
+        loadComponents(container);
+
+        expect(received.pageSize).toBe(5);
+    });
+
+    it('should apply defaults, with fresh values from default functions', () => {
+        container.innerHTML = '<DefaultProbe></DefaultProbe><DefaultProbe></DefaultProbe>';
+        const seen = [];
+        registerComponent('DefaultProbe', (props) => {
+            seen.push(props);
+            return document.createElement('div');
+        }, {
+            props: { pageSize: { type: Number, default: 10 }, items: { type: Array, default: () => [] }, disabled: Boolean }
+        });
+        loadComponents(container);
+
+        expect(seen[0]).toMatchObject({ pageSize: 10, items: [], disabled: false });
+        expect(seen[0].items).not.toBe(seen[1].items);
+    });
+
+    it('should warn on invalid values and use the default', () => {
+        registerComponent('InvalidProbe', Probe, {
+            props: { pageSize: { type: Number, default: 10 }, items: Array }
+        });
+        container.innerHTML = `<InvalidProbe page-size="many" items="{oops"></InvalidProbe>`;
+
+        loadComponents(container);
+
+        expect(received.pageSize).toBe(10);
+        expect(received.items).toBeUndefined();
+        expect(warnSpy).toHaveBeenCalledWith('[rnxJS] <InvalidProbe>: prop "pageSize" expects a number, got "many"');
+        expect(warnSpy).toHaveBeenCalledWith('[rnxJS] <InvalidProbe>: prop "items" expects a JSON array, got "{oops"');
+    });
+
+    it('should warn on missing required props and unknown attributes', () => {
+        registerComponent('StrictProbe', Probe, { props: { title: { type: String, required: true } } });
+        container.innerHTML = '<StrictProbe colour="red" class="x" data-test="1" aria-label="Probe" onclick="go()"></StrictProbe>';
+
+        loadComponents(container);
+
+        expect(warnSpy).toHaveBeenCalledWith('[rnxJS] <StrictProbe>: missing required prop "title"');
+        expect(warnSpy).toHaveBeenCalledWith('[rnxJS] <StrictProbe>: unknown prop "colour"');
+        expect(warnSpy).toHaveBeenCalledTimes(2);
+        expect(received.colour).toBe('red');
+    });
+
+    it('should pass state values with data-bind:prop', () => {
+        registerComponent('BoundProbe', Probe, { props: { rows: Array, pageSize: Number, onSelect: Function } });
+        container.innerHTML = '<BoundProbe data-bind:rows="orders" data-bind:page-size="settings.size * 2" data-bind:on-select="select"></BoundProbe>';
+        const select = () => { };
+        const state = createReactiveState({ orders: [{ id: 1 }], settings: { size: 5 } });
+        state.select = select;
+
+        loadComponents(container, state);
+
+        expect(received.rows).toEqual([{ id: 1 }]);
+        expect(received.pageSize).toBe(10);
+        expect(received.onSelect).toBe(select);
+        expect(received['data-bind:rows']).toBeUndefined();
+    });
+
+    it('should reject invalid schemas', () => {
+        expect(() => registerComponent('BadProbe', Probe, { props: { size: Date } })).toThrow(TypeError);
+        expect(() => registerComponent('BadProbe', Probe, { props: ['size'] })).toThrow(TypeError);
+    });
+
+    it('should coerce props of built-in components with a schema', async () => {
+        autoRegisterComponents();
+        container.innerHTML = `<Select name="status" required="false" options='[{"value": "a", "label": "A"}]'></Select>`;
+
+        loadComponents(container);
+        await loaded('Select');
+
+        const select = container.querySelector('select');
+        expect(select.required).toBe(false);
+        expect(select.options.length).toBe(1);
+    });
+
+    it('should pass parsed arrays to Pagination and SegmentedButton', async () => {
+        autoRegisterComponents();
+        container.innerHTML = `
+            <Pagination pages='[{"value": 1, "label": "1", "active": true}, {"value": 2, "label": "2"}]'></Pagination>
+            <SegmentedButton selected="grid" options='[{"value": "list", "label": "List"}, {"value": "grid", "label": "Grid"}]'></SegmentedButton>
+        `;
+
+        loadComponents(container);
+        await loaded('Pagination', 'SegmentedButton');
+
+        expect(container.querySelectorAll('.page-link').length).toBe(2);
+        expect(container.querySelector('.page-item.active').textContent.trim()).toBe('1');
+        expect(container.querySelector('.btn.active').getAttribute('data-value')).toBe('grid');
+    });
+
+    it('should fall back to the default when an array prop is not valid JSON', async () => {
+        autoRegisterComponents();
+        container.innerHTML = `<Pagination pages="1,2,3"></Pagination>`;
+
+        loadComponents(container);
+        await loaded('Pagination');
+
+        expect(container.querySelectorAll('.page-link').length).toBe(0);
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('prop "pages" expects a JSON array'));
+    });
+});
+
+describe('Reactive Props', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    it('should call setProps when a bound state value changes', () => {
+        const updates = [];
+        registerComponent('LiveProbe', () => {
+            const el = document.createElement('div');
+            el.setProps = (changes) => updates.push(changes);
+            return el;
+        });
+        container.innerHTML = '<LiveProbe data-bind:count="count" data-bind:label="title | upper"></LiveProbe>';
+        const state = createReactiveState({ count: 1, title: 'orders' });
+
+        loadComponents(container, state);
+        expect(updates).toEqual([]);
+
+        state.count = 2;
+        state.$flushSync();
+        expect(updates).toEqual([{ count: 2 }]);
+
+        state.title = 'invoices';
+        state.$flushSync();
+        expect(updates).toEqual([{ count: 2 }, { label: 'INVOICES' }]);
+    });
+
+    it('should pass changes inside bound arrays', () => {
+        const updates = [];
+        registerComponent('ListProbe', () => {
+            const el = document.createElement('div');
+            el.setProps = (changes) => updates.push(changes.rows.length);
+            return el;
+        });
+        container.innerHTML = '<ListProbe data-bind:rows="orders"></ListProbe>';
+        const state = createReactiveState({ orders: [{ id: 1 }] });
+
+        loadComponents(container, state);
+        state.orders.push({ id: 2 });
+        state.$flushSync();
+
+        expect(updates).toEqual([2]);
+    });
+
+    it('should pass edits of nested items inside bound arrays', () => {
+        const updates = [];
+        registerComponent('NestedProbe', () => {
+            const el = document.createElement('div');
+            el.setProps = (changes) => updates.push(changes.rows.map(row => row.status));
+            return el;
+        });
+        container.innerHTML = '<NestedProbe data-bind:rows="orders"></NestedProbe>';
+        const state = createReactiveState({ orders: [{ id: 1, status: 'a', meta: { tags: ['x'] } }] });
+
+        loadComponents(container, state);
+        state.orders[0].status = 'b';
+        state.$flushSync();
+        expect(updates).toEqual([['b']]);
+
+        state.orders[0].meta.tags.push('y');
+        state.$flushSync();
+        expect(updates).toEqual([['b'], ['b']]);
+    });
+
+    it('should re-render createComponent components with the new props', async () => {
+        autoRegisterComponents();
+        container.innerHTML = '<Badge data-bind:label="status" variant="info"></Badge>';
+        const state = createReactiveState({ status: 'Pending' });
+
+        loadComponents(container, state);
+        await loaded('Badge');
+        const badge = container.querySelector('.badge');
+        expect(badge.textContent.trim()).toBe('Pending');
+
+        state.status = 'Shipped';
+        state.$flushSync();
+        expect(container.querySelector('.badge')).toBe(badge);
+        expect(badge.textContent.trim()).toBe('Shipped');
+    });
+
+    it('should hand new props to an onPropsChange handler', async () => {
+        autoRegisterComponents();
+        container.innerHTML = '<DataTable data-bind:columns="columns" data-bind:rows="orders"></DataTable>';
+        const state = createReactiveState({ columns: [{ key: 'id', label: 'ID' }], orders: [{ id: 1 }] });
+
+        loadComponents(container, state);
+        await loaded('DataTable');
+        const table = container.firstElementChild;
+        expect(table.getTotalRows()).toBe(1);
+
+        state.orders = [{ id: 1 }, { id: 2 }, { id: 3 }];
+        state.$flushSync();
+        expect(table.getTotalRows()).toBe(3);
+        expect(container.querySelectorAll('tbody tr').length).toBe(3);
+    });
+
+    it('should stop updating after unbindData on the component', () => {
+        const updates = [];
+        registerComponent('StopProbe', () => {
+            const el = document.createElement('div');
+            el.setProps = (changes) => updates.push(changes);
+            return el;
+        });
+        container.innerHTML = '<StopProbe data-bind:count="count"></StopProbe>';
+        const state = createReactiveState({ count: 1 });
+
+        loadComponents(container, state);
+        unbindData(container.firstElementChild);
+        state.count = 2;
+        state.$flushSync();
+
+        expect(updates).toEqual([]);
+    });
+
+    it('should warn when a component cannot take new props', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        registerComponent('StaticProbe', () => document.createElement('div'));
+        container.innerHTML = '<StaticProbe data-bind:count="count"></StaticProbe>';
+        const state = createReactiveState({ count: 1 });
+
+        loadComponents(container, state);
+        state.count = 2;
+        state.$flushSync();
+
+        expect(warnSpy).toHaveBeenCalledWith('[rnxJS] <StaticProbe>: cannot update prop "count", the component has no setProps method');
+        warnSpy.mockRestore();
+    });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import { loadComponents } from '../../framework/ComponentLoader.js';
 import { registerComponent } from '../../framework/Registry.js';
 import { FAB } from '../../components/FAB/FAB.js';
+import { createReactiveState } from '../../utils/createReactiveState.ts';
 
 registerComponent('FAB', FAB);
 
@@ -30,4 +31,16 @@ describe('ComponentLoader Regression Tests', () => {
         const btn = document.querySelector('button.m3-fab');
         expect(btn).not.toBeNull();
     });
+
+    it('should keep data-if on components reactive when given a reactive state', () => {
+        document.body.innerHTML = `<FAB icon="add" data-if="canCreate"></FAB>`;
+        const state = createReactiveState({ canCreate: false });
+
+        loadComponents(document.body, state);
+        expect(document.querySelector('button.m3-fab')).toBeNull();
+
+        state.canCreate = true;
+        state.$flushSync();
+        expect(document.querySelector('button.m3-fab')).not.toBeNull();
+    });
 });
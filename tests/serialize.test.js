@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { createReactiveState } from '../utils/createReactiveState.ts';
+import { serialize, deserialize, hydrate } from '../utils/serialize.ts';
+
+describe('State snapshots and serialization', () => {
+    const createState = () => {
+        const owner = { name: 'Alice' };
+        const team = { owner, members: [owner] };
+        team.self = team;
+        return createReactiveState({
+            title: 'Board',
+            createdAt: new Date('2024-05-01T10:00:00.000Z'),
+            labels: new Map([[1, { text: 'Bug' }]]),
+            tags: new Set(['a', 'b']),
+            team,
+            missing: undefined,
+            ratio: Infinity
+        });
+    };
+
+    describe('$snapshot', () => {
+        it('should return a plain copy without proxies or utility methods', () => {
+            const state = createState();
+            const snapshot = state.$snapshot();
+
+            expect(snapshot.title).toBe('Board');
+            expect(typeof snapshot.subscribe).toBe('undefined');
+            expect(snapshot.createdAt).toBeInstanceOf(Date);
+            expect(snapshot.labels.get(1)).toEqual({ text: 'Bug' });
+            expect(snapshot.tags).toEqual(new Set(['a', 'b']));
+
+            snapshot.labels.get(1).text = 'Changed';
+            expect(state.labels.get(1).text).toBe('Bug');
+        });
+
+        it('should keep shared and circular references', () => {
+            const snapshot = createState().$snapshot();
+
+            expect(snapshot.team.self).toBe(snapshot.team);
+            expect(snapshot.team.members[0]).toBe(snapshot.team.owner);
+        });
+    });
+
+    describe('serialize / deserialize', () => {
+        it('should round-trip Dates, Maps, Sets, undefined and references', () => {
+            const data = deserialize(serialize(createState()));
+
+            expect(data.createdAt).toEqual(new Date('2024-05-01T10:00:00.000Z'));
+            expect(data.labels).toEqual(new Map([[1, { text: 'Bug' }]]));
+            expect(data.tags).toEqual(new Set(['a', 'b']));
+            expect('missing' in data).toBe(true);
+            expect(data.ratio).toBe(Infinity);
+            expect(data.team.self).toBe(data.team);
+            expect(data.team.members[0]).toBe(data.team.owner);
+        });
+
+        it('should produce valid JSON', () => {
+            const text = serialize(createState());
+            expect(() => JSON.parse(text)).not.toThrow();
+        });
+
+        it('should keep plain objects that use the marker key', () => {
+            const data = deserialize(serialize({ item: { $rnx: 'Date', value: 'not a date' } }));
+            expect(data.item).toEqual({ $rnx: 'Date', value: 'not a date' });
+        });
+
+        it('should not pollute prototypes', () => {
+            const data = deserialize('{"__proto__": {"polluted": true}, "ok": 1}');
+
+            expect(data.ok).toBe(1);
+            expect({}.polluted).toBeUndefined();
+            expect(Object.getPrototypeOf(data)).toBe(Object.prototype);
+        });
+
+        it('should reject non-string input', () => {
+            expect(() => deserialize({})).toThrow(TypeError);
+        });
+    });
+
+    describe('hydrate', () => {
+        it('should create a working reactive state from serialized state', () => {
+            const state = hydrate(serialize(createState()));
+            const seen = [];
+            state.subscribe('title', value => seen.push(value));
+
+            state.title = 'Restored';
+            state.$flushSync();
+
+            expect(seen).toEqual(['Restored']);
+            expect(state.labels.get(1).text).toBe('Bug');
+        });
+
+        it('should copy snapshots instead of sharing them', () => {
+            const snapshot = createState().$snapshot();
+            const state = hydrate(snapshot);
+
+            state.team.owner.name = 'Bob';
+            expect(snapshot.team.owner.name).toBe('Alice');
+        });
+
+        it('should reject input that is not an object', () => {
+            expect(() => hydrate('[1, 2]')).toThrow(TypeError);
+        });
+    });
+});
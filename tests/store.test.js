@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { defineStore, getStore, removeStore, resolveStorePath } from '../utils/store.ts';
+import { plugins } from '../utils/plugins.js';
+
+describe('defineStore', () => {
+    const defineCart = () => defineStore('cart', {
+        state: () => ({ items: [], coupon: null }),
+        getters: {
+            total: state => state.items.reduce((sum, item) => sum + item.price * item.qty, 0),
+            count: state => state.items.length
+        },
+        actions: {
+            add(item) {
+                this.items.push({ qty: 1, ...item });
+            },
+            async applyCoupon(code) {
+                if (code !== 'SAVE') throw new Error('Invalid coupon');
+                this.coupon = code;
+                return true;
+            }
+        }
+    });
+
+    afterEach(() => {
+        removeStore('cart');
+        plugins.hooks.delete('before:action');
+        plugins.hooks.delete('after:action');
+    });
+
+    it('should create a reactive store with state, getters and actions', async () => {
+        const cart = defineCart();
+
+        expect(cart.$id).toBe('cart');
+        expect(cart.total).toBe(0);
+
+        cart.add({ id: 1, price: 5 });
+        cart.add({ id: 2, price: 3 });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(cart.count).toBe(2);
+        expect(cart.total).toBe(8);
+    });
+
+    it('should notify subscribers of getters', async () => {
+        const cart = defineCart();
+        const callback = vi.fn();
+        cart.subscribe('total', callback);
+
+        cart.add({ id: 1, price: 4 });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(callback).toHaveBeenLastCalledWith(4);
+    });
+
+    it('should register the store by id', () => {
+        const cart = defineCart();
+
+        expect(getStore('cart')).toBe(cart);
+        expect(resolveStorePath('store:cart.total')).toEqual({ store: cart, path: 'total' });
+    });
+
+    it('should return the existing store when defined twice', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const cart = defineCart();
+
+        expect(defineCart()).toBe(cart);
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    it('should reject invalid ids', () => {
+        expect(() => defineStore('my cart')).toThrow(TypeError);
+    });
+
+    it('should remove stores', () => {
+        defineCart();
+
+        expect(removeStore('cart')).toBe(true);
+        expect(getStore('cart')).toBeUndefined();
+        expect(removeStore('cart')).toBe(false);
+    });
+
+    it('should run plugin hooks around actions', async () => {
+        const before = vi.fn();
+        const after = vi.fn();
+        plugins.addHook('before:action', before);
+        plugins.addHook('after:action', after);
+        const cart = defineCart();
+
+        cart.add({ id: 1, price: 5 });
+        await expect(cart.applyCoupon('NOPE')).rejects.toThrow('Invalid coupon');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(before).toHaveBeenCalledWith(expect.objectContaining({ id: 'cart', name: 'add', args: [{ id: 1, price: 5 }] }));
+        expect(after).toHaveBeenCalledWith(expect.objectContaining({ name: 'add', result: undefined }));
+        expect(after).toHaveBeenCalledWith(expect.objectContaining({ name: 'applyCoupon', error: expect.any(Error) }));
+    });
+
+    it('should resolve unknown store paths to null', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+        expect(resolveStorePath('store:missing.total')).toBe(null);
+        expect(resolveStorePath('cart.total')).toBe(null);
+        warnSpy.mockRestore();
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for DataTable pagination
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { DataTable } from '../../components/DataTable/DataTable.js';
+
+describe('DataTable Pagination', () => {
+    let container;
+    const columns = [{ key: 'id', label: 'ID' }];
+    const rows = Array.from({ length: 50 }, (_, i) => ({ id: i + 1 }));
+
+    // Effects run after a timeout, once per render
+    const effectsRun = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    it('should move one page per click across re-renders', async () => {
+        const pages = [];
+        const table = DataTable({ columns, rows, pageSize: 5, onPageChange: page => pages.push(page) });
+        container.appendChild(table);
+        await effectsRun();
+
+        for (let i = 0; i < 3; i++) {
+            container.querySelector('.datatable-next-page').click();
+            await effectsRun();
+        }
+
+        expect(pages).toEqual([2, 3, 4]);
+        expect(table.getCurrentPage()).toBe(4);
+        expect(container.querySelector('tbody td').textContent.trim()).toBe('16');
+
+        container.querySelector('.datatable-prev-page').click();
+        await effectsRun();
+        expect(pages).toEqual([2, 3, 4, 3]);
+    });
+});
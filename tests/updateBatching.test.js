@@ -261,6 +261,164 @@ describe('Update Batching', () => {
         });
     });
 
+    describe('explicit batch()', () => {
+        it('should flush once synchronously when the batch ends', () => {
+            const callback = vi.fn();
+            state.subscribe('user', callback);
+
+            state.batch(() => {
+                state.user.name = 'Bob';
+                state.user.age = 35;
+                expect(callback).not.toHaveBeenCalled();
+            });
+
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should only flush when the outermost batch ends', () => {
+            const callback = vi.fn();
+            state.subscribe('counter', callback);
+
+            state.batch(() => {
+                state.batch(() => {
+                    state.counter = 1;
+                });
+                expect(callback).not.toHaveBeenCalled();
+                state.counter = 2;
+            });
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback).toHaveBeenCalledWith(2);
+        });
+
+        it('should return the function result and flush even if it throws', () => {
+            const callback = vi.fn();
+            state.subscribe('counter', callback);
+
+            expect(state.batch(() => 42)).toBe(42);
+            expect(() => state.batch(() => {
+                state.counter = 1;
+                throw new Error('boom');
+            })).toThrow('boom');
+
+            expect(callback).toHaveBeenCalledWith(1);
+        });
+    });
+
+    describe('transaction()', () => {
+        it('should apply writes when the function succeeds', () => {
+            const callback = vi.fn();
+            state.subscribe('counter', callback);
+
+            state.transaction(() => {
+                state.counter = 1;
+                state.counter = 2;
+            });
+
+            expect(state.counter).toBe(2);
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should revert every write and skip notifications when it throws', () => {
+            state.tags = ['a'];
+            state.$flushSync();
+            const callback = vi.fn();
+            state.subscribe('user', callback);
+            state.subscribe('tags', callback);
+
+            expect(() => state.transaction(() => {
+                state.user.name = 'Bob';
+                state.user.nickname = 'Bobby';
+                delete state.user.email;
+                state.tags.push('b');
+                throw new Error('validation failed');
+            })).toThrow('validation failed');
+
+            expect(state.user).toEqual({ name: 'Alice', email: 'alice@example.com', age: 30 });
+            expect(state.tags).toEqual(['a']);
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should keep notifications queued before the transaction', async () => {
+            const callback = vi.fn();
+            state.subscribe('counter', callback);
+
+            state.counter = 5;
+            expect(() => state.transaction(() => {
+                state.counter = 6;
+                throw new Error('fail');
+            })).toThrow();
+
+            await Promise.resolve();
+            expect(callback).toHaveBeenCalledWith(5);
+            expect(state.counter).toBe(5);
+        });
+
+        it('should revert async writes when the promise rejects', async () => {
+            const callback = vi.fn();
+            state.subscribe('user.name', callback);
+
+            const result = state.transaction(async () => {
+                state.user.name = 'Bob';
+                await Promise.resolve();
+                throw new Error('server error');
+            });
+
+            // Optimistic value is visible right away
+            expect(callback).toHaveBeenCalledWith('Bob');
+
+            await expect(result).rejects.toThrow('server error');
+            expect(state.user.name).toBe('Alice');
+            expect(callback).toHaveBeenLastCalledWith('Alice');
+        });
+
+        it('should revert writes made after an await when the promise rejects', async () => {
+            state.tags = ['a'];
+            let fail;
+            const result = state.transaction(async () => {
+                state.user.name = 'Bob';
+                await Promise.resolve();
+                state.counter = 7;
+                state.tags.push('c');
+                await new Promise((resolve, reject) => { fail = reject; });
+            });
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(state.counter).toBe(7);
+            fail(new Error('server error'));
+
+            await expect(result).rejects.toThrow('server error');
+            expect(state.user.name).toBe('Alice');
+            expect(state.counter).toBe(0);
+            expect(state.tags).toEqual(['a']);
+        });
+
+        it('should stop recording once the promise resolves', async () => {
+            await state.transaction(async () => {
+                await Promise.resolve();
+                state.counter = 3;
+            });
+
+            // A later failing transaction only reverts its own writes
+            await expect(state.transaction(async () => {
+                state.user.name = 'Bob';
+                throw new Error('server error');
+            })).rejects.toThrow();
+            expect(state.counter).toBe(3);
+            expect(state.user.name).toBe('Alice');
+        });
+
+        it('should resolve with the function result', async () => {
+            const value = await state.transaction(async () => {
+                state.counter = 10;
+                return 'saved';
+            });
+
+            expect(value).toBe('saved');
+            expect(state.counter).toBe(10);
+        });
+    });
+
     describe('edge cases', () => {
         it('should handle updates during notification', async () => {
             const callback = vi.fn((value) => {
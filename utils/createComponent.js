@@ -1,3 +1,5 @@
+import { morph, isSameNode, recordAttributes } from './morph.js';
+
 export function createComponent(templateFn, initialState = {}, styles = '') {
   let component;
   const el = document.createElement('div');
@@ -5,12 +7,30 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
   let effectFn = null;
   let effectCleanup = null;
   let unmountCleanup = null;
+  let effectListeners = [];
+  let propsChangeHandler = null;
   const children = currentState.children || null;
 
-  function render() {
+  // Re-renders morph the new markup into the previous root when both have the same tag and key,
+  // so the root and its unchanged descendants stay the same nodes
+  function render(previous = null) {
     try {
       el.innerHTML = templateFn(currentState).trim();
-      component = el.firstElementChild;
+      const next = el.firstElementChild;
+
+      if (next && previous && isSameNode(previous, next)) {
+        // Slot children were moved in after the last render, so they are not in the template
+        morph(previous, next, {
+          skipChildren: element => Boolean(children) && element.hasAttribute('data-slot')
+        });
+        el.innerHTML = '';
+        component = previous;
+        collectRefs();
+        scheduleEffect();
+        return component;
+      }
+
+      component = next;
 
       if (!component) {
         console.error('[rnxJS] createComponent: templateFn must return valid HTML with a root element');
@@ -22,6 +42,8 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
         return errorDiv;
       }
 
+      recordAttributes(component);
+
       if (children) {
         let slot = component.querySelector('[data-slot]');
         if (!slot && component.hasAttribute('data-slot')) {
@@ -33,34 +55,8 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
         }
       }
 
-      component.refs = {};
-      if (component.hasAttribute('data-ref')) {
-        component.refs[component.getAttribute('data-ref')] = component;
-      }
-      component.querySelectorAll('[data-ref]').forEach(el => {
-        const name = el.getAttribute('data-ref');
-        if (name) {
-          component.refs[name] = el;
-        }
-      });
-
-      setTimeout(() => {
-        if (effectFn) {
-          try {
-            // Run cleanup from previous effect if exists
-            if (effectCleanup && typeof effectCleanup === 'function') {
-              effectCleanup();
-            }
-            // Run effect and store cleanup function if returned
-            const cleanup = effectFn(component);
-            if (cleanup && typeof cleanup === 'function') {
-              effectCleanup = cleanup;
-            }
-          } catch (error) {
-            console.error('[rnxJS] Error in useEffect:', error);
-          }
-        }
-      }, 0);
+      collectRefs();
+      scheduleEffect();
 
       return component;
     } catch (error) {
@@ -74,12 +70,60 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
     }
   }
 
+  function collectRefs() {
+    component.refs = {};
+    if (component.hasAttribute('data-ref')) {
+      component.refs[component.getAttribute('data-ref')] = component;
+    }
+    component.querySelectorAll('[data-ref]').forEach(el => {
+      const name = el.getAttribute('data-ref');
+      if (name) {
+        component.refs[name] = el;
+      }
+    });
+  }
+
+  function scheduleEffect() {
+    setTimeout(() => {
+      if (effectFn) {
+        try {
+          // Run cleanup from previous effect if exists
+          if (effectCleanup && typeof effectCleanup === 'function') {
+            effectCleanup();
+          }
+          removeEffectListeners();
+          // Run effect and store cleanup function if returned
+          const cleanup = effectFn(component, on);
+          if (cleanup && typeof cleanup === 'function') {
+            effectCleanup = cleanup;
+          }
+        } catch (error) {
+          console.error('[rnxJS] Error in useEffect:', error);
+        }
+      }
+    }, 0);
+  }
+
+  // Morphing keeps elements across renders, so listeners added with the effect's `on` helper
+  // are removed before it runs again, instead of piling up on kept elements
+  function on(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    effectListeners.push([target, type, listener, options]);
+  }
+
+  function removeEffectListeners() {
+    effectListeners.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options));
+    effectListeners = [];
+  }
+
   function attachMethods(comp) {
     comp.setState = setState;
     comp.useEffect = useEffect;
     comp.onUnmount = onUnmount;
     comp.getState = getState;
     comp.useState = useState;
+    comp.onPropsChange = onPropsChange;
+    comp.setProps = setProps;
     comp.destroy = destroy;
   }
 
@@ -93,8 +137,9 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
       let focusRef = null;
       let selectionStart = 0;
       let selectionEnd = 0;
+      const hadFocus = Boolean(activeEl) && oldComp.contains(activeEl);
 
-      if (activeEl && oldComp.contains(activeEl)) {
+      if (hadFocus) {
         focusRef = activeEl.getAttribute('data-ref');
         // Save cursor position if it's an input/textarea
         if (activeEl.tagName === 'INPUT' || activeEl.tagName === 'TEXTAREA') {
@@ -103,17 +148,29 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
         }
       }
 
-      const newComp = render();
-      // Re-attach methods to the new component
-      attachMethods(newComp);
+      const newComp = render(oldComp);
+
+      if (newComp !== oldComp) {
+        // Re-attach methods to the new component
+        attachMethods(newComp);
 
-      if (oldComp.parentNode) {
-        oldComp.replaceWith(newComp);
+        if (oldComp.parentNode) {
+          oldComp.replaceWith(newComp);
+        }
       }
       component = newComp;
 
-      // Restore focus
-      if (focusRef && component.refs && component.refs[focusRef]) {
+      if (hadFocus && component.contains(activeEl)) {
+        // The focused element was morphed in place; a new value may have moved its caret
+        if (document.activeElement === activeEl && (activeEl.tagName === 'INPUT' || activeEl.tagName === 'TEXTAREA')) {
+          try {
+            activeEl.setSelectionRange(selectionStart, selectionEnd);
+          } catch (e) {
+            // Silently fail if setSelectionRange is not supported
+          }
+        }
+      } else if (focusRef && component.refs && component.refs[focusRef]) {
+        // Restore focus on the element that replaced the focused one
         const elToFocus = component.refs[focusRef];
         requestAnimationFrame(() => {
           elToFocus.focus();
@@ -149,6 +206,28 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
 
   const getState = () => currentState;
 
+  // New prop values (e.g., from data-bind:prop) go to the onPropsChange handler,
+  // or are merged into the state to re-render
+  const setProps = (changes) => {
+    if (propsChangeHandler) {
+      try {
+        propsChangeHandler(changes);
+      } catch (error) {
+        console.error('[rnxJS] Error in onPropsChange:', error);
+      }
+      return;
+    }
+    setState(changes);
+  };
+
+  const onPropsChange = (fn) => {
+    if (typeof fn !== 'function') {
+      console.warn('[rnxJS] onPropsChange: argument must be a function');
+      return;
+    }
+    propsChangeHandler = fn;
+  };
+
   const useState = (key, initialValue) => {
     if (currentState[key] === undefined) currentState[key] = initialValue;
     const get = () => currentState[key];
@@ -162,6 +241,7 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
       if (effectCleanup && typeof effectCleanup === 'function') {
         effectCleanup();
       }
+      removeEffectListeners();
       // Run unmount cleanup
       if (unmountCleanup && typeof unmountCleanup === 'function') {
         unmountCleanup();
@@ -174,6 +254,7 @@ export function createComponent(templateFn, initialState = {}, styles = '') {
       // Clear references
       effectCleanup = null;
       unmountCleanup = null;
+      propsChangeHandler = null;
       effectFn = null;
       if (component.refs) {
         component.refs = {};
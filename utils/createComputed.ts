@@ -3,7 +3,7 @@
  * Provides lazy evaluation, automatic dependency tracking, and equality checking
  */
 
-import type { ReactiveState, SubscriberCallback } from './createReactiveState.ts';
+import type { ReactiveState, ChangeRecord, UnsubscribeFunction } from './createReactiveState.ts';
 
 /**
  * Computed property getter function
@@ -20,6 +20,35 @@ export interface ComputedConfig<T, R> {
     equals?: (a: R, b: R) => boolean;
 }
 
+/**
+ * Async computed getter; receives an AbortSignal that aborts when the evaluation goes stale
+ */
+export type AsyncComputedGetter<T, R> = (state: T, context: { signal: AbortSignal }) => Promise<R> | R;
+
+/**
+ * Async computed property configuration
+ */
+export interface AsyncComputedConfig<T, R> {
+    /** Getter function that resolves the value */
+    get: AsyncComputedGetter<T, R>;
+    /** Wait this many milliseconds after the last dependency change before evaluating (defaults to 0) */
+    debounce?: number;
+    /** Value until the first evaluation resolves (defaults to undefined) */
+    initial?: R;
+}
+
+/**
+ * Value exposed on the state by an async computed property
+ */
+export interface AsyncComputedValue<R> {
+    /** Last resolved value */
+    value: R | undefined;
+    /** Whether an evaluation is in flight */
+    loading: boolean;
+    /** Error of the last evaluation, or null */
+    error: unknown;
+}
+
 /**
  * Internal computed property state
  */
@@ -28,12 +57,10 @@ interface ComputedState<R> {
     value: R | undefined;
     /** Whether the cached value is stale */
     dirty: boolean;
-    /** Dependencies (state paths accessed during computation) */
+    /** Dependencies (state paths read during computation, nested ones included) */
     dependencies: Set<string>;
-    /** Whether currently computing (to track dependencies) */
-    isComputing: boolean;
-    /** Unsubscribe functions for dependency subscriptions */
-    unsubscribers: Array<() => void>;
+    /** Removes the dependency callback registered with $dependOn */
+    release: UnsubscribeFunction;
 }
 
 /**
@@ -111,6 +138,8 @@ export function deepEqual<T>(a: T, b: T): boolean {
 
 /**
  * Create a computed property on a reactive state
+ * Dependencies are the state paths the getter reads, tracked with $track, so
+ * nested reads (s.user.name, s.items[0].price) are followed like top-level ones.
  * @param state - Reactive state object
  * @param name - Property name for the computed value
  * @param config - Computed property configuration
@@ -121,6 +150,10 @@ export function createComputed<T extends Record<string, any>, R>(
     name: string,
     config: ComputedGetter<T, R> | ComputedConfig<T, R>
 ): () => void {
+    if (!state || typeof state.$track !== 'function') {
+        throw new TypeError('[rnxJS] createComputed: state must be a reactive state object');
+    }
+
     // Normalize config
     const getter = typeof config === 'function' ? config : config.get;
     const equals = typeof config === 'function' ? shallowEqual : (config.equals || shallowEqual);
@@ -130,10 +163,12 @@ export function createComputed<T extends Record<string, any>, R>(
         value: undefined,
         dirty: true,
         dependencies: new Set(),
-        isComputing: false,
-        unsubscribers: []
+        release: () => { }
     };
 
+    // True while invalidate() writes the new value through the state proxy
+    let notifying = false;
+
     /**
      * Compute the value and update dependencies
      */
@@ -142,40 +177,19 @@ export function createComputed<T extends Record<string, any>, R>(
             return computedState.value;
         }
 
-        computedState.isComputing = true;
-        const oldDependencies = computedState.dependencies;
-        computedState.dependencies = new Set();
+        const result = state.$track(() => getter(state));
 
-        try {
-            // Create a proxy to track property access
-            const trackingProxy = new Proxy(state, {
-                get(target, prop) {
-                    // Track this property as a dependency
-                    if (computedState.isComputing && typeof prop === 'string') {
-                        computedState.dependencies.add(prop);
-                    }
-                    return target[prop as keyof T];
-                }
-            });
-
-            const newValue = getter(trackingProxy);
-
-            // Only update if value changed (using equality check)
-            const hasChanged = computedState.value === undefined || !equals(computedState.value, newValue);
+        computedState.value = result.value;
+        computedState.dirty = false;
 
-            computedState.value = newValue;
-            computedState.dirty = false;
-
-            // Update subscriptions if dependencies changed
-            const depsChanged = !setsEqual(oldDependencies, computedState.dependencies);
-            if (depsChanged) {
-                updateSubscriptions();
-            }
-
-            return newValue;
-        } finally {
-            computedState.isComputing = false;
+        // Update the dependency index if dependencies changed
+        if (!setsEqual(computedState.dependencies, result.reads)) {
+            computedState.dependencies = result.reads;
+            computedState.release();
+            computedState.release = state.$dependOn(result.reads, onChange);
         }
+
+        return result.value;
     };
 
     /**
@@ -192,26 +206,27 @@ export function createComputed<T extends Record<string, any>, R>(
 
                 // Notify subscribers if value changed
                 if (oldValue === undefined || !equals(oldValue, newValue)) {
-                    // Trigger state update notification
-                    (state as any)[name] = newValue;
+                    // Trigger state update notification: the proxy only notifies when it
+                    // reads a different value, so expose the previous one until the write
+                    computedState.value = oldValue;
+                    notifying = true;
+                    try {
+                        (state as any)[name] = newValue;
+                    } finally {
+                        notifying = false;
+                    }
                 }
             });
         }
     };
 
     /**
-     * Update dependency subscriptions
+     * Invalidate when a dependency changes (writes of the computed value itself are not dependencies)
+     * @param change - Change record
      */
-    const updateSubscriptions = (): void => {
-        // Unsubscribe from old dependencies
-        computedState.unsubscribers.forEach(unsub => unsub());
-        computedState.unsubscribers = [];
-
-        // Subscribe to new dependencies
-        for (const dep of computedState.dependencies) {
-            const unsubscribe = state.subscribe(dep, invalidate);
-            computedState.unsubscribers.push(unsubscribe);
-        }
+    const onChange = (change: ChangeRecord): void => {
+        if (change.path === name) return;
+        invalidate();
     };
 
     /**
@@ -225,9 +240,16 @@ export function createComputed<T extends Record<string, any>, R>(
         return true;
     };
 
-    // Define computed property on state
+    // Define computed property on state (only the notification above may write it)
     Object.defineProperty(state, name, {
         get: compute,
+        set: (value: R) => {
+            if (notifying) {
+                computedState.value = value;
+            } else {
+                console.warn(`[rnxJS] Computed property "${name}" is read-only`);
+            }
+        },
         enumerable: true,
         configurable: true
     });
@@ -242,8 +264,8 @@ export function createComputed<T extends Record<string, any>, R>(
 
     // Return cleanup function
     return () => {
-        computedState.unsubscribers.forEach(unsub => unsub());
-        computedState.unsubscribers = [];
+        computedState.release();
+        computedState.release = () => { };
         delete (state as any)[name];
     };
 }
@@ -269,3 +291,131 @@ export function createComputedProperties<T extends Record<string, any>>(
         cleanupFunctions.forEach(cleanup => cleanup());
     };
 }
+
+/**
+ * Create an async computed property on a reactive state
+ * The state gets a reactive `{ value, loading, error }` object at `name`, so
+ * `name.value`, `name.loading` and `name.error` can be bound and subscribed to.
+ * Dependencies are the state paths the getter reads before its first `await`: later reads
+ * run outside $track and cannot be told apart from other code, so read dependencies up front.
+ * When one changes, the in-flight evaluation is aborted and a new one starts
+ * (after `debounce` milliseconds, if set); results of stale evaluations are ignored.
+ * @param state - Reactive state object
+ * @param name - Property name for the computed object
+ * @param config - Async getter or configuration
+ * @returns Cleanup function to remove the computed property
+ */
+export function createAsyncComputed<T extends Record<string, any>, R>(
+    state: T & ReactiveState<T>,
+    name: string,
+    config: AsyncComputedGetter<T, R> | AsyncComputedConfig<T, R>
+): () => void {
+    if (!state || typeof state.$track !== 'function') {
+        throw new TypeError('[rnxJS] createAsyncComputed: state must be a reactive state object');
+    }
+
+    const getter = typeof config === 'function' ? config : config.get;
+    const debounce = typeof config === 'function' ? 0 : (config.debounce || 0);
+    if (typeof getter !== 'function') {
+        throw new TypeError('[rnxJS] createAsyncComputed: getter must be a function');
+    }
+
+    const initial: AsyncComputedValue<R> = {
+        value: typeof config === 'function' ? undefined : config.initial,
+        loading: false,
+        error: null
+    };
+    (state as any)[name] = initial;
+
+    let release: UnsubscribeFunction = () => { };
+    let controller: AbortController | null = null;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    let scheduled = false;
+    let active = true;
+
+    const target = (): AsyncComputedValue<R> => (state as any)[name];
+
+    /**
+     * Run the getter, tracking its dependencies, and store the outcome if still current
+     */
+    const evaluate = (): void => {
+        scheduled = false;
+        timer = null;
+        if (!active) return;
+
+        controller?.abort();
+        const current = new AbortController();
+        controller = current;
+        target().loading = true;
+
+        let pending: Promise<R>;
+        try {
+            const result = state.$track(() => getter(state, { signal: current.signal }));
+            release();
+            release = state.$dependOn(result.reads, onChange);
+            pending = Promise.resolve(result.value);
+        } catch (error) {
+            pending = Promise.reject(error);
+        }
+
+        pending.then(
+            (value) => {
+                if (!active || controller !== current) return;
+                controller = null;
+                state.batch(() => {
+                    target().value = value;
+                    target().error = null;
+                    target().loading = false;
+                });
+            },
+            (error) => {
+                if (!active || controller !== current) return;
+                controller = null;
+                state.batch(() => {
+                    target().error = error;
+                    target().loading = false;
+                });
+            }
+        );
+    };
+
+    /**
+     * Abort the in-flight evaluation and schedule a new one
+     */
+    const invalidate = (): void => {
+        controller?.abort();
+        controller = null;
+
+        if (debounce > 0) {
+            if (timer) clearTimeout(timer);
+            timer = setTimeout(evaluate, debounce);
+        } else if (!scheduled) {
+            scheduled = true;
+            queueMicrotask(evaluate);
+        }
+    };
+
+    const ownPrefix = name + '.';
+
+    /**
+     * Invalidate when a dependency changes
+     * @param change - Change record
+     */
+    const onChange = (change: ChangeRecord): void => {
+        if (!active) return;
+        // Writes to the computed object itself are not dependencies
+        if (change.path === name || change.path.startsWith(ownPrefix)) return;
+        invalidate();
+    };
+
+    evaluate();
+
+    return () => {
+        active = false;
+        controller?.abort();
+        controller = null;
+        if (timer) clearTimeout(timer);
+        release();
+        delete (state as any)[name];
+    };
+}
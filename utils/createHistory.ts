@@ -0,0 +1,378 @@
+/**
+ * Undo/redo history for reactive state
+ * Records change records from a wildcard subscription and replays them in reverse
+ */
+
+import type { ReactiveState, ChangeRecord } from './createReactiveState.ts';
+
+/**
+ * History configuration
+ */
+export interface HistoryOptions {
+    /** Wildcard pattern of the paths to record (defaults to '**', everything); a plain path records it and everything inside it */
+    path?: string;
+    /** Maximum number of undo steps kept (defaults to 100) */
+    maxDepth?: number;
+    /**
+     * Close a step automatically after each notification batch (defaults to true).
+     * When false, steps are only closed by checkpoint().
+     */
+    autoCheckpoint?: boolean;
+    /** Called whenever the undo/redo stacks change */
+    onChange?: (history: History) => void;
+}
+
+/**
+ * History controller returned by createHistory
+ */
+export interface History {
+    /** Revert the last step */
+    undo(): boolean;
+    /** Re-apply the last undone step */
+    redo(): boolean;
+    /** Whether there is a step to undo (changes count once delivered to subscribers) */
+    readonly canUndo: boolean;
+    /** Whether there is a step to redo */
+    readonly canRedo: boolean;
+    /** Number of steps that can be undone */
+    readonly undoCount: number;
+    /** Number of steps that can be redone */
+    readonly redoCount: number;
+    /** Close the current step so following changes start a new one */
+    checkpoint(): void;
+    /** Run a function and record all of its writes as a single step */
+    group<R>(fn: () => R): R;
+    /** Stop recording until resume() is called */
+    pause(): void;
+    /** Resume recording after pause() */
+    resume(): void;
+    /** Drop all undo and redo steps */
+    clear(): void;
+    /**
+     * Bind Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y; returns an unbind function.
+     * Keys pressed in form fields and contenteditable elements keep their native undo
+     * unless options.editable is true.
+     */
+    bindKeys(target?: EventTarget, options?: { editable?: boolean }): () => void;
+    /** Stop recording and release the subscription */
+    destroy(): void;
+}
+
+/**
+ * Set a value at a dot-notation path through the reactive proxy
+ * @param state - Reactive state
+ * @param path - Dot-notation path
+ * @param value - Value to set
+ */
+function setPath(state: any, path: string, value: any): void {
+    const keys = path.split('.');
+    const lastKey = keys.pop()!;
+    const target = keys.reduce((current, key) => current?.[key], state);
+    if (target && typeof target === 'object') {
+        target[lastKey] = value;
+    }
+}
+
+/**
+ * Delete the property at a dot-notation path through the reactive proxy
+ * @param state - Reactive state
+ * @param path - Dot-notation path
+ */
+function deletePath(state: any, path: string): void {
+    const keys = path.split('.');
+    const lastKey = keys.pop()!;
+    const target = keys.reduce((current, key) => current?.[key], state);
+    if (target && typeof target === 'object') {
+        delete target[lastKey];
+    }
+}
+
+/**
+ * Replace the contents of the array at a path, keeping the array identity
+ * @param state - Reactive state
+ * @param path - Dot-notation path of the array
+ * @param items - New array items
+ */
+function replaceArray(state: any, path: string, items: any[]): void {
+    const array = path.split('.').reduce((current, key) => current?.[key], state);
+    if (Array.isArray(array)) {
+        array.splice(0, array.length, ...items);
+    } else {
+        setPath(state, path, items.slice());
+    }
+}
+
+/**
+ * Restore a Map, Set or Date in place, keeping its identity
+ * @param state - Reactive state
+ * @param path - Dot-notation path of the object
+ * @param value - Copy recorded in the change record
+ */
+function restoreBuiltIn(state: any, path: string, value: Map<any, any> | Set<any> | Date): void {
+    const current = path.split('.').reduce((obj, key) => obj?.[key], state);
+
+    if (value instanceof Date) {
+        current instanceof Date ? current.setTime(value.getTime()) : setPath(state, path, new Date(value.getTime()));
+    } else if (value instanceof Map && current instanceof Map) {
+        current.clear();
+        value.forEach((v, k) => current.set(k, v));
+    } else if (value instanceof Set && current instanceof Set) {
+        current.clear();
+        value.forEach(v => current.add(v));
+    } else {
+        setPath(state, path, value instanceof Map ? new Map(value) : new Set(value as Set<any>));
+    }
+}
+
+/**
+ * Apply a change record in either direction
+ * @param state - Reactive state
+ * @param change - Change record
+ * @param reverse - True to undo the change, false to redo it
+ */
+function applyChange(state: any, change: ChangeRecord, reverse: boolean): void {
+    const { path, operation } = change;
+    const value = reverse ? change.oldValue : change.newValue;
+
+    // Map/Set mutations record copies of the collection, Date setters copies of the date
+    if (value instanceof Map || value instanceof Set || (value instanceof Date && operation === 'set')) {
+        restoreBuiltIn(state, path, value);
+        return;
+    }
+
+    if (operation === 'set') {
+        setPath(state, path, value);
+    } else if (operation === 'add') {
+        reverse ? deletePath(state, path) : setPath(state, path, value);
+    } else if (operation === 'delete') {
+        reverse ? setPath(state, path, value) : deletePath(state, path);
+    } else {
+        // Array mutators record copies of the whole array
+        replaceArray(state, path, value || []);
+    }
+}
+
+/**
+ * Whether an event target has its own undo (form fields, contenteditable)
+ * @param target - Event target
+ * @returns True if the target is editable
+ */
+function isEditable(target: EventTarget | null): boolean {
+    const el = target as HTMLElement | null;
+    if (!el || typeof el.closest !== 'function') return false;
+    return el.isContentEditable === true
+        || el.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])') !== null;
+}
+
+/**
+ * Create an undo/redo history for a reactive state
+ * @param state - Reactive state object
+ * @param options - History configuration
+ * @returns History controller
+ */
+export function createHistory<T extends Record<string, any>>(
+    state: T & ReactiveState<T>,
+    options: HistoryOptions = {}
+): History {
+    if (!state || typeof state.subscribe !== 'function') {
+        throw new TypeError('[rnxJS] createHistory: state must be a reactive state object');
+    }
+
+    // Plain paths go to subscribers without change records, so they are recorded as 'path.**'
+    const path = options.path || '**';
+    const pattern = path.split('.').some(segment => segment === '*' || segment === '**') ? path : `${path}.**`;
+    const maxDepth = options.maxDepth ?? 100;
+    const autoCheckpoint = options.autoCheckpoint !== false;
+
+    let undoStack: ChangeRecord[][] = [];
+    let redoStack: ChangeRecord[][] = [];
+    let currentStep: ChangeRecord[] = [];
+    let checkpointScheduled = false;
+    let applying = false;
+    let paused = 0;
+    let grouping = 0;
+
+    /**
+     * Notify the onChange listener
+     */
+    const emitChange = (): void => {
+        if (typeof options.onChange === 'function') {
+            try {
+                options.onChange(history);
+            } catch (error) {
+                console.error('[rnxJS] Error in history onChange:', error);
+            }
+        }
+    };
+
+    /**
+     * Close the current step and push it on the undo stack
+     */
+    const commitStep = (): void => {
+        checkpointScheduled = false;
+        if (currentStep.length === 0) return;
+
+        undoStack.push(currentStep);
+        currentStep = [];
+        if (undoStack.length > maxDepth) {
+            undoStack.splice(0, undoStack.length - maxDepth);
+        }
+        emitChange();
+    };
+
+    /**
+     * Record a change delivered by the wildcard subscription
+     */
+    const record = (_value: any, change?: ChangeRecord): void => {
+        if (!change || applying || paused > 0) return;
+
+        currentStep.push(change);
+        if (redoStack.length > 0) {
+            redoStack = [];
+        }
+
+        // Steps close after the notification batch that delivered them
+        if (autoCheckpoint && grouping === 0 && !checkpointScheduled) {
+            checkpointScheduled = true;
+            queueMicrotask(() => {
+                if (checkpointScheduled) commitStep();
+            });
+        }
+    };
+
+    /**
+     * Deliver pending change records and close the current step
+     */
+    const settle = (): void => {
+        state.$flushSync();
+        commitStep();
+    };
+
+    /**
+     * Apply a step without recording it
+     */
+    const applyStep = (step: ChangeRecord[], reverse: boolean): void => {
+        applying = true;
+        try {
+            state.batch(() => {
+                if (reverse) {
+                    for (let i = step.length - 1; i >= 0; i--) {
+                        applyChange(state, step[i], true);
+                    }
+                } else {
+                    step.forEach(change => applyChange(state, change, false));
+                }
+            });
+        } catch (error) {
+            console.error('[rnxJS] Error applying history step:', error);
+        } finally {
+            applying = false;
+        }
+    };
+
+    const unsubscribe = state.subscribe(pattern, record);
+
+    const history: History = {
+        undo(): boolean {
+            settle();
+            const step = undoStack.pop();
+            if (!step) return false;
+
+            applyStep(step, true);
+            redoStack.push(step);
+            emitChange();
+            return true;
+        },
+
+        redo(): boolean {
+            settle();
+            const step = redoStack.pop();
+            if (!step) return false;
+
+            applyStep(step, false);
+            undoStack.push(step);
+            emitChange();
+            return true;
+        },
+
+        get canUndo(): boolean {
+            return undoStack.length > 0 || currentStep.length > 0;
+        },
+
+        get canRedo(): boolean {
+            return redoStack.length > 0;
+        },
+
+        get undoCount(): number {
+            return undoStack.length + (currentStep.length > 0 ? 1 : 0);
+        },
+
+        get redoCount(): number {
+            return redoStack.length;
+        },
+
+        checkpoint(): void {
+            settle();
+        },
+
+        group<R>(fn: () => R): R {
+            settle();
+            grouping++;
+            try {
+                return state.batch(fn);
+            } finally {
+                grouping--;
+                if (grouping === 0) {
+                    commitStep();
+                }
+            }
+        },
+
+        pause(): void {
+            state.$flushSync();
+            paused++;
+        },
+
+        resume(): void {
+            state.$flushSync();
+            paused = Math.max(0, paused - 1);
+        },
+
+        clear(): void {
+            state.$flushSync();
+            undoStack = [];
+            redoStack = [];
+            currentStep = [];
+            checkpointScheduled = false;
+            emitChange();
+        },
+
+        bindKeys(target: EventTarget = document, keyOptions: { editable?: boolean } = {}): () => void {
+            const onKeydown = (event: Event): void => {
+                const e = event as KeyboardEvent;
+                if (e.defaultPrevented || !(e.ctrlKey || e.metaKey)) return;
+                if (!keyOptions.editable && isEditable(e.target)) return;
+
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    if (history.undo()) e.preventDefault();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    if (history.redo()) e.preventDefault();
+                }
+            };
+
+            target.addEventListener('keydown', onKeydown);
+            return () => target.removeEventListener('keydown', onKeydown);
+        },
+
+        destroy(): void {
+            unsubscribe();
+            undoStack = [];
+            redoStack = [];
+            currentStep = [];
+            checkpointScheduled = false;
+        }
+    };
+
+    return history;
+}
@@ -6,13 +6,40 @@
 /**
  * Subscriber callback function type
  */
-export type SubscriberCallback<T = any> = (value: T) => void;
+export type SubscriberCallback<T = any> = (value: T, change?: ChangeRecord) => void;
+
+/**
+ * Kind of mutation described by a change record
+ */
+export type ChangeOperation = 'add' | 'set' | 'delete' | 'clear'
+    | 'push' | 'pop' | 'shift' | 'unshift' | 'splice' | 'sort' | 'reverse';
+
+/**
+ * Change record passed to wildcard subscribers
+ */
+export interface ChangeRecord {
+    /** Concrete dot-notation path that changed */
+    path: string;
+    /** Value before the change (a copy of the array for array mutators, while wildcard subscribers exist) */
+    oldValue: any;
+    /** Value after the change (a copy of the array for array mutators, while wildcard subscribers exist) */
+    newValue: any;
+    /** Kind of mutation */
+    operation: ChangeOperation;
+    /** Map key or Set item, for Map/Set mutations (oldValue/newValue are then copies of the collection) */
+    key?: any;
+}
 
 /**
  * Unsubscribe function type
  */
 export type UnsubscribeFunction = () => void;
 
+/**
+ * Callback registered with $dependOn(), called with the record of each change affecting a read path
+ */
+export type DependentCallback = (change: ChangeRecord) => void;
+
 /**
  * Reactive state interface with utility methods
  */
@@ -22,6 +49,44 @@ export interface ReactiveState<T extends Record<string, any>> extends ProxyConst
     $unsubscribeAll(): void;
     $destroy(): void;
     $flushSync(): void;
+    batch<R>(fn: () => R): R;
+    transaction<R>(fn: () => R): R;
+    $track<R>(fn: () => R): TrackResult<R>;
+    $dependOn(paths: Iterable<string>, callback: DependentCallback): UnsubscribeFunction;
+    $snapshot(): T;
+}
+
+/**
+ * Result of $track(): the function's return value, the paths it read and the change records of its writes
+ */
+export interface TrackResult<R> {
+    value: R;
+    reads: Set<string>;
+    writes: Set<ChangeRecord>;
+}
+
+/**
+ * Transaction journal entry: a property's previous value, or an array's previous items
+ */
+interface JournalEntry {
+    target: any;
+    prop?: string;
+    had?: boolean;
+    oldValue?: any;
+    items?: any[];
+    entries?: Map<any, any> | Set<any>;
+    time?: number;
+}
+
+/**
+ * Check whether a value is a File, Blob or FileList
+ * These are immutable and keep their data in internal slots, so they are stored as is, without a proxy.
+ * @param value - Value to check
+ * @returns True for files
+ */
+function isFileObject(value: object): boolean {
+    return (typeof Blob !== 'undefined' && value instanceof Blob) ||
+        (typeof FileList !== 'undefined' && value instanceof FileList);
 }
 
 /**
@@ -29,31 +94,64 @@ export interface ReactiveState<T extends Record<string, any>> extends ProxyConst
  */
 const arrayMutatorMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'] as const;
 
+/**
+ * Options for createReactiveState
+ */
+export interface ReactiveStateOptions {
+    /** Only track top-level properties; nested objects are returned as-is (defaults to false) */
+    shallow?: boolean;
+}
+
 /**
  * Creates a reactive state object using ES6 Proxy
  * @param initialState - Initial state object
+ * @param options - State options
  * @returns Reactive state proxy with subscribe/unsubscribe methods
  */
 export function createReactiveState<T extends Record<string, any>>(
-    initialState: T = {} as T
+    initialState: T = {} as T,
+    options: ReactiveStateOptions = {}
 ): T & ReactiveState<T> {
     // Input validation
     if (typeof initialState !== 'object' || initialState === null) {
         throw new TypeError('[rnxJS] createReactiveState: initialState must be an object');
     }
 
+    const shallow = Boolean(options && options.shallow);
+
     const subscribers = new Map<string, Set<SubscriberCallback>>();
+    const patternSubscribers = new Map<string, Set<SubscriberCallback>>(); // Wildcard patterns (e.g. 'orders.*.status', 'user.**')
     const proxyCache = new WeakMap<object, any>(); // Cache proxies to avoid recreating them
     const visitedObjects = new WeakSet<object>(); // Prevent circular reference infinite loops
     const unsubscribeFunctions = new Set<UnsubscribeFunction>(); // Track all unsubscribe functions for cleanup
 
     // Update batching state
     let pendingNotifications = new Map<string, any>();
+    let pendingChanges: ChangeRecord[] = [];
     let batchScheduled = false;
+    let batchDepth = 0; // > 0 while inside batch()/transaction()
+
+    // Undo journals of the transactions currently in progress
+    const journals = new Set<JournalEntry[]>();
+
+    // Dependency trackers of the $track() calls in progress (innermost last)
+    const trackers: TrackResult<any>[] = [];
+
+    // $dependOn() callbacks by read path, and by every ancestor of a read path
+    const dependents = new Map<string, Set<DependentCallback>>();
+    const descendantDependents = new Map<string, Set<DependentCallback>>();
 
     /**
      * Subscribe to changes on a specific property path
-     * @param path - Dot-notation path (e.g., 'user.email')
+     *
+     * Paths may contain wildcards:
+     * - `*` matches exactly one segment (e.g. 'orders.*.status')
+     * - `**` matches zero or more segments (e.g. 'user.**', or '**' for everything)
+     *
+     * Wildcard subscribers are called once per change with the new value and a
+     * change record: { path, oldValue, newValue, operation }.
+     *
+     * @param path - Dot-notation path (e.g., 'user.email') or wildcard pattern
      * @param callback - Called with new value when path changes
      * @returns Unsubscribe function
      */
@@ -67,18 +165,20 @@ export function createReactiveState<T extends Record<string, any>>(
             return () => { };
         }
 
-        if (!subscribers.has(path)) {
-            subscribers.set(path, new Set());
+        const registry = isPattern(path) ? patternSubscribers : subscribers;
+
+        if (!registry.has(path)) {
+            registry.set(path, new Set());
         }
-        subscribers.get(path)!.add(callback);
+        registry.get(path)!.add(callback as SubscriberCallback);
 
         // Return unsubscribe function
         const unsubscribe: UnsubscribeFunction = () => {
-            const pathSubscribers = subscribers.get(path);
+            const pathSubscribers = registry.get(path);
             if (pathSubscribers) {
-                pathSubscribers.delete(callback);
+                pathSubscribers.delete(callback as SubscriberCallback);
                 if (pathSubscribers.size === 0) {
-                    subscribers.delete(path);
+                    registry.delete(path);
                 }
             }
             unsubscribeFunctions.delete(unsubscribe);
@@ -93,6 +193,9 @@ export function createReactiveState<T extends Record<string, any>>(
      */
     function unsubscribeAll(): void {
         subscribers.clear();
+        patternSubscribers.clear();
+        dependents.clear();
+        descendantDependents.clear();
         unsubscribeFunctions.clear();
     }
 
@@ -105,16 +208,65 @@ export function createReactiveState<T extends Record<string, any>>(
         // but will be garbage collected when references are gone
     }
 
+    /**
+     * Check whether a subscription path contains wildcard segments
+     * @param path - Subscription path
+     * @returns True if the path is a wildcard pattern
+     */
+    function isPattern(path: string): boolean {
+        return path.split('.').some(segment => segment === '*' || segment === '**');
+    }
+
+    /**
+     * Match path segments against pattern segments
+     * @param pattern - Pattern segments (may contain '*' and '**')
+     * @param parts - Concrete path segments
+     * @param allowPrefix - Also match when the path ends before the pattern does
+     *                      (an ancestor object was replaced, so descendants may have changed)
+     * @returns True if the path matches the pattern
+     */
+    function matchSegments(pattern: string[], parts: string[], allowPrefix: boolean): boolean {
+        const match = (p: number, i: number): boolean => {
+            if (i === parts.length) {
+                let rest = p;
+                while (rest < pattern.length && pattern[rest] === '**') {
+                    rest++;
+                }
+                return rest === pattern.length || allowPrefix;
+            }
+            if (p === pattern.length) return false;
+
+            if (pattern[p] === '**') {
+                // '**' matches no segment, or one more
+                return match(p + 1, i) || match(p, i + 1);
+            }
+            return (pattern[p] === '*' || pattern[p] === parts[i]) && match(p + 1, i + 1);
+        };
+
+        return match(0, 0);
+    }
+
     /**
      * Queue a notification to be processed in the next microtask
      * Also queue parent path notifications to avoid redundant lookups
      * @param path - Property path that changed
      * @param value - New value
+     * @param change - Change record for wildcard subscribers
      */
-    function queueNotification(path: string, value: any): void {
+    function queueNotification(path: string, value: any, change?: ChangeRecord): void {
         // Store the notification for the exact path
         pendingNotifications.set(path, value);
 
+        // Keep every change record for wildcard subscribers and dependents
+        if (change && (patternSubscribers.size > 0 || dependents.size > 0)) {
+            pendingChanges.push(change);
+        }
+
+        // Report the write to the innermost $track() call
+        if (change && trackers.length > 0) {
+            trackers[trackers.length - 1].writes.add(change);
+        }
+
         // Also queue parent path notifications
         // (will be computed at flush time with latest values)
         const parts = path.split('.');
@@ -126,8 +278,8 @@ export function createReactiveState<T extends Record<string, any>>(
             }
         }
 
-        // Schedule batch if not already scheduled
-        if (!batchScheduled) {
+        // Schedule batch if not already scheduled (explicit batches flush when they end)
+        if (!batchScheduled && batchDepth === 0) {
             batchScheduled = true;
             queueMicrotask(flushNotifications);
         }
@@ -139,13 +291,21 @@ export function createReactiveState<T extends Record<string, any>>(
      */
     function flushNotifications(): void {
         const notifications = pendingNotifications;
+        const changes = pendingChanges;
         pendingNotifications = new Map();
+        pendingChanges = [];
         batchScheduled = false;
 
         // Process all queued notifications
         for (const [path, value] of notifications) {
             notifyImmediate(path, value);
         }
+
+        // Deliver change records to wildcard subscribers and dependents, in mutation order
+        for (const change of changes) {
+            notifyPatterns(change);
+            notifyDependents(change);
+        }
     }
 
     /**
@@ -158,6 +318,401 @@ export function createReactiveState<T extends Record<string, any>>(
         }
     }
 
+    /**
+     * Run a function with notifications held back until it returns
+     * All writes made inside are coalesced into a single notification pass
+     * @param fn - Function performing state writes
+     * @returns Return value of fn
+     */
+    function batch<R>(fn: () => R): R {
+        if (typeof fn !== 'function') {
+            console.warn('[rnxJS] batch: argument must be a function');
+            return undefined as R;
+        }
+
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            endBatch();
+        }
+    }
+
+    /**
+     * Leave a batch and flush pending notifications when the outermost batch ends
+     */
+    function endBatch(): void {
+        batchDepth--;
+        if (batchDepth === 0 && (pendingNotifications.size > 0 || pendingChanges.length > 0)) {
+            flushNotifications();
+        }
+    }
+
+    /**
+     * Run a function and collect the paths it reads and the changes it makes
+     * Only the innermost call collects when calls are nested.
+     * Writes are reported as change records.
+     * @param fn - Function reading (and possibly writing) state
+     * @returns Return value of fn, read paths and change records of its writes
+     */
+    function track<R>(fn: () => R): TrackResult<R> {
+        const result: TrackResult<R> = { value: undefined as R, reads: new Set(), writes: new Set() };
+        if (typeof fn !== 'function') {
+            console.warn('[rnxJS] $track: argument must be a function');
+            return result;
+        }
+
+        trackers.push(result);
+        try {
+            result.value = fn();
+        } finally {
+            trackers.splice(trackers.lastIndexOf(result), 1);
+        }
+        return result;
+    }
+
+    /**
+     * Call a function whenever a change affects one of the given read paths
+     * A change affects a path it equals or is an ancestor of (the read value was replaced),
+     * and adding or deleting a key affects the object that holds it (its keys were read).
+     * Paths are indexed, so changes only reach the callbacks that depend on them.
+     * @param paths - Read paths (e.g. the reads of $track())
+     * @param callback - Called with the change record
+     * @returns Function removing the callback from the index
+     */
+    function dependOn(paths: Iterable<string>, callback: DependentCallback): UnsubscribeFunction {
+        if (typeof callback !== 'function') {
+            console.warn('[rnxJS] $dependOn: callback must be a function');
+            return () => { };
+        }
+
+        const entries: [Map<string, Set<DependentCallback>>, string][] = [];
+        const add = (index: Map<string, Set<DependentCallback>>, path: string): void => {
+            if (!index.has(path)) {
+                index.set(path, new Set());
+            }
+            index.get(path)!.add(callback);
+            entries.push([index, path]);
+        };
+
+        for (const path of paths) {
+            add(dependents, path);
+            for (let i = path.lastIndexOf('.'); i > 0; i = path.lastIndexOf('.', i - 1)) {
+                add(descendantDependents, path.slice(0, i));
+            }
+        }
+
+        return () => {
+            for (const [index, path] of entries) {
+                const callbacks = index.get(path);
+                if (callbacks) {
+                    callbacks.delete(callback);
+                    if (callbacks.size === 0) {
+                        index.delete(path);
+                    }
+                }
+            }
+            entries.length = 0;
+        };
+    }
+
+    /**
+     * Call the $dependOn() callbacks affected by a change
+     * @param change - Change record
+     */
+    function notifyDependents(change: ChangeRecord): void {
+        if (dependents.size === 0) return;
+
+        const { path, operation } = change;
+        const affected = new Set<DependentCallback>([
+            ...(dependents.get(path) || []),
+            ...(descendantDependents.get(path) || [])
+        ]);
+        if (operation === 'add' || operation === 'delete') {
+            const parent = path.slice(0, path.lastIndexOf('.'));
+            if (parent) {
+                dependents.get(parent)?.forEach(callback => affected.add(callback));
+            }
+        }
+
+        affected.forEach(callback => {
+            try {
+                callback(change);
+            } catch (error) {
+                console.error(`[rnxJS] Error in dependent of path "${path}":`, error);
+            }
+        });
+    }
+
+    /**
+     * Run a function as a transaction
+     * Writes are batched like batch(). If fn throws, every mutation made inside is
+     * reverted and no notification is sent for it. If fn returns a promise, the
+     * writes are applied (and notified) immediately and reverted if it rejects.
+     * Recording goes on until the promise settles, so writes made after an await are
+     * reverted too, as are writes made by other code while it is pending.
+     * @param fn - Function performing state writes (may be async)
+     * @returns Return value of fn (a promise if fn is async)
+     */
+    function transaction<R>(fn: () => R): R {
+        if (typeof fn !== 'function') {
+            console.warn('[rnxJS] transaction: argument must be a function');
+            return undefined as R;
+        }
+
+        const journal: JournalEntry[] = [];
+        const notificationsBefore = new Map(pendingNotifications);
+        const changesBefore = pendingChanges.slice();
+        let result: R;
+
+        journals.add(journal);
+        batchDepth++;
+        try {
+            result = fn();
+        } catch (error) {
+            journals.delete(journal);
+            revertJournal(journal, false);
+            // Drop the notifications queued by the reverted writes
+            pendingNotifications = notificationsBefore;
+            pendingChanges = changesBefore;
+            throw error;
+        } finally {
+            endBatch();
+        }
+
+        if (result && typeof (result as any).then === 'function') {
+            return Promise.resolve(result).then(value => {
+                journals.delete(journal);
+                return value;
+            }, error => {
+                journals.delete(journal);
+                // Writes were already notified, so revert through the proxies
+                batch(() => revertJournal(journal, true));
+                throw error;
+            }) as unknown as R;
+        }
+
+        journals.delete(journal);
+        return result;
+    }
+
+    /**
+     * Record the previous value of a property in every active transaction journal
+     * @param target - Raw object being mutated
+     * @param prop - Property being written or deleted
+     */
+    function journalProperty(target: any, prop: string): void {
+        if (journals.size === 0) return;
+        const entry: JournalEntry = {
+            target,
+            prop,
+            had: Object.prototype.hasOwnProperty.call(target, prop),
+            oldValue: target[prop]
+        };
+        journals.forEach(journal => journal.push(entry));
+    }
+
+    /**
+     * Record the previous contents of an array in every active transaction journal
+     * @param target - Raw array about to be mutated
+     */
+    function journalArray(target: any[]): void {
+        if (journals.size === 0) return;
+        const entry: JournalEntry = { target, items: target.slice() };
+        journals.forEach(journal => journal.push(entry));
+    }
+
+    /**
+     * Copy a Map or Set (used for change records and transaction journals)
+     * @param collection - Collection to copy
+     * @returns Shallow copy
+     */
+    function copyCollection(collection: Map<any, any> | Set<any>): Map<any, any> | Set<any> {
+        return collection instanceof Map ? new Map(collection) : new Set(collection);
+    }
+
+    /**
+     * Record the previous contents of a Map, Set or Date in every active transaction journal
+     * @param target - Raw object about to be mutated
+     */
+    function journalBuiltIn(target: Map<any, any> | Set<any> | Date): void {
+        if (journals.size === 0) return;
+        const entry: JournalEntry = target instanceof Date
+            ? { target, time: target.getTime() }
+            : { target, entries: copyCollection(target) };
+        journals.forEach(journal => journal.push(entry));
+    }
+
+    /**
+     * Get a method of a Map, Set or Date bound to the raw object
+     * Mutating methods notify subscribers: Map keys and primitive Set items are
+     * notified at `<path>.<key>`, the collection itself at `<path>`.
+     * @param target - Raw built-in object
+     * @param method - Method name
+     * @param basePath - Path of the built-in object
+     * @returns Bound or wrapped method
+     */
+    function builtInMethod(target: any, method: string | symbol, basePath: string): any {
+        const original = target[method];
+        const childPath = (key: any): string => basePath ? `${basePath}.${String(key)}` : String(key);
+        const wrapValue = (value: any, key: any): any => createReactiveProxy(value, childPath(key));
+
+        // Date: every set* method may change the timestamp
+        if (target instanceof Date) {
+            if (typeof method !== 'string' || !method.startsWith('set')) {
+                return original.bind(target);
+            }
+            return function (...args: any[]): any {
+                const before = target.getTime();
+                journalBuiltIn(target);
+                const result = original.apply(target, args);
+                const after = target.getTime();
+                if (!Object.is(before, after)) {
+                    queueNotification(basePath, proxyCache.get(target), {
+                        path: basePath,
+                        oldValue: new Date(before),
+                        newValue: new Date(after),
+                        operation: 'set'
+                    });
+                }
+                return result;
+            };
+        }
+
+        const isMap = target instanceof Map;
+        const hasKeyPath = (key: any): boolean => isMap || key === null || typeof key !== 'object';
+
+        /**
+         * Queue notifications for a collection mutation
+         * @param operation - 'add', 'set', 'delete' or 'clear'
+         * @param key - Map key or Set item (undefined for 'clear')
+         * @param value - Value to notify at the key path
+         * @param before - Copy taken before the mutation (only for wildcard subscribers)
+         */
+        const notifyCollection = (operation: ChangeOperation, key: any, value: any, before?: Map<any, any> | Set<any>): void => {
+            const record: ChangeRecord = {
+                path: basePath,
+                key,
+                oldValue: before,
+                newValue: before && copyCollection(target),
+                operation
+            };
+
+            if (operation !== 'clear' && hasKeyPath(key)) {
+                queueNotification(childPath(key), value, record);
+            } else {
+                // Object items of a Set have no meaningful key path
+                queueNotification(basePath, proxyCache.get(target), record);
+            }
+        };
+
+        switch (method) {
+            case 'get':
+                return isMap ? (key: any) => wrapValue(target.get(key), key) : original.bind(target);
+
+            case 'set':
+                if (!isMap) return original.bind(target);
+                return function (key: any, value: any): any {
+                    const had = target.has(key);
+                    if (!had || target.get(key) !== value) {
+                        const before = patternSubscribers.size > 0 ? copyCollection(target) : undefined;
+                        journalBuiltIn(target);
+                        target.set(key, value);
+                        notifyCollection(had ? 'set' : 'add', key, value, before);
+                    }
+                    return proxyCache.get(target);
+                };
+
+            case 'add':
+                if (isMap) return original.bind(target);
+                return function (item: any): any {
+                    if (!target.has(item)) {
+                        const before = patternSubscribers.size > 0 ? copyCollection(target) : undefined;
+                        journalBuiltIn(target);
+                        target.add(item);
+                        notifyCollection('add', item, true, before);
+                    }
+                    return proxyCache.get(target);
+                };
+
+            case 'delete':
+                return function (key: any): boolean {
+                    if (!target.has(key)) return false;
+                    const before = patternSubscribers.size > 0 ? copyCollection(target) : undefined;
+                    journalBuiltIn(target);
+                    target.delete(key);
+                    notifyCollection('delete', key, isMap ? undefined : false, before);
+                    return true;
+                };
+
+            case 'clear':
+                return function (): void {
+                    if (target.size === 0) return;
+                    const before = copyCollection(target);
+                    journalBuiltIn(target);
+                    target.clear();
+                    before.forEach((_v: any, key: any) => {
+                        if (hasKeyPath(key)) {
+                            queueNotification(childPath(key), isMap ? undefined : false);
+                        }
+                    });
+                    notifyCollection('clear', undefined, undefined, patternSubscribers.size > 0 ? before : undefined);
+                };
+
+            case 'forEach':
+                return function (callback: (value: any, key: any, collection: any) => void, thisArg?: any): void {
+                    const proxy = proxyCache.get(target);
+                    target.forEach((value: any, key: any) => {
+                        callback.call(thisArg, isMap ? wrapValue(value, key) : value, key, proxy);
+                    });
+                };
+
+            case 'values':
+            case 'entries':
+            case Symbol.iterator:
+                if (!isMap) return original.bind(target);
+                return function* (): Generator<any> {
+                    for (const [key, value] of target) {
+                        yield method === 'values' ? wrapValue(value, key) : [key, wrapValue(value, key)];
+                    }
+                };
+
+            default:
+                return original.bind(target);
+        }
+    }
+
+    /**
+     * Undo journal entries in reverse order
+     * @param journal - Journal entries
+     * @param notify - Write through the proxies so subscribers see the revert
+     */
+    function revertJournal(journal: JournalEntry[], notify: boolean): void {
+        for (let i = journal.length - 1; i >= 0; i--) {
+            const entry = journal[i];
+            const target = notify ? (proxyCache.get(entry.target) || entry.target) : entry.target;
+
+            try {
+                if (entry.items) {
+                    target.splice(0, target.length, ...entry.items);
+                } else if (entry.entries) {
+                    target.clear();
+                    entry.entries.forEach((value: any, key: any) => {
+                        entry.target instanceof Map ? target.set(key, value) : target.add(value);
+                    });
+                } else if (entry.time !== undefined) {
+                    target.setTime(entry.time);
+                } else if (entry.had) {
+                    target[entry.prop!] = entry.oldValue;
+                } else {
+                    delete target[entry.prop!];
+                }
+            } catch (error) {
+                console.error('[rnxJS] Error reverting transaction:', error);
+            }
+        }
+    }
+
     /**
      * Notify all subscribers for a given path (immediate, no batching)
      * @param path - Property path that changed
@@ -183,6 +738,33 @@ export function createReactiveState<T extends Record<string, any>>(
         }
     }
 
+    /**
+     * Notify wildcard subscribers whose pattern matches a change
+     * A pattern also matches when an object holding its target paths was replaced
+     * @param change - Change record
+     */
+    function notifyPatterns(change: ChangeRecord): void {
+        const parts = change.path ? change.path.split('.') : [];
+        // Only a replaced object can change paths below its own
+        const replacesObject = [change.oldValue, change.newValue].some(value => typeof value === 'object' && value !== null);
+
+        for (const [pattern, callbacks] of patternSubscribers) {
+            try {
+                if (!matchSegments(pattern.split('.'), parts, replacesObject)) continue;
+
+                callbacks.forEach(callback => {
+                    try {
+                        callback(change.newValue, change);
+                    } catch (error) {
+                        console.error(`[rnxJS] Error in subscriber for pattern "${pattern}":`, error);
+                    }
+                });
+            } catch (error) {
+                console.error(`[rnxJS] Error notifying subscribers for pattern "${pattern}":`, error);
+            }
+        }
+    }
+
     /**
      * Get nested property value from object
      * @param obj - Source object
@@ -225,11 +807,18 @@ export function createReactiveState<T extends Record<string, any>>(
         // Special handling for arrays
         const isArray = Array.isArray(target);
 
+        // Map, Set and Date keep their data in internal slots: methods must run on the raw object
+        const isBuiltIn = target instanceof Map || target instanceof Set || target instanceof Date;
+
         // Recursively wrap nested objects
         const handler: ProxyHandler<any> = {
             get(obj: any, prop: string | symbol): any {
                 const value = obj[prop];
 
+                if (isBuiltIn) {
+                    return typeof value === 'function' ? builtInMethod(obj, prop, basePath) : value;
+                }
+
                 // Skip for Symbols and built-in properties
                 if (typeof prop !== 'string') {
                     return value;
@@ -240,16 +829,30 @@ export function createReactiveState<T extends Record<string, any>>(
                 // Wrap array mutator methods to trigger reactivity
                 if (isArray && arrayMutatorMethods.includes(prop as any)) {
                     return function (this: any, ...args: any[]): any {
+                        // Copies of the items are only needed by wildcard subscribers
+                        const copies = patternSubscribers.size > 0;
+                        const before = copies ? obj.slice() : undefined;
+                        journalArray(obj);
                         const result = (Array.prototype as any)[prop].apply(obj, args);
                         // Queue notification that the array changed
-                        queueNotification(basePath, obj);
+                        queueNotification(basePath, obj, {
+                            path: basePath,
+                            oldValue: before,
+                            newValue: copies ? obj.slice() : undefined,
+                            operation: prop as ChangeOperation
+                        });
                         return result;
                     };
                 }
 
-                // Return nested proxy for objects and arrays
-                if (typeof value === 'object' && value !== null) {
-                    return createReactiveProxy(value, currentPath);
+                // Report the read to the innermost $track() call (methods are not dependencies)
+                if (trackers.length > 0 && typeof value !== 'function') {
+                    trackers[trackers.length - 1].reads.add(currentPath);
+                }
+
+                // Return nested proxy for objects and arrays (shallow states stop at the top level)
+                if (typeof value === 'object' && value !== null && !isFileObject(value)) {
+                    return shallow ? value : createReactiveProxy(value, currentPath);
                 }
 
                 return value;
@@ -267,11 +870,41 @@ export function createReactiveState<T extends Record<string, any>>(
 
                 // Only update and notify if value actually changed
                 if (oldValue !== value) {
+                    const operation: ChangeOperation = Object.prototype.hasOwnProperty.call(obj, prop) ? 'set' : 'add';
+                    journalProperty(obj, prop);
                     obj[prop] = value;
-                    queueNotification(currentPath, value);
+                    queueNotification(currentPath, value, {
+                        path: currentPath,
+                        oldValue,
+                        newValue: value,
+                        operation
+                    });
                 }
 
                 return true;
+            },
+
+            deleteProperty(obj: any, prop: string | symbol): boolean {
+                // Skip for Symbols and properties that don't exist
+                if (typeof prop !== 'string' || !Object.prototype.hasOwnProperty.call(obj, prop)) {
+                    return delete obj[prop];
+                }
+
+                const oldValue = obj[prop];
+                const currentPath = basePath ? `${basePath}.${prop}` : prop;
+                journalProperty(obj, prop);
+                const deleted = delete obj[prop];
+
+                if (deleted) {
+                    queueNotification(currentPath, undefined, {
+                        path: currentPath,
+                        oldValue,
+                        newValue: undefined,
+                        operation: 'delete'
+                    });
+                }
+
+                return deleted;
             }
         };
 
@@ -320,5 +953,265 @@ export function createReactiveState<T extends Record<string, any>>(
         configurable: false
     });
 
+    Object.defineProperty(state, 'batch', {
+        value: batch,
+        enumerable: false,
+        writable: false,
+        configurable: false
+    });
+
+    Object.defineProperty(state, 'transaction', {
+        value: transaction,
+        enumerable: false,
+        writable: false,
+        configurable: false
+    });
+
+    Object.defineProperty(state, '$track', {
+        value: track,
+        enumerable: false,
+        writable: false,
+        configurable: false
+    });
+
+    Object.defineProperty(state, '$dependOn', {
+        value: dependOn,
+        enumerable: false,
+        writable: false,
+        configurable: false
+    });
+
+    Object.defineProperty(state, '$snapshot', {
+        value: () => cloneSnapshot(initialState),
+        enumerable: false,
+        writable: false,
+        configurable: false
+    });
+
     return state as T & ReactiveState<T>;
 }
+
+/**
+ * Deep copy a state graph without proxies
+ * Dates, Maps and Sets are copied as such and files are not copied; shared and circular references are kept.
+ * @param value - Value to copy
+ * @param copies - Copies made so far, by original object
+ * @returns Copy
+ */
+function cloneSnapshot(value: any, copies: Map<object, any> = new Map()): any {
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+    if (copies.has(value)) {
+        return copies.get(value);
+    }
+
+    if (isFileObject(value)) {
+        return value;
+    }
+    if (value instanceof Date) {
+        const copy = new Date(value.getTime());
+        copies.set(value, copy);
+        return copy;
+    }
+    if (value instanceof Map) {
+        const copy = new Map();
+        copies.set(value, copy);
+        value.forEach((item, key) => copy.set(cloneSnapshot(key, copies), cloneSnapshot(item, copies)));
+        return copy;
+    }
+    if (value instanceof Set) {
+        const copy = new Set();
+        copies.set(value, copy);
+        value.forEach(item => copy.add(cloneSnapshot(item, copies)));
+        return copy;
+    }
+
+    const copy: any = Array.isArray(value) ? [] : {};
+    copies.set(value, copy);
+    for (const key of Object.keys(value)) {
+        copy[key] = cloneSnapshot(value[key], copies);
+    }
+    return copy;
+}
+
+/**
+ * Create a reactive state that only tracks its top-level properties
+ * Nested objects and arrays are not proxied: replace them to notify subscribers.
+ * @param initialState - Initial state object
+ * @returns Reactive state proxy
+ */
+export function shallowReactive<T extends Record<string, any>>(initialState: T = {} as T): T & ReactiveState<T> {
+    return createReactiveState(initialState, { shallow: true });
+}
+
+/**
+ * Methods that mutate arrays, Maps, Sets and Dates, rejected by readonly()
+ */
+const readonlyMutators: Record<string, (name: string) => boolean> = {
+    array: name => ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].includes(name),
+    map: name => name === 'set' || name === 'delete' || name === 'clear',
+    set: name => name === 'add' || name === 'delete' || name === 'clear',
+    date: name => name.startsWith('set')
+};
+
+/**
+ * State methods that change the state or its subscriptions, rejected by readonly()
+ */
+const readonlyBlockedMethods = ['batch', 'transaction', '$destroy', '$unsubscribeAll'];
+
+/**
+ * Cache of readonly proxies by wrapped object
+ */
+const readonlyCache = new WeakMap<object, any>();
+
+/**
+ * Create a readonly view of a reactive state (or any object)
+ * Reads, subscriptions and nested objects work as usual; writes, deletes, mutating
+ * methods and state-changing utilities log a warning and are ignored.
+ * @param target - Reactive state or object to protect
+ * @returns Readonly proxy
+ */
+export function readonly<T extends object>(target: T): Readonly<T> {
+    if (typeof target !== 'object' || target === null) {
+        throw new TypeError('[rnxJS] readonly: target must be an object');
+    }
+    return createReadonlyProxy(target, '');
+}
+
+/**
+ * Wrap an object in a readonly proxy (values that are not objects are returned as-is)
+ * The proxy target is an empty stand-in, so reads may return wrapped values even for
+ * non-configurable properties (such as the state utility methods).
+ * @param target - Object to wrap
+ * @param basePath - Path of the object, for warnings
+ * @returns Readonly proxy
+ */
+function createReadonlyProxy(target: any, basePath: string): any {
+    if (typeof target !== 'object' || target === null) {
+        return target;
+    }
+    if (readonlyCache.has(target)) {
+        return readonlyCache.get(target);
+    }
+
+    const kind = Array.isArray(target) ? 'array'
+        : target instanceof Map ? 'map'
+            : target instanceof Set ? 'set'
+                : target instanceof Date ? 'date' : null;
+    const isMutator = kind ? readonlyMutators[kind] : () => false;
+
+    const reject = (path: string): boolean => {
+        console.warn(`[rnxJS] readonly: cannot modify "${path || '(root)'}" on a readonly state`);
+        return true;
+    };
+    const childPath = (prop: string | symbol): string => {
+        const key = String(prop);
+        return basePath ? `${basePath}.${key}` : key;
+    };
+
+    // Arrays need an array stand-in so Array.isArray() keeps working
+    const standIn: any = kind === 'array' ? [] : {};
+
+    const proxy: any = new Proxy(standIn, {
+        get(_standIn: any, prop: string | symbol): any {
+            const value = kind === 'array' || !kind ? Reflect.get(target, prop, proxy) : target[prop];
+
+            if (typeof value === 'function') {
+                if (typeof prop === 'string' && isMutator(prop)) {
+                    return () => { reject(basePath); };
+                }
+                if (kind === 'map' || kind === 'set') {
+                    return readonlyCollectionMethod(target, prop, value, basePath);
+                }
+                // Dates keep their data in internal slots: call methods on the wrapped object
+                if (kind === 'date') {
+                    return value.bind(target);
+                }
+                if (!kind && basePath === '') {
+                    return readonlyStateMethod(prop, value);
+                }
+                return value;
+            }
+
+            return typeof prop === 'symbol' ? value : createReadonlyProxy(value, childPath(prop));
+        },
+
+        set: (_standIn: any, prop: string | symbol) => reject(childPath(prop)),
+        deleteProperty: (_standIn: any, prop: string | symbol) => reject(childPath(prop)),
+        defineProperty: (_standIn: any, prop: string | symbol) => reject(childPath(prop)),
+        setPrototypeOf: () => reject(basePath),
+
+        has: (_standIn: any, prop: string | symbol) => prop in target,
+        ownKeys: () => Reflect.ownKeys(target),
+        getPrototypeOf: () => Object.getPrototypeOf(target),
+
+        getOwnPropertyDescriptor(_standIn: any, prop: string | symbol): PropertyDescriptor | undefined {
+            const descriptor = Reflect.getOwnPropertyDescriptor(target, prop);
+            // Only the stand-in's own non-configurable properties (an array's length) may be reported as such
+            if (descriptor && !Reflect.getOwnPropertyDescriptor(standIn, prop)) {
+                descriptor.configurable = true;
+            }
+            return descriptor;
+        }
+    });
+
+    readonlyCache.set(target, proxy);
+    return proxy;
+}
+
+/**
+ * Get a utility method of a readonly state
+ * State-changing utilities are rejected; values passed to subscribers are readonly
+ * @param method - Method name
+ * @param original - Method of the wrapped state
+ * @returns Method
+ */
+function readonlyStateMethod(method: string | symbol, original: Function): any {
+    if (typeof method === 'string' && readonlyBlockedMethods.includes(method)) {
+        return () => {
+            console.warn(`[rnxJS] readonly: ${method}() is not available on a readonly state`);
+        };
+    }
+    if (method === 'subscribe') {
+        return (path: string, callback: SubscriberCallback) => original(path, typeof callback === 'function'
+            ? (value: any, change?: ChangeRecord) => callback(createReadonlyProxy(value, path), change)
+            : callback);
+    }
+    if (method === 'getNestedValue') {
+        return (path: string) => createReadonlyProxy(original(path), path);
+    }
+    return original;
+}
+
+/**
+ * Get a read method of a Map or Set whose values are readonly
+ * @param collection - Map or Set (possibly a reactive proxy)
+ * @param method - Method name
+ * @param original - Method of the collection
+ * @param basePath - Path of the collection, for warnings
+ * @returns Bound method
+ */
+function readonlyCollectionMethod(collection: any, method: string | symbol, original: Function, basePath: string): any {
+    const isMap = collection instanceof Map;
+    const wrap = (value: any, key: any): any => createReadonlyProxy(value, `${basePath}.${String(key)}`);
+
+    if (method === 'get') {
+        return (key: any) => wrap(original.call(collection, key), key);
+    }
+    if (method === 'forEach') {
+        return (callback: Function, thisArg?: any) => original.call(collection, (value: any, key: any) => {
+            callback.call(thisArg, wrap(value, key), isMap ? key : wrap(key, key), createReadonlyProxy(collection, basePath));
+        });
+    }
+    if (method === 'values' || method === 'entries' || method === Symbol.iterator || (method === 'keys' && !isMap)) {
+        const pairs = method === 'entries' || (isMap && method === Symbol.iterator);
+        return function* () {
+            for (const [key, value] of collection.entries()) {
+                const item = wrap(value, key);
+                yield pairs ? [isMap ? key : item, item] : item;
+            }
+        };
+    }
+    return original.bind(collection);
+}
@@ -0,0 +1,164 @@
+/**
+ * Auto-tracked effects for reactive state
+ * Re-runs a function whenever a state path it read during its last run changes
+ */
+
+import type { ReactiveState, ChangeRecord, UnsubscribeFunction } from './createReactiveState.ts';
+
+/**
+ * When a re-run happens after a dependency changes:
+ * - 'sync': as soon as subscribers are notified, once per change
+ * - 'microtask': once per notification batch (default)
+ * - 'animationFrame': once before the next repaint
+ * - a function receiving the run callback, for custom scheduling
+ */
+export type EffectScheduler = 'sync' | 'microtask' | 'animationFrame' | ((run: () => void) => void);
+
+/**
+ * Effect function; may return a cleanup function called before the next run and on stop
+ */
+export type EffectFunction = () => void | (() => void);
+
+/**
+ * Effect options
+ */
+export interface EffectOptions {
+    /** When to re-run after a dependency changes (defaults to 'microtask') */
+    scheduler?: EffectScheduler;
+    /** Called with errors thrown by the effect or its cleanup (defaults to console.error) */
+    onError?: (error: unknown) => void;
+}
+
+/**
+ * Stop function returned by effect; also exposes the current dependencies
+ */
+export interface EffectHandle {
+    (): void;
+    /** Paths read during the last run */
+    readonly dependencies: ReadonlySet<string>;
+}
+
+/**
+ * Get the schedule function for a scheduler option
+ * @param scheduler - Scheduler option
+ * @returns Function queuing a run
+ */
+function getSchedule(scheduler: EffectScheduler): (run: () => void) => void {
+    if (typeof scheduler === 'function') return scheduler;
+
+    switch (scheduler) {
+        case 'sync':
+            return run => run();
+        case 'animationFrame':
+            return typeof requestAnimationFrame === 'function'
+                ? run => { requestAnimationFrame(() => run()); }
+                : run => { setTimeout(run, 16); };
+        case 'microtask':
+            return queueMicrotask;
+        default:
+            throw new TypeError(`[rnxJS] effect: unknown scheduler "${scheduler}"`);
+    }
+}
+
+/**
+ * Run a function now and again whenever state it read changes
+ * Dependencies are collected on every run, so conditional reads are followed.
+ * Changes made by the effect itself do not re-run it.
+ * @param state - Reactive state object
+ * @param fn - Effect function; may return a cleanup function
+ * @param options - Effect options
+ * @returns Stop function
+ */
+export function effect<T extends Record<string, any>>(
+    state: T & ReactiveState<T>,
+    fn: EffectFunction,
+    options: EffectOptions = {}
+): EffectHandle {
+    if (!state || typeof state.$track !== 'function') {
+        throw new TypeError('[rnxJS] effect: state must be a reactive state object');
+    }
+    if (typeof fn !== 'function') {
+        throw new TypeError('[rnxJS] effect: fn must be a function');
+    }
+
+    const schedule = getSchedule(options.scheduler || 'microtask');
+    const reportError = (error: unknown): void => {
+        if (typeof options.onError === 'function') {
+            options.onError(error);
+        } else {
+            console.error('[rnxJS] Error in effect:', error);
+        }
+    };
+
+    let reads = new Set<string>();
+    let writes = new Set<ChangeRecord>();
+    let release: UnsubscribeFunction = () => { };
+    let cleanup: (() => void) | undefined;
+    let scheduled = false;
+    let active = true;
+
+    /**
+     * Schedule a re-run when a dependency changes (the effect's own writes are ignored)
+     * @param change - Change record
+     */
+    const onChange = (change: ChangeRecord): void => {
+        if (!active || writes.has(change)) return;
+
+        if (!scheduled) {
+            scheduled = true;
+            schedule(run);
+        }
+    };
+
+    /**
+     * Run the previous cleanup, then the effect, collecting its dependencies
+     */
+    const run = (): void => {
+        scheduled = false;
+        if (!active) return;
+
+        runCleanup();
+        try {
+            const result = state.$track(fn);
+            reads = result.reads;
+            writes = result.writes;
+            cleanup = typeof result.value === 'function' ? result.value : undefined;
+            release();
+            release = state.$dependOn(reads, onChange);
+        } catch (error) {
+            reportError(error);
+        }
+    };
+
+    /**
+     * Call and drop the cleanup returned by the last run
+     */
+    const runCleanup = (): void => {
+        if (!cleanup) return;
+        const previous = cleanup;
+        cleanup = undefined;
+        try {
+            previous();
+        } catch (error) {
+            reportError(error);
+        }
+    };
+
+    run();
+
+    const stop = (() => {
+        if (!active) return;
+        active = false;
+        release();
+        runCleanup();
+        reads = new Set();
+        writes = new Set();
+    }) as EffectHandle;
+
+    Object.defineProperty(stop, 'dependencies', {
+        get: () => reads,
+        enumerable: true
+    });
+
+    return stop;
+}
@@ -155,6 +155,15 @@ class I18n {
         return this.interpolate(text, params);
     }
 
+    /**
+     * Check whether a key has a message in the current or fallback locale
+     * @param key - Translation key (dot notation)
+     * @returns True if the key can be translated
+     */
+    has(key: string): boolean {
+        return this.getMessage(key) !== null;
+    }
+
     /**
      * Get message from messages object
      * @param key - Translation key (dot notation)
@@ -0,0 +1,397 @@
+/**
+ * JSON Patch (RFC 6902) support for reactive state
+ * Streams state changes as patch operations and applies incoming patches atomically
+ */
+
+import type { ReactiveState, ChangeRecord } from './createReactiveState.ts';
+
+/**
+ * A single RFC 6902 operation
+ */
+export type PatchOperation =
+    | { op: 'add'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'replace'; path: string; value: any }
+    | { op: 'move'; from: string; path: string }
+    | { op: 'copy'; from: string; path: string }
+    | { op: 'test'; path: string; value: any };
+
+/**
+ * Options for observePatches
+ */
+export interface ObservePatchesOptions {
+    /** Wildcard pattern of the paths to observe (defaults to '**') */
+    path?: string;
+    /** Also emit the operations applied by applyPatch (defaults to false, to avoid sync echo) */
+    includeApplied?: boolean;
+}
+
+/**
+ * States currently applying an incoming patch
+ */
+const applyingStates = new WeakSet<object>();
+
+/**
+ * Convert a dot-notation path to a JSON Pointer
+ * @param path - Dot-notation path (e.g. 'user.tags.0')
+ * @returns JSON Pointer (e.g. '/user/tags/0')
+ */
+export function toPointer(path: string): string {
+    if (!path) return '';
+    return '/' + path.split('.').map(key => key.replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+}
+
+/**
+ * Split a JSON Pointer into unescaped reference tokens
+ * @param pointer - JSON Pointer
+ * @returns Reference tokens
+ */
+function parsePointer(pointer: string): string[] {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+        throw new Error(`[rnxJS] Invalid JSON Pointer "${pointer}"`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Deep copy plain objects and arrays so emitted values don't change afterwards
+ * Maps become plain objects and Sets become arrays, as in JSON
+ * @param value - Value to copy
+ * @returns Copied value
+ */
+function clonePlain(value: any): any {
+    if (Array.isArray(value) || value instanceof Set) {
+        return Array.from(value, clonePlain);
+    }
+    if (value instanceof Map) {
+        const copy: Record<string, any> = {};
+        value.forEach((item, key) => {
+            copy[String(key)] = clonePlain(item);
+        });
+        return copy;
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy: Record<string, any> = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = clonePlain(value[key]);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Convert a change record to patch operations
+ * Array mutators become add/remove operations where possible, a replace otherwise
+ * @param state - Observed state, to tell array length writes from other properties
+ * @param change - Change record
+ * @returns Patch operations
+ */
+function changeToOperations(state: any, change: ChangeRecord): PatchOperation[] {
+    const path = toPointer(change.path);
+    const { operation, oldValue, newValue } = change;
+
+    // JSON Patch has no array length: truncating removes the last items, growing replaces the array
+    const keys = change.path.split('.');
+    if (keys.pop() === 'length' && operation === 'set') {
+        const array = keys.reduce((current, key) => current?.[key], state);
+        if (Array.isArray(array)) {
+            const arrayPath = toPointer(keys.join('.'));
+            if (typeof oldValue === 'number' && typeof newValue === 'number' && newValue < oldValue) {
+                const removed: PatchOperation[] = [];
+                for (let index = oldValue - 1; index >= newValue; index--) {
+                    removed.push({ op: 'remove', path: `${arrayPath}/${index}` });
+                }
+                return removed;
+            }
+            return [{ op: 'replace', path: arrayPath, value: clonePlain(array) }];
+        }
+    }
+
+    // Map/Set mutations carry copies of the whole collection
+    if ((newValue instanceof Map || newValue instanceof Set) && oldValue instanceof newValue.constructor) {
+        return [{ op: 'replace', path, value: clonePlain(newValue) }];
+    }
+
+    switch (operation) {
+        case 'add':
+            return [{ op: 'add', path, value: clonePlain(newValue) }];
+        case 'set':
+            return [{ op: 'replace', path, value: clonePlain(newValue) }];
+        case 'delete':
+            return [{ op: 'remove', path }];
+        case 'push':
+            return newValue.slice(oldValue.length).map((item: any, i: number) => (
+                { op: 'add', path: `${path}/${oldValue.length + i}`, value: clonePlain(item) }
+            ));
+        case 'unshift':
+            return newValue.slice(0, newValue.length - oldValue.length).map((item: any, i: number) => (
+                { op: 'add', path: `${path}/${i}`, value: clonePlain(item) }
+            ));
+        case 'pop':
+            return oldValue.length ? [{ op: 'remove', path: `${path}/${oldValue.length - 1}` }] : [];
+        case 'shift':
+            return oldValue.length ? [{ op: 'remove', path: `${path}/0` }] : [];
+        default:
+            // splice, sort, reverse
+            return [{ op: 'replace', path, value: clonePlain(newValue) }];
+    }
+}
+
+/**
+ * Observe a reactive state as a stream of JSON Patch documents
+ * The callback receives one patch per notification batch
+ * @param state - Reactive state object
+ * @param callback - Called with the operations of each batch
+ * @param options - Observe options
+ * @returns Unsubscribe function
+ */
+export function observePatches<T extends Record<string, any>>(
+    state: T & ReactiveState<T>,
+    callback: (patch: PatchOperation[]) => void,
+    options: ObservePatchesOptions = {}
+): () => void {
+    if (!state || typeof state.subscribe !== 'function') {
+        throw new TypeError('[rnxJS] observePatches: state must be a reactive state object');
+    }
+    if (typeof callback !== 'function') {
+        throw new TypeError('[rnxJS] observePatches: callback must be a function');
+    }
+
+    let pending: PatchOperation[] = [];
+    let scheduled = false;
+    let active = true;
+
+    const emit = (): void => {
+        scheduled = false;
+        if (!active || pending.length === 0) return;
+
+        const patch = pending;
+        pending = [];
+        try {
+            callback(patch);
+        } catch (error) {
+            console.error('[rnxJS] Error in patch observer:', error);
+        }
+    };
+
+    const unsubscribe = state.subscribe(options.path || '**', (_value: any, change?: ChangeRecord) => {
+        if (!change) return;
+        if (!options.includeApplied && applyingStates.has(state)) return;
+
+        pending.push(...changeToOperations(state, change));
+
+        // Change records of one batch are delivered together; emit after them
+        if (!scheduled) {
+            scheduled = true;
+            queueMicrotask(emit);
+        }
+    });
+
+    return () => {
+        active = false;
+        pending = [];
+        unsubscribe();
+    };
+}
+
+/**
+ * Resolve the parent container and last token of a pointer
+ * @param root - Root object
+ * @param pointer - JSON Pointer
+ * @returns Parent container and key
+ */
+function resolveParent(root: any, pointer: string): { parent: any; key: string } {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new Error('[rnxJS] applyPatch: operations on the document root are not supported');
+    }
+
+    const key = tokens.pop()!;
+    let parent = root;
+    for (const token of tokens) {
+        assertSafeKey(token);
+        if (parent === null || typeof parent !== 'object' || !(token in parent)) {
+            throw new Error(`[rnxJS] applyPatch: path "${pointer}" does not exist`);
+        }
+        parent = parent[token];
+    }
+
+    if (parent === null || typeof parent !== 'object') {
+        throw new Error(`[rnxJS] applyPatch: path "${pointer}" does not exist`);
+    }
+
+    return { parent, key };
+}
+
+/**
+ * Check that a key is safe to write (prototype pollution guard)
+ * @param key - Object key
+ */
+function assertSafeKey(key: string): void {
+    if (key === '__proto__' || key === 'constructor' || key === 'prototype') {
+        throw new Error(`[rnxJS] applyPatch: blocked write to "${key}"`);
+    }
+}
+
+/**
+ * Parse an array index token
+ * @param array - Target array
+ * @param key - Index token
+ * @param allowEnd - Allow index === length (and '-') for add operations
+ * @returns Numeric index
+ */
+function arrayIndex(array: any[], key: string, allowEnd: boolean): number {
+    if (allowEnd && key === '-') return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(key)) {
+        throw new Error(`[rnxJS] applyPatch: invalid array index "${key}"`);
+    }
+    const index = Number(key);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw new Error(`[rnxJS] applyPatch: array index ${index} out of bounds`);
+    }
+    return index;
+}
+
+/**
+ * Read the value at a pointer
+ * @param root - Root object
+ * @param pointer - JSON Pointer
+ * @returns Value at pointer
+ */
+function readPointer(root: any, pointer: string): any {
+    const { parent, key } = resolveParent(root, pointer);
+    if (Array.isArray(parent)) {
+        return parent[arrayIndex(parent, key, false)];
+    }
+    if (!(key in parent)) {
+        throw new Error(`[rnxJS] applyPatch: path "${pointer}" does not exist`);
+    }
+    return parent[key];
+}
+
+/**
+ * Add a value at a pointer (inserting into arrays)
+ */
+function addValue(root: any, pointer: string, value: any): void {
+    const { parent, key } = resolveParent(root, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, true), 0, value);
+    } else {
+        assertSafeKey(key);
+        parent[key] = value;
+    }
+}
+
+/**
+ * Remove the value at a pointer
+ */
+function removeValue(root: any, pointer: string): void {
+    const { parent, key } = resolveParent(root, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, false), 1);
+    } else {
+        if (!(key in parent)) {
+            throw new Error(`[rnxJS] applyPatch: path "${pointer}" does not exist`);
+        }
+        delete parent[key];
+    }
+}
+
+/**
+ * Replace the value at a pointer
+ */
+function replaceValue(root: any, pointer: string, value: any): void {
+    const { parent, key } = resolveParent(root, pointer);
+    if (Array.isArray(parent)) {
+        parent[arrayIndex(parent, key, false)] = value;
+    } else {
+        if (!(key in parent)) {
+            throw new Error(`[rnxJS] applyPatch: path "${pointer}" does not exist`);
+        }
+        assertSafeKey(key);
+        parent[key] = value;
+    }
+}
+
+/**
+ * Compare two JSON values for the test operation (RFC 6902 section 4.6)
+ * Objects are equal when they have the same members, in any order
+ */
+function jsonEqual(a: any, b: any): boolean {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b)
+            && a.length === b.length
+            && a.every((item, index) => jsonEqual(item, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && jsonEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Apply a JSON Patch to a reactive state
+ * The patch is applied atomically: if any operation fails, every change is reverted
+ * and subscribers are not notified. On success subscribers are notified once.
+ * @param state - Reactive state object
+ * @param patch - Patch operations
+ */
+export function applyPatch<T extends Record<string, any>>(
+    state: T & ReactiveState<T>,
+    patch: PatchOperation[]
+): void {
+    if (!state || typeof state.transaction !== 'function') {
+        throw new TypeError('[rnxJS] applyPatch: state must be a reactive state object');
+    }
+    if (!Array.isArray(patch)) {
+        throw new TypeError('[rnxJS] applyPatch: patch must be an array of operations');
+    }
+
+    applyingStates.add(state);
+    try {
+        state.transaction(() => {
+            for (const operation of patch) {
+                const { op, path } = operation as any;
+
+                switch (op) {
+                    case 'add':
+                        addValue(state, path, clonePlain((operation as any).value));
+                        break;
+                    case 'remove':
+                        removeValue(state, path);
+                        break;
+                    case 'replace':
+                        replaceValue(state, path, clonePlain((operation as any).value));
+                        break;
+                    case 'move': {
+                        const from = (operation as any).from;
+                        if (path.startsWith(from + '/')) {
+                            throw new Error(`[rnxJS] applyPatch: cannot move "${from}" into its own child`);
+                        }
+                        const value = clonePlain(readPointer(state, from));
+                        removeValue(state, from);
+                        addValue(state, path, value);
+                        break;
+                    }
+                    case 'copy':
+                        addValue(state, path, clonePlain(readPointer(state, (operation as any).from)));
+                        break;
+                    case 'test':
+                        if (!jsonEqual(clonePlain(readPointer(state, path)), (operation as any).value)) {
+                            throw new Error(`[rnxJS] applyPatch: test failed at "${path}"`);
+                        }
+                        break;
+                    default:
+                        throw new Error(`[rnxJS] applyPatch: unknown operation "${op}"`);
+                }
+            }
+        });
+    } finally {
+        applyingStates.delete(state);
+    }
+}
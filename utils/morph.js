@@ -0,0 +1,190 @@
+/**
+ * DOM morphing for rnxJS
+ * Patches an existing DOM tree to match a newly rendered one, touching only the nodes
+ * and attributes that changed, so element identity (focus, scroll position, listeners,
+ * third-party widgets) survives re-renders.
+ * @module utils/morph
+ */
+
+// Names of the attributes each element got from the markup it was last rendered from;
+// other attributes (e.g. data-if copied onto a component root) are not removed by a morph
+const templateAttributes = new WeakMap();
+
+/**
+ * Key of a node for matching across renders
+ * @param {Node} node - Node
+ * @returns {string|null} - data-key or id of an element, or null
+ */
+function keyOf(node) {
+  if (node.nodeType !== 1) return null;
+  return node.getAttribute('data-key') || node.id || null;
+}
+
+/**
+ * Whether an existing node can be patched into a new one
+ * @param {Node} from - Existing node
+ * @param {Node} to - New node
+ * @returns {boolean} - True if they have the same type, tag and key
+ */
+export function isSameNode(from, to) {
+  if (from.nodeType !== to.nodeType) return false;
+  if (from.nodeType !== 1) return true;
+  return from.tagName === to.tagName && keyOf(from) === keyOf(to);
+}
+
+/**
+ * Remember the attributes of a rendered tree as owned by its markup
+ * A later morph only removes those of them that the new markup drops.
+ * @param {Node} root - Rendered node
+ */
+export function recordAttributes(root) {
+  if (root.nodeType !== 1) return;
+  [root, ...root.querySelectorAll('*')].forEach(element => {
+    templateAttributes.set(element, new Set(Array.from(element.attributes, ({ name }) => name)));
+  });
+}
+
+/**
+ * Patch an existing node to match a new one
+ * Children are matched by data-key or id first, then by tag in document order;
+ * unmatched new nodes are moved in and unmatched existing nodes are removed.
+ * Children of elements with data-preserve, and of elements for which
+ * options.skipChildren returns true, are left as they are.
+ * @param {Node} from - Existing node, patched in place
+ * @param {Node} to - New node (its children may be moved into from)
+ * @param {Object} [options] - Morph options
+ * @param {Function} [options.skipChildren] - (element) => true to keep the children of an existing element
+ * @returns {Node} - The existing node, or to if it replaced a node of another kind
+ *
+ * @example
+ * const next = document.createElement('div');
+ * next.innerHTML = template(state);
+ * morph(list, next.firstElementChild);
+ */
+export function morph(from, to, options = {}) {
+  if (!isSameNode(from, to)) {
+    from.replaceWith(to);
+    recordAttributes(to);
+    return to;
+  }
+
+  if (from.nodeType !== 1) {
+    if (from.nodeValue !== to.nodeValue) {
+      from.nodeValue = to.nodeValue;
+    }
+    return from;
+  }
+
+  morphAttributes(from, to);
+
+  if (from.tagName === 'TEXTAREA') {
+    // The text of a textarea is its value
+    if (from.defaultValue !== to.defaultValue) {
+      from.defaultValue = to.defaultValue;
+      from.value = to.defaultValue;
+    }
+    return from;
+  }
+
+  if (from.hasAttribute('data-preserve') || (options.skipChildren && options.skipChildren(from))) {
+    return from;
+  }
+
+  morphChildren(from, to, options);
+  return from;
+}
+
+/**
+ * Copy the attributes of a new element to an existing one
+ * Attributes missing from the new element are only removed if the previous markup set them
+ * (all of them, for elements whose markup was not recorded).
+ * Form control state (value, checked, selected) follows its attribute only when the
+ * attribute changed, so what the user typed or picked survives unrelated updates.
+ * @param {Element} from - Existing element
+ * @param {Element} to - New element
+ */
+function morphAttributes(from, to) {
+  const valueChanged = from.getAttribute('value') !== to.getAttribute('value');
+  const checkedChanged = from.hasAttribute('checked') !== to.hasAttribute('checked');
+  const selectedChanged = from.hasAttribute('selected') !== to.hasAttribute('selected');
+
+  Array.from(to.attributes).forEach(({ name, value }) => {
+    if (from.getAttribute(name) !== value) {
+      from.setAttribute(name, value);
+    }
+  });
+  const owned = templateAttributes.get(from);
+  Array.from(from.attributes).forEach(({ name }) => {
+    if (!to.hasAttribute(name) && (!owned || owned.has(name))) {
+      from.removeAttribute(name);
+    }
+  });
+  templateAttributes.set(from, new Set(Array.from(to.attributes, ({ name }) => name)));
+
+  if (from.tagName === 'INPUT') {
+    if (valueChanged) from.value = to.getAttribute('value') ?? '';
+    if (checkedChanged) from.checked = to.hasAttribute('checked');
+  } else if (from.tagName === 'OPTION' && selectedChanged) {
+    from.selected = to.hasAttribute('selected');
+  }
+}
+
+/**
+ * Patch the children of an existing element to match those of a new one
+ * @param {Element} from - Existing element
+ * @param {Element} to - New element
+ * @param {Object} options - Morph options
+ */
+function morphChildren(from, to, options) {
+  const existing = Array.from(from.childNodes);
+  const keyed = new Map();
+  existing.forEach(node => {
+    const key = keyOf(node);
+    if (key !== null && !keyed.has(key)) keyed.set(key, node);
+  });
+
+  const used = new Set();
+  let cursor = from.firstChild;
+
+  Array.from(to.childNodes).forEach(next => {
+    // Skip nodes that were already matched (moved before the cursor)
+    while (cursor && used.has(cursor)) cursor = cursor.nextSibling;
+
+    const key = keyOf(next);
+    let match = null;
+
+    if (key !== null) {
+      const candidate = keyed.get(key);
+      if (candidate && !used.has(candidate) && isSameNode(candidate, next)) {
+        match = candidate;
+      }
+    } else {
+      // First unused node of the same kind from the current position
+      for (let node = cursor; node; node = node.nextSibling) {
+        if (!used.has(node) && keyOf(node) === null && isSameNode(node, next)) {
+          match = node;
+          break;
+        }
+      }
+    }
+
+    if (match) {
+      used.add(match);
+      if (match === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        from.insertBefore(match, cursor);
+      }
+      morph(match, next, options);
+    } else {
+      from.insertBefore(next, cursor);
+      recordAttributes(next);
+    }
+  });
+
+  existing.forEach(node => {
+    if (!used.has(node) && node.parentNode === from) {
+      node.remove();
+    }
+  });
+}
@@ -0,0 +1,178 @@
+/**
+ * Serialization for reactive state
+ * Encodes state snapshots as JSON that round-trips Dates, Maps, Sets, undefined,
+ * non-finite numbers, and shared or circular references
+ */
+
+import { createReactiveState } from './createReactiveState.js';
+import type { ReactiveState, ReactiveStateOptions } from './createReactiveState.ts';
+
+/**
+ * Key marking an encoded value that plain JSON cannot represent
+ */
+const TYPE_KEY = '$rnx';
+
+/**
+ * Encode a value as a JSON-compatible tree
+ * Objects are numbered in visiting order; a repeated object is encoded as a reference to its number.
+ * @param value - Value to encode
+ * @param ids - Numbers of the objects encoded so far
+ * @returns Encoded value
+ */
+function encode(value: any, ids: Map<object, number>): any {
+    if (value === undefined) return { [TYPE_KEY]: 'Undefined' };
+    if (typeof value === 'bigint') return { [TYPE_KEY]: 'BigInt', value: value.toString() };
+    if (typeof value === 'number' && !Number.isFinite(value)) return { [TYPE_KEY]: 'Number', value: String(value) };
+    if (typeof value === 'function' || typeof value === 'symbol') return { [TYPE_KEY]: 'Undefined' };
+    if (typeof value !== 'object' || value === null) return value;
+
+    if (ids.has(value)) {
+        return { [TYPE_KEY]: 'Ref', id: ids.get(value) };
+    }
+    ids.set(value, ids.size);
+
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return { [TYPE_KEY]: 'Date', value: isNaN(time) ? null : value.toISOString() };
+    }
+    if (value instanceof Map) {
+        const entries: any[] = [];
+        value.forEach((item, key) => {
+            // Keys before values, matching the decoding order
+            const encodedKey = encode(key, ids);
+            entries.push([encodedKey, encode(item, ids)]);
+        });
+        return { [TYPE_KEY]: 'Map', value: entries };
+    }
+    if (value instanceof Set) {
+        return { [TYPE_KEY]: 'Set', value: Array.from(value, item => encode(item, ids)) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => encode(item, ids));
+    }
+
+    const encoded: Record<string, any> = {};
+    for (const key of Object.keys(value)) {
+        encoded[key] = encode(value[key], ids);
+    }
+    // Plain objects that happen to use the marker key are wrapped
+    return TYPE_KEY in encoded ? { [TYPE_KEY]: 'Object', value: encoded } : encoded;
+}
+
+/**
+ * Decode a tree produced by encode()
+ * @param node - Encoded value
+ * @param refs - Decoded objects, by number
+ * @returns Decoded value
+ */
+function decode(node: any, refs: any[]): any {
+    if (typeof node !== 'object' || node === null) return node;
+
+    if (Array.isArray(node)) {
+        const array: any[] = [];
+        refs.push(array);
+        node.forEach(item => array.push(decode(item, refs)));
+        return array;
+    }
+
+    switch (typeof node[TYPE_KEY] === 'string' ? node[TYPE_KEY] : null) {
+        case 'Undefined':
+            return undefined;
+        case 'BigInt':
+            return BigInt(node.value);
+        case 'Number':
+            return Number(node.value);
+        case 'Ref':
+            if (!(node.id in refs)) {
+                throw new Error(`[rnxJS] deserialize: unknown reference ${node.id}`);
+            }
+            return refs[node.id];
+        case 'Date': {
+            const date = new Date(node.value === null ? NaN : node.value);
+            refs.push(date);
+            return date;
+        }
+        case 'Map': {
+            const map = new Map();
+            refs.push(map);
+            for (const [key, value] of node.value) {
+                const decodedKey = decode(key, refs);
+                map.set(decodedKey, decode(value, refs));
+            }
+            return map;
+        }
+        case 'Set': {
+            const set = new Set();
+            refs.push(set);
+            node.value.forEach((item: any) => set.add(decode(item, refs)));
+            return set;
+        }
+        case 'Object':
+            return decodeObject(node.value, refs);
+        default:
+            return decodeObject(node, refs);
+    }
+}
+
+/**
+ * Decode the properties of a plain object
+ * @param node - Encoded object
+ * @param refs - Decoded objects, by number
+ * @returns Decoded object
+ */
+function decodeObject(node: Record<string, any>, refs: any[]): Record<string, any> {
+    const object: Record<string, any> = {};
+    refs.push(object);
+    for (const key of Object.keys(node)) {
+        // Decode even skipped values so reference numbers stay in step
+        const value = decode(node[key], refs);
+        // Assigning __proto__ would replace the prototype (prototype pollution)
+        if (key !== '__proto__') {
+            object[key] = value;
+        }
+    }
+    return object;
+}
+
+/**
+ * Serialize a reactive state (or any value) to a JSON string
+ * Reactive states are serialized from their $snapshot(), without proxies or utility methods.
+ * Functions and symbols are serialized as undefined.
+ * @param value - Reactive state or value
+ * @param space - Indentation passed to JSON.stringify
+ * @returns JSON string
+ */
+export function serialize(value: any, space?: number | string): string {
+    const source = value && typeof value.$snapshot === 'function' ? value.$snapshot() : value;
+    return JSON.stringify(encode(source, new Map()), null, space);
+}
+
+/**
+ * Parse a string produced by serialize()
+ * @param text - JSON string
+ * @returns Decoded value, with Dates, Maps, Sets and references restored
+ */
+export function deserialize<T = any>(text: string): T {
+    if (typeof text !== 'string') {
+        throw new TypeError('[rnxJS] deserialize: input must be a string');
+    }
+    return decode(JSON.parse(text), []);
+}
+
+/**
+ * Create a fresh reactive state from serialized state or a snapshot
+ * Snapshots are copied, so the new state never shares objects with them.
+ * @param input - String produced by serialize(), a value returned by $snapshot(), or a state
+ * @param options - Options passed to createReactiveState
+ * @returns Reactive state
+ */
+export function hydrate<T extends Record<string, any> = Record<string, any>>(
+    input: string | T,
+    options: ReactiveStateOptions = {}
+): T & ReactiveState<T> {
+    const data = deserialize(typeof input === 'string' ? input : serialize(input));
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new TypeError('[rnxJS] hydrate: input must describe an object');
+    }
+    return createReactiveState(data as T, options);
+}
@@ -0,0 +1,188 @@
+/**
+ * Global store modules
+ * Named reactive states with getters and actions, shared across bindData roots
+ * and referenced in bindings as `store:<id>.<path>`
+ */
+
+import { createReactiveState } from './createReactiveState.js';
+import { createComputed } from './createComputed.ts';
+import { plugins } from './plugins.js';
+import type { ReactiveState } from './createReactiveState.ts';
+
+/**
+ * Store definition
+ */
+export interface StoreOptions<S extends Record<string, any>> {
+    /** Initial state, or a function returning it */
+    state?: S | (() => S);
+    /** Computed values, defined on the store with createComputed */
+    getters?: Record<string, (state: S) => any>;
+    /** Methods called with the store as `this` */
+    actions?: Record<string, (this: Store<S>, ...args: any[]) => any>;
+}
+
+/**
+ * Store instance: the reactive state plus its getters, actions and id
+ */
+export type Store<S extends Record<string, any> = Record<string, any>> = S & ReactiveState<S> & {
+    readonly $id: string;
+    [key: string]: any;
+};
+
+/**
+ * Context passed to the before:action and after:action plugin hooks
+ */
+export interface ActionContext {
+    store: Store;
+    id: string;
+    name: string;
+    args: any[];
+    /** Return value (after:action, on success; awaited for async actions) */
+    result?: any;
+    /** Thrown error or rejection reason (after:action, on failure) */
+    error?: unknown;
+}
+
+/**
+ * Prefix of store paths in bindings
+ */
+export const STORE_PREFIX = 'store:';
+
+/**
+ * Registered stores by id
+ */
+const stores = new Map<string, Store<any>>();
+
+/**
+ * Define a store and register it under an id
+ * Defining an id twice returns the existing store.
+ * Action calls run the `before:action` and `after:action` plugin hooks; store creation
+ * runs `after:defineStore`. Hooks are notified without blocking the action.
+ * @param id - Store id (used in `store:<id>.<path>` bindings)
+ * @param options - State, getters and actions
+ * @returns Store
+ */
+export function defineStore<S extends Record<string, any>>(id: string, options: StoreOptions<S> = {}): Store<S> {
+    if (typeof id !== 'string' || !/^[a-zA-Z_$][\w$]*$/.test(id)) {
+        throw new TypeError(`[rnxJS] defineStore: invalid store id "${id}"`);
+    }
+    if (stores.has(id)) {
+        console.warn(`[rnxJS] defineStore: store "${id}" is already defined`);
+        return stores.get(id) as Store<S>;
+    }
+
+    const initial = typeof options.state === 'function' ? (options.state as () => S)() : options.state;
+    const store = createReactiveState<S>({ ...(initial || {}) } as S) as Store<S>;
+
+    Object.defineProperty(store, '$id', {
+        value: id,
+        enumerable: false,
+        writable: false,
+        configurable: false
+    });
+
+    for (const [name, getter] of Object.entries(options.getters || {})) {
+        if (typeof getter !== 'function') {
+            console.warn(`[rnxJS] defineStore: getter "${name}" of store "${id}" must be a function`);
+            continue;
+        }
+        createComputed(store, name, (state: S) => getter.call(store, state));
+    }
+
+    for (const [name, action] of Object.entries(options.actions || {})) {
+        if (typeof action !== 'function') {
+            console.warn(`[rnxJS] defineStore: action "${name}" of store "${id}" must be a function`);
+            continue;
+        }
+        Object.defineProperty(store, name, {
+            value: wrapAction(store, id, name, action),
+            enumerable: false,
+            writable: false,
+            configurable: false
+        });
+    }
+
+    stores.set(id, store);
+    plugins.runHook('after:defineStore', { store, id });
+    return store;
+}
+
+/**
+ * Wrap an action so plugins can observe its calls
+ * @param store - Store the action belongs to
+ * @param id - Store id
+ * @param name - Action name
+ * @param action - Action function
+ * @returns Wrapped action
+ */
+function wrapAction(store: Store<any>, id: string, name: string, action: Function): (...args: any[]) => any {
+    return (...args: any[]) => {
+        const context: ActionContext = { store, id, name, args };
+        plugins.runHook('before:action', context);
+
+        const finish = (outcome: Partial<ActionContext>): void => {
+            plugins.runHook('after:action', { ...context, ...outcome });
+        };
+
+        let result;
+        try {
+            result = action.apply(store, args);
+        } catch (error) {
+            finish({ error });
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(
+                (value: any) => finish({ result: value }),
+                (error: unknown) => finish({ error })
+            );
+        } else {
+            finish({ result });
+        }
+        return result;
+    };
+}
+
+/**
+ * Get a registered store
+ * @param id - Store id
+ * @returns Store, or undefined if none is registered under the id
+ */
+export function getStore<S extends Record<string, any> = Record<string, any>>(id: string): Store<S> | undefined {
+    return stores.get(id) as Store<S> | undefined;
+}
+
+/**
+ * Remove a store from the registry and release its subscriptions
+ * @param id - Store id
+ * @returns True if a store was removed
+ */
+export function removeStore(id: string): boolean {
+    const store = stores.get(id);
+    if (!store) return false;
+
+    stores.delete(id);
+    store.$destroy();
+    return true;
+}
+
+/**
+ * Resolve a `store:<id>.<path>` binding path
+ * @param path - Binding path
+ * @returns Store and path inside it, or null if the path has no store prefix or the store is unknown
+ */
+export function resolveStorePath(path: string): { store: Store; path: string } | null {
+    if (typeof path !== 'string' || !path.startsWith(STORE_PREFIX)) return null;
+
+    const rest = path.slice(STORE_PREFIX.length);
+    const dot = rest.indexOf('.');
+    const id = dot === -1 ? rest : rest.slice(0, dot);
+    const store = stores.get(id);
+
+    if (!store || dot === -1) {
+        console.warn(`[rnxJS] Unknown store path "${path}"`);
+        return null;
+    }
+    return { store, path: rest.slice(dot + 1) };
+}